@@ -0,0 +1,151 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Controllers\Admin;
+
+use App\Controllers\BaseController;
+use App\Models\StockSplit;
+use App\Services\PortfolioService;
+use App\Services\StockSplitService;
+use Psr\Http\Message\ResponseInterface as Response;
+use Psr\Http\Message\ServerRequestInterface as Request;
+
+class StockSplitController extends BaseController
+{
+    public function __construct(
+        private StockSplitService $stockSplitService,
+        private PortfolioService $portfolioService
+    ) {}
+
+    /**
+     * List stock splits, newest first, optionally for one symbol
+     */
+    public function index(Request $request, Response $response): Response
+    {
+        try {
+            $symbol = strtoupper(trim($request->getQueryParams()['symbol'] ?? ''));
+
+            $splits = StockSplit::orderByDate('desc')
+                ->when($symbol !== '', fn($query) => $query->forSymbol($symbol))
+                ->get();
+
+            return $this->jsonResponse($response, [
+                'success' => true,
+                'splits' => $splits->map(fn($split) => $this->formatSplit($split))
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->jsonResponse($response, [
+                'success' => false,
+                'message' => 'Failed to fetch stock splits: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    /**
+     * Enter a split and recompute the portfolios holding the stock
+     */
+    public function store(Request $request, Response $response): Response
+    {
+        try {
+            $split = $this->stockSplitService->saveSplit($request->getParsedBody() ?? []);
+            $portfolios = $this->portfolioService->recalculateHoldingsForSymbol($split->symbol);
+
+            return $this->jsonResponse($response, [
+                'success' => true,
+                'message' => "Split saved for {$split->symbol}; {$portfolios} portfolio(s) recalculated",
+                'split' => $this->formatSplit($split),
+                'portfolios_recalculated' => $portfolios
+            ], 201);
+
+        } catch (\Exception $e) {
+            return $this->jsonResponse($response, [
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        }
+    }
+
+    /**
+     * Correct a split's date or ratio and recompute the portfolios holding the stock
+     */
+    public function update(Request $request, Response $response, array $args): Response
+    {
+        $split = StockSplit::find((int)$args['id']);
+        if (!$split) {
+            return $this->jsonResponse($response, [
+                'success' => false,
+                'message' => 'Stock split not found'
+            ], 404);
+        }
+
+        try {
+            $previousSymbol = $split->symbol;
+            $split = $this->stockSplitService->saveSplit($request->getParsedBody() ?? [], $split);
+
+            $portfolios = $this->portfolioService->recalculateHoldingsForSymbol($split->symbol);
+            if ($previousSymbol !== $split->symbol) {
+                $portfolios += $this->portfolioService->recalculateHoldingsForSymbol($previousSymbol);
+            }
+
+            return $this->jsonResponse($response, [
+                'success' => true,
+                'message' => "Split updated for {$split->symbol}; {$portfolios} portfolio(s) recalculated",
+                'split' => $this->formatSplit($split),
+                'portfolios_recalculated' => $portfolios
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->jsonResponse($response, [
+                'success' => false,
+                'message' => $e->getMessage()
+            ], 400);
+        }
+    }
+
+    /**
+     * Remove a split entered by mistake and recompute the portfolios holding the stock
+     */
+    public function delete(Request $request, Response $response, array $args): Response
+    {
+        $split = StockSplit::find((int)$args['id']);
+        if (!$split) {
+            return $this->jsonResponse($response, [
+                'success' => false,
+                'message' => 'Stock split not found'
+            ], 404);
+        }
+
+        try {
+            $symbol = $split->symbol;
+            $split->delete();
+            $portfolios = $this->portfolioService->recalculateHoldingsForSymbol($symbol);
+
+            return $this->jsonResponse($response, [
+                'success' => true,
+                'message' => "Split deleted for {$symbol}; {$portfolios} portfolio(s) recalculated",
+                'portfolios_recalculated' => $portfolios
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->jsonResponse($response, [
+                'success' => false,
+                'message' => 'Failed to delete stock split: ' . $e->getMessage()
+            ], 500);
+        }
+    }
+
+    private function formatSplit(StockSplit $split): array
+    {
+        return [
+            'id' => $split->id,
+            'symbol' => $split->symbol,
+            'split_date' => $split->split_date->format('Y-m-d'),
+            'split_ratio' => $split->split_ratio,
+            'split_factor' => (float)$split->split_factor,
+            'description' => $split->getFormattedRatio(),
+            'created_at' => $split->created_at?->toISOString()
+        ];
+    }
+}
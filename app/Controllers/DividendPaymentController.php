@@ -71,6 +71,9 @@ class DividendPaymentController extends BaseController
                     'stock_symbol' => $dividendPayment->stock_symbol,
                     'payment_type' => $dividendPayment->payment_type,
                     'total_amount' => $dividendPayment->total_dividend_amount,
+                    'withholding_tax' => $dividendPayment->withholding_tax,
+                    'net_amount' => $dividendPayment->getNetAmount(),
+                    'tax_classification' => $dividendPayment->tax_classification,
                     'payment_date' => $dividendPayment->payment_date->format('Y-m-d'),
                     'drip_shares' => $dividendPayment->drip_shares_purchased
                 ]
@@ -118,6 +121,97 @@ class DividendPaymentController extends BaseController
         }
     }
 
+    /**
+     * Get yield on cost and dividend growth for a portfolio's holdings
+     */
+    public function getDividendGrowth(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+
+            return $this->successResponse($response, [
+                'cagr_years' => \App\Services\DividendGrowthService::CAGR_YEARS,
+                'holdings' => $this->dividendPaymentService->getDividendGrowth($portfolio)
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 404);
+        }
+    }
+
+    /**
+     * Get ex-dates and payment dates for a portfolio's dividend calendar
+     */
+    public function getCalendar(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+            [$from, $to] = $this->getCalendarRange($request->getQueryParams());
+
+            return $this->successResponse($response, [
+                'from' => $from,
+                'to' => $to,
+                'events' => $this->dividendPaymentService->getDividendCalendar([$portfolio], $from, $to)
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Get the dividend calendar across all of the user's portfolios
+     */
+    public function getCombinedCalendar(Request $request, Response $response): Response
+    {
+        $user = $request->getAttribute('user');
+
+        try {
+            [$from, $to] = $this->getCalendarRange($request->getQueryParams());
+            $portfolios = $this->portfolioService->getUserPortfolios($user);
+
+            return $this->successResponse($response, [
+                'from' => $from,
+                'to' => $to,
+                'events' => $this->dividendPaymentService->getDividendCalendar($portfolios, $from, $to)
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Calendar date range from ?from=&to= (defaults to the current month)
+     */
+    private function getCalendarRange(array $queryParams): array
+    {
+        $from = $queryParams['from'] ?? date('Y-m-01');
+        $to = $queryParams['to'] ?? date('Y-m-t');
+
+        foreach ([$from, $to] as $date) {
+            if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $date) || !strtotime($date)) {
+                throw new \Exception('Dates must be in YYYY-MM-DD format');
+            }
+        }
+
+        if ($from > $to) {
+            throw new \Exception('The start date must be before the end date');
+        }
+
+        if ((strtotime($to) - strtotime($from)) / 86400 > 366) {
+            throw new \Exception('The calendar range cannot be longer than a year');
+        }
+
+        return [$from, $to];
+    }
+
     /**
      * Get dividend analytics for a portfolio
      */
@@ -174,6 +268,10 @@ class DividendPaymentController extends BaseController
                     'shares_owned' => $payment->shares_owned,
                     'dividend_per_share' => $payment->dividend_per_share,
                     'total_amount' => $payment->total_dividend_amount,
+                    'withholding_tax' => $payment->withholding_tax,
+                    'net_amount' => $payment->getNetAmount(),
+                    'tax_classification' => $payment->tax_classification,
+                    'country' => $payment->stock->country ?? null,
                     'payment_type' => $payment->payment_type,
                     'drip_shares_purchased' => $payment->drip_shares_purchased,
                     'drip_price_per_share' => $payment->drip_price_per_share,
@@ -223,6 +321,9 @@ class DividendPaymentController extends BaseController
                     'stock_symbol' => $updatedPayment->stock_symbol,
                     'payment_type' => $updatedPayment->payment_type,
                     'total_amount' => $updatedPayment->total_dividend_amount,
+                    'withholding_tax' => $updatedPayment->withholding_tax,
+                    'net_amount' => $updatedPayment->getNetAmount(),
+                    'tax_classification' => $updatedPayment->tax_classification,
                     'payment_date' => $updatedPayment->payment_date->format('Y-m-d'),
                     'shares_owned' => $updatedPayment->shares_owned,
                     'drip_shares' => $updatedPayment->drip_shares_purchased,
@@ -6,6 +6,7 @@ namespace App\Controllers;
 
 use App\Services\PortfolioService;
 use App\Services\DividendSafetyService;
+use App\Models\CashTransaction;
 use App\Models\Portfolio;
 use Psr\Http\Message\ResponseInterface as Response;
 use Psr\Http\Message\ServerRequestInterface as Request;
@@ -27,8 +28,11 @@ class PortfolioController
         
         try {
             $portfolios = $this->portfolioService->getUserPortfolios($user);
+            $displayCurrency = $this->portfolioService->getPreferredCurrency($user);
             
-            $portfoliosData = $portfolios->map(function ($portfolio) {
+            $portfoliosData = $portfolios->map(function ($portfolio) use ($displayCurrency) {
+                $totals = $this->portfolioService->getPortfolioTotals($portfolio, $portfolio->currency);
+
                 return [
                     'id' => $portfolio->id,
                     'name' => $portfolio->name,
@@ -37,10 +41,14 @@ class PortfolioController
                     'currency' => $portfolio->currency,
                     'is_public' => $portfolio->is_public,
                     'holdings_count' => $portfolio->getHoldingsCount(),
-                    'total_value' => $portfolio->getTotalValue(),
-                    'total_cost_basis' => $portfolio->getTotalCostBasis(),
-                    'total_gain_loss' => $portfolio->getTotalGainLoss(),
-                    'total_gain_loss_percent' => $portfolio->getTotalGainLossPercent(),
+                    'total_value' => $totals['total_value'],
+                    'total_cost_basis' => $totals['total_cost_basis'],
+                    'total_gain_loss' => $totals['total_gain_loss'],
+                    'total_gain_loss_percent' => $totals['total_gain_loss_percent'],
+                    // The same totals in the user's currency, for adding up across portfolios
+                    'display' => $portfolio->currency === $displayCurrency
+                        ? $totals
+                        : $this->portfolioService->getPortfolioTotals($portfolio, $displayCurrency),
                     'created_at' => $portfolio->created_at->toISOString(),
                     'updated_at' => $portfolio->updated_at->toISOString()
                 ];
@@ -48,7 +56,9 @@ class PortfolioController
             
             $responseData = [
                 'portfolios' => $portfoliosData,
-                'total_portfolios' => $portfolios->count()
+                'total_portfolios' => $portfolios->count(),
+                'display_currency' => $displayCurrency,
+                'missing_fx_rates' => $this->portfolioService->getMissingFxRates()
             ];
             
             $response->getBody()->write(json_encode($responseData));
@@ -134,6 +144,8 @@ class PortfolioController
                     'description' => $updatedPortfolio->description,
                     'type' => $updatedPortfolio->portfolio_type,
                     'currency' => $updatedPortfolio->currency,
+                    'lot_method' => $updatedPortfolio->lot_method,
+                    'benchmark' => $updatedPortfolio->benchmark,
                     'is_public' => $updatedPortfolio->is_public,
                     'updated_at' => $updatedPortfolio->updated_at->toISOString()
                 ]
@@ -264,9 +276,17 @@ class PortfolioController
         $user = $request->getAttribute('user');
         $portfolioId = (int)$args['id'];
 
+        $symbol = $request->getQueryParams()['symbol'] ?? null;
+
         try {
             $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
-            $transactions = $portfolio->transactions()
+            $query = $portfolio->transactions();
+
+            if ($symbol) {
+                $query->where('stock_symbol', strtoupper($symbol));
+            }
+
+            $transactions = $query
                 ->orderBy('transaction_date', 'desc')
                 ->orderBy('created_at', 'desc')
                 ->get();
@@ -279,9 +299,17 @@ class PortfolioController
                     'quantity' => $transaction->quantity,
                     'price' => $transaction->price,
                     'fees' => $transaction->fees,
+                    'currency' => $transaction->currency,
+                    'fx_rate' => $transaction->fx_rate,
                     'total_amount' => $transaction->getTotalAmount(),
                     'transaction_date' => $transaction->transaction_date->toDateString(),
                     'notes' => $transaction->notes,
+                    'external_id' => $transaction->external_id,
+                    'dividend_payment_id' => $transaction->dividend_payment_id,
+                    'transfer_id' => $transaction->transfer_id,
+                    'acquired_date' => $transaction->acquired_date?->toDateString(),
+                    'lot_method' => $transaction->lot_method,
+                    'lot_selections' => $transaction->lot_selections,
                     'created_at' => $transaction->created_at->toISOString()
                 ];
             });
@@ -332,6 +360,8 @@ class PortfolioController
                     'quantity' => $transaction->quantity,
                     'price' => $transaction->price,
                     'fees' => $transaction->fees,
+                    'currency' => $transaction->currency,
+                    'fx_rate' => $transaction->fx_rate,
                     'total_amount' => $transaction->getTotalAmount(),
                     'transaction_date' => $transaction->transaction_date->toDateString(),
                     'created_at' => $transaction->created_at->toISOString()
@@ -346,6 +376,318 @@ class PortfolioController
         }
     }
 
+    /**
+     * Add multiple transactions to a portfolio in one request (CSV import)
+     */
+    public function addTransactionsBatch(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+        $data = $request->getParsedBody();
+
+        if (empty($data['transactions']) || !is_array($data['transactions'])) {
+            return $this->errorResponse($response, 'No transactions provided', 400);
+        }
+
+        if (count($data['transactions']) > 1000) {
+            return $this->errorResponse($response, 'A batch can contain at most 1000 transactions', 400);
+        }
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+            $summary = $this->portfolioService->addTransactionsBatch($portfolio, $data['transactions']);
+
+            $response->getBody()->write(json_encode([
+                'success' => true,
+                'message' => "Imported {$summary['successful']} of {$summary['total_processed']} transactions",
+                'summary' => $summary
+            ]));
+            return $response->withHeader('Content-Type', 'application/json')->withStatus(201);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Get open tax lots and closed lot disposals for a portfolio
+     */
+    public function getTaxLots(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+        $symbol = $request->getQueryParams()['symbol'] ?? null;
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+            $lots = $this->portfolioService->getTaxLots($portfolio, $symbol);
+
+            $response->getBody()->write(json_encode([
+                'success' => true,
+                'lot_method' => $lots['lot_method'],
+                'open_lots' => $lots['open_lots'],
+                'closed_lots' => $lots['closed_lots'],
+                'splits' => $lots['splits']
+            ]));
+            return $response->withHeader('Content-Type', 'application/json');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 404);
+        }
+    }
+
+    /**
+     * Get realized gains and losses for a tax year
+     */
+    public function getRealizedGains(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+        $year = $request->getQueryParams()['year'] ?? null;
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+            $report = $this->portfolioService->getRealizedGains($portfolio, $year !== null && $year !== '' ? (int)$year : null);
+
+            $response->getBody()->write(json_encode(array_merge(['success' => true], $report)));
+            return $response->withHeader('Content-Type', 'application/json');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 404);
+        }
+    }
+
+    /**
+     * Get time-weighted and money-weighted returns for standard periods
+     */
+    public function getReturns(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+            $returns = $this->portfolioService->getPortfolioReturns($portfolio);
+
+            $response->getBody()->write(json_encode(array_merge(['success' => true], $returns)));
+            return $response->withHeader('Content-Type', 'application/json');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 404);
+        }
+    }
+
+    /**
+     * Get the portfolio's target allocation
+     */
+    public function getTargets(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+            $targets = $this->portfolioService->getTargets($portfolio);
+
+            $response->getBody()->write(json_encode(array_merge(['success' => true], $targets)));
+            return $response->withHeader('Content-Type', 'application/json');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 404);
+        }
+    }
+
+    /**
+     * Replace the portfolio's target allocation
+     */
+    public function saveTargets(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+        $data = $request->getParsedBody() ?? [];
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+            $targets = $this->portfolioService->saveTargets($portfolio, $data);
+
+            $response->getBody()->write(json_encode(array_merge([
+                'success' => true,
+                'message' => 'Target allocation saved'
+            ], $targets)));
+            return $response->withHeader('Content-Type', 'application/json');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Get exposure with funds expanded into their constituents
+     */
+    public function getLookThrough(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+            $exposure = $this->portfolioService->getLookThroughExposure($portfolio);
+
+            $response->getBody()->write(json_encode(array_merge(['success' => true], $exposure)));
+            return $response->withHeader('Content-Type', 'application/json');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 404);
+        }
+    }
+
+    /**
+     * Get returns for all of the user's portfolios combined (dashboard)
+     */
+    public function getCombinedReturns(Request $request, Response $response): Response
+    {
+        $user = $request->getAttribute('user');
+
+        try {
+            $returns = $this->portfolioService->getCombinedReturns($user);
+
+            $response->getBody()->write(json_encode(array_merge(['success' => true], $returns)));
+            return $response->withHeader('Content-Type', 'application/json');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Get today's biggest movers across all of the user's portfolios
+     */
+    public function getTopMovers(Request $request, Response $response): Response
+    {
+        $user = $request->getAttribute('user');
+        $limit = (int)($request->getQueryParams()['limit'] ?? 5);
+
+        try {
+            $movers = $this->portfolioService->getTopMovers($user, max(1, min($limit, 20)));
+
+            $response->getBody()->write(json_encode(array_merge(['success' => true], $movers)));
+            return $response->withHeader('Content-Type', 'application/json');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Get the portfolio's cash ledger and balance
+     */
+    public function getCashLedger(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+            $ledger = $this->portfolioService->getCashLedger($portfolio);
+
+            // Newest first, like the transaction list
+            $ledger['entries'] = array_reverse($ledger['entries']);
+
+            $response->getBody()->write(json_encode(array_merge(['success' => true], $ledger)));
+            return $response->withHeader('Content-Type', 'application/json');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 404);
+        }
+    }
+
+    /**
+     * Record a deposit, withdrawal, interest payment or fee
+     */
+    public function addCashTransaction(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+        $data = $request->getParsedBody() ?? [];
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+            $cashTransaction = $this->portfolioService->addCashTransaction($portfolio, $data);
+
+            $response->getBody()->write(json_encode([
+                'success' => true,
+                'message' => 'Cash transaction added successfully',
+                'cash_transaction' => $this->formatCashTransaction($cashTransaction)
+            ]));
+            return $response->withHeader('Content-Type', 'application/json')->withStatus(201);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Update a cash transaction
+     */
+    public function updateCashTransaction(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+        $cashTransactionId = (int)$args['cashTransactionId'];
+        $data = $request->getParsedBody() ?? [];
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+            $cashTransaction = $portfolio->cashTransactions()->where('id', $cashTransactionId)->first();
+
+            if (!$cashTransaction) {
+                return $this->errorResponse($response, 'Cash transaction not found', 404);
+            }
+
+            $cashTransaction = $this->portfolioService->updateCashTransaction($cashTransaction, $data);
+
+            $response->getBody()->write(json_encode([
+                'success' => true,
+                'message' => 'Cash transaction updated successfully',
+                'cash_transaction' => $this->formatCashTransaction($cashTransaction)
+            ]));
+            return $response->withHeader('Content-Type', 'application/json');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Delete a cash transaction
+     */
+    public function deleteCashTransaction(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+        $cashTransactionId = (int)$args['cashTransactionId'];
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+            $cashTransaction = $portfolio->cashTransactions()->where('id', $cashTransactionId)->first();
+
+            if (!$cashTransaction) {
+                return $this->errorResponse($response, 'Cash transaction not found', 404);
+            }
+
+            $this->portfolioService->deleteCashTransaction($cashTransaction);
+
+            $response->getBody()->write(json_encode([
+                'success' => true,
+                'message' => 'Cash transaction deleted successfully'
+            ]));
+            return $response->withHeader('Content-Type', 'application/json');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
     /**
      * Get a specific transaction
      */
@@ -371,9 +713,13 @@ class PortfolioController
                 'quantity' => $transaction->quantity,
                 'price' => $transaction->price,
                 'fees' => $transaction->fees,
+                'currency' => $transaction->currency,
+                'fx_rate' => $transaction->fx_rate,
                 'total_amount' => $transaction->getTotalAmount(),
                 'transaction_date' => $transaction->transaction_date->toDateString(),
                 'notes' => $transaction->notes,
+                'lot_method' => $transaction->lot_method,
+                'lot_selections' => $transaction->lot_selections,
                 'created_at' => $transaction->created_at->toISOString()
             ];
 
@@ -419,6 +765,8 @@ class PortfolioController
                     'quantity' => $updatedTransaction->quantity,
                     'price' => $updatedTransaction->price,
                     'fees' => $updatedTransaction->fees,
+                    'currency' => $updatedTransaction->currency,
+                    'fx_rate' => $updatedTransaction->fx_rate,
                     'total_amount' => $updatedTransaction->getTotalAmount(),
                     'transaction_date' => $updatedTransaction->transaction_date->toDateString(),
                     'updated_at' => $updatedTransaction->updated_at->toISOString()
@@ -474,10 +822,15 @@ class PortfolioController
         $user = $request->getAttribute('user');
         $portfolioId = (int)$args['id'];
         $days = (int) ($request->getQueryParams()['days'] ?? 30);
+        $currency = $request->getQueryParams()['currency'] ?? null;
 
         try {
             $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
-            $historicalData = $this->portfolioService->getPortfolioHistoricalPerformance($portfolio, $days);
+            $historicalData = $this->portfolioService->getPortfolioHistoricalPerformance(
+                $portfolio,
+                $days,
+                $currency ? strtoupper($currency) : null
+            );
 
             $response->getBody()->write(json_encode([
                 'success' => true,
@@ -713,6 +1066,19 @@ class PortfolioController
         }
     }
 
+    private function formatCashTransaction(CashTransaction $cashTransaction): array
+    {
+        return [
+            'id' => $cashTransaction->id,
+            'transaction_type' => $cashTransaction->transaction_type,
+            'amount' => $cashTransaction->amount,
+            'transaction_date' => $cashTransaction->transaction_date->toDateString(),
+            'notes' => $cashTransaction->notes,
+            'transfer_id' => $cashTransaction->transfer_id,
+            'created_at' => $cashTransaction->created_at->toISOString()
+        ];
+    }
+
     private function errorResponse(Response $response, string $message, int $status = 400): Response
     {
         $data = [
@@ -0,0 +1,83 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Controllers;
+
+use Psr\Http\Message\ResponseInterface as Response;
+use Psr\Http\Message\ServerRequestInterface as Request;
+use App\Models\UserPreference;
+use App\Services\UserService;
+
+class PreferencesController extends BaseController
+{
+    private UserService $userService;
+
+    public function __construct(UserService $userService)
+    {
+        $this->userService = $userService;
+    }
+
+    /**
+     * Get the current user's preferences
+     */
+    public function show(Request $request, Response $response): Response
+    {
+        $user = $request->getAttribute('user');
+
+        try {
+            return $this->successResponse($response, [
+                'preferences' => $this->formatPreferences($this->userService->getPreferences($user))
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 500);
+        }
+    }
+
+    /**
+     * List the timezones a preference can be set to
+     */
+    public function timezones(Request $request, Response $response): Response
+    {
+        return $this->successResponse($response, [
+            'timezones' => $this->userService->getTimezones()
+        ]);
+    }
+
+    /**
+     * Update the current user's preferences; fields left out are unchanged
+     */
+    public function update(Request $request, Response $response): Response
+    {
+        $user = $request->getAttribute('user');
+        $data = $request->getParsedBody() ?? [];
+
+        try {
+            $preferences = $this->userService->updatePreferences($user, $data);
+
+            return $this->successResponse($response, [
+                'preferences' => $this->formatPreferences($preferences)
+            ], 'Preferences saved');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    private function formatPreferences(UserPreference $preferences): array
+    {
+        return [
+            'theme' => $preferences->theme,
+            'timezone' => $preferences->timezone,
+            'currency' => $preferences->currency,
+            'date_format' => $preferences->date_format,
+            'locale' => $preferences->locale,
+            'chart_period' => $preferences->chart_period,
+            'notifications_enabled' => $preferences->notifications_enabled,
+            'email_notifications' => $preferences->email_notifications,
+            'dashboard_layout' => $preferences->dashboard_layout,
+            'updated_at' => $preferences->updated_at?->toISOString()
+        ];
+    }
+}
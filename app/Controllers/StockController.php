@@ -4,6 +4,8 @@ declare(strict_types=1);
 
 namespace App\Controllers;
 
+use App\Services\ClassificationService;
+use App\Services\FxRateService;
 use App\Services\StockDataService;
 use App\Models\Stock;
 use App\Models\StockPrice;
@@ -13,7 +15,9 @@ use Psr\Http\Message\ServerRequestInterface as Request;
 class StockController
 {
     public function __construct(
-        private StockDataService $stockDataService
+        private StockDataService $stockDataService,
+        private ClassificationService $classificationService,
+        private FxRateService $fxRateService
     ) {}
     
     /**
@@ -67,6 +71,12 @@ class StockController
             if (!$quoteData) {
                 return $this->errorResponse($response, 'Stock not found or data unavailable', 404);
             }
+
+            // With ?currency=, add today's rate from the listing currency (null if unknown)
+            $currency = strtoupper($request->getQueryParams()['currency'] ?? '');
+            if ($currency !== '') {
+                $quoteData['fx_rate'] = $this->fxRateService->getRate($quoteData['currency'], $currency);
+            }
             
             $response->getBody()->write(json_encode($quoteData));
             return $response->withHeader('Content-Type', 'application/json');
@@ -173,6 +183,8 @@ class StockController
                 'exchange' => $stock->exchange,
                 'sector' => $stock->sector,
                 'industry' => $stock->industry,
+                'is_etf' => $stock->is_etf,
+                'sector_weights' => $stock->sector_weights,
                 'currency' => $stock->currency,
                 'country' => $stock->country,
                 'is_active' => $stock->is_active,
@@ -473,6 +485,66 @@ class StockController
         }
     }
 
+    /**
+     * Get the user's sector classification overrides
+     */
+    public function getClassificationOverrides(Request $request, Response $response): Response
+    {
+        $user = $request->getAttribute('user');
+
+        return $this->successResponse($response, [
+            'overrides' => $this->classificationService->getOverrides($user),
+            'sectors' => ClassificationService::SECTORS
+        ]);
+    }
+
+    /**
+     * Override a symbol's sector and industry (or its sector weights) for the user
+     */
+    public function saveClassificationOverride(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $symbol = strtoupper($args['symbol'] ?? '');
+        $data = $request->getParsedBody() ?? [];
+
+        if (!$this->stockDataService->isValidSymbol($symbol)) {
+            return $this->errorResponse($response, 'Invalid stock symbol', 400);
+        }
+
+        try {
+            $override = $this->classificationService->saveOverride($user, $symbol, $data);
+
+            return $this->successResponse($response, [
+                'message' => "Classification saved for {$symbol}",
+                'classification' => $this->classificationService->classify(Stock::find($symbol), $override)
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Remove the user's override so the profile classification applies again
+     */
+    public function deleteClassificationOverride(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $symbol = strtoupper($args['symbol'] ?? '');
+
+        try {
+            $this->classificationService->deleteOverride($user, $symbol);
+
+            return $this->successResponse($response, [
+                'message' => "Classification for {$symbol} reset",
+                'classification' => $this->classificationService->classify(Stock::find($symbol))
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 404);
+        }
+    }
+
     private function errorResponse(Response $response, string $message, int $status = 400): Response
     {
         $data = [
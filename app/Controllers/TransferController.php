@@ -0,0 +1,103 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Controllers;
+
+use Psr\Http\Message\ResponseInterface as Response;
+use Psr\Http\Message\ServerRequestInterface as Request;
+use App\Services\PortfolioService;
+use App\Services\TransferService;
+
+class TransferController extends BaseController
+{
+    private PortfolioService $portfolioService;
+    private TransferService $transferService;
+
+    public function __construct(
+        PortfolioService $portfolioService,
+        TransferService $transferService
+    ) {
+        $this->portfolioService = $portfolioService;
+        $this->transferService = $transferService;
+    }
+
+    /**
+     * Get transfers in and out of a portfolio
+     */
+    public function getTransfers(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+
+            return $this->successResponse($response, [
+                'transfers' => $this->transferService->getTransfers($portfolio)
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 404);
+        }
+    }
+
+    /**
+     * Transfer lots or cash from this portfolio to another of the user's portfolios
+     */
+    public function createTransfer(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+        $data = $request->getParsedBody() ?? [];
+
+        try {
+            $this->validateRequired($data, ['to_portfolio_id', 'transfer_type', 'transfer_date']);
+
+            $from = $this->portfolioService->getPortfolio($portfolioId, $user);
+            $to = $this->portfolioService->getPortfolio((int)$data['to_portfolio_id'], $user);
+
+            $transfer = match ($data['transfer_type']) {
+                'shares' => $this->transferService->transferShares($from, $to, $data),
+                'cash' => $this->transferService->transferCash($from, $to, $data),
+                default => throw new \InvalidArgumentException('Transfer type must be shares or cash')
+            };
+            $transfer->load(['fromPortfolio', 'toPortfolio']);
+
+            return $this->jsonResponse($response, [
+                'success' => true,
+                'message' => "Transferred to {$to->name}",
+                'transfer' => $this->transferService->formatTransfer($transfer, $from)
+            ], 201);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Undo a transfer, removing both sides
+     */
+    public function deleteTransfer(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $portfolioId = (int)$args['id'];
+        $transferId = (int)$args['transferId'];
+
+        try {
+            $portfolio = $this->portfolioService->getPortfolio($portfolioId, $user);
+            $transfer = $this->transferService->findTransfer($portfolio, $transferId);
+
+            if (!$transfer) {
+                return $this->errorResponse($response, 'Transfer not found', 404);
+            }
+
+            $this->transferService->deleteTransfer($transfer);
+
+            return $this->successResponse($response, [], 'Transfer undone successfully');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+}
@@ -0,0 +1,192 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Controllers;
+
+use Psr\Http\Message\ResponseInterface as Response;
+use Psr\Http\Message\ServerRequestInterface as Request;
+use App\Services\WatchlistService;
+
+class WatchlistController extends BaseController
+{
+    private WatchlistService $watchlistService;
+
+    public function __construct(WatchlistService $watchlistService)
+    {
+        $this->watchlistService = $watchlistService;
+    }
+
+    /**
+     * List the user's watchlists
+     */
+    public function index(Request $request, Response $response): Response
+    {
+        $user = $request->getAttribute('user');
+
+        try {
+            return $this->successResponse($response, [
+                'watchlists' => $this->watchlistService->getWatchlists($user)
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 500);
+        }
+    }
+
+    /**
+     * Create a watchlist
+     */
+    public function create(Request $request, Response $response): Response
+    {
+        $user = $request->getAttribute('user');
+        $data = $request->getParsedBody() ?? [];
+
+        try {
+            $watchlist = $this->watchlistService->createWatchlist($user, $data);
+
+            return $this->jsonResponse($response, [
+                'success' => true,
+                'message' => 'Watchlist created',
+                'watchlist' => $this->watchlistService->formatWatchlist($watchlist)
+            ], 201);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Get a watchlist with quotes for its symbols
+     */
+    public function show(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+
+        try {
+            $watchlist = $this->watchlistService->getWatchlist((int)$args['id'], $user);
+
+            return $this->successResponse($response, [
+                'watchlist' => $this->watchlistService->formatWatchlist($watchlist)
+            ]);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 404);
+        }
+    }
+
+    /**
+     * Rename a watchlist
+     */
+    public function update(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $data = $request->getParsedBody() ?? [];
+
+        try {
+            $watchlist = $this->watchlistService->getWatchlist((int)$args['id'], $user);
+            $watchlist = $this->watchlistService->renameWatchlist($watchlist, $data);
+
+            return $this->successResponse($response, [
+                'watchlist' => $this->watchlistService->formatWatchlist($watchlist)
+            ], 'Watchlist renamed');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Delete a watchlist and its symbols
+     */
+    public function delete(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+
+        try {
+            $watchlist = $this->watchlistService->getWatchlist((int)$args['id'], $user);
+            $this->watchlistService->deleteWatchlist($watchlist);
+
+            return $this->successResponse($response, [], 'Watchlist deleted');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 404);
+        }
+    }
+
+    /**
+     * Add a symbol to a watchlist
+     */
+    public function addItem(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $data = $request->getParsedBody() ?? [];
+
+        try {
+            $this->validateRequired($data, ['symbol']);
+
+            $watchlist = $this->watchlistService->getWatchlist((int)$args['id'], $user);
+            $item = $this->watchlistService->addSymbol($watchlist, $data);
+
+            return $this->jsonResponse($response, [
+                'success' => true,
+                'message' => "{$item->stock_symbol} added to {$watchlist->name}",
+                'item' => $this->watchlistService->formatItem($item)
+            ], 201);
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Update the notes on a watchlist symbol
+     */
+    public function updateItem(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+        $data = $request->getParsedBody() ?? [];
+
+        try {
+            $watchlist = $this->watchlistService->getWatchlist((int)$args['id'], $user);
+            $item = $this->watchlistService->findItem($watchlist, $args['symbol']);
+
+            if (!$item) {
+                return $this->errorResponse($response, 'Symbol is not on this watchlist', 404);
+            }
+
+            $item = $this->watchlistService->updateItem($item, $data);
+
+            return $this->successResponse($response, [
+                'item' => $this->watchlistService->formatItem($item)
+            ], 'Notes saved');
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Remove a symbol from a watchlist
+     */
+    public function removeItem(Request $request, Response $response, array $args): Response
+    {
+        $user = $request->getAttribute('user');
+
+        try {
+            $watchlist = $this->watchlistService->getWatchlist((int)$args['id'], $user);
+            $item = $this->watchlistService->findItem($watchlist, $args['symbol']);
+
+            if (!$item) {
+                return $this->errorResponse($response, 'Symbol is not on this watchlist', 404);
+            }
+
+            $this->watchlistService->removeItem($item);
+
+            return $this->successResponse($response, [], "{$item->stock_symbol} removed from {$watchlist->name}");
+
+        } catch (\Exception $e) {
+            return $this->errorResponse($response, $e->getMessage(), 400);
+        }
+    }
+}
@@ -0,0 +1,70 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class CashTransaction extends Model
+{
+    public const TYPES = ['deposit', 'withdrawal', 'interest', 'fee'];
+
+    // Recorded by portfolio transfers only, never entered directly
+    public const TRANSFER_TYPES = ['transfer_in', 'transfer_out'];
+
+    protected $table = 'cash_transactions';
+    
+    protected $fillable = [
+        'portfolio_id',
+        'transaction_type',
+        'amount',
+        'transaction_date',
+        'notes',
+        'transfer_id'
+    ];
+    
+    protected $casts = [
+        'amount' => 'decimal:4',
+        'transaction_date' => 'date',
+        'created_at' => 'datetime',
+        'updated_at' => 'datetime'
+    ];
+    
+    // Relationships
+    public function portfolio(): BelongsTo
+    {
+        return $this->belongsTo(Portfolio::class);
+    }
+    
+    public function transfer(): BelongsTo
+    {
+        return $this->belongsTo(PortfolioTransfer::class, 'transfer_id');
+    }
+    
+    // Helper methods
+    public function isCredit(): bool
+    {
+        return in_array($this->transaction_type, ['deposit', 'interest', 'transfer_in']);
+    }
+    
+    /**
+     * Signed effect on the cash balance (amounts are stored positive)
+     */
+    public function getSignedAmount(): float
+    {
+        return $this->isCredit() ? (float)$this->amount : -(float)$this->amount;
+    }
+    
+    // Scopes
+    public function scopeForPortfolio($query, int $portfolioId)
+    {
+        return $query->where('portfolio_id', $portfolioId);
+    }
+    
+    public function scopeOrderByDate($query, string $direction = 'desc')
+    {
+        return $query->orderBy('transaction_date', $direction);
+    }
+}
@@ -6,10 +6,13 @@ namespace App\Models;
 
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
 
 class DividendPayment extends Model
 {
     protected $table = 'dividend_payments';
+
+    public const TAX_CLASSIFICATIONS = ['qualified', 'ordinary', 'return_of_capital'];
     
     protected $fillable = [
         'portfolio_id',
@@ -19,6 +22,8 @@ class DividendPayment extends Model
         'shares_owned',
         'dividend_per_share',
         'total_dividend_amount',
+        'withholding_tax',
+        'tax_classification',
         'payment_type',
         'drip_shares_purchased',
         'drip_price_per_share',
@@ -31,6 +36,7 @@ class DividendPayment extends Model
         'shares_owned' => 'decimal:6',
         'dividend_per_share' => 'decimal:6',
         'total_dividend_amount' => 'decimal:4',
+        'withholding_tax' => 'decimal:4',
         'drip_shares_purchased' => 'decimal:6',
         'drip_price_per_share' => 'decimal:4',
         'is_confirmed' => 'boolean',
@@ -54,6 +60,14 @@ class DividendPayment extends Model
         return $this->belongsTo(Stock::class, 'stock_symbol', 'symbol');
     }
     
+    /**
+     * The dividend transaction and, for DRIP, the buy of the reinvested shares
+     */
+    public function transactions(): HasMany
+    {
+        return $this->hasMany(Transaction::class);
+    }
+    
     // Helper methods
     public function isCash(): bool
     {
@@ -65,6 +79,22 @@ class DividendPayment extends Model
         return $this->payment_type === 'drip';
     }
     
+    /**
+     * Amount received after withholding tax
+     */
+    public function getNetAmount(): float
+    {
+        return (float)$this->total_dividend_amount - (float)$this->withholding_tax;
+    }
+    
+    /**
+     * Whether the payment bought shares that open a tax lot
+     */
+    public function hasReinvestment(): bool
+    {
+        return $this->isDrip() && (float)$this->drip_shares_purchased > 0;
+    }
+    
     public function getFormattedAmount(): string
     {
         return '$' . number_format($this->total_dividend_amount, 2);
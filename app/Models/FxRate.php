@@ -0,0 +1,32 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+
+class FxRate extends Model
+{
+    protected $table = 'fx_rates';
+    public $timestamps = false;
+
+    protected $fillable = [
+        'from_currency',
+        'to_currency',
+        'rate_date',
+        'rate'
+    ];
+
+    protected $casts = [
+        'rate_date' => 'date',
+        'rate' => 'decimal:8',
+        'created_at' => 'datetime'
+    ];
+
+    // Scopes
+    public function scopeForPair($query, string $from, string $to)
+    {
+        return $query->where('from_currency', $from)->where('to_currency', $to);
+    }
+}
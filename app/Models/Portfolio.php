@@ -10,6 +10,13 @@ use Illuminate\Database\Eloquent\Relations\HasMany;
 
 class Portfolio extends Model
 {
+    public const DEFAULT_BENCHMARK = 'SPY';
+
+    // Named blends and their component weights (rebalanced daily)
+    public const BENCHMARK_BLENDS = [
+        '60/40' => ['SPY' => 0.6, 'AGG' => 0.4]
+    ];
+
     protected $table = 'portfolios';
     
     protected $fillable = [
@@ -18,6 +25,8 @@ class Portfolio extends Model
         'description',
         'portfolio_type',
         'currency',
+        'lot_method',
+        'benchmark',
         'is_active',
         'is_public'
     ];
@@ -50,6 +59,16 @@ class Portfolio extends Model
         return $this->hasMany(PortfolioSnapshot::class);
     }
     
+    public function cashTransactions(): HasMany
+    {
+        return $this->hasMany(CashTransaction::class);
+    }
+    
+    public function targets(): HasMany
+    {
+        return $this->hasMany(PortfolioTarget::class);
+    }
+    
     // Helper methods
     public function isActive(): bool
     {
@@ -61,6 +80,22 @@ class Portfolio extends Model
         return $this->is_public;
     }
     
+    /**
+     * Symbols and weights that make up the benchmark
+     */
+    public function getBenchmarkComponents(): array
+    {
+        $benchmark = $this->benchmark ?: self::DEFAULT_BENCHMARK;
+        $weights = self::BENCHMARK_BLENDS[$benchmark] ?? [$benchmark => 1.0];
+
+        $components = [];
+        foreach ($weights as $symbol => $weight) {
+            $components[] = ['symbol' => $symbol, 'weight' => $weight];
+        }
+
+        return $components;
+    }
+    
     public function getTotalValue(): float
     {
         $result = $this->holdings()
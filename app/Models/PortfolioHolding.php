@@ -17,6 +17,8 @@ class PortfolioHolding extends Model
         'stock_symbol',
         'quantity',
         'avg_cost_basis',
+        'currency',
+        'cost_basis_base',
         'first_purchase_date',
         'last_transaction_date',
         'notes',
@@ -26,6 +28,7 @@ class PortfolioHolding extends Model
     protected $casts = [
         'quantity' => 'decimal:6',
         'avg_cost_basis' => 'decimal:4',
+        'cost_basis_base' => 'decimal:4',
         'first_purchase_date' => 'date',
         'last_transaction_date' => 'datetime',
         'is_active' => 'boolean',
@@ -54,6 +57,14 @@ class PortfolioHolding extends Model
     {
         return (float)($this->quantity * $this->avg_cost_basis);
     }
+
+    /**
+     * Cost of the open lots in the portfolio's currency, at the rates they were bought at
+     */
+    public function getBaseCostBasis(): float
+    {
+        return $this->cost_basis_base !== null ? (float)$this->cost_basis_base : $this->getTotalCostBasis();
+    }
     
     public function getCurrentValue(): float
     {
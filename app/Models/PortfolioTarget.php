@@ -0,0 +1,34 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class PortfolioTarget extends Model
+{
+    public const TYPES = ['symbol', 'sector'];
+
+    protected $table = 'portfolio_targets';
+    
+    protected $fillable = [
+        'portfolio_id',
+        'target_type',
+        'target_key',
+        'target_weight'
+    ];
+    
+    protected $casts = [
+        'target_weight' => 'decimal:4',
+        'created_at' => 'datetime',
+        'updated_at' => 'datetime'
+    ];
+    
+    // Relationships
+    public function portfolio(): BelongsTo
+    {
+        return $this->belongsTo(Portfolio::class);
+    }
+}
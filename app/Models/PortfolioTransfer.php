@@ -0,0 +1,90 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+
+class PortfolioTransfer extends Model
+{
+    public const TYPES = ['shares', 'cash'];
+
+    protected $table = 'portfolio_transfers';
+
+    protected $fillable = [
+        'user_id',
+        'from_portfolio_id',
+        'to_portfolio_id',
+        'transfer_type',
+        'stock_symbol',
+        'quantity',
+        'market_price',
+        'amount',
+        'transfer_date',
+        'notes'
+    ];
+
+    protected $casts = [
+        'quantity' => 'decimal:6',
+        'market_price' => 'decimal:4',
+        'amount' => 'decimal:4',
+        'transfer_date' => 'date',
+        'created_at' => 'datetime',
+        'updated_at' => 'datetime'
+    ];
+
+    // Relationships
+    public function fromPortfolio(): BelongsTo
+    {
+        return $this->belongsTo(Portfolio::class, 'from_portfolio_id');
+    }
+
+    public function toPortfolio(): BelongsTo
+    {
+        return $this->belongsTo(Portfolio::class, 'to_portfolio_id');
+    }
+
+    /**
+     * The transfer_out trade in the sending portfolio and one transfer_in trade per lot received
+     */
+    public function transactions(): HasMany
+    {
+        return $this->hasMany(Transaction::class, 'transfer_id');
+    }
+
+    /**
+     * The transfer_out and transfer_in cash entries of a cash transfer
+     */
+    public function cashTransactions(): HasMany
+    {
+        return $this->hasMany(CashTransaction::class, 'transfer_id');
+    }
+
+    // Helper methods
+    public function isCash(): bool
+    {
+        return $this->transfer_type === 'cash';
+    }
+
+    public function isShares(): bool
+    {
+        return $this->transfer_type === 'shares';
+    }
+
+    // Scopes
+    public function scopeForPortfolio($query, int $portfolioId)
+    {
+        return $query->where(function ($query) use ($portfolioId) {
+            $query->where('from_portfolio_id', $portfolioId)
+                ->orWhere('to_portfolio_id', $portfolioId);
+        });
+    }
+
+    public function scopeOrderByDate($query, string $direction = 'desc')
+    {
+        return $query->orderBy('transfer_date', $direction)->orderBy('id', $direction);
+    }
+}
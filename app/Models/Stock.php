@@ -25,6 +25,9 @@ class Stock extends Model
         'exchange',
         'sector',
         'industry',
+        'is_etf',
+        'sector_weights',
+        'profile_updated_at',
         'market_cap',
         'currency',
         'country',
@@ -34,6 +37,9 @@ class Stock extends Model
     protected $casts = [
         'market_cap' => 'integer',
         'is_active' => 'boolean',
+        'is_etf' => 'boolean',
+        'sector_weights' => 'array',
+        'profile_updated_at' => 'datetime',
         'last_updated' => 'datetime',
         'created_at' => 'datetime'
     ];
@@ -0,0 +1,33 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class StockClassificationOverride extends Model
+{
+    protected $table = 'stock_classification_overrides';
+    
+    protected $fillable = [
+        'user_id',
+        'symbol',
+        'sector',
+        'industry',
+        'sector_weights'
+    ];
+    
+    protected $casts = [
+        'sector_weights' => 'array',
+        'created_at' => 'datetime',
+        'updated_at' => 'datetime'
+    ];
+    
+    // Relationships
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+}
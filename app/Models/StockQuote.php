@@ -74,13 +74,13 @@ class StockQuote extends Model
     
     public function getFormattedPrice(): string
     {
-        return '$' . number_format((float)$this->current_price, 2);
+        return formatCurrency((float)$this->current_price, $this->stock?->currency ?? 'USD');
     }
 
     public function getFormattedChange(): string
     {
         $sign = $this->change_amount >= 0 ? '+' : '';
-        return $sign . '$' . number_format((float)$this->change_amount, 2);
+        return $sign . formatCurrency((float)$this->change_amount, $this->stock?->currency ?? 'USD');
     }
 
     public function getFormattedChangePercent(): string
@@ -10,6 +10,9 @@ use App\Helpers\DateTimeHelper;
 
 class Transaction extends Model
 {
+    // Trades that open or relieve tax lots
+    public const LOT_TYPES = ['buy', 'sell', 'transfer_in', 'transfer_out'];
+
     protected $table = 'transactions';
     
     protected $fillable = [
@@ -19,19 +22,29 @@ class Transaction extends Model
         'quantity',
         'price',
         'fees',
+        'currency',
+        'fx_rate',
         'transaction_date',
         'settlement_date',
         'notes',
-        'external_id'
+        'external_id',
+        'dividend_payment_id',
+        'transfer_id',
+        'acquired_date',
+        'lot_method',
+        'lot_selections'
     ];
     
     protected $casts = [
         'quantity' => 'decimal:6',
         'price' => 'decimal:4',
         'fees' => 'decimal:4',
+        'fx_rate' => 'decimal:8',
         'total_amount' => 'decimal:4',
         'transaction_date' => 'date',
         'settlement_date' => 'date',
+        'acquired_date' => 'date',
+        'lot_selections' => 'array',
         'created_at' => 'datetime',
         'updated_at' => 'datetime'
     ];
@@ -47,6 +60,16 @@ class Transaction extends Model
         return $this->belongsTo(Stock::class, 'stock_symbol', 'symbol');
     }
     
+    public function dividendPayment(): BelongsTo
+    {
+        return $this->belongsTo(DividendPayment::class);
+    }
+    
+    public function transfer(): BelongsTo
+    {
+        return $this->belongsTo(PortfolioTransfer::class, 'transfer_id');
+    }
+    
     // Helper methods
     public function isBuy(): bool
     {
@@ -63,6 +86,24 @@ class Transaction extends Model
         return $this->transaction_type === 'dividend';
     }
     
+    /**
+     * A buy of shares reinvested by a DRIP dividend payment. It opens a lot like
+     * any buy but is paid for by the dividend, not from cash.
+     */
+    public function isReinvestment(): bool
+    {
+        return $this->transaction_type === 'buy' && $this->dividend_payment_id !== null;
+    }
+    
+    /**
+     * Shares moved in or out by a transfer between two of the user's portfolios.
+     * They carry their cost basis and never touch cash.
+     */
+    public function isTransfer(): bool
+    {
+        return in_array($this->transaction_type, ['transfer_in', 'transfer_out']);
+    }
+    
     public function isSplit(): bool
     {
         return $this->transaction_type === 'split';
@@ -72,6 +113,14 @@ class Transaction extends Model
     {
         return (float)($this->quantity * $this->price + $this->fees);
     }
+
+    /**
+     * Portfolio currency units per unit of the trade's currency on the trade date
+     */
+    public function getFxRate(): float
+    {
+        return $this->fx_rate !== null ? (float)$this->fx_rate : 1.0;
+    }
     
     public function getNetAmount(): float
     {
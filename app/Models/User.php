@@ -67,6 +67,16 @@ class User extends Model
         return $this->hasMany(EmailVerificationToken::class);
     }
     
+    public function classificationOverrides(): HasMany
+    {
+        return $this->hasMany(StockClassificationOverride::class);
+    }
+    
+    public function watchlists(): HasMany
+    {
+        return $this->hasMany(Watchlist::class);
+    }
+    
     // Helper methods
     public function isAdmin(): bool
     {
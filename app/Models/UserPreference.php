@@ -19,6 +19,8 @@ class UserPreference extends Model
         'timezone',
         'currency',
         'date_format',
+        'locale',
+        'chart_period',
         'notifications_enabled',
         'email_notifications',
         'dashboard_layout'
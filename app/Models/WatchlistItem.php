@@ -0,0 +1,35 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class WatchlistItem extends Model
+{
+    protected $table = 'watchlist_items';
+
+    protected $fillable = [
+        'watchlist_id',
+        'stock_symbol',
+        'notes'
+    ];
+
+    protected $casts = [
+        'created_at' => 'datetime',
+        'updated_at' => 'datetime'
+    ];
+
+    // Relationships
+    public function watchlist(): BelongsTo
+    {
+        return $this->belongsTo(Watchlist::class);
+    }
+
+    public function stock(): BelongsTo
+    {
+        return $this->belongsTo(Stock::class, 'stock_symbol', 'symbol');
+    }
+}
@@ -415,6 +415,49 @@ class BackgroundDataService
         return $daysSinceUpdate > 7; // Update if older than 7 days
     }
 
+    /**
+     * Fetch company profiles (sector, industry, fund weights) for portfolio stocks
+     */
+    public function fetchProfileData(bool $force = false): array
+    {
+        $results = [
+            'total_symbols' => 0,
+            'updated' => 0,
+            'failed' => 0,
+            'skipped' => 0,
+            'errors' => []
+        ];
+
+        $symbols = $this->getActivePortfolioSymbols();
+        $results['total_symbols'] = count($symbols);
+
+        foreach ($symbols as $symbol) {
+            $stock = Stock::find($symbol);
+
+            // Profiles rarely change; refresh monthly
+            $fresh = $stock && $stock->profile_updated_at
+                && DateTimeHelper::now()->diff($stock->profile_updated_at)->days < 30;
+            if (!$stock || (!$force && $fresh)) {
+                $results['skipped']++;
+                continue;
+            }
+
+            if ($this->stockDataService->updateStockProfile($stock)) {
+                $results['updated']++;
+                $this->log("✅ Updated profile for {$symbol}: " . ($stock->sector ?? 'no sector'));
+            } else {
+                $results['failed']++;
+                $results['errors'][] = "Failed to update profile for {$symbol}";
+            }
+
+            usleep(250000); // 250ms delay
+        }
+
+        $this->log("📊 Profile fetch completed: {$results['updated']} updated, {$results['skipped']} skipped, {$results['failed']} failed");
+
+        return $results;
+    }
+
     /**
      * Fetch dividend data for a specific stock (used when new stocks are added)
      */
@@ -0,0 +1,181 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Transaction;
+
+/**
+ * Builds a portfolio's cash ledger.
+ *
+ * Deposits, withdrawals, interest, fees and cash moved to or from another of
+ * the user's portfolios are stored as cash transactions. Buys debit cash, sells
+ * credit the net proceeds and cash dividends credit the amount received after
+ * withholding tax. DRIP purchases and share transfers don't touch cash. A
+ * portfolio only tracks cash once it has at least one cash transaction; until
+ * then trades are assumed to be funded from outside.
+ *
+ * Cash is held in the portfolio's currency. Trades convert at the rate recorded
+ * on them and dividends at the rate on their payment date.
+ */
+class CashLedgerService
+{
+    public function __construct(
+        private FxRateService $fxRateService
+    ) {}
+
+    /**
+     * Merge cash transactions, trades and cash dividends into a dated ledger with running balances
+     */
+    public function buildLedger(iterable $cashTransactions, iterable $trades, iterable $dividendPayments, string $currency = 'USD'): array
+    {
+        $entries = [];
+        $summary = [
+            'deposits' => 0.0,
+            'withdrawals' => 0.0,
+            'interest' => 0.0,
+            'fees' => 0.0,
+            'transfers_in' => 0.0,
+            'transfers_out' => 0.0,
+            'purchases' => 0.0,
+            'sale_proceeds' => 0.0,
+            'dividends' => 0.0
+        ];
+
+        $tracked = false;
+        foreach ($cashTransactions as $cash) {
+            $tracked = true;
+            $amount = $cash->getSignedAmount();
+            $summary[$this->summaryKey($cash->transaction_type)] += abs($amount);
+
+            $entries[] = [
+                'id' => $cash->id,
+                'source' => 'cash',
+                'type' => $cash->transaction_type,
+                'date' => $cash->transaction_date->format('Y-m-d'),
+                'stock_symbol' => null,
+                'amount' => $amount,
+                'description' => $cash->notes ?: ucfirst(str_replace('_', ' ', $cash->transaction_type)),
+                'notes' => $cash->notes,
+                'transfer_id' => $cash->transfer_id
+            ];
+        }
+
+        foreach ($trades as $trade) {
+            // DRIP purchases are paid by the dividend, which never reaches cash
+            if (!in_array($trade->transaction_type, ['buy', 'sell']) || $trade->isReinvestment()) {
+                continue;
+            }
+
+            $amount = $this->getTradeAmount($trade);
+            $summary[$trade->transaction_type === 'buy' ? 'purchases' : 'sale_proceeds'] += abs($amount);
+
+            $entries[] = [
+                'id' => $trade->id,
+                'source' => 'trade',
+                'type' => $trade->transaction_type,
+                'date' => $trade->transaction_date->format('Y-m-d'),
+                'stock_symbol' => $trade->stock_symbol,
+                'amount' => $amount,
+                'description' => ($trade->transaction_type === 'buy' ? 'Bought ' : 'Sold ')
+                    . (float)$trade->quantity . " {$trade->stock_symbol} @ " . formatCurrency((float)$trade->price, $trade->currency ?? $currency)
+            ];
+        }
+
+        foreach ($dividendPayments as $payment) {
+            if (!$payment->isCash()) {
+                continue;
+            }
+
+            $amount = $this->fxRateService->convert(
+                $payment->getNetAmount(),
+                $payment->stock?->currency ?? $currency,
+                $currency,
+                $payment->payment_date->format('Y-m-d')
+            );
+            $summary['dividends'] += $amount;
+
+            $entries[] = [
+                'id' => $payment->id,
+                'source' => 'dividend',
+                'type' => 'dividend',
+                'date' => $payment->payment_date->format('Y-m-d'),
+                'stock_symbol' => $payment->stock_symbol,
+                'amount' => $amount,
+                'description' => "Cash dividend from {$payment->stock_symbol}"
+            ];
+        }
+
+        // Credits before debits on the same day, so a deposit funds a same-day buy
+        usort($entries, function ($a, $b) {
+            return [$a['date'], $a['amount'] < 0, $a['source'], $a['id']]
+                <=> [$b['date'], $b['amount'] < 0, $b['source'], $b['id']];
+        });
+
+        $balance = 0.0;
+        foreach ($entries as &$entry) {
+            $balance += $entry['amount'];
+            $entry['balance'] = $balance;
+        }
+        unset($entry);
+
+        $summary['net_contributions'] = $summary['deposits'] - $summary['withdrawals']
+            + $summary['transfers_in'] - $summary['transfers_out'];
+
+        return [
+            'tracked' => $tracked,
+            'balance' => $tracked ? $balance : 0.0,
+            'summary' => $summary,
+            'entries' => $entries
+        ];
+    }
+
+    /**
+     * Cash balance at the end of each date, from ledger entries in date order
+     */
+    public function getBalancesOnDates(array $entries, array $dates): array
+    {
+        $balances = [];
+        $balance = 0.0;
+        $index = 0;
+        $count = count($entries);
+
+        sort($dates);
+        foreach ($dates as $date) {
+            while ($index < $count && $entries[$index]['date'] <= $date) {
+                $balance = $entries[$index]['balance'];
+                $index++;
+            }
+            $balances[$date] = $balance;
+        }
+
+        return $balances;
+    }
+
+    /**
+     * Buys cost price plus fees; sells return price less fees. In the portfolio's currency.
+     */
+    private function getTradeAmount(Transaction $trade): float
+    {
+        $gross = (float)$trade->quantity * (float)$trade->price;
+
+        $amount = $trade->transaction_type === 'buy'
+            ? -($gross + (float)$trade->fees)
+            : $gross - (float)$trade->fees;
+
+        return $amount * $trade->getFxRate();
+    }
+
+    private function summaryKey(string $type): string
+    {
+        return [
+            'deposit' => 'deposits',
+            'withdrawal' => 'withdrawals',
+            'interest' => 'interest',
+            'fee' => 'fees',
+            'transfer_in' => 'transfers_in',
+            'transfer_out' => 'transfers_out'
+        ][$type];
+    }
+}
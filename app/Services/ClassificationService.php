@@ -0,0 +1,196 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Stock;
+use App\Models\StockClassificationOverride;
+use App\Models\User;
+use Exception;
+
+/**
+ * Resolves the sector exposure of each symbol.
+ *
+ * A user's override wins, then a fund's look-through sector weights, then the
+ * sector from the company profile. Every classification carries sector_weights
+ * (fractions summing to 1) so a fund can count towards several sectors; sector
+ * is the largest of them.
+ */
+class ClassificationService
+{
+    public const UNCLASSIFIED = 'Other';
+
+    // Sector names as reported by company profiles
+    public const SECTORS = [
+        'Basic Materials',
+        'Communication Services',
+        'Consumer Cyclical',
+        'Consumer Defensive',
+        'Energy',
+        'Financial Services',
+        'Healthcare',
+        'Industrials',
+        'Real Estate',
+        'Technology',
+        'Utilities'
+    ];
+
+    /**
+     * Classify several symbols for a user
+     *
+     * @param array $stocks Stock models (or null when unknown) keyed by symbol
+     */
+    public function classifyStocks(int $userId, array $stocks): array
+    {
+        $overrides = StockClassificationOverride::where('user_id', $userId)
+            ->whereIn('symbol', array_keys($stocks))
+            ->get()
+            ->keyBy('symbol');
+
+        $classifications = [];
+        foreach ($stocks as $symbol => $stock) {
+            $classifications[$symbol] = $this->classify($stock, $overrides->get($symbol));
+        }
+
+        return $classifications;
+    }
+
+    /**
+     * Sector, industry and sector weights for one symbol
+     */
+    public function classify(?Stock $stock, ?StockClassificationOverride $override = null): array
+    {
+        $industry = $override?->industry ?: $stock?->industry;
+
+        if ($override && (!empty($override->sector_weights) || $override->sector)) {
+            $weights = !empty($override->sector_weights)
+                ? $override->sector_weights
+                : [['sector' => $override->sector, 'weight' => 1.0]];
+            $source = 'override';
+        } elseif ($stock?->is_etf && !empty($stock->sector_weights)) {
+            $weights = $stock->sector_weights;
+            $source = 'look_through';
+        } elseif ($stock?->sector) {
+            $weights = [['sector' => $stock->sector, 'weight' => 1.0]];
+            $source = 'profile';
+        } else {
+            $weights = [['sector' => self::UNCLASSIFIED, 'weight' => 1.0]];
+            $source = 'unclassified';
+        }
+
+        $weights = $this->normalizeWeights($weights);
+
+        return [
+            'sector' => $weights[0]['sector'],
+            'industry' => $industry ?: ($source === 'look_through' ? 'Fund' : 'Unknown'),
+            'sector_weights' => $weights,
+            'source' => $source
+        ];
+    }
+
+    /**
+     * A user's overrides with the profile classification they replace
+     */
+    public function getOverrides(User $user): array
+    {
+        $overrides = $user->classificationOverrides()->orderBy('symbol')->get();
+        $stocks = Stock::whereIn('symbol', $overrides->pluck('symbol'))->get()->keyBy('symbol');
+
+        return $overrides->map(function ($override) use ($stocks) {
+            $stock = $stocks->get($override->symbol);
+            return [
+                'symbol' => $override->symbol,
+                'sector' => $override->sector,
+                'industry' => $override->industry,
+                'sector_weights' => $override->sector_weights,
+                'profile' => $this->classify($stock),
+                'updated_at' => $override->updated_at?->toISOString()
+            ];
+        })->values()->toArray();
+    }
+
+    /**
+     * Create or replace a user's override for a symbol
+     *
+     * Either a single sector or sector_weights ([{sector, weight}] with weights
+     * as fractions) is required; industry is optional.
+     */
+    public function saveOverride(User $user, string $symbol, array $data): StockClassificationOverride
+    {
+        $symbol = strtoupper(trim($symbol));
+        $sector = trim((string)($data['sector'] ?? ''));
+        $industry = trim((string)($data['industry'] ?? ''));
+        $weights = $data['sector_weights'] ?? [];
+
+        if (!is_array($weights)) {
+            throw new Exception('Sector weights must be a list of {sector, weight}');
+        }
+
+        if (!empty($weights)) {
+            $total = 0.0;
+            foreach ($weights as $row) {
+                if (empty(trim((string)($row['sector'] ?? ''))) || !is_numeric($row['weight'] ?? null) || (float)$row['weight'] <= 0) {
+                    throw new Exception('Each sector weight needs a sector and a positive weight');
+                }
+                $total += (float)$row['weight'];
+            }
+            if ($total > 1.0001) {
+                throw new Exception('Sector weights cannot add up to more than 100%');
+            }
+            $weights = $this->normalizeWeights($weights);
+        } elseif ($sector === '') {
+            throw new Exception('A sector or sector weights are required');
+        }
+
+        return StockClassificationOverride::updateOrCreate(
+            ['user_id' => $user->id, 'symbol' => $symbol],
+            [
+                'sector' => $sector !== '' ? $sector : $weights[0]['sector'],
+                'industry' => $industry !== '' ? $industry : null,
+                'sector_weights' => !empty($weights) ? $weights : null
+            ]
+        );
+    }
+
+    /**
+     * Remove a user's override so the profile classification applies again
+     */
+    public function deleteOverride(User $user, string $symbol): void
+    {
+        $deleted = $user->classificationOverrides()->where('symbol', strtoupper($symbol))->delete();
+
+        if (!$deleted) {
+            throw new Exception('No classification override for ' . strtoupper($symbol));
+        }
+    }
+
+    /**
+     * Merge duplicate sectors, sort largest first and make the weights add up to 1
+     * (whatever a fund leaves unreported, such as cash, counts as Other)
+     */
+    private function normalizeWeights(array $weights): array
+    {
+        $bySector = [];
+        foreach ($weights as $row) {
+            $sector = trim((string)$row['sector']);
+            $bySector[$sector] = ($bySector[$sector] ?? 0.0) + (float)$row['weight'];
+        }
+
+        $total = array_sum($bySector);
+        if ($total > 1) {
+            $bySector = array_map(fn($weight) => $weight / $total, $bySector);
+        } elseif ($total < 0.9999) {
+            $bySector[self::UNCLASSIFIED] = ($bySector[self::UNCLASSIFIED] ?? 0.0) + (1 - $total);
+        }
+
+        arsort($bySector);
+
+        $normalized = [];
+        foreach ($bySector as $sector => $weight) {
+            $normalized[] = ['sector' => (string)$sector, 'weight' => round($weight, 6)];
+        }
+
+        return $normalized;
+    }
+}
@@ -0,0 +1,122 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Helpers\DateTimeHelper;
+use App\Models\Dividend;
+
+/**
+ * Dividend growth from a stock's regular dividend history.
+ *
+ * Growth compares calendar-year totals of completed years, so a year with an
+ * extra or a late payment moves the figures; special dividends are left out.
+ * CAGR over N years needs N + 1 years of stored history.
+ */
+class DividendGrowthService
+{
+    public const CAGR_YEARS = [1, 3, 5, 10];
+
+    // Changes smaller than this are rounding in the provider data, not a raise or a cut
+    private const TOLERANCE = 0.005;
+
+    /**
+     * Growth figures for several symbols
+     *
+     * @return array Growth keyed by symbol (see analyze())
+     */
+    public function getGrowth(array $symbols): array
+    {
+        $dividends = Dividend::whereIn('symbol', $symbols)
+            ->where('dividend_type', 'regular')
+            ->orderBy('ex_date')
+            ->get()
+            ->groupBy('symbol');
+
+        $growth = [];
+        foreach ($symbols as $symbol) {
+            $growth[$symbol] = $this->analyze($dividends->get($symbol, collect())->all());
+        }
+
+        return $growth;
+    }
+
+    /**
+     * Annual totals, CAGR, consecutive years of increases and cuts
+     *
+     * @param Dividend[] $dividends Regular dividends, oldest first
+     */
+    public function analyze(array $dividends): array
+    {
+        $currentYear = (int)DateTimeHelper::now()->format('Y');
+
+        $years = [];
+        foreach ($dividends as $dividend) {
+            $year = (int)$dividend->ex_date->format('Y');
+            $years[$year] = $years[$year] ?? ['year' => $year, 'total' => 0.0, 'payments' => 0];
+            $years[$year]['total'] += (float)$dividend->amount;
+            $years[$year]['payments']++;
+        }
+        ksort($years);
+
+        // The first stored year is usually cut off by how far back the history was
+        // fetched; drop it when it has fewer payments than the year after
+        $first = array_key_first($years);
+        if ($first !== null && isset($years[$first + 1]) && $years[$first]['payments'] < $years[$first + 1]['payments']) {
+            unset($years[$first]);
+        }
+
+        $completed = array_filter($years, fn($year) => $year['year'] < $currentYear);
+        $latestYear = $completed ? max(array_keys($completed)) : null;
+
+        $cagr = [];
+        foreach (self::CAGR_YEARS as $span) {
+            $cagr[$span] = null;
+            $start = $completed[$latestYear - $span]['total'] ?? 0;
+            if ($latestYear !== null && $start > 0) {
+                $cagr[$span] = (pow($completed[$latestYear]['total'] / $start, 1 / $span) - 1) * 100;
+            }
+        }
+
+        // Years in a row each paying more than the year before, counted back from the latest
+        $streak = 0;
+        for ($year = $latestYear; $year !== null && isset($completed[$year - 1]); $year--) {
+            if ($completed[$year]['total'] <= $completed[$year - 1]['total'] * (1 + self::TOLERANCE)) {
+                break;
+            }
+            $streak++;
+        }
+
+        $cutYears = [];
+        foreach ($completed as $year => $row) {
+            if (isset($completed[$year - 1]) && $row['total'] < $completed[$year - 1]['total'] * (1 - self::TOLERANCE)) {
+                $cutYears[] = $year;
+            }
+        }
+
+        // Latest payment against the one before it catches a cut before the year closes
+        $latest = end($dividends) ?: null;
+        $previous = count($dividends) > 1 ? $dividends[count($dividends) - 2] : null;
+        $latestChange = $latest && $previous && (float)$previous->amount > 0
+            ? ((float)$latest->amount / (float)$previous->amount - 1) * 100
+            : null;
+
+        return [
+            'annual_totals' => array_values(array_map(fn($row) => [
+                'year' => $row['year'],
+                'total' => round($row['total'], 6),
+                'payments' => $row['payments'],
+                'complete' => $row['year'] < $currentYear
+            ], $years)),
+            'cagr' => $cagr,
+            'consecutive_increases' => $streak,
+            'cut_years' => $cutYears,
+            'latest_amount' => $latest ? (float)$latest->amount : null,
+            'latest_ex_date' => $latest?->ex_date->format('Y-m-d'),
+            'latest_change_percent' => $latestChange,
+            'recent_cut' => ($latestChange !== null && $latestChange < -self::TOLERANCE * 100)
+                || in_array($latestYear, $cutYears, true)
+        ];
+    }
+}
@@ -16,10 +16,20 @@ use Exception;
 class DividendPaymentService
 {
     private PortfolioService $portfolioService;
+    private DividendGrowthService $dividendGrowthService;
+    private DividendTaxService $dividendTaxService;
+    private StockSplitService $stockSplitService;
     
-    public function __construct(PortfolioService $portfolioService)
-    {
+    public function __construct(
+        PortfolioService $portfolioService,
+        DividendGrowthService $dividendGrowthService,
+        DividendTaxService $dividendTaxService,
+        StockSplitService $stockSplitService
+    ) {
         $this->portfolioService = $portfolioService;
+        $this->dividendGrowthService = $dividendGrowthService;
+        $this->dividendTaxService = $dividendTaxService;
+        $this->stockSplitService = $stockSplitService;
     }
     
     /**
@@ -67,7 +77,7 @@ class DividendPaymentService
                     if ($sharesOnExDate > 0) {
                         $totalDividend = $sharesOnExDate * $dividend->amount;
                         
-                        $pendingPayments[] = [
+                        $pendingPayments[] = array_merge([
                             'dividend_id' => $dividend->id,
                             'stock_symbol' => $dividend->symbol,
                             'stock_name' => $holding->stock->name ?? $dividend->symbol,
@@ -77,7 +87,7 @@ class DividendPaymentService
                             'shares_owned' => $sharesOnExDate,
                             'total_dividend_amount' => $totalDividend,
                             'current_stock_price' => $this->getCurrentStockPrice($dividend->symbol)
-                        ];
+                        ], $this->dividendTaxService->getDefaults($holding->stock));
                     }
                 }
             }
@@ -90,7 +100,73 @@ class DividendPaymentService
         
         return $pendingPayments;
     }
-    
+
+    /**
+     * Dividends with an ex-date or payment date between $from and $to, for the calendar
+     *
+     * Expected amounts use the shares held on the ex-date (current shares for
+     * upcoming ex-dates). Status is recorded, pending (ex-date passed, payment
+     * not recorded yet) or upcoming.
+     */
+    public function getDividendCalendar(iterable $portfolios, string $from, string $to): array
+    {
+        $events = [];
+        $today = DateTimeHelper::now()->format('Y-m-d');
+
+        foreach ($portfolios as $portfolio) {
+            // Include closed positions so past months still show what was received
+            $holdings = $portfolio->holdings()->with('stock')->get()->keyBy('stock_symbol');
+            if ($holdings->isEmpty()) {
+                continue;
+            }
+
+            $dividends = Dividend::whereIn('symbol', $holdings->keys())
+                ->where(function ($query) use ($from, $to) {
+                    $query->whereBetween('ex_date', [$from, $to])
+                          ->orWhereBetween('payment_date', [$from, $to]);
+                })
+                ->orderBy('ex_date')
+                ->get();
+
+            $payments = DividendPayment::where('portfolio_id', $portfolio->id)
+                ->whereIn('dividend_id', $dividends->pluck('id'))
+                ->get()
+                ->keyBy('dividend_id');
+
+            foreach ($dividends as $dividend) {
+                $holding = $holdings->get($dividend->symbol);
+                $exDate = $dividend->ex_date->format('Y-m-d');
+                $payment = $payments->get($dividend->id);
+
+                $shares = $payment ? (float)$payment->shares_owned : $this->getSharesOwnedOnDate($holding, $exDate);
+                if ($shares <= 0) {
+                    continue;
+                }
+
+                $events[] = array_merge([
+                    'portfolio_id' => $portfolio->id,
+                    'portfolio_name' => $portfolio->name,
+                    'dividend_id' => $dividend->id,
+                    'stock_symbol' => $dividend->symbol,
+                    'stock_name' => $holding->stock->name ?? $dividend->symbol,
+                    'ex_date' => $exDate,
+                    'payment_date' => $dividend->payment_date?->format('Y-m-d'),
+                    'dividend_per_share' => (float)$dividend->amount,
+                    'shares_owned' => $shares,
+                    'expected_amount' => $shares * (float)$dividend->amount,
+                    'status' => $payment ? 'recorded' : ($exDate <= $today ? 'pending' : 'upcoming'),
+                    'payment_id' => $payment?->id,
+                    'received_amount' => $payment ? (float)$payment->total_dividend_amount : null,
+                    'payment_type' => $payment?->payment_type
+                ], $this->dividendTaxService->getDefaults($holding->stock));
+            }
+        }
+
+        usort($events, fn($a, $b) => [$a['ex_date'], $a['stock_symbol']] <=> [$b['ex_date'], $b['stock_symbol']]);
+
+        return $events;
+    }
+
     /**
      * Record a dividend payment
      */
@@ -127,30 +203,33 @@ class DividendPaymentService
         if ($paymentData['shares_owned'] > $actualSharesOwned) {
             throw new Exception("Cannot record dividend for {$paymentData['shares_owned']} shares. You only owned {$actualSharesOwned} shares of {$dividend->symbol} on the ex-dividend date ({$dividend->ex_date->format('Y-m-d')})");
         }
+
+        // Withholding and classification default from the stock's country when not entered
+        $tax = $this->dividendTaxService->resolve($holding->stock, (float)$paymentData['total_dividend_amount'], $paymentData);
         
         // Create the dividend payment record
-        $dividendPayment = DividendPayment::create([
-            'portfolio_id' => $portfolio->id,
-            'dividend_id' => $dividend->id,
-            'stock_symbol' => $dividend->symbol,
-            'payment_date' => $paymentData['payment_date'],
-            'shares_owned' => $paymentData['shares_owned'],
-            'dividend_per_share' => $dividend->amount,
-            'total_dividend_amount' => $paymentData['total_dividend_amount'],
-            'payment_type' => $paymentData['payment_type'],
-            'drip_shares_purchased' => $paymentData['drip_shares_purchased'] ?? null,
-            'drip_price_per_share' => $paymentData['drip_price_per_share'] ?? null,
-            'notes' => $paymentData['notes'] ?? null,
-            'is_confirmed' => true
-        ]);
-        
-        // Update portfolio holdings based on payment type
-        $this->updateHoldingsForDividendPayment($portfolio, $dividendPayment);
-        
-        // Create transaction record
-        $this->createDividendTransaction($portfolio, $dividendPayment);
-        
-        return $dividendPayment;
+        return $portfolio->getConnection()->transaction(function () use ($portfolio, $dividend, $paymentData, $tax) {
+            $dividendPayment = DividendPayment::create([
+                'portfolio_id' => $portfolio->id,
+                'dividend_id' => $dividend->id,
+                'stock_symbol' => $dividend->symbol,
+                'payment_date' => $paymentData['payment_date'],
+                'shares_owned' => $paymentData['shares_owned'],
+                'dividend_per_share' => $dividend->amount,
+                'total_dividend_amount' => $paymentData['total_dividend_amount'],
+                'withholding_tax' => $tax['withholding_tax'],
+                'tax_classification' => $tax['tax_classification'],
+                'payment_type' => $paymentData['payment_type'],
+                'drip_shares_purchased' => $paymentData['drip_shares_purchased'] ?? null,
+                'drip_price_per_share' => $paymentData['drip_price_per_share'] ?? null,
+                'notes' => $paymentData['notes'] ?? null,
+                'is_confirmed' => true
+            ]);
+
+            $this->applyPaymentEffects($portfolio, $dividendPayment);
+
+            return $dividendPayment;
+        });
     }
 
     /**
@@ -193,79 +272,66 @@ class DividendPaymentService
     }
     
     /**
-     * Update portfolio holdings based on dividend payment type
+     * Record the payment's transactions, or bring them in line with an edited
+     * payment, and rebuild the holding from its lots.
+     *
+     * A DRIP payment buys the reinvested shares at the DRIP price, so they open a
+     * lot with that cost basis like any other buy. Dividends themselves don't
+     * change the cost basis. Existing transactions are updated in place so the
+     * reinvested lot keeps its id, and with it any specific-lot picks of later sells.
      */
-    private function updateHoldingsForDividendPayment(Portfolio $portfolio, DividendPayment $payment): void
-    {
-        $holding = PortfolioHolding::where('portfolio_id', $portfolio->id)
-            ->where('stock_symbol', $payment->stock_symbol)
-            ->first();
-        
-        if (!$holding) {
-            throw new Exception('Holding not found for dividend payment');
-        }
-        
-        if ($payment->isDrip() && $payment->drip_shares_purchased > 0) {
-            // DRIP: Add shares and adjust cost basis
-            $oldQuantity = $holding->quantity;
-            $oldTotalCost = $oldQuantity * $holding->avg_cost_basis;
-            
-            // Add DRIP shares
-            $newQuantity = $oldQuantity + $payment->drip_shares_purchased;
-            
-            // The DRIP shares were "purchased" with the dividend, so we don't add to cost basis
-            // Instead, we reduce the overall cost basis by the dividend amount
-            $newTotalCost = $oldTotalCost - $payment->total_dividend_amount;
-            $newAvgCostBasis = $newQuantity > 0 ? $newTotalCost / $newQuantity : 0;
-            
-            $holding->update([
-                'quantity' => $newQuantity,
-                'avg_cost_basis' => max(0, $newAvgCostBasis), // Ensure non-negative
-                'last_transaction_date' => DateTimeHelper::now()
-            ]);
-        } else {
-            // Cash dividend: Reduce cost basis by dividend amount
-            $oldTotalCost = $holding->quantity * $holding->avg_cost_basis;
-            $newTotalCost = $oldTotalCost - $payment->total_dividend_amount;
-            $newAvgCostBasis = $holding->quantity > 0 ? $newTotalCost / $holding->quantity : 0;
-            
-            $holding->update([
-                'avg_cost_basis' => max(0, $newAvgCostBasis), // Ensure non-negative
-                'last_transaction_date' => DateTimeHelper::now()
-            ]);
-        }
-    }
-    
-    /**
-     * Create transaction record for dividend payment
-     */
-    private function createDividendTransaction(Portfolio $portfolio, DividendPayment $payment): void
+    private function applyPaymentEffects(Portfolio $portfolio, DividendPayment $payment): void
     {
-        if ($payment->isDrip() && $payment->drip_shares_purchased > 0) {
-            // Create a buy transaction for DRIP shares
-            Transaction::create([
-                'portfolio_id' => $portfolio->id,
-                'stock_symbol' => $payment->stock_symbol,
+        $existing = $payment->transactions()->get()->keyBy('transaction_type');
+
+        if ($payment->hasReinvestment()) {
+            $this->saveTransaction($portfolio, $payment, $existing->get('buy'), [
                 'transaction_type' => 'buy',
                 'quantity' => $payment->drip_shares_purchased,
                 'price' => $payment->drip_price_per_share,
-                'fees' => 0,
-                'transaction_date' => $payment->payment_date,
                 'notes' => "DRIP purchase from dividend payment (ID: {$payment->id})"
             ]);
+        } elseif ($existing->has('buy')) {
+            // Switched to cash: the reinvested lot goes
+            $existing->get('buy')->delete();
         }
         
-        // Always create a dividend transaction record
-        Transaction::create([
-            'portfolio_id' => $portfolio->id,
-            'stock_symbol' => $payment->stock_symbol,
+        // Always keep a dividend transaction record
+        $this->saveTransaction($portfolio, $payment, $existing->get('dividend'), [
             'transaction_type' => 'dividend',
             'quantity' => $payment->shares_owned,
             'price' => $payment->dividend_per_share,
-            'fees' => 0,
-            'transaction_date' => $payment->payment_date,
             'notes' => "Dividend payment - {$payment->payment_type} (ID: {$payment->id})"
         ]);
+
+        $this->portfolioService->recalculateHoldingForStock($portfolio->id, $payment->stock_symbol);
+    }
+
+    private function saveTransaction(Portfolio $portfolio, DividendPayment $payment, ?Transaction $transaction, array $fields): void
+    {
+        if ($transaction) {
+            $transaction->update($fields);
+            return;
+        }
+
+        Transaction::create(array_merge([
+            'portfolio_id' => $portfolio->id,
+            'stock_symbol' => $payment->stock_symbol,
+            'fees' => 0,
+            'transaction_date' => $payment->payment_date,
+            'dividend_payment_id' => $payment->id
+        ], $fields));
+    }
+
+    /**
+     * Remove the payment's transactions, including the reinvestment lot, and
+     * rebuild the holding without them
+     */
+    private function reversePaymentEffects(Portfolio $portfolio, DividendPayment $payment): void
+    {
+        $payment->transactions()->delete();
+
+        $this->portfolioService->recalculateHoldingForStock($portfolio->id, $payment->stock_symbol);
     }
     
     /**
@@ -280,18 +346,23 @@ class DividendPaymentService
             ->orderBy('transaction_date', 'asc')
             ->get();
 
+        // Trades before a split count in the shares of $date
+        $splits = $this->stockSplitService->getSplits([$holding->stock_symbol])[$holding->stock_symbol] ?? [];
+
         $totalShares = 0.0;
 
         foreach ($transactions as $transaction) {
+            $splitFactor = $this->stockSplitService->getFactorBetween($splits, $transaction->transaction_date->format('Y-m-d'), $date);
+
             switch ($transaction->transaction_type) {
                 case 'buy':
                 case 'transfer_in':
-                    $totalShares += (float)$transaction->quantity;
+                    $totalShares += (float)$transaction->quantity * $splitFactor;
                     break;
 
                 case 'sell':
                 case 'transfer_out':
-                    $totalShares -= (float)$transaction->quantity;
+                    $totalShares -= (float)$transaction->quantity * $splitFactor;
                     break;
 
                 case 'split':
@@ -310,6 +381,32 @@ class DividendPaymentService
         return max(0.0, $totalShares);
     }
 
+    /**
+     * Yield on cost and dividend growth for each holding
+     */
+    public function getDividendGrowth(Portfolio $portfolio): array
+    {
+        $holdings = $this->portfolioService->getPortfolioSummary($portfolio)['holdings'];
+        $growth = $this->dividendGrowthService->getGrowth(array_column($holdings, 'symbol'));
+
+        return array_map(function ($holding) use ($growth) {
+            $annualDividend = (float)$holding['annual_dividend'];
+            $price = (float)$holding['current_price'];
+
+            return array_merge([
+                'symbol' => $holding['symbol'],
+                'name' => $holding['name'],
+                'quantity' => (float)$holding['quantity'],
+                'avg_cost_basis' => (float)$holding['avg_cost_basis'],
+                'current_price' => $price,
+                'annual_dividend' => $annualDividend,
+                'annual_income' => $annualDividend * (float)$holding['quantity'],
+                'current_yield' => $price > 0 ? $annualDividend / $price * 100 : 0,
+                'yield_on_cost' => $holding['yield_on_cost']
+            ], $growth[$holding['symbol']]);
+        }, $holdings);
+    }
+
     /**
      * Get dividend analytics for a portfolio
      */
@@ -324,6 +421,7 @@ class DividendPaymentService
         if ($payments->isEmpty()) {
             return [
                 'total_dividends_received' => 0,
+                'tax' => $this->dividendTaxService->summarize([]),
                 'annual_dividend_income' => 0,
                 'dividend_yield' => 0,
                 'payment_count' => 0,
@@ -379,6 +477,8 @@ class DividendPaymentService
 
         return [
             'total_dividends_received' => $totalDividends,
+            // Gross, withholding and net, with the gross split by tax classification
+            'tax' => $this->dividendTaxService->summarize($payments),
             'annual_dividend_income' => $annualDividends,
             'dividend_yield' => round($dividendYield, 2),
             'payment_count' => $paymentCount,
@@ -490,15 +590,13 @@ class DividendPaymentService
                     'reason' => $invalidPayment['reason']
                 ];
 
-                // Remove any associated dividend transactions
-                Transaction::where('portfolio_id', $portfolio->id)
-                    ->where('stock_symbol', $payment->stock_symbol)
-                    ->where('transaction_type', 'dividend')
-                    ->where('transaction_date', $payment->payment_date)
-                    ->delete();
+                // Remove the payment with its dividend transaction and any reinvested lot
+                $portfolio->getConnection()->transaction(function () use ($portfolio, $payment) {
+                    $this->reversePaymentEffects($portfolio, $payment);
+                    $payment->delete();
 
-                // Delete the payment
-                $payment->delete();
+                    $this->portfolioService->assertLotsCovered($portfolio, $payment->stock_symbol, 'Removing this dividend payment');
+                });
             }
         }
 
@@ -510,17 +608,20 @@ class DividendPaymentService
      */
     public function updateDividendPayment(Portfolio $portfolio, DividendPayment $payment, array $updateData): DividendPayment
     {
-        // Store original values for reversal if needed
-        $originalPaymentType = $payment->payment_type;
-        $originalAmount = $payment->total_dividend_amount;
-        $originalShares = $payment->shares_owned;
-        $originalDripShares = $payment->drip_shares_purchased;
-        $originalDripPrice = $payment->drip_price_per_share;
-
         // Validate the update data
-        $allowedFields = ['payment_type', 'shares_owned', 'total_dividend_amount', 'drip_shares_purchased', 'drip_price_per_share', 'notes'];
+        $allowedFields = ['payment_type', 'shares_owned', 'total_dividend_amount', 'withholding_tax', 'tax_classification', 'drip_shares_purchased', 'drip_price_per_share', 'notes'];
         $updateData = array_intersect_key($updateData, array_flip($allowedFields));
 
+        // Keep the recorded withholding and classification unless they are changed
+        $updateData = array_merge($updateData, $this->dividendTaxService->resolve(
+            $payment->stock,
+            (float)($updateData['total_dividend_amount'] ?? $payment->total_dividend_amount),
+            [
+                'withholding_tax' => $updateData['withholding_tax'] ?? $payment->withholding_tax,
+                'tax_classification' => $updateData['tax_classification'] ?? $payment->tax_classification
+            ]
+        ));
+
         // If changing payment type or amounts, validate ownership
         if (isset($updateData['shares_owned']) && $payment->dividend) {
             $holding = $portfolio->holdings()
@@ -541,33 +642,22 @@ class DividendPaymentService
             if (!isset($updateData['drip_shares_purchased']) || !isset($updateData['drip_price_per_share'])) {
                 throw new Exception("DRIP payments require drip_shares_purchased and drip_price_per_share");
             }
+        } elseif (($updateData['payment_type'] ?? null) === 'cash') {
+            $updateData['drip_shares_purchased'] = null;
+            $updateData['drip_price_per_share'] = null;
         }
 
-        try {
-            // Reverse the original payment effects
-            $this->reversePaymentEffects($portfolio, $payment);
-
-            // Update the payment record
+        // Update the payment's transactions in place; fewer reinvested shares can leave a
+        // later sell short, and a failure rolls back the whole edit
+        return $portfolio->getConnection()->transaction(function () use ($portfolio, $payment, $updateData) {
             $payment->update($updateData);
             $payment->refresh();
 
-            // Apply the new payment effects
             $this->applyPaymentEffects($portfolio, $payment);
+            $this->portfolioService->assertLotsCovered($portfolio, $payment->stock_symbol, 'This change');
 
             return $payment;
-
-        } catch (Exception $e) {
-            // If something goes wrong, try to restore original state
-            $payment->update([
-                'payment_type' => $originalPaymentType,
-                'total_dividend_amount' => $originalAmount,
-                'shares_owned' => $originalShares,
-                'drip_shares_purchased' => $originalDripShares,
-                'drip_price_per_share' => $originalDripPrice
-            ]);
-
-            throw $e;
-        }
+        });
     }
 
     /**
@@ -578,18 +668,14 @@ class DividendPaymentService
         $stockSymbol = $payment->stock_symbol;
         $dividendId = $payment->dividend_id;
 
-        // Reverse the payment effects on holdings
-        $this->reversePaymentEffects($portfolio, $payment);
-
-        // Delete associated transactions
-        Transaction::where('portfolio_id', $portfolio->id)
-            ->where('stock_symbol', $payment->stock_symbol)
-            ->where('transaction_type', 'dividend')
-            ->where('transaction_date', $payment->payment_date)
-            ->delete();
+        // Remove the dividend transaction and any reinvested lot with the payment, unless
+        // a later sell or transfer out still needs the reinvested shares
+        $portfolio->getConnection()->transaction(function () use ($portfolio, $payment) {
+            $this->reversePaymentEffects($portfolio, $payment);
+            $payment->delete();
 
-        // Delete the payment
-        $payment->delete();
+            $this->portfolioService->assertLotsCovered($portfolio, $payment->stock_symbol, 'Deleting this dividend payment');
+        });
 
         // Check if this dividend should return to pending list
         $returnedToPending = false;
@@ -611,75 +697,4 @@ class DividendPaymentService
             'stock_symbol' => $stockSymbol
         ];
     }
-
-    /**
-     * Reverse the effects of a dividend payment on holdings
-     */
-    private function reversePaymentEffects(Portfolio $portfolio, DividendPayment $payment): void
-    {
-        $holding = $portfolio->holdings()
-            ->where('stock_symbol', $payment->stock_symbol)
-            ->where('is_active', true)
-            ->first();
-
-        if (!$holding) {
-            return; // No holding to reverse
-        }
-
-        if ($payment->isDrip() && $payment->drip_shares_purchased > 0) {
-            // Reverse DRIP: Remove shares and restore cost basis
-            $currentQuantity = $holding->quantity;
-            $currentTotalCost = $currentQuantity * $holding->avg_cost_basis;
-
-            // Remove DRIP shares
-            $newQuantity = $currentQuantity - $payment->drip_shares_purchased;
-
-            if ($newQuantity > 0) {
-                // Restore the cost basis by adding back the dividend amount
-                $newTotalCost = $currentTotalCost + $payment->total_dividend_amount;
-                $newAvgCostBasis = $newTotalCost / $newQuantity;
-
-                $holding->update([
-                    'quantity' => $newQuantity,
-                    'avg_cost_basis' => $newAvgCostBasis
-                ]);
-            } else {
-                // If no shares left, we need to handle this carefully
-                // This shouldn't happen in normal cases
-                $holding->update([
-                    'quantity' => 0,
-                    'avg_cost_basis' => 0
-                ]);
-            }
-        } else {
-            // Cash dividend: Restore cost basis
-            $currentQuantity = $holding->quantity;
-            $currentTotalCost = $currentQuantity * $holding->avg_cost_basis;
-            $newTotalCost = $currentTotalCost + $payment->total_dividend_amount;
-            $newAvgCostBasis = $currentQuantity > 0 ? $newTotalCost / $currentQuantity : 0;
-
-            $holding->update([
-                'avg_cost_basis' => $newAvgCostBasis
-            ]);
-        }
-    }
-
-    /**
-     * Apply the effects of a dividend payment on holdings
-     */
-    private function applyPaymentEffects(Portfolio $portfolio, DividendPayment $payment): void
-    {
-        $holding = $portfolio->holdings()
-            ->where('stock_symbol', $payment->stock_symbol)
-            ->where('is_active', true)
-            ->first();
-
-        if (!$holding) {
-            return; // No holding to apply effects to
-        }
-
-        // Apply the same logic as in the original recordDividendPayment
-        $this->updateHoldingForDividend($holding, $payment);
-        $this->createDividendTransaction($portfolio, $payment);
-    }
 }
@@ -0,0 +1,136 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\DividendPayment;
+use App\Models\Stock;
+use Exception;
+
+/**
+ * Withholding tax and tax classification of dividend payments.
+ *
+ * Defaults come from the stock's country of domicile: the rate withheld at
+ * source on dividends paid to a US investor and whether the dividend usually
+ * qualifies for the lower rate. They only prefill a payment; what the broker
+ * actually withheld is entered on the payment itself.
+ */
+class DividendTaxService
+{
+    public const DOMESTIC_COUNTRY = 'US';
+
+    // Country => [withholding rate %, classification]. Companies from countries
+    // without a US tax treaty pay ordinary dividends unless listed in the US.
+    public const COUNTRY_DEFAULTS = [
+        'US' => [0.0, 'qualified'],
+        'AU' => [15.0, 'qualified'],
+        'BE' => [30.0, 'qualified'],
+        'BR' => [0.0, 'ordinary'],
+        'CA' => [15.0, 'qualified'],
+        'CH' => [35.0, 'qualified'],
+        'CN' => [10.0, 'qualified'],
+        'DE' => [26.375, 'qualified'],
+        'DK' => [27.0, 'qualified'],
+        'ES' => [19.0, 'qualified'],
+        'FI' => [35.0, 'qualified'],
+        'FR' => [25.0, 'qualified'],
+        'GB' => [0.0, 'qualified'],
+        'HK' => [0.0, 'ordinary'],
+        'IE' => [25.0, 'qualified'],
+        'IL' => [25.0, 'qualified'],
+        'IN' => [20.0, 'qualified'],
+        'IT' => [26.0, 'qualified'],
+        'JP' => [15.315, 'qualified'],
+        'KR' => [22.0, 'qualified'],
+        'MX' => [10.0, 'qualified'],
+        'NL' => [15.0, 'qualified'],
+        'NO' => [25.0, 'qualified'],
+        'SE' => [30.0, 'qualified'],
+        'SG' => [0.0, 'ordinary'],
+        'TW' => [21.0, 'ordinary'],
+        'ZA' => [20.0, 'qualified']
+    ];
+
+    /**
+     * Default withholding rate and classification for a stock
+     *
+     * @return array {country, withholding_rate (percent), tax_classification}
+     */
+    public function getDefaults(?Stock $stock): array
+    {
+        $country = strtoupper((string)($stock?->country ?: self::DOMESTIC_COUNTRY));
+        [$rate, $classification] = self::COUNTRY_DEFAULTS[$country] ?? [0.0, 'ordinary'];
+
+        // REIT dividends are taxed as ordinary income wherever the trust is based
+        if (stripos((string)$stock?->industry, 'REIT') !== false) {
+            $classification = 'ordinary';
+        }
+
+        return [
+            'country' => $country,
+            'withholding_rate' => $rate,
+            'tax_classification' => $classification
+        ];
+    }
+
+    /**
+     * Withholding tax and classification for a payment, from the submitted data
+     * or the stock's defaults when they are left out
+     *
+     * @return array {withholding_tax, tax_classification}
+     */
+    public function resolve(?Stock $stock, float $grossAmount, array $data): array
+    {
+        $defaults = $this->getDefaults($stock);
+
+        $withholding = isset($data['withholding_tax']) && $data['withholding_tax'] !== ''
+            ? $data['withholding_tax']
+            : round($grossAmount * $defaults['withholding_rate'] / 100, 4);
+        $classification = $data['tax_classification'] ?? $defaults['tax_classification'];
+
+        if (!is_numeric($withholding) || (float)$withholding < 0) {
+            throw new Exception('Withholding tax must be zero or a positive amount');
+        }
+
+        if ((float)$withholding > $grossAmount) {
+            throw new Exception('Withholding tax cannot be more than the dividend amount');
+        }
+
+        if (!in_array($classification, DividendPayment::TAX_CLASSIFICATIONS, true)) {
+            throw new Exception('Tax classification must be qualified, ordinary or return_of_capital');
+        }
+
+        return [
+            'withholding_tax' => (float)$withholding,
+            'tax_classification' => $classification
+        ];
+    }
+
+    /**
+     * Gross, withholding and net totals with the gross split by classification
+     *
+     * @param iterable $payments DividendPayment models
+     */
+    public function summarize(iterable $payments): array
+    {
+        $totals = [
+            'gross' => 0.0,
+            'withholding_tax' => 0.0,
+            'net' => 0.0,
+            'qualified' => 0.0,
+            'ordinary' => 0.0,
+            'return_of_capital' => 0.0
+        ];
+
+        foreach ($payments as $payment) {
+            $gross = (float)$payment->total_dividend_amount;
+            $totals['gross'] += $gross;
+            $totals['withholding_tax'] += (float)$payment->withholding_tax;
+            $totals['net'] += $payment->getNetAmount();
+            $totals[$payment->tax_classification ?? 'qualified'] += $gross;
+        }
+
+        return $totals;
+    }
+}
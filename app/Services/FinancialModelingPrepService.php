@@ -212,7 +212,73 @@ class FinancialModelingPrepService
             throw $e;
         }
     }
-    
+
+    /**
+     * Fetch company profile (sector, industry, country, fund flag)
+     */
+    public function fetchCompanyProfile(string $symbol): ?array
+    {
+        if (!$this->isAvailable()) {
+            throw new Exception('Financial Modeling Prep API is not available');
+        }
+
+        $url = self::BASE_URL . '/profile/' . urlencode($symbol) . '?apikey=' . $this->apiKey->api_key;
+
+        $this->log("Fetching FMP company profile for {$symbol}");
+
+        $response = $this->makeHttpRequest($url);
+        $data = json_decode($response, true);
+        $this->apiKey->recordUsage();
+
+        if (!is_array($data) || empty($data[0])) {
+            return null;
+        }
+
+        $profile = $data[0];
+
+        return [
+            'name' => $profile['companyName'] ?? null,
+            'sector' => ($profile['sector'] ?? '') ?: null,
+            'industry' => ($profile['industry'] ?? '') ?: null,
+            'country' => ($profile['country'] ?? '') ?: null,
+            'market_cap' => isset($profile['mktCap']) ? (int)$profile['mktCap'] : null,
+            'is_etf' => (bool)($profile['isEtf'] ?? false) || (bool)($profile['isFund'] ?? false)
+        ];
+    }
+
+    /**
+     * Fetch a fund's sector weightings as fractions of the fund
+     */
+    public function fetchEtfSectorWeights(string $symbol): array
+    {
+        if (!$this->isAvailable()) {
+            throw new Exception('Financial Modeling Prep API is not available');
+        }
+
+        $url = self::BASE_URL . '/etf-sector-weightings/' . urlencode($symbol) . '?apikey=' . $this->apiKey->api_key;
+
+        $this->log("Fetching FMP sector weightings for {$symbol}");
+
+        $response = $this->makeHttpRequest($url);
+        $data = json_decode($response, true);
+        $this->apiKey->recordUsage();
+
+        if (!is_array($data)) {
+            return [];
+        }
+
+        $weights = [];
+        foreach ($data as $row) {
+            // FMP reports weights as strings like "28.46%"
+            $weight = (float)rtrim((string)($row['weightPercentage'] ?? '0'), '%') / 100;
+            if (!empty($row['sector']) && $weight > 0) {
+                $weights[] = ['sector' => $row['sector'], 'weight' => $weight];
+            }
+        }
+
+        return $weights;
+    }
+
     /**
      * Get API usage statistics
      */
@@ -0,0 +1,250 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\FxRate;
+use DateTime;
+use Exception;
+
+/**
+ * Exchange rates between the currencies stocks are listed in and portfolios are kept in.
+ *
+ * Daily closing rates are fetched from Yahoo Finance ("EURUSD=X") the first
+ * time a pair is needed and stored in fx_rates. A date without a rate
+ * (weekends, holidays) uses the most recent earlier one. Listings quoted in a
+ * minor unit, like London's pence ("GBp"), convert through their major currency.
+ * Pairs with no rate are remembered for the request, so responses can list
+ * them and the amounts left unconverted are flagged rather than silently wrong.
+ */
+class FxRateService
+{
+    private const YAHOO_FINANCE_BASE_URL = 'https://query1.finance.yahoo.com/v8/finance/chart/';
+
+    // Oldest rate, in days, used for a date before it is treated as missing
+    private const MAX_RATE_AGE_DAYS = 10;
+
+    // Minor currency units and their value in the major currency
+    private const MINOR_UNITS = [
+        'GBp' => ['GBP', 0.01],
+        'GBX' => ['GBP', 0.01],
+        'ZAc' => ['ZAR', 0.01],
+        'ILA' => ['ILS', 0.01]
+    ];
+
+    // Pairs whose history was already fetched in this request
+    private array $fetched = [];
+
+    // Pairs ("CAD/USD") that had no rate when asked for in this request
+    private array $missing = [];
+
+    /**
+     * Units of $to for one unit of $from on a date (default today), or null if no rate is available
+     */
+    public function getRate(string $from, string $to, ?string $date = null): ?float
+    {
+        [$from, $fromScale] = $this->normalize($from);
+        [$to, $toScale] = $this->normalize($to);
+        $scale = $fromScale / $toScale;
+
+        if ($from === $to) {
+            return $scale;
+        }
+
+        $today = date('Y-m-d');
+        $date = min($date ?? $today, $today);
+
+        $rate = $this->findStoredRate($from, $to, $date);
+        if ($rate === null || ($date === $today && !FxRate::forPair($from, $to)->where('rate_date', $today)->exists())) {
+            $this->fetchHistory($from, $to, $this->daysBefore($date, self::MAX_RATE_AGE_DAYS), $today);
+            $rate = $this->findStoredRate($from, $to, $date);
+        }
+
+        if ($rate === null) {
+            $this->missing["{$from}/{$to}"] = true;
+            return null;
+        }
+
+        return $rate * $scale;
+    }
+
+    /**
+     * Rate for every calendar day from $startDate to $endDate, keyed by date
+     *
+     * Days before the first available rate take that first rate. Returns an
+     * empty array if the pair has no rates at all.
+     */
+    public function getDailyRates(string $from, string $to, string $startDate, string $endDate): array
+    {
+        [$from, $fromScale] = $this->normalize($from);
+        [$to, $toScale] = $this->normalize($to);
+        $scale = $fromScale / $toScale;
+
+        $dates = [];
+        $date = new DateTime($startDate);
+        $end = new DateTime($endDate);
+        while ($date <= $end) {
+            $dates[] = $date->format('Y-m-d');
+            $date->modify('+1 day');
+        }
+
+        if ($from === $to) {
+            return array_fill_keys($dates, $scale);
+        }
+
+        $windowStart = $this->daysBefore($startDate, self::MAX_RATE_AGE_DAYS);
+        $stored = FxRate::forPair($from, $to)->whereBetween('rate_date', [$windowStart, $endDate]);
+        $covered = (clone $stored)->where('rate_date', '<=', $startDate)->exists()
+            && (clone $stored)->where('rate_date', '>=', min($endDate, date('Y-m-d')))->exists();
+        if (!$covered) {
+            $this->fetchHistory($from, $to, $windowStart, date('Y-m-d'));
+        }
+
+        $known = [];
+        foreach (FxRate::forPair($from, $to)->whereBetween('rate_date', [$windowStart, $endDate])->orderBy('rate_date')->get() as $row) {
+            $known[$row->rate_date->format('Y-m-d')] = (float)$row->rate;
+        }
+        if (empty($known)) {
+            $this->missing["{$from}/{$to}"] = true;
+            return [];
+        }
+
+        $rates = [];
+        $rate = reset($known);
+        foreach ($dates as $day) {
+            // Carry the latest rate on or before the day forward
+            while (!empty($known) && array_key_first($known) <= $day) {
+                $rate = array_shift($known);
+            }
+            $rates[$day] = $rate * $scale;
+        }
+
+        return $rates;
+    }
+
+    /**
+     * Convert an amount, falling back to the unconverted amount if no rate is
+     * available (the pair is then listed by getMissingRates)
+     */
+    public function convert(float $amount, string $from, string $to, ?string $date = null): float
+    {
+        $rate = $this->getRate($from, $to, $date);
+        if ($rate === null) {
+            error_log("No {$from}/{$to} exchange rate for " . ($date ?? 'today') . '; amount left unconverted');
+            return $amount;
+        }
+
+        return $amount * $rate;
+    }
+
+    /**
+     * Currency pairs ("CAD/USD") that had no rate in this request, sorted
+     */
+    public function getMissingRates(): array
+    {
+        $pairs = array_keys($this->missing);
+        sort($pairs);
+
+        return $pairs;
+    }
+
+    /**
+     * Latest stored rate on or before the date, no older than MAX_RATE_AGE_DAYS
+     */
+    private function findStoredRate(string $from, string $to, string $date): ?float
+    {
+        $rate = FxRate::forPair($from, $to)
+            ->whereBetween('rate_date', [$this->daysBefore($date, self::MAX_RATE_AGE_DAYS), $date])
+            ->orderBy('rate_date', 'desc')
+            ->value('rate');
+
+        return $rate !== null ? (float)$rate : null;
+    }
+
+    /**
+     * Fetch and store the daily closes of a pair, once per request
+     */
+    private function fetchHistory(string $from, string $to, string $startDate, string $endDate): int
+    {
+        $pair = "{$from}{$to}";
+        if (isset($this->fetched[$pair]) || ($_ENV['USE_MOCK_STOCK_DATA'] ?? 'false') === 'true') {
+            return 0;
+        }
+        $this->fetched[$pair] = true;
+
+        try {
+            $url = self::YAHOO_FINANCE_BASE_URL . urlencode("{$pair}=X") .
+                   '?period1=' . (new DateTime($startDate))->getTimestamp() .
+                   '&period2=' . (new DateTime($endDate))->modify('+1 day')->getTimestamp() .
+                   '&interval=1d';
+
+            $data = json_decode($this->makeHttpRequest($url), true);
+            $result = $data['chart']['result'][0] ?? null;
+            if (!$result) {
+                return 0;
+            }
+
+            $rates = [];
+            foreach ($result['timestamp'] ?? [] as $i => $timestamp) {
+                $close = $result['indicators']['quote'][0]['close'][$i] ?? null;
+                if ($close) {
+                    $rates[date('Y-m-d', $timestamp)] = $close;
+                }
+            }
+
+            // Today's bar may not have closed yet; the live rate stands in for it
+            if (!empty($result['meta']['regularMarketPrice']) && $endDate >= date('Y-m-d')) {
+                $rates[date('Y-m-d')] = $result['meta']['regularMarketPrice'];
+            }
+
+            foreach ($rates as $rateDate => $rate) {
+                FxRate::updateOrCreate(
+                    ['from_currency' => $from, 'to_currency' => $to, 'rate_date' => $rateDate],
+                    ['rate' => $rate]
+                );
+            }
+
+            return count($rates);
+
+        } catch (Exception $e) {
+            error_log("FX rate fetch error for {$pair}: " . $e->getMessage());
+            return 0;
+        }
+    }
+
+    /**
+     * Major currency code and the value of one unit in it
+     */
+    private function normalize(string $currency): array
+    {
+        return self::MINOR_UNITS[$currency] ?? [strtoupper($currency), 1.0];
+    }
+
+    private function daysBefore(string $date, int $days): string
+    {
+        return (new DateTime($date))->modify("-{$days} days")->format('Y-m-d');
+    }
+
+    private function makeHttpRequest(string $url): string
+    {
+        $context = stream_context_create([
+            'http' => [
+                'method' => 'GET',
+                'header' => [
+                    'User-Agent: Mozilla/5.0 (compatible; PortfolioTracker/1.0)',
+                    'Accept: application/json'
+                ],
+                'timeout' => 10
+            ]
+        ]);
+
+        $response = file_get_contents($url, false, $context);
+
+        if ($response === false) {
+            throw new Exception("Failed to fetch data from URL: {$url}");
+        }
+
+        return $response;
+    }
+}
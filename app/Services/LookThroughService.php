@@ -0,0 +1,208 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Stock;
+
+/**
+ * Expands fund holdings into their constituents and aggregates the exposure.
+ *
+ * Constituents come from a CSV per fund in the constituents directory
+ * ({SYMBOL}.csv with columns symbol, name, weight, sector, country; weight in
+ * percent). Whatever part of a fund the file doesn't list is kept as unlisted,
+ * so exposures always add up to the portfolio's value. Holdings without a file
+ * count as themselves, with the sector weights from their classification.
+ */
+class LookThroughService
+{
+    public const UNKNOWN_COUNTRY = 'Unknown';
+
+    public function __construct(private string $directory)
+    {
+    }
+
+    /**
+     * Top underlying companies, sector and country exposure for portfolio holdings
+     *
+     * @param array $holdings Holdings from the portfolio summary
+     */
+    public function analyze(array $holdings, int $topCount = 15): array
+    {
+        $totalValue = array_sum(array_column($holdings, 'current_value'));
+        $companies = [];
+        $sectors = [];
+        $countries = [];
+        $funds = [];
+        $unlistedValue = 0.0;
+
+        $expanded = [];
+        foreach ($holdings as $holding) {
+            $constituents = $this->getConstituents($holding['symbol']);
+            if ($constituents !== null) {
+                $expanded[$holding['symbol']] = $constituents;
+            }
+        }
+
+        // Constituent files often leave sector or country blank; fill them from the stocks table
+        $constituentSymbols = [];
+        foreach ($expanded as $constituents) {
+            foreach ($constituents['rows'] as $row) {
+                $constituentSymbols[$row['symbol']] = true;
+            }
+        }
+        $stocks = Stock::whereIn('symbol', array_keys($constituentSymbols))->get()->keyBy('symbol');
+
+        foreach ($holdings as $holding) {
+            $value = (float)$holding['current_value'];
+            $symbol = $holding['symbol'];
+
+            if (!isset($expanded[$symbol])) {
+                $this->addCompany($companies, $symbol, $holding['name'] ?? $symbol, $value, null);
+                foreach ($holding['sector_weights'] ?? [['sector' => $holding['sector'] ?? ClassificationService::UNCLASSIFIED, 'weight' => 1.0]] as $sectorWeight) {
+                    $this->addTo($sectors, $sectorWeight['sector'], $value * $sectorWeight['weight']);
+                }
+                $this->addTo($countries, $holding['country'] ?? self::UNKNOWN_COUNTRY, $value);
+                continue;
+            }
+
+            $constituents = $expanded[$symbol];
+            foreach ($constituents['rows'] as $row) {
+                $rowValue = $value * $row['weight'];
+                $stock = $stocks->get($row['symbol']);
+
+                $this->addCompany($companies, $row['symbol'], $row['name'] ?: ($stock?->name ?? $row['symbol']), $rowValue, $symbol);
+                $this->addTo($sectors, $row['sector'] ?: ($stock?->sector ?? ClassificationService::UNCLASSIFIED), $rowValue);
+                $this->addTo($countries, $row['country'] ?: ($stock?->country ?? self::UNKNOWN_COUNTRY), $rowValue);
+            }
+
+            $unlisted = $value * max(0.0, 1 - $constituents['coverage']);
+            if ($unlisted > 0) {
+                $unlistedValue += $unlisted;
+                $this->addTo($sectors, ClassificationService::UNCLASSIFIED, $unlisted);
+                $this->addTo($countries, self::UNKNOWN_COUNTRY, $unlisted);
+            }
+
+            $funds[] = [
+                'symbol' => $symbol,
+                'value' => $value,
+                'constituents_count' => count($constituents['rows']),
+                'coverage' => $constituents['coverage'],
+                'as_of' => $constituents['as_of']
+            ];
+        }
+
+        usort($companies, fn($a, $b) => $b['value'] <=> $a['value']);
+        $companies = array_map(function ($company) use ($totalValue) {
+            $company['weight'] = $totalValue > 0 ? $company['value'] / $totalValue * 100 : 0;
+            // Held directly and through a fund, or through more than one fund
+            $company['overlapping'] = count($company['sources']) > 1;
+            $company['sources'] = array_map(fn($source, $value) => ['source' => $source, 'value' => $value],
+                array_keys($company['sources']), $company['sources']);
+            return $company;
+        }, $companies);
+
+        return [
+            'total_value' => $totalValue,
+            'funds' => $funds,
+            // Holdings that look like funds but have no constituents file
+            'funds_without_constituents' => array_values(array_map(fn($h) => $h['symbol'], array_filter($holdings, function ($holding) use ($expanded) {
+                return !isset($expanded[$holding['symbol']]) && ($holding['classification_source'] ?? null) === 'look_through';
+            }))),
+            'unlisted_value' => $unlistedValue,
+            'companies_count' => count($companies),
+            'overlapping_count' => count(array_filter($companies, fn($c) => $c['overlapping'])),
+            'top_companies' => array_slice($companies, 0, $topCount),
+            'sectors' => $this->toExposureList($sectors, 'sector', $totalValue),
+            'countries' => $this->toExposureList($countries, 'country', $totalValue)
+        ];
+    }
+
+    /**
+     * Parse a fund's constituents file
+     *
+     * @return array|null {rows: [{symbol, name, weight, sector, country}], coverage, as_of}, null without a file
+     */
+    public function getConstituents(string $symbol): ?array
+    {
+        $path = $this->directory . '/' . strtoupper($symbol) . '.csv';
+        if (!preg_match('/^[A-Z0-9.-]{1,20}$/i', $symbol) || !is_readable($path)) {
+            return null;
+        }
+
+        $handle = fopen($path, 'r');
+        $header = array_map(fn($column) => strtolower(trim((string)$column)), fgetcsv($handle) ?: []);
+        $column = array_flip($header);
+
+        $rows = [];
+        while (($line = fgetcsv($handle)) !== false) {
+            $constituent = strtoupper(trim((string)($line[$column['symbol'] ?? -1] ?? '')));
+            $weight = (float)rtrim(trim((string)($line[$column['weight'] ?? -1] ?? '')), '%') / 100;
+            if ($constituent === '' || $weight <= 0) {
+                continue;
+            }
+
+            // Repeated share classes or listings of the same company add up
+            if (isset($rows[$constituent])) {
+                $rows[$constituent]['weight'] += $weight;
+                continue;
+            }
+
+            $rows[$constituent] = [
+                'symbol' => $constituent,
+                'name' => trim((string)($line[$column['name'] ?? -1] ?? '')),
+                'weight' => $weight,
+                'sector' => trim((string)($line[$column['sector'] ?? -1] ?? '')),
+                'country' => trim((string)($line[$column['country'] ?? -1] ?? ''))
+            ];
+        }
+        fclose($handle);
+
+        $coverage = array_sum(array_column($rows, 'weight'));
+        if ($coverage > 1) {
+            // Rounded weights can overshoot slightly; scale back to the whole fund
+            foreach ($rows as &$row) {
+                $row['weight'] /= $coverage;
+            }
+            unset($row);
+            $coverage = 1.0;
+        }
+
+        return [
+            'rows' => array_values($rows),
+            'coverage' => $coverage,
+            'as_of' => date('Y-m-d', filemtime($path))
+        ];
+    }
+
+    private function addCompany(array &$companies, string $symbol, string $name, float $value, ?string $viaFund): void
+    {
+        $companies[$symbol] = $companies[$symbol] ?? ['symbol' => $symbol, 'name' => $name, 'value' => 0.0, 'sources' => []];
+        $companies[$symbol]['value'] += $value;
+
+        $source = $viaFund ?? 'direct';
+        $companies[$symbol]['sources'][$source] = ($companies[$symbol]['sources'][$source] ?? 0.0) + $value;
+    }
+
+    private function addTo(array &$totals, string $key, float $value): void
+    {
+        $totals[$key] = ($totals[$key] ?? 0.0) + $value;
+    }
+
+    private function toExposureList(array $totals, string $keyName, float $totalValue): array
+    {
+        arsort($totals);
+
+        $list = [];
+        foreach ($totals as $key => $value) {
+            $list[] = [
+                $keyName => (string)$key,
+                'value' => $value,
+                'weight' => $totalValue > 0 ? $value / $totalValue * 100 : 0
+            ];
+        }
+
+        return $list;
+    }
+}
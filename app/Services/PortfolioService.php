@@ -4,19 +4,39 @@ declare(strict_types=1);
 
 namespace App\Services;
 
+use App\Models\CashTransaction;
 use App\Models\DividendPayment;
 use App\Models\Portfolio;
 use App\Models\PortfolioHolding;
+use App\Models\PortfolioTarget;
+use App\Models\PortfolioTransfer;
+use App\Models\Stock;
+use App\Models\StockPrice;
+use App\Models\StockQuote;
 use App\Models\Transaction;
 use App\Models\User;
+use App\Services\CashLedgerService;
+use App\Services\ClassificationService;
+use App\Services\FxRateService;
+use App\Services\LookThroughService;
+use App\Services\ReturnsService;
 use App\Services\StockDataService;
+use App\Services\TaxLotService;
+use App\Services\StockSplitService;
 use Exception;
 use Illuminate\Database\Eloquent\Collection;
 
 class PortfolioService
 {
     public function __construct(
-        private StockDataService $stockDataService
+        private StockDataService $stockDataService,
+        private TaxLotService $taxLotService,
+        private CashLedgerService $cashLedgerService,
+        private ReturnsService $returnsService,
+        private ClassificationService $classificationService,
+        private LookThroughService $lookThroughService,
+        private StockSplitService $stockSplitService,
+        private FxRateService $fxRateService
     ) {}
     /**
      * Create a new portfolio for a user
@@ -32,6 +52,7 @@ class PortfolioService
         
         $portfolioData['user_id'] = $user->id;
         $portfolioData['is_active'] = true;
+        $portfolioData['currency'] = $portfolioData['currency'] ?? $this->getPreferredCurrency($user);
         
         return Portfolio::create($portfolioData);
     }
@@ -50,6 +71,14 @@ class PortfolioService
                 throw new Exception('Portfolio name already exists');
             }
         }
+
+        if (isset($portfolioData['lot_method']) && !in_array($portfolioData['lot_method'], TaxLotService::METHODS)) {
+            throw new Exception('Invalid lot relief method');
+        }
+
+        if (isset($portfolioData['benchmark'])) {
+            $portfolioData['benchmark'] = $this->validateBenchmark($portfolioData['benchmark']);
+        }
         
         $portfolio->update($portfolioData);
         return $portfolio->fresh();
@@ -122,6 +151,13 @@ class PortfolioService
 
         $holdingData['portfolio_id'] = $portfolio->id;
         $holdingData['is_active'] = true;
+        // Entered without trades, so its cost converts at today's rate
+        $holdingData['currency'] = $stock->currency ?: $portfolio->currency;
+        $holdingData['cost_basis_base'] = $this->fxRateService->convert(
+            (float)$holdingData['quantity'] * (float)$holdingData['avg_cost_basis'],
+            $holdingData['currency'],
+            $portfolio->currency
+        );
 
         return PortfolioHolding::create($holdingData);
     }
@@ -132,9 +168,18 @@ class PortfolioService
     public function updateHolding(PortfolioHolding $holding, array $holdingData): PortfolioHolding
     {
         // Remove fields that shouldn't be updated directly
-        unset($holdingData['portfolio_id'], $holdingData['id']);
-        
-        $holding->update($holdingData);
+        unset($holdingData['portfolio_id'], $holdingData['id'], $holdingData['currency'], $holdingData['cost_basis_base']);
+
+        $holding->fill($holdingData);
+        if ($holding->isDirty(['quantity', 'avg_cost_basis'])) {
+            $holding->cost_basis_base = $this->fxRateService->convert(
+                $holding->getTotalCostBasis(),
+                $holding->currency ?: $holding->portfolio->currency,
+                $holding->portfolio->currency
+            );
+        }
+        $holding->save();
+
         return $holding->fresh();
     }
     
@@ -163,35 +208,144 @@ class PortfolioService
         // Ensure we have historical data for portfolio value calculations
         $this->stockDataService->ensureHistoricalData($transactionData['stock_symbol'], 365);
 
+        $transactionData = $this->prepareLotFields($portfolio, $transactionData);
+        $transactionData = $this->prepareCurrencyFields($portfolio, $transactionData);
         $transactionData['portfolio_id'] = $portfolio->id;
 
         $transaction = Transaction::create($transactionData);
 
-        // Update the corresponding holding
-        $transaction->updateHolding();
+        // Rebuild the holding from its tax lots
+        $this->recalculateHoldingForStock($portfolio->id, $transaction->stock_symbol);
 
         return $transaction;
     }
 
+    /**
+     * Add a batch of transactions (e.g. from a broker CSV import)
+     */
+    public function addTransactionsBatch(Portfolio $portfolio, array $transactionsData): array
+    {
+        $results = [];
+        $successful = 0;
+        $failed = 0;
+        $skipped = 0;
+        $validSymbols = [];
+        $touchedSymbols = [];
+
+        // Insert oldest first so sells follow the buys they close
+        usort($transactionsData, function ($a, $b) {
+            return strcmp($a['transaction_date'] ?? '', $b['transaction_date'] ?? '');
+        });
+
+        foreach ($transactionsData as $transactionData) {
+            $symbol = strtoupper($transactionData['stock_symbol'] ?? '');
+
+            try {
+                $this->validateTransactionData($transactionData);
+
+                // Re-importing the same file should not record trades twice
+                if (!empty($transactionData['external_id']) && Transaction::where('portfolio_id', $portfolio->id)
+                        ->where('external_id', $transactionData['external_id'])
+                        ->exists()) {
+                    $results[] = [
+                        'success' => false,
+                        'skipped' => true,
+                        'stock_symbol' => $symbol,
+                        'transaction_date' => $transactionData['transaction_date'],
+                        'error' => 'Transaction already imported'
+                    ];
+                    $skipped++;
+                    continue;
+                }
+
+                // Look up each symbol once per batch
+                if (!isset($validSymbols[$symbol])) {
+                    $stock = $this->stockDataService->getOrCreateStock($symbol);
+                    if (!$stock) {
+                        throw new Exception('Invalid stock symbol or unable to fetch stock data');
+                    }
+                    $this->stockDataService->ensureHistoricalData($symbol, 365);
+                    $validSymbols[$symbol] = true;
+                }
+
+                $transactionData['stock_symbol'] = $symbol;
+                $transactionData = $this->prepareLotFields($portfolio, $transactionData);
+                $transactionData = $this->prepareCurrencyFields($portfolio, $transactionData);
+
+                $transaction = Transaction::create([
+                    'portfolio_id' => $portfolio->id,
+                    'stock_symbol' => $symbol,
+                    'transaction_type' => $transactionData['transaction_type'],
+                    'quantity' => $transactionData['quantity'],
+                    'price' => $transactionData['price'],
+                    'fees' => $transactionData['fees'] ?? 0,
+                    'currency' => $transactionData['currency'],
+                    'fx_rate' => $transactionData['fx_rate'],
+                    'transaction_date' => $transactionData['transaction_date'],
+                    'notes' => $transactionData['notes'] ?? null,
+                    'external_id' => $transactionData['external_id'] ?? null,
+                    'lot_method' => $transactionData['lot_method'],
+                    'lot_selections' => $transactionData['lot_selections']
+                ]);
+
+                $touchedSymbols[$symbol] = true;
+                $results[] = [
+                    'success' => true,
+                    'transaction_id' => $transaction->id,
+                    'stock_symbol' => $symbol,
+                    'transaction_date' => $transaction->transaction_date->toDateString()
+                ];
+                $successful++;
+            } catch (Exception $e) {
+                $results[] = [
+                    'success' => false,
+                    'stock_symbol' => $symbol ?: 'unknown',
+                    'transaction_date' => $transactionData['transaction_date'] ?? null,
+                    'error' => $e->getMessage()
+                ];
+                $failed++;
+            }
+        }
+
+        // Rebuild holdings once per symbol rather than once per trade
+        foreach (array_keys($touchedSymbols) as $symbol) {
+            $this->recalculateHoldingForStock($portfolio->id, $symbol);
+        }
+
+        return [
+            'total_processed' => count($transactionsData),
+            'successful' => $successful,
+            'failed' => $failed,
+            'skipped' => $skipped,
+            'results' => $results
+        ];
+    }
+
     /**
      * Update a transaction
      */
     public function updateTransaction(Transaction $transaction, array $transactionData): Transaction
     {
+        $this->assertNotLinked($transaction);
         $this->validateTransactionData($transactionData);
 
-        // Store old values for holding recalculation
-        $oldQuantity = $transaction->quantity;
-        $oldPrice = $transaction->price;
-        $oldType = $transaction->transaction_type;
+        $portfolio = $transaction->portfolio;
+        $oldSymbol = $transaction->stock_symbol;
 
-        // Update transaction
-        $transaction->update($transactionData);
+        $transactionData = $this->prepareLotFields($portfolio, $transactionData, $transaction->id);
+        $transactionData = $this->prepareCurrencyFields($portfolio, $transactionData);
 
-        // Recalculate holdings based on the change
-        $this->recalculateHoldingFromTransactionUpdate($transaction, $oldQuantity, $oldPrice, $oldType);
+        // Later sells are checked against the edited history; a short one rolls back the edit
+        return $portfolio->getConnection()->transaction(function () use ($portfolio, $transaction, $transactionData, $oldSymbol) {
+            $transaction->update($transactionData);
 
-        return $transaction;
+            foreach (array_unique([$oldSymbol, $transaction->stock_symbol]) as $symbol) {
+                $this->assertLotsCovered($portfolio, $symbol, 'This change');
+                $this->recalculateHoldingForStock($portfolio->id, $symbol);
+            }
+
+            return $transaction;
+        });
     }
 
     /**
@@ -199,29 +353,68 @@ class PortfolioService
      */
     public function deleteTransaction(Transaction $transaction): void
     {
-        // Store values for holding recalculation
-        $portfolioId = $transaction->portfolio_id;
+        $this->assertNotLinked($transaction);
+
+        $portfolio = $transaction->portfolio;
         $stockSymbol = $transaction->stock_symbol;
 
-        // Delete the transaction
-        $transaction->delete();
+        // Deleting a buy can leave later sells without their lots; that rolls back the delete
+        $portfolio->getConnection()->transaction(function () use ($portfolio, $transaction, $stockSymbol) {
+            $transaction->delete();
+
+            $this->assertLotsCovered($portfolio, $stockSymbol, 'Deleting this transaction');
+            $this->recalculateHoldingForStock($portfolio->id, $stockSymbol);
+        });
+    }
+
+    /**
+     * Transactions recorded by a dividend payment or a transfer change with it
+     */
+    private function assertNotLinked(Transaction $transaction): void
+    {
+        if ($transaction->dividend_payment_id !== null) {
+            throw new Exception('This transaction was recorded by a dividend payment. Edit or delete the dividend payment instead');
+        }
 
-        // Recalculate holdings for this stock
-        $this->recalculateHoldingForStock($portfolioId, $stockSymbol);
+        if ($transaction->transfer_id !== null) {
+            throw new Exception('This transaction was recorded by a portfolio transfer. Undo the transfer instead');
+        }
     }
 
     /**
-     * Recalculate holding after transaction update
+     * Replay a stock's trades in a portfolio, throwing (and so rolling back the
+     * surrounding transaction) if a sell or transfer out no longer has its shares,
+     * including the specific lots it picked
      */
-    private function recalculateHoldingFromTransactionUpdate(Transaction $transaction, float $oldQuantity, float $oldPrice, string $oldType): void
+    public function assertLotsCovered(Portfolio $portfolio, string $symbol, string $action): void
     {
-        $this->recalculateHoldingForStock($transaction->portfolio_id, $transaction->stock_symbol);
+        $transactions = Transaction::where('portfolio_id', $portfolio->id)
+            ->where('stock_symbol', $symbol)
+            ->whereIn('transaction_type', Transaction::LOT_TYPES)
+            ->get();
+
+        try {
+            $this->taxLotService->assertLotsCovered($transactions, $portfolio->lot_method ?? 'fifo');
+        } catch (Exception $e) {
+            throw new Exception("{$action} would leave {$portfolio->name} short: " . lcfirst($e->getMessage()));
+        }
     }
 
     /**
      * Recalculate holding for a specific stock in a portfolio
+     *
+     * Runs under a lock on the portfolio so concurrent rebuilds take turns; each one
+     * starts from the trades, so running it twice gives the same holding.
      */
-    private function recalculateHoldingForStock(int $portfolioId, string $stockSymbol): void
+    public function recalculateHoldingForStock(int $portfolioId, string $stockSymbol): void
+    {
+        Portfolio::query()->getConnection()->transaction(function () use ($portfolioId, $stockSymbol) {
+            Portfolio::whereKey($portfolioId)->lockForUpdate()->first();
+            $this->rebuildHolding($portfolioId, $stockSymbol);
+        });
+    }
+
+    private function rebuildHolding(int $portfolioId, string $stockSymbol): void
     {
         // Get all transactions for this stock in this portfolio
         $transactions = Transaction::where('portfolio_id', $portfolioId)
@@ -236,27 +429,36 @@ class PortfolioService
             'stock_symbol' => $stockSymbol
         ]);
 
-        // Recalculate from scratch
+        $portfolio = Portfolio::find($portfolioId);
+        $currency = Stock::where('symbol', $stockSymbol)->value('currency') ?: $portfolio->currency;
+        $this->fillMissingFxRates($portfolio, $transactions, $currency);
+
+        // Recalculate from scratch: quantity and basis are what remains in open lots
+        $lots = $this->taxLotService->buildLots($transactions, $portfolio->lot_method ?? 'fifo');
+
         $totalQuantity = 0;
         $totalCostBasis = 0;
-        $lastTransactionDate = null;
-
-        foreach ($transactions as $transaction) {
-            if ($transaction->transaction_type === 'buy') {
-                $totalQuantity += $transaction->quantity;
-                $totalCostBasis += ($transaction->quantity * $transaction->price) + $transaction->fees;
-            } elseif ($transaction->transaction_type === 'sell') {
-                $totalQuantity -= $transaction->quantity;
-                // For sells, we don't add to cost basis
-            }
-            $lastTransactionDate = $transaction->transaction_date;
+        $totalCostBasisBase = 0;
+        foreach ($lots['open_lots'] as $lot) {
+            $totalQuantity += $lot['remaining_quantity'];
+            $totalCostBasis += $lot['remaining_cost_basis'];
+            $totalCostBasisBase += $lot['remaining_cost_basis_base'];
         }
 
+        $lastTransactionDate = $transactions->isNotEmpty() ? $transactions->last()->transaction_date : null;
+
         // Update the holding
         if ($totalQuantity > 0) {
             $holding->quantity = $totalQuantity;
             $holding->avg_cost_basis = $totalCostBasis / $totalQuantity;
+            $holding->currency = $currency;
+            // Left unset while a trade still lacks its rate, so the next scheduled rebuild retries it
+            $holding->cost_basis_base = $transactions->contains(function ($transaction) {
+                return $transaction->fx_rate === null && in_array($transaction->transaction_type, Transaction::LOT_TYPES);
+            }) ? null : $totalCostBasisBase;
+            $holding->first_purchase_date = min(array_column($lots['open_lots'], 'acquired_date'));
             $holding->last_transaction_date = $lastTransactionDate;
+            $holding->is_active = true;
             $holding->save();
         } else {
             // If no shares left, delete the holding
@@ -264,8 +466,472 @@ class PortfolioService
         }
     }
 
+    /**
+     * Give trades recorded before currencies were tracked the rate of their trade date.
+     * Trades whose rate can't be looked up yet keep none and count at a rate of 1.
+     */
+    private function fillMissingFxRates(Portfolio $portfolio, iterable $transactions, string $currency): void
+    {
+        foreach ($transactions as $transaction) {
+            if ($transaction->fx_rate !== null || !in_array($transaction->transaction_type, Transaction::LOT_TYPES)) {
+                continue;
+            }
+
+            $tradeCurrency = $transaction->currency ?: $currency;
+            $rate = $this->fxRateService->getRate($tradeCurrency, $portfolio->currency, $transaction->transaction_date->format('Y-m-d'));
+            if ($rate !== null) {
+                $transaction->currency = $tradeCurrency;
+                $transaction->fx_rate = $rate;
+                $transaction->save();
+            }
+        }
+    }
+
+    /**
+     * Rebuild the holding of a symbol in every portfolio that traded it, after a split is entered or corrected
+     *
+     * @return int Number of portfolios recalculated
+     */
+    public function recalculateHoldingsForSymbol(string $symbol): int
+    {
+        $portfolioIds = Transaction::where('stock_symbol', $symbol)->distinct()->pluck('portfolio_id');
+
+        foreach ($portfolioIds as $portfolioId) {
+            $this->recalculateHoldingForStock((int)$portfolioId, $symbol);
+        }
+
+        return $portfolioIds->count();
+    }
+
+    /**
+     * Rebuild holdings that are out of date: ones a split has taken effect on since
+     * they were last rebuilt, and ones from before currencies were tracked. Run by
+     * the scheduled job (bin/fetch-stock-data.php --splits) so reading a portfolio
+     * never writes to it.
+     *
+     * @return int Number of holdings rebuilt
+     */
+    public function rebuildDueHoldings(): int
+    {
+        $rebuilt = 0;
+        $portfolioIds = PortfolioHolding::active()->distinct()->pluck('portfolio_id');
+
+        foreach (Portfolio::whereIn('id', $portfolioIds)->get() as $portfolio) {
+            $rebuilt += $this->applyDueSplits($portfolio);
+            $rebuilt += $this->convertLegacyHoldings($portfolio);
+        }
+
+        return $rebuilt;
+    }
+
+    /**
+     * Rebuild holdings with a split that took effect after they were last rebuilt,
+     * so splits entered ahead of their date apply once the date arrives
+     */
+    private function applyDueSplits(Portfolio $portfolio): int
+    {
+        $rebuilt = 0;
+        $holdings = $portfolio->holdings()->active()->get();
+        $splits = $this->stockSplitService->getSplits($holdings->pluck('stock_symbol')->all());
+        $today = date('Y-m-d');
+
+        foreach ($holdings as $holding) {
+            $rebuiltOn = $holding->updated_at?->format('Y-m-d') ?? '';
+            foreach ($splits[$holding->stock_symbol] ?? [] as $split) {
+                $splitDate = $split->split_date->format('Y-m-d');
+                if ($splitDate > $rebuiltOn && $splitDate <= $today) {
+                    $this->recalculateHoldingForStock($portfolio->id, $holding->stock_symbol);
+                    $rebuilt++;
+                    break;
+                }
+            }
+        }
+
+        return $rebuilt;
+    }
+
+    /**
+     * Rebuild holdings from before currencies were tracked so they get a cost in the portfolio's currency
+     */
+    private function convertLegacyHoldings(Portfolio $portfolio): int
+    {
+        $rebuilt = 0;
+        foreach ($portfolio->holdings()->active()->whereNull('cost_basis_base')->pluck('stock_symbol') as $symbol) {
+            // Holdings entered without trades have nothing to rebuild from
+            if ($portfolio->transactions()->where('stock_symbol', $symbol)->exists()) {
+                $this->recalculateHoldingForStock($portfolio->id, $symbol);
+                $rebuilt++;
+            }
+        }
+
+        return $rebuilt;
+    }
+
+    /**
+     * Listing currency of a holding
+     */
+    private function getHoldingCurrency(PortfolioHolding $holding, Portfolio $portfolio): string
+    {
+        return $holding->currency ?: ($holding->stock?->currency ?: $portfolio->currency);
+    }
+
+    /**
+     * Value, cost and gain of a portfolio's holdings converted into another currency at today's rates
+     */
+    public function getPortfolioTotals(Portfolio $portfolio, string $currency): array
+    {
+        $holdings = $portfolio->holdings()->active()->with('stock.quote')->get();
+        $toCurrency = $this->fxRateService->getRate($portfolio->currency, $currency) ?? 1.0;
+
+        $totalValue = 0;
+        $totalCostBasis = 0;
+        foreach ($holdings as $holding) {
+            $holdingCurrency = $this->getHoldingCurrency($holding, $portfolio);
+            $totalValue += $this->fxRateService->convert($holding->getCurrentValue(), $holdingCurrency, $currency);
+            $totalCostBasis += $holding->getBaseCostBasis() * $toCurrency;
+        }
+
+        return [
+            'currency' => $currency,
+            'total_value' => $totalValue,
+            'total_cost_basis' => $totalCostBasis,
+            'total_gain_loss' => $totalValue - $totalCostBasis,
+            'total_gain_loss_percent' => $totalCostBasis > 0 ? (($totalValue - $totalCostBasis) / $totalCostBasis) * 100 : 0
+        ];
+    }
+
+    /**
+     * Get open tax lots and closed lot disposals for a portfolio, optionally for one symbol
+     */
+    public function getTaxLots(Portfolio $portfolio, ?string $symbol = null): array
+    {
+        $query = Transaction::where('portfolio_id', $portfolio->id)
+            ->whereIn('transaction_type', Transaction::LOT_TYPES);
+
+        if ($symbol) {
+            $query->where('stock_symbol', strtoupper($symbol));
+        }
+
+        $transactions = $query->get();
+        $lots = $this->taxLotService->buildLots($transactions, $portfolio->lot_method ?? 'fifo');
+        $lots['lot_method'] = $portfolio->lot_method ?? 'fifo';
+        $lots['splits'] = [];
+
+        // Splits applied to the lots: after the first trade, up to today
+        $today = date('Y-m-d');
+        $firstTradeDates = [];
+        foreach ($transactions as $transaction) {
+            $date = $transaction->transaction_date->format('Y-m-d');
+            $firstTradeDates[$transaction->stock_symbol] = min($firstTradeDates[$transaction->stock_symbol] ?? $date, $date);
+        }
+
+        foreach ($this->stockSplitService->getSplits(array_keys($firstTradeDates)) as $splitSymbol => $splits) {
+            foreach ($splits as $split) {
+                $splitDate = $split->split_date->format('Y-m-d');
+                if ($splitDate > $firstTradeDates[$splitSymbol] && $splitDate <= $today) {
+                    $lots['splits'][] = [
+                        'symbol' => $splitSymbol,
+                        'split_date' => $splitDate,
+                        'split_ratio' => $split->split_ratio,
+                        'split_factor' => (float)$split->split_factor,
+                        'type' => $split->isReverseSplit() ? 'reverse' : 'forward'
+                    ];
+                }
+            }
+        }
+
+        return $lots;
+    }
+
+    /**
+     * Get the cash ledger: deposits, withdrawals, interest and fees plus trades and cash dividends
+     */
+    public function getCashLedger(Portfolio $portfolio): array
+    {
+        return $this->cashLedgerService->buildLedger(
+            $portfolio->cashTransactions()->get(),
+            $portfolio->transactions()->whereIn('transaction_type', ['buy', 'sell'])->get(),
+            DividendPayment::where('portfolio_id', $portfolio->id)->cash()->with('stock')->get(),
+            $portfolio->currency
+        );
+    }
+
+    /**
+     * Record a deposit, withdrawal, interest payment or fee
+     */
+    public function addCashTransaction(Portfolio $portfolio, array $data): CashTransaction
+    {
+        $this->validateCashTransactionData($data);
+
+        return CashTransaction::create([
+            'portfolio_id' => $portfolio->id,
+            'transaction_type' => $data['transaction_type'],
+            'amount' => (float)$data['amount'],
+            'transaction_date' => $data['transaction_date'],
+            'notes' => $data['notes'] ?? null
+        ]);
+    }
+
+    /**
+     * Update a cash transaction
+     */
+    public function updateCashTransaction(CashTransaction $cashTransaction, array $data): CashTransaction
+    {
+        $this->assertCashNotFromTransfer($cashTransaction);
+        $this->validateCashTransactionData($data);
+
+        $cashTransaction->update([
+            'transaction_type' => $data['transaction_type'],
+            'amount' => (float)$data['amount'],
+            'transaction_date' => $data['transaction_date'],
+            'notes' => $data['notes'] ?? null
+        ]);
+
+        return $cashTransaction;
+    }
+
+    /**
+     * Delete a cash transaction
+     */
+    public function deleteCashTransaction(CashTransaction $cashTransaction): void
+    {
+        $this->assertCashNotFromTransfer($cashTransaction);
+        $cashTransaction->delete();
+    }
+
+    /**
+     * Cash moved by a transfer changes with the transfer
+     */
+    private function assertCashNotFromTransfer(CashTransaction $cashTransaction): void
+    {
+        if ($cashTransaction->transfer_id !== null) {
+            throw new Exception('This cash entry was recorded by a portfolio transfer. Undo the transfer instead');
+        }
+    }
+
+    /**
+     * Target allocation: per-symbol or per-sector weights in percent
+     */
+    public function getTargets(Portfolio $portfolio): array
+    {
+        $targets = $portfolio->targets()->orderBy('target_weight', 'desc')->get();
+
+        $items = $targets->map(function ($target) {
+            return [
+                'key' => $target->target_key,
+                'weight' => (float)$target->target_weight
+            ];
+        })->values()->all();
+        $totalWeight = array_sum(array_column($items, 'weight'));
+
+        return [
+            'target_type' => $targets->first()->target_type ?? 'symbol',
+            'targets' => $items,
+            'total_weight' => $totalWeight,
+            'cash_weight' => max(0.0, 100 - $totalWeight)
+        ];
+    }
+
+    /**
+     * Replace the portfolio's targets; an empty list clears them
+     */
+    public function saveTargets(Portfolio $portfolio, array $data): array
+    {
+        $type = $data['target_type'] ?? 'symbol';
+        if (!in_array($type, PortfolioTarget::TYPES)) {
+            throw new Exception('Target type must be symbol or sector');
+        }
+
+        $targets = [];
+        foreach ($data['targets'] ?? [] as $target) {
+            $key = trim((string)($target['key'] ?? ''));
+            $weight = $target['weight'] ?? null;
+
+            if ($key === '') {
+                throw new Exception('Each target needs a ' . $type);
+            }
+            if (!is_numeric($weight) || $weight < 0 || $weight > 100) {
+                throw new Exception("Target weight for {$key} must be between 0 and 100");
+            }
+
+            // Symbols are case-insensitive; sector names are kept as entered
+            $key = $type === 'symbol' ? strtoupper($key) : $key;
+            if (isset($targets[$key])) {
+                throw new Exception("{$key} has more than one target");
+            }
+            $targets[$key] = (float)$weight;
+        }
+
+        if (array_sum($targets) > 100.0001) {
+            throw new Exception('Target weights add up to more than 100%');
+        }
+
+        $portfolio->getConnection()->transaction(function () use ($portfolio, $type, $targets) {
+            $portfolio->targets()->delete();
+            foreach ($targets as $key => $weight) {
+                PortfolioTarget::create([
+                    'portfolio_id' => $portfolio->id,
+                    'target_type' => $type,
+                    'target_key' => $key,
+                    'target_weight' => $weight
+                ]);
+            }
+        });
+
+        return $this->getTargets($portfolio);
+    }
+
+    /**
+     * Realized gains and losses for a tax year, split into short and long term
+     */
+    public function getRealizedGains(Portfolio $portfolio, ?int $year = null): array
+    {
+        $closedLots = $this->getTaxLots($portfolio)['closed_lots'];
+
+        $availableYears = array_values(array_unique(array_map(function ($lot) {
+            return (int)substr($lot['sold_date'], 0, 4);
+        }, $closedLots)));
+        rsort($availableYears);
+
+        $year = $year ?? ($availableYears[0] ?? (int)date('Y'));
+
+        $disposals = array_values(array_filter($closedLots, function ($lot) use ($year) {
+            return (int)substr($lot['sold_date'], 0, 4) === $year;
+        }));
+
+        usort($disposals, function ($a, $b) {
+            return [$b['sold_date'], $b['sell_transaction_id']] <=> [$a['sold_date'], $a['sell_transaction_id']];
+        });
+
+        // Totals are in the portfolio's currency at the rates of each purchase and sale
+        $emptyTotals = ['count' => 0, 'quantity' => 0, 'proceeds' => 0, 'cost_basis' => 0, 'fees' => 0, 'gain_loss' => 0, 'fx_gain_loss' => 0];
+        $summary = ['short_term' => $emptyTotals, 'long_term' => $emptyTotals, 'total' => $emptyTotals];
+        $bySymbol = [];
+
+        foreach ($disposals as $disposal) {
+            $term = $disposal['term'] === 'long' ? 'long_term' : 'short_term';
+            $symbol = $disposal['stock_symbol'];
+            $bySymbol[$symbol] = $bySymbol[$symbol] ?? array_merge(['stock_symbol' => $symbol], $emptyTotals);
+
+            foreach ([$term, 'total'] as $key) {
+                $summary[$key]['count']++;
+                $summary[$key]['quantity'] += $disposal['quantity'];
+                $summary[$key]['proceeds'] += $disposal['proceeds_base'];
+                $summary[$key]['cost_basis'] += $disposal['cost_basis_base'];
+                $summary[$key]['fees'] += $disposal['fees_base'];
+                $summary[$key]['gain_loss'] += $disposal['gain_loss_base'];
+                $summary[$key]['fx_gain_loss'] += $disposal['fx_gain_loss'];
+            }
+
+            $bySymbol[$symbol]['count']++;
+            $bySymbol[$symbol]['quantity'] += $disposal['quantity'];
+            $bySymbol[$symbol]['proceeds'] += $disposal['proceeds_base'];
+            $bySymbol[$symbol]['cost_basis'] += $disposal['cost_basis_base'];
+            $bySymbol[$symbol]['fees'] += $disposal['fees_base'];
+            $bySymbol[$symbol]['gain_loss'] += $disposal['gain_loss_base'];
+            $bySymbol[$symbol]['fx_gain_loss'] += $disposal['fx_gain_loss'];
+        }
+
+        ksort($bySymbol);
+
+        return [
+            'year' => $year,
+            'available_years' => $availableYears,
+            'summary' => $summary,
+            'by_symbol' => array_values($bySymbol),
+            'disposals' => $disposals
+        ];
+    }
+
+    /**
+     * Normalize lot relief fields on a transaction. Sells record the method they
+     * were made under; specific lot picks are checked against the open lots.
+     */
+    private function prepareLotFields(Portfolio $portfolio, array $transactionData, ?int $excludeTransactionId = null): array
+    {
+        if (($transactionData['transaction_type'] ?? null) !== 'sell') {
+            $transactionData['lot_method'] = null;
+            $transactionData['lot_selections'] = null;
+            return $transactionData;
+        }
+
+        $method = $transactionData['lot_method'] ?? null;
+        if (empty($method)) {
+            $method = $portfolio->lot_method ?? 'fifo';
+        }
+        if (!in_array($method, TaxLotService::METHODS)) {
+            throw new Exception('Invalid lot relief method');
+        }
+
+        $selections = $transactionData['lot_selections'] ?? null;
+        if ($method !== 'specific') {
+            $selections = null;
+        } elseif (empty($selections)) {
+            // Specific-lot default without picks (e.g. imports) falls back to FIFO
+            $method = 'fifo';
+            $selections = null;
+        } else {
+            $existing = Transaction::where('portfolio_id', $portfolio->id)
+                ->where('stock_symbol', strtoupper($transactionData['stock_symbol']))
+                ->whereIn('transaction_type', Transaction::LOT_TYPES)
+                ->when($excludeTransactionId, function ($query) use ($excludeTransactionId) {
+                    $query->where('id', '!=', $excludeTransactionId);
+                })
+                ->get();
+
+            $this->taxLotService->validateLotSelections(
+                $existing,
+                $selections,
+                strtoupper($transactionData['stock_symbol']),
+                (float)$transactionData['quantity'],
+                $portfolio->lot_method ?? 'fifo'
+            );
+
+            $selections = array_map(function ($selection) {
+                return ['lot_id' => (int)$selection['lot_id'], 'quantity' => (float)$selection['quantity']];
+            }, array_values($selections));
+        }
+
+        $transactionData['lot_method'] = $method;
+        $transactionData['lot_selections'] = $selections;
+
+        return $transactionData;
+    }
+
+    /**
+     * Record a trade in the stock's listing currency with the rate into the portfolio's
+     * currency on the trade date. A rate entered with the trade (e.g. from the broker's
+     * confirmation) is kept as entered.
+     */
+    private function prepareCurrencyFields(Portfolio $portfolio, array $transactionData): array
+    {
+        $currency = Stock::where('symbol', strtoupper($transactionData['stock_symbol']))->value('currency') ?: $portfolio->currency;
+        $transactionData['currency'] = $currency;
+
+        $fxRate = $transactionData['fx_rate'] ?? null;
+        if ($fxRate !== null && $fxRate !== '') {
+            if (!is_numeric($fxRate) || (float)$fxRate <= 0) {
+                throw new Exception('FX rate must be greater than 0');
+            }
+            $transactionData['fx_rate'] = (float)$fxRate;
+            return $transactionData;
+        }
+
+        $rate = $this->fxRateService->getRate($currency, $portfolio->currency, $transactionData['transaction_date']);
+        if ($rate === null) {
+            throw new Exception("No {$currency}/{$portfolio->currency} exchange rate is available for {$transactionData['transaction_date']}; enter the FX rate");
+        }
+        $transactionData['fx_rate'] = $rate;
+
+        return $transactionData;
+    }
+
     /**
      * Get portfolio performance summary
+     *
+     * Prices and per-share figures are in each holding's listing currency; values,
+     * cost basis and gains are in the portfolio's currency. Unrealized gain is split
+     * into price gain (at the rates the lots were bought at) and FX gain.
      */
     public function getPortfolioSummary(Portfolio $portfolio): array
     {
@@ -273,14 +939,32 @@ class PortfolioService
 
         $totalValue = 0;
         $totalCostBasis = 0;
+        $totalPriceGainLoss = 0;
+        $totalFxGainLoss = 0;
         $holdingsData = [];
 
+        $stocks = [];
         foreach ($holdings as $holding) {
-            $currentValue = $holding->getCurrentValue();
-            $costBasis = $holding->getTotalCostBasis();
+            $stocks[$holding->stock_symbol] = $holding->stock;
+        }
+        $classifications = $this->classificationService->classifyStocks($portfolio->user_id, $stocks);
+
+        foreach ($holdings as $holding) {
+            $currency = $this->getHoldingCurrency($holding, $portfolio);
+            $localValue = $holding->getCurrentValue();
+            $localCostBasis = $holding->getTotalCostBasis();
+            $costBasis = $holding->getBaseCostBasis();
+            // Average rate the open lots were bought at
+            $costFxRate = $localCostBasis > 0 ? $costBasis / $localCostBasis : 1.0;
+            $fxRate = $this->fxRateService->getRate($currency, $portfolio->currency) ?? $costFxRate;
+            $currentValue = $localValue * $fxRate;
+            $priceGainLoss = ($localValue - $localCostBasis) * $costFxRate;
+            $fxGainLoss = $localValue * ($fxRate - $costFxRate);
 
             $totalValue += $currentValue;
             $totalCostBasis += $costBasis;
+            $totalPriceGainLoss += $priceGainLoss;
+            $totalFxGainLoss += $fxGainLoss;
 
             // Calculate dividend yield
             $dividendYield = $holding->stock?->getAnnualDividendYield() ?? 0;
@@ -297,17 +981,27 @@ class PortfolioService
             $holdingsData[] = [
                 'symbol' => $holding->stock_symbol,
                 'name' => $holding->stock?->name ?? $holding->stock_symbol,
-                'sector' => $holding->stock?->sector ?? 'Other',
-                'industry' => $holding->stock?->industry ?? 'Unknown',
+                'sector' => $classifications[$holding->stock_symbol]['sector'],
+                'industry' => $classifications[$holding->stock_symbol]['industry'],
+                'sector_weights' => $classifications[$holding->stock_symbol]['sector_weights'],
+                'classification_source' => $classifications[$holding->stock_symbol]['source'],
+                'country' => $holding->stock?->country,
                 'quantity' => $holding->quantity,
+                'currency' => $currency,
+                'fx_rate' => $fxRate,
                 'avg_cost_basis' => $holding->avg_cost_basis,
                 'current_price' => $holding->stock?->quote?->current_price ?? 0,
                 'current_value' => $currentValue,
+                'current_value_local' => $localValue,
                 'cost_basis' => $costBasis,
+                'cost_basis_local' => $localCostBasis,
                 'gain_loss' => $currentValue - $costBasis,
                 'gain_loss_percent' => $costBasis > 0 ? (($currentValue - $costBasis) / $costBasis) * 100 : 0,
+                'price_gain_loss' => $priceGainLoss,
+                'fx_gain_loss' => $fxGainLoss,
                 'dividend_yield' => $dividendYield,
                 'annual_dividend' => $annualDividends,
+                'yield_on_cost' => $holding->avg_cost_basis > 0 ? ((float)$annualDividends / (float)$holding->avg_cost_basis) * 100 : 0,
                 'weight' => 0 // Will be calculated after we have total value
             ];
         }
@@ -316,35 +1010,70 @@ class PortfolioService
         $totalAnnualDividends = 0;
         foreach ($holdingsData as &$holding) {
             $holding['weight'] = $totalValue > 0 ? ($holding['current_value'] / $totalValue) * 100 : 0;
-            $totalAnnualDividends += $holding['annual_dividend'] * $holding['quantity'];
+            $totalAnnualDividends += $holding['annual_dividend'] * $holding['quantity'] * $holding['fx_rate'];
         }
 
         $portfolioDividendYield = $totalValue > 0 ? ($totalAnnualDividends / $totalValue) * 100 : 0;
 
+        // Realized gains come from lots closed by sells; the figures above are unrealized
+        $closedLots = $this->getTaxLots($portfolio)['closed_lots'];
+        $realizedGainLoss = array_sum(array_column($closedLots, 'gain_loss_base'));
+        $currentYear = date('Y');
+        $realizedGainLossYtd = array_sum(array_column(array_filter($closedLots, function ($lot) use ($currentYear) {
+            return substr($lot['sold_date'], 0, 4) === $currentYear;
+        }), 'gain_loss_base'));
+
+        $cashLedger = $this->getCashLedger($portfolio);
+
         return [
             'portfolio' => [
                 'id' => $portfolio->id,
                 'name' => $portfolio->name,
                 'type' => $portfolio->portfolio_type,
-                'currency' => $portfolio->currency
+                'currency' => $portfolio->currency,
+                'lot_method' => $portfolio->lot_method ?? 'fifo',
+                'benchmark' => $portfolio->benchmark ?: Portfolio::DEFAULT_BENCHMARK,
+                'benchmark_components' => $portfolio->getBenchmarkComponents()
             ],
             'performance' => [
                 'total_value' => $totalValue,
                 'total_cost_basis' => $totalCostBasis,
                 'total_gain_loss' => $totalValue - $totalCostBasis,
                 'total_gain_loss_percent' => $totalCostBasis > 0 ? (($totalValue - $totalCostBasis) / $totalCostBasis) * 100 : 0,
+                'price_gain_loss' => $totalPriceGainLoss,
+                'fx_gain_loss' => $totalFxGainLoss,
                 'total_annual_dividends' => $totalAnnualDividends,
                 'portfolio_dividend_yield' => $portfolioDividendYield,
+                'realized_gain_loss' => $realizedGainLoss,
+                'realized_gain_loss_ytd' => $realizedGainLossYtd,
                 'holdings_count' => count($holdingsData)
             ],
-            'holdings' => $holdingsData
+            'cash' => [
+                'tracked' => $cashLedger['tracked'],
+                'balance' => $cashLedger['balance'],
+                'net_contributions' => $cashLedger['summary']['net_contributions'],
+                // Holdings plus cash; total_value above stays holdings only for gain/loss
+                'total_value' => $totalValue + $cashLedger['balance']
+            ],
+            'targets' => $this->getTargets($portfolio),
+            'holdings' => $holdingsData,
+            // Pairs with no rate, whose amounts fell back to an approximate rate
+            'missing_fx_rates' => $this->fxRateService->getMissingRates()
         ];
     }
 
     /**
-     * Get historical portfolio performance data
+     * Holdings with funds expanded into their constituents
+     */
+    public function getLookThroughExposure(Portfolio $portfolio): array
+    {
+        return $this->lookThroughService->analyze($this->getPortfolioSummary($portfolio)['holdings']);
+    }
+
+    /**
+     * Get historical portfolio performance data, in the portfolio's currency or another one
      */
-    public function getPortfolioHistoricalPerformance(Portfolio $portfolio, int $days = 30): array
+    public function getPortfolioHistoricalPerformance(Portfolio $portfolio, int $days = 30, ?string $currency = null): array
     {
         $holdings = $portfolio->holdings()->active()->with('stock')->get();
 
@@ -379,18 +1108,31 @@ class PortfolioService
         }
 
         $labels = [];
+        $dates = [];
         $portfolioValues = [];
         $costBasisValues = [];
 
         // Track the last known prices for each stock to use on non-trading days
         $lastKnownPrices = [];
 
+        // Holdings are priced in their listing currency and converted at each day's rate
+        $fxRates = [];
+        foreach ($holdings as $holding) {
+            $fxRates[$holding->stock_symbol] = $this->fxRateService->getDailyRates(
+                $this->getHoldingCurrency($holding, $portfolio),
+                $portfolio->currency,
+                $startDate->format('Y-m-d'),
+                $endDate->format('Y-m-d')
+            );
+        }
+
         // Get all business days in the range from first transaction onwards
         $currentDate = clone $startDate;
         while ($currentDate <= $endDate) {
             if ($currentDate->format('N') <= 5) { // Monday = 1, Friday = 5
                 $dateStr = $currentDate->format('Y-m-d');
                 $labels[] = $currentDate->format('M j');
+                $dates[] = $dateStr;
 
                 $totalValue = 0;
                 $totalCostBasis = 0;
@@ -408,6 +1150,8 @@ class PortfolioService
                         $quantityForDate = $this->calculateQuantityUpToDate($portfolio, $symbol, $dateStr);
 
                         if ($quantityForDate > 0) {
+                            $fxRate = $fxRates[$symbol][$dateStr] ?? 1.0;
+
                             // Get historical price for this date
                             $historicalPrice = $this->stockDataService->getHistoricalPrice(
                                 $symbol,
@@ -417,18 +1161,18 @@ class PortfolioService
                             if ($historicalPrice) {
                                 // Update last known price for this stock
                                 $lastKnownPrices[$symbol] = $historicalPrice;
-                                $totalValue += $quantityForDate * $historicalPrice;
+                                $totalValue += $quantityForDate * $historicalPrice * $fxRate;
                             } else {
                                 // Use last known price if available (for weekends/holidays)
                                 if (isset($lastKnownPrices[$symbol])) {
-                                    $totalValue += $quantityForDate * $lastKnownPrices[$symbol];
+                                    $totalValue += $quantityForDate * $lastKnownPrices[$symbol] * $fxRate;
                                 }
                                 // If no last known price, try to get the most recent available price
                                 else {
                                     $recentPrice = $this->stockDataService->getMostRecentPrice($symbol, $dateStr);
                                     if ($recentPrice) {
                                         $lastKnownPrices[$symbol] = $recentPrice;
-                                        $totalValue += $quantityForDate * $recentPrice;
+                                        $totalValue += $quantityForDate * $recentPrice * $fxRate;
                                     }
                                 }
                             }
@@ -444,13 +1188,296 @@ class PortfolioService
             $currentDate->modify('+1 day');
         }
 
+        // Cash counts towards value (and, being its own basis, towards cost basis) once the portfolio tracks it
+        $cashValues = array_fill(0, count($dates), 0.0);
+        $cashLedger = $this->getCashLedger($portfolio);
+        if ($cashLedger['tracked']) {
+            $balances = $this->cashLedgerService->getBalancesOnDates($cashLedger['entries'], $dates);
+            foreach ($dates as $index => $date) {
+                $cashValues[$index] = round($balances[$date], 2);
+                $portfolioValues[$index] = round($portfolioValues[$index] + $balances[$date], 2);
+                $costBasisValues[$index] = round($costBasisValues[$index] + $balances[$date], 2);
+            }
+        }
+
+        // External cash flows on each charted day (weekend flows land on the next business day),
+        // so a benchmark can be credited with the same contributions and withdrawals
+        $flowValues = array_fill(0, count($dates), 0.0);
+        $index = 0;
+        foreach ($this->getValueAndFlowSeries($portfolio)['flows'] as $date => $flow) {
+            if (empty($dates) || $date <= $dates[0]) {
+                continue;
+            }
+            while ($index < count($dates) && $dates[$index] < $date) {
+                $index++;
+            }
+            if ($index < count($dates)) {
+                $flowValues[$index] = round($flowValues[$index] + $flow, 2);
+            }
+        }
+
+        // Shown in another currency (the user's, on the dashboard) at each day's rate
+        if ($currency && $currency !== $portfolio->currency && !empty($dates)) {
+            $rates = $this->fxRateService->getDailyRates($portfolio->currency, $currency, $dates[0], end($dates));
+            foreach ($dates as $index => $date) {
+                $rate = $rates[$date] ?? 1.0;
+                $portfolioValues[$index] = round($portfolioValues[$index] * $rate, 2);
+                $costBasisValues[$index] = round($costBasisValues[$index] * $rate, 2);
+                $cashValues[$index] = round($cashValues[$index] * $rate, 2);
+                $flowValues[$index] = round($flowValues[$index] * $rate, 2);
+            }
+        }
+
         return [
             'labels' => $labels,
+            'dates' => $dates,
+            'currency' => $currency ?: $portfolio->currency,
             'portfolio_values' => $portfolioValues,
-            'cost_basis_values' => $costBasisValues
+            'cost_basis_values' => $costBasisValues,
+            'cash_values' => $cashValues,
+            'flow_values' => $flowValues,
+            'missing_fx_rates' => $this->fxRateService->getMissingRates()
+        ];
+    }
+
+    /**
+     * Time-weighted and money-weighted returns for MTD, QTD, YTD, 1Y, 3Y and since inception
+     */
+    public function getPortfolioReturns(Portfolio $portfolio): array
+    {
+        $series = $this->getValueAndFlowSeries($portfolio);
+
+        return [
+            'inception_date' => array_key_first($series['values']),
+            'currency' => $portfolio->currency,
+            'periods' => $this->returnsService->calculatePeriodReturns($series['values'], $series['flows']),
+            'missing_fx_rates' => $this->fxRateService->getMissingRates()
+        ];
+    }
+
+    /**
+     * Returns for all of a user's active portfolios combined, in the user's preferred currency
+     */
+    public function getCombinedReturns(User $user): array
+    {
+        $currency = $this->getPreferredCurrency($user);
+
+        $seriesList = [];
+        foreach ($this->getUserPortfolios($user) as $portfolio) {
+            $seriesList[] = $this->getValueAndFlowSeries($portfolio, $currency);
+        }
+
+        $series = $this->returnsService->mergeSeries($seriesList);
+
+        return [
+            'inception_date' => array_key_first($series['values']),
+            'currency' => $currency,
+            'periods' => $this->returnsService->calculatePeriodReturns($series['values'], $series['flows']),
+            'missing_fx_rates' => $this->fxRateService->getMissingRates()
+        ];
+    }
+
+    /**
+     * Holdings across a user's active portfolios with the biggest moves today, by absolute
+     * percent change. A symbol held in several portfolios is listed once with its combined
+     * position; values are in the user's preferred currency.
+     */
+    public function getTopMovers(User $user, int $limit = 5): array
+    {
+        $currency = $this->getPreferredCurrency($user);
+
+        $movers = [];
+        foreach ($this->getUserPortfolios($user) as $portfolio) {
+            foreach ($portfolio->holdings as $holding) {
+                $quote = $holding->stock?->quote;
+                if (!$holding->is_active || !$quote) {
+                    continue;
+                }
+
+                $symbol = $holding->stock_symbol;
+                $holdingCurrency = $this->getHoldingCurrency($holding, $portfolio);
+                $movers[$symbol] ??= [
+                    'symbol' => $symbol,
+                    'name' => $holding->stock->name ?? $symbol,
+                    'currency' => $holdingCurrency,
+                    'current_price' => (float)$quote->current_price,
+                    'change_amount' => (float)$quote->change_amount,
+                    'change_percent' => (float)$quote->change_percent,
+                    'quantity' => 0,
+                    'market_value' => 0,
+                    'day_gain_loss' => 0
+                ];
+
+                $movers[$symbol]['quantity'] += (float)$holding->quantity;
+                $movers[$symbol]['market_value'] += $this->fxRateService->convert($holding->getCurrentValue(), $holdingCurrency, $currency);
+                $movers[$symbol]['day_gain_loss'] += $this->fxRateService->convert(
+                    (float)$holding->quantity * (float)$quote->change_amount, $holdingCurrency, $currency
+                );
+            }
+        }
+
+        usort($movers, fn($a, $b) => abs($b['change_percent']) <=> abs($a['change_percent']));
+
+        return [
+            'currency' => $currency,
+            'movers' => array_slice($movers, 0, $limit),
+            'missing_fx_rates' => $this->fxRateService->getMissingRates()
         ];
     }
 
+    /**
+     * Currency pairs that had no exchange rate while building this request's figures.
+     * Amounts in them were left unconverted, so totals including them are off.
+     */
+    public function getMissingFxRates(): array
+    {
+        return $this->fxRateService->getMissingRates();
+    }
+
+    /**
+     * Currency the user sees totals across portfolios in
+     */
+    public function getPreferredCurrency(User $user): string
+    {
+        return $user->preferences?->currency ?: 'USD';
+    }
+
+    /**
+     * End-of-day value and external cash flow for every calendar day since the first trade or cash entry.
+     *
+     * With cash tracked, the value includes cash and only deposits, withdrawals and cash transfers
+     * are external flows. Without it, buys are contributions, and sales and cash dividends are
+     * withdrawals. Shares transferred in or out are external flows at their market value.
+     * Amounts are in the portfolio's currency unless another $currency is given.
+     */
+    private function getValueAndFlowSeries(Portfolio $portfolio, ?string $currency = null): array
+    {
+        $trades = $portfolio->transactions()
+            ->whereIn('transaction_type', Transaction::LOT_TYPES)
+            ->with('transfer')
+            ->orderBy('transaction_date', 'asc')
+            ->get();
+        $cashLedger = $this->getCashLedger($portfolio);
+
+        $tradesByDate = [];
+        foreach ($trades as $trade) {
+            $tradesByDate[$trade->transaction_date->format('Y-m-d')][] = $trade;
+        }
+
+        $ledgerByDate = [];
+        foreach ($cashLedger['entries'] as $entry) {
+            $ledgerByDate[$entry['date']][] = $entry;
+        }
+
+        $activityDates = array_merge(array_keys($tradesByDate), array_keys($ledgerByDate));
+        if (empty($activityDates)) {
+            return ['values' => [], 'flows' => []];
+        }
+
+        $inception = min($activityDates);
+        $today = date('Y-m-d');
+        $symbols = $trades->pluck('stock_symbol')->unique()->values()->all();
+        $splits = $this->stockSplitService->getSplits($symbols);
+
+        $closes = [];
+        if (!empty($symbols)) {
+            $prices = StockPrice::whereIn('symbol', $symbols)
+                ->where('price_date', '>=', $inception)
+                ->orderBy('price_date', 'asc')
+                ->get(['symbol', 'price_date', 'close_price']);
+            foreach ($prices as $price) {
+                $closes[$price->symbol][$price->price_date->format('Y-m-d')] = (float)$price->close_price;
+            }
+        }
+        $quotes = empty($symbols) ? [] : StockQuote::whereIn('symbol', $symbols)->pluck('current_price', 'symbol')->all();
+
+        // Shares are priced in their trade currency and converted at each day's rate
+        $symbolCurrencies = [];
+        foreach ($trades as $trade) {
+            $symbolCurrencies[$trade->stock_symbol] = $trade->currency ?: $portfolio->currency;
+        }
+        $fxRates = [];
+        foreach (array_unique($symbolCurrencies) as $tradeCurrency) {
+            $fxRates[$tradeCurrency] = $this->fxRateService->getDailyRates($tradeCurrency, $portfolio->currency, $inception, $today);
+        }
+
+        $quantities = [];
+        $lastPrices = [];
+        $cashBalance = 0.0;
+        $values = [];
+        $flows = [];
+
+        $date = new \DateTime($inception);
+        $end = new \DateTime($today);
+        while ($date <= $end) {
+            $dateStr = $date->format('Y-m-d');
+            $flow = 0.0;
+
+            foreach ($tradesByDate[$dateStr] ?? [] as $trade) {
+                $symbol = $trade->stock_symbol;
+                $quantity = (float)$trade->quantity;
+                // Stored closes are split-adjusted, so shares are counted in today's terms
+                $splitFactor = $this->stockSplitService->getFactorBetween($splits[$symbol] ?? [], $dateStr, $today);
+                $quantities[$symbol] = ($quantities[$symbol] ?? 0.0) + ($trade->isBuy() ? $quantity : -$quantity) * $splitFactor;
+                // A transfer in is priced at cost; its market price is on the transfer
+                $tradePrice = $trade->isTransfer() ? (float)($trade->transfer?->market_price ?? $trade->price) : (float)$trade->price;
+                // Until a close is available, value shares at the last trade price
+                $lastPrices[$symbol] = $lastPrices[$symbol] ?? $tradePrice / $splitFactor;
+
+                if ($trade->isTransfer()) {
+                    $flow += ($trade->isBuy() ? 1 : -1) * $quantity * $tradePrice
+                        * ($fxRates[$symbolCurrencies[$symbol]][$dateStr] ?? 1.0);
+                } elseif (!$cashLedger['tracked'] && !$trade->isReinvestment()) {
+                    // Reinvested dividends never left the portfolio, so they are not a contribution
+                    $flow += ($trade->transaction_type === 'buy'
+                        ? $quantity * (float)$trade->price + (float)$trade->fees
+                        : -($quantity * (float)$trade->price - (float)$trade->fees)) * $trade->getFxRate();
+                }
+            }
+
+            foreach ($ledgerByDate[$dateStr] ?? [] as $entry) {
+                $cashBalance = $entry['balance'];
+
+                if ($cashLedger['tracked'] && in_array($entry['type'], ['deposit', 'withdrawal', 'transfer_in', 'transfer_out'])) {
+                    $flow += $entry['amount'];
+                } elseif (!$cashLedger['tracked'] && $entry['source'] === 'dividend') {
+                    $flow -= $entry['amount'];
+                }
+            }
+
+            $value = $cashLedger['tracked'] ? $cashBalance : 0.0;
+            foreach ($quantities as $symbol => $quantity) {
+                if (isset($closes[$symbol][$dateStr])) {
+                    $lastPrices[$symbol] = $closes[$symbol][$dateStr];
+                }
+                if ($dateStr === $today && !empty($quotes[$symbol])) {
+                    $lastPrices[$symbol] = (float)$quotes[$symbol];
+                }
+                $value += max(0.0, $quantity) * ($lastPrices[$symbol] ?? 0.0)
+                    * ($fxRates[$symbolCurrencies[$symbol]][$dateStr] ?? 1.0);
+            }
+
+            $values[$dateStr] = $value;
+            if ($flow != 0) {
+                $flows[$dateStr] = $flow;
+            }
+
+            $date->modify('+1 day');
+        }
+
+        if ($currency && $currency !== $portfolio->currency) {
+            $rates = $this->fxRateService->getDailyRates($portfolio->currency, $currency, $inception, $today);
+            foreach ($values as $dateStr => $value) {
+                $values[$dateStr] = $value * ($rates[$dateStr] ?? 1.0);
+            }
+            foreach ($flows as $dateStr => $flow) {
+                $flows[$dateStr] = $flow * ($rates[$dateStr] ?? 1.0);
+            }
+        }
+
+        return ['values' => $values, 'flows' => $flows];
+    }
+
     /**
      * Get individual stock historical performance data
      */
@@ -516,6 +1543,24 @@ class PortfolioService
         }
     }
     
+    /**
+     * Normalize a benchmark setting: a named blend or a symbol in the stocks table
+     */
+    private function validateBenchmark(string $benchmark): string
+    {
+        $benchmark = strtoupper(trim($benchmark));
+
+        if (isset(Portfolio::BENCHMARK_BLENDS[$benchmark])) {
+            return $benchmark;
+        }
+
+        if (!Stock::where('symbol', $benchmark)->exists()) {
+            throw new Exception("Benchmark '{$benchmark}' is not a known stock symbol");
+        }
+
+        return $benchmark;
+    }
+    
     /**
      * Validate holding data
      */
@@ -567,6 +1612,26 @@ class PortfolioService
         }
     }
     
+    /**
+     * Validate cash transaction data
+     */
+    private function validateCashTransactionData(array $data): void
+    {
+        foreach (['transaction_type', 'amount', 'transaction_date'] as $field) {
+            if (!isset($data[$field]) || $data[$field] === '') {
+                throw new Exception("Field '{$field}' is required");
+            }
+        }
+
+        if (!in_array($data['transaction_type'], CashTransaction::TYPES)) {
+            throw new Exception('Invalid cash transaction type');
+        }
+
+        if (!is_numeric($data['amount']) || $data['amount'] <= 0) {
+            throw new Exception('Amount must be greater than 0');
+        }
+    }
+    
     /**
      * Check if portfolio name exists for user
      */
@@ -590,7 +1655,7 @@ class PortfolioService
 
         $totalCostBasis = 0;
         foreach ($transactions as $transaction) {
-            $totalCostBasis += $transaction->quantity * $transaction->price;
+            $totalCostBasis += $transaction->quantity * $transaction->price * $transaction->getFxRate();
         }
 
         return $totalCostBasis;
@@ -606,12 +1671,17 @@ class PortfolioService
             ->where('transaction_date', '<=', $date)
             ->get();
 
+        // In today's shares, to match the split-adjusted closes it is valued at
+        $splits = $this->stockSplitService->getSplits([$symbol])[$symbol] ?? [];
+        $today = date('Y-m-d');
+
         $totalQuantity = 0;
         foreach ($transactions as $transaction) {
-            if ($transaction->transaction_type === 'buy') {
-                $totalQuantity += $transaction->quantity;
-            } elseif ($transaction->transaction_type === 'sell') {
-                $totalQuantity -= $transaction->quantity;
+            $splitFactor = $this->stockSplitService->getFactorBetween($splits, $transaction->transaction_date->format('Y-m-d'), $today);
+            if (in_array($transaction->transaction_type, ['buy', 'transfer_in'])) {
+                $totalQuantity += $transaction->quantity * $splitFactor;
+            } elseif (in_array($transaction->transaction_type, ['sell', 'transfer_out'])) {
+                $totalQuantity -= $transaction->quantity * $splitFactor;
             }
         }
 
@@ -619,7 +1689,7 @@ class PortfolioService
     }
 
     /**
-     * Get portfolio events (transactions and dividend payments) for chart annotations
+     * Get portfolio events (transactions, dividend payments, transfers and splits) for chart annotations
      */
     public function getPortfolioEvents(Portfolio $portfolio, int $days = 60): array
     {
@@ -632,8 +1702,10 @@ class PortfolioService
             return [];
         }
 
-        // Get transactions within the date range
+        // Get trades within the date range; DRIP buys show with their dividend
         $transactions = $portfolio->transactions()
+            ->whereIn('transaction_type', ['buy', 'sell'])
+            ->whereNull('dividend_payment_id')
             ->where('transaction_date', '>=', $startDate->format('Y-m-d'))
             ->orderBy('transaction_date', 'asc')
             ->get();
@@ -653,6 +1725,27 @@ class PortfolioService
             ];
         }
 
+        // Shares and cash moved to or from the user's other portfolios
+        $transfers = PortfolioTransfer::forPortfolio($portfolio->id)
+            ->where('transfer_date', '>=', $startDate->format('Y-m-d'))
+            ->with(['fromPortfolio', 'toPortfolio'])
+            ->get();
+
+        foreach ($transfers as $transfer) {
+            $incoming = (int)$transfer->to_portfolio_id === (int)$portfolio->id;
+            $events[] = [
+                'type' => 'transfer',
+                'subtype' => $incoming ? 'in' : 'out',
+                'date' => $transfer->transfer_date->format('Y-m-d'),
+                'symbol' => $transfer->stock_symbol,
+                'quantity' => $transfer->quantity,
+                'amount' => $transfer->amount,
+                'description' => $this->getTransferDescription($transfer, $incoming),
+                'color' => '#0ea5e9', // sky blue for transfers
+                'icon' => '🔁'
+            ];
+        }
+
         // Get dividend payments within the date range
         try {
             $dividendPayments = DividendPayment::where('portfolio_id', $portfolio->id)
@@ -678,6 +1771,35 @@ class PortfolioService
             ];
         }
 
+        // Splits of stocks the portfolio held by then
+        $firstTradeDates = $portfolio->transactions()
+            ->selectRaw('stock_symbol, MIN(transaction_date) AS first_date')
+            ->groupBy('stock_symbol')
+            ->pluck('first_date', 'stock_symbol')
+            ->all();
+        $today = date('Y-m-d');
+
+        foreach ($this->stockSplitService->getSplits(array_keys($firstTradeDates)) as $symbol => $splits) {
+            foreach ($splits as $split) {
+                $splitDate = $split->split_date->format('Y-m-d');
+                if ($splitDate < $startDate->format('Y-m-d') || $splitDate > $today || $splitDate <= substr((string)$firstTradeDates[$symbol], 0, 10)) {
+                    continue;
+                }
+
+                $events[] = [
+                    'type' => 'split',
+                    'subtype' => $split->isReverseSplit() ? 'reverse' : 'forward',
+                    'date' => $splitDate,
+                    'symbol' => $symbol,
+                    'ratio' => $split->split_ratio,
+                    'factor' => (float)$split->split_factor,
+                    'description' => "{$symbol} {$split->getFormattedRatio()}",
+                    'color' => '#6366f1', // indigo for splits
+                    'icon' => '✂️'
+                ];
+            }
+        }
+
         // Sort all events by date
         usort($events, function($a, $b) {
             return strtotime($a['date']) - strtotime($b['date']);
@@ -693,9 +1815,23 @@ class PortfolioService
     {
         $action = $transaction->transaction_type === 'buy' ? 'Bought' : 'Sold';
         $shares = number_format($transaction->quantity, 0);
-        $price = number_format($transaction->price, 2);
+        $price = formatCurrency((float)$transaction->price, $transaction->currency ?? 'USD');
+
+        return "{$action} {$shares} shares of {$transaction->stock_symbol} @ {$price}";
+    }
+
+    /**
+     * Generate description for transfer events, from the side of the portfolio shown
+     */
+    private function getTransferDescription(PortfolioTransfer $transfer, bool $incoming): string
+    {
+        $what = $transfer->isCash()
+            ? formatCurrency((float)$transfer->amount, $transfer->fromPortfolio?->currency ?? 'USD') . ' cash'
+            : number_format((float)$transfer->quantity, 0) . " shares of {$transfer->stock_symbol}";
 
-        return "{$action} {$shares} shares of {$transaction->stock_symbol} @ \${$price}";
+        return $incoming
+            ? "Received {$what} from {$transfer->fromPortfolio?->name}"
+            : "Transferred {$what} to {$transfer->toPortfolio?->name}";
     }
 
     /**
@@ -703,13 +1839,13 @@ class PortfolioService
      */
     private function getDividendDescription(DividendPayment $payment): string
     {
-        $amount = number_format($payment->total_dividend_amount, 2);
+        $amount = formatCurrency((float)$payment->total_dividend_amount, $payment->stock?->currency ?? 'USD');
 
         if ($payment->payment_type === 'drip') {
             $shares = number_format($payment->drip_shares_purchased, 3);
-            return "DRIP: \${$amount} → {$shares} shares of {$payment->stock_symbol}";
+            return "DRIP: {$amount} → {$shares} shares of {$payment->stock_symbol}";
         } else {
-            return "Cash dividend: \${$amount} from {$payment->stock_symbol}";
+            return "Cash dividend: {$amount} from {$payment->stock_symbol}";
         }
     }
 }
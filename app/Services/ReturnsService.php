@@ -0,0 +1,241 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use DateTime;
+
+/**
+ * Time-weighted and money-weighted returns from a daily value series.
+ *
+ * Inputs are dense calendar-day series keyed by Y-m-d: the end-of-day value and
+ * the external cash flow for each day (contributions positive, withdrawals
+ * negative). Contributions are treated as arriving at the start of the day and
+ * withdrawals as leaving at the end, so a buy or a full sale on day one prices
+ * correctly against that day's close.
+ */
+class ReturnsService
+{
+    public const PERIODS = [
+        'mtd' => 'MTD',
+        'qtd' => 'QTD',
+        'ytd' => 'YTD',
+        '1y' => '1Y',
+        '3y' => '3Y',
+        'inception' => 'Since Inception'
+    ];
+
+    /**
+     * TWR and MWR for each standard period ending on the last day of the series
+     */
+    public function calculatePeriodReturns(array $values, array $flows): array
+    {
+        if (empty($values)) {
+            return [];
+        }
+
+        $dates = array_keys($values);
+        $inception = $dates[0];
+        $endDate = end($dates);
+        $dayBeforeInception = (new DateTime($inception))->modify('-1 day')->format('Y-m-d');
+
+        $returns = [];
+        foreach (self::PERIODS as $period => $label) {
+            $baseDate = $this->getPeriodBaseDate($period, $endDate, $dayBeforeInception);
+
+            // 1Y and 3Y need a full period of history; to-date periods start at inception if it is later
+            if ($baseDate < $dayBeforeInception) {
+                if (in_array($period, ['1y', '3y'])) {
+                    $returns[] = ['period' => $period, 'label' => $label, 'available' => false];
+                    continue;
+                }
+                $baseDate = $dayBeforeInception;
+            }
+
+            $days = (int)(new DateTime($baseDate))->diff(new DateTime($endDate))->days;
+            $annualized = $days > 365;
+
+            $twr = $this->timeWeightedReturn($values, $flows, $baseDate, $endDate);
+            if ($twr !== null && $annualized) {
+                $twr = pow(1 + $twr, 365 / $days) - 1;
+            }
+
+            $returns[] = [
+                'period' => $period,
+                'label' => $label,
+                'available' => true,
+                'start_date' => (new DateTime($baseDate))->modify('+1 day')->format('Y-m-d'),
+                'end_date' => $endDate,
+                'days' => $days,
+                'annualized' => $annualized,
+                'twr' => $twr,
+                'mwr' => $this->moneyWeightedReturn($values, $flows, $baseDate, $endDate, $annualized ? 365 : max(1, $days))
+            ];
+        }
+
+        return $returns;
+    }
+
+    /**
+     * Chain-linked daily returns over the days after $baseDate up to $endDate (cumulative)
+     */
+    public function timeWeightedReturn(array $values, array $flows, string $baseDate, string $endDate): ?float
+    {
+        $growth = 1.0;
+        $previousValue = $values[$baseDate] ?? 0.0;
+        $linked = false;
+
+        foreach ($values as $date => $value) {
+            if ($date <= $baseDate || $date > $endDate) {
+                continue;
+            }
+
+            $flow = $flows[$date] ?? 0.0;
+            $startValue = $previousValue + max($flow, 0.0);
+            $endValue = $value - min($flow, 0.0);
+
+            if ($startValue > 0) {
+                $growth *= $endValue / $startValue;
+                $linked = true;
+            }
+
+            $previousValue = $value;
+        }
+
+        return $linked ? $growth - 1 : null;
+    }
+
+    /**
+     * Internal rate of return of the period's cash flows, per $basisDays
+     * (365 for an annual rate, the period length for a cumulative one)
+     */
+    public function moneyWeightedReturn(array $values, array $flows, string $baseDate, string $endDate, float $basisDays = 365): ?float
+    {
+        // From the investor's side: money in is negative, the ending value is a final inflow
+        $cashflows = [];
+        $startValue = $values[$baseDate] ?? 0.0;
+        if ($startValue > 0) {
+            $cashflows[] = [$baseDate, -$startValue];
+        }
+
+        foreach ($flows as $date => $flow) {
+            if ($date > $baseDate && $date <= $endDate && $flow != 0) {
+                // Contributions are in at the start of the day, so date them to the day before
+                $flowDate = $flow > 0 ? (new DateTime($date))->modify('-1 day')->format('Y-m-d') : $date;
+                $cashflows[] = [$flowDate, -$flow];
+            }
+        }
+
+        $cashflows[] = [$endDate, $values[$endDate] ?? 0.0];
+
+        return $this->xirr($cashflows, $basisDays);
+    }
+
+    /**
+     * Solve sum(cf / (1 + r)^(days / basisDays)) = 0 for r by bisection
+     */
+    public function xirr(array $cashflows, float $basisDays = 365): ?float
+    {
+        $hasInflow = false;
+        $hasOutflow = false;
+        foreach ($cashflows as [, $amount]) {
+            $hasInflow = $hasInflow || $amount > 0;
+            $hasOutflow = $hasOutflow || $amount < 0;
+        }
+        if (!$hasInflow || !$hasOutflow) {
+            return null;
+        }
+
+        $firstDate = new DateTime($cashflows[0][0]);
+        $points = array_map(function ($cashflow) use ($firstDate, $basisDays) {
+            $days = (int)$firstDate->diff(new DateTime($cashflow[0]))->format('%r%a');
+            return [$days / $basisDays, $cashflow[1]];
+        }, $cashflows);
+
+        $npv = function (float $rate) use ($points): float {
+            $total = 0.0;
+            foreach ($points as [$years, $amount]) {
+                $total += $amount / pow(1 + $rate, $years);
+            }
+            return $total;
+        };
+
+        $low = -0.999999;
+        $high = 1.0;
+        while ($npv($high) > 0 && $high < 1e6) {
+            $high *= 2;
+        }
+
+        $npvLow = $npv($low);
+        if (($npvLow > 0) === ($npv($high) > 0)) {
+            return null;
+        }
+
+        for ($i = 0; $i < 200; $i++) {
+            $mid = ($low + $high) / 2;
+            $npvMid = $npv($mid);
+
+            if (abs($npvMid) < 1e-9 || ($high - $low) < 1e-10) {
+                return $mid;
+            }
+
+            if (($npvMid > 0) === ($npvLow > 0)) {
+                $low = $mid;
+                $npvLow = $npvMid;
+            } else {
+                $high = $mid;
+            }
+        }
+
+        return ($low + $high) / 2;
+    }
+
+    /**
+     * Add several portfolios' value and flow series together, date by date
+     */
+    public function mergeSeries(array $seriesList): array
+    {
+        $values = [];
+        $flows = [];
+
+        foreach ($seriesList as $series) {
+            foreach ($series['values'] as $date => $value) {
+                $values[$date] = ($values[$date] ?? 0.0) + $value;
+            }
+            foreach ($series['flows'] as $date => $flow) {
+                $flows[$date] = ($flows[$date] ?? 0.0) + $flow;
+            }
+        }
+
+        ksort($values);
+
+        return ['values' => $values, 'flows' => $flows];
+    }
+
+    /**
+     * The last day before the period starts (its end-of-day value is the starting value)
+     */
+    private function getPeriodBaseDate(string $period, string $endDate, string $dayBeforeInception): string
+    {
+        $end = new DateTime($endDate);
+        $year = (int)$end->format('Y');
+        $month = (int)$end->format('n');
+
+        switch ($period) {
+            case 'mtd':
+                return (new DateTime($end->format('Y-m-01')))->modify('-1 day')->format('Y-m-d');
+            case 'qtd':
+                $quarterStart = sprintf('%d-%02d-01', $year, intdiv($month - 1, 3) * 3 + 1);
+                return (new DateTime($quarterStart))->modify('-1 day')->format('Y-m-d');
+            case 'ytd':
+                return ($year - 1) . '-12-31';
+            case '1y':
+                return (clone $end)->modify('-1 year')->format('Y-m-d');
+            case '3y':
+                return (clone $end)->modify('-3 years')->format('Y-m-d');
+            default:
+                return $dayBeforeInception;
+        }
+    }
+}
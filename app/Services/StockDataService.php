@@ -223,6 +223,9 @@ class StockDataService
             // Also create/update the quote
             $this->updateStockQuote($stock, $quoteData);
 
+            // Sector and industry for the allocation charts
+            $this->updateStockProfile($stock);
+
             // Automatically fetch 1 year of historical data for new stocks
             $this->log("New stock {$symbol} created, fetching 1 year of historical data...");
             $this->fetchHistoricalData($symbol, 365);
@@ -281,7 +284,45 @@ class StockDataService
             return false;
         }
     }
-    
+
+    /**
+     * Update sector, industry and fund look-through weights from the company profile
+     */
+    public function updateStockProfile(Stock $stock): bool
+    {
+        if (!$this->fmpService->isAvailable()) {
+            $this->log("FMP service not available for {$stock->symbol} profile");
+            return false;
+        }
+
+        try {
+            $profile = $this->fmpService->fetchCompanyProfile($stock->symbol);
+            if (!$profile) {
+                $this->log("No company profile found for {$stock->symbol}");
+                return false;
+            }
+
+            $stock->sector = $profile['sector'] ?? $stock->sector;
+            $stock->industry = $profile['industry'] ?? $stock->industry;
+            $stock->market_cap = $profile['market_cap'] ?? $stock->market_cap;
+            $stock->is_etf = $profile['is_etf'];
+            if ($profile['country'] && strlen($profile['country']) === 2) {
+                $stock->country = $profile['country'];
+            }
+            if ($profile['is_etf']) {
+                $stock->sector_weights = $this->fmpService->fetchEtfSectorWeights($stock->symbol) ?: null;
+            }
+            $stock->profile_updated_at = DateTimeHelper::now();
+            $stock->save();
+
+            return true;
+
+        } catch (Exception $e) {
+            $this->log("Error updating profile for {$stock->symbol}: " . $e->getMessage());
+            return false;
+        }
+    }
+
     /**
      * Update quotes for multiple stocks
      */
@@ -772,7 +813,7 @@ class StockDataService
             'fifty_two_week_low' => (float)$quote->fifty_two_week_low,
             'quote_time' => $quote->quote_time,
             'market_state' => $quote->market_state,
-            'currency' => 'USD', // Default, could be stored in stocks table
+            'currency' => $quote->stock?->currency ?: 'USD',
             'exchange' => $quote->stock?->exchange ?? null,
             'name' => $quote->stock?->name ?? $quote->symbol
         ];
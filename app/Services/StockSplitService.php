@@ -0,0 +1,118 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\Stock;
+use App\Models\StockSplit;
+use DateTime;
+use Exception;
+
+/**
+ * Stock splits and the share adjustments they imply.
+ *
+ * A split takes effect at the start of its split date: trades dated before it
+ * are in pre-split shares, trades on or after it in post-split shares. Trades
+ * are never rewritten; lots and share counts are restated when they are built.
+ */
+class StockSplitService
+{
+    /**
+     * Splits for the given symbols, oldest first
+     *
+     * @return array StockSplit[] keyed by symbol
+     */
+    public function getSplits(array $symbols): array
+    {
+        if (empty($symbols)) {
+            return [];
+        }
+
+        $splits = [];
+        foreach (StockSplit::whereIn('symbol', $symbols)->orderBy('split_date')->get() as $split) {
+            $splits[$split->symbol][] = $split;
+        }
+
+        return $splits;
+    }
+
+    /**
+     * Combined factor of the splits after $fromDate up to and including $toDate
+     *
+     * Multiplying shares held on $fromDate by it gives the same position in the
+     * shares of $toDate.
+     *
+     * @param StockSplit[] $splits
+     */
+    public function getFactorBetween(array $splits, string $fromDate, string $toDate): float
+    {
+        $factor = 1.0;
+        foreach ($splits as $split) {
+            $splitDate = $split->split_date->format('Y-m-d');
+            if ($splitDate > $fromDate && $splitDate <= $toDate) {
+                $factor *= (float)$split->split_factor;
+            }
+        }
+
+        return $factor;
+    }
+
+    /**
+     * Create a split, or correct an existing one
+     */
+    public function saveSplit(array $data, ?StockSplit $split = null): StockSplit
+    {
+        $symbol = strtoupper(trim((string)($data['symbol'] ?? $split?->symbol ?? '')));
+        $splitDate = $data['split_date'] ?? $split?->split_date?->format('Y-m-d');
+        $ratio = trim((string)($data['split_ratio'] ?? $split?->split_ratio ?? ''));
+
+        if ($symbol === '' || !Stock::find($symbol)) {
+            throw new Exception("Unknown stock symbol: {$symbol}");
+        }
+
+        $date = DateTime::createFromFormat('!Y-m-d', (string)$splitDate);
+        if (!$date || $date->format('Y-m-d') !== $splitDate) {
+            throw new Exception('Split date must be a valid date (YYYY-MM-DD)');
+        }
+
+        $factor = $this->parseRatio($ratio);
+
+        $duplicate = StockSplit::where('symbol', $symbol)
+            ->where('split_date', $splitDate)
+            ->when($split, fn($query) => $query->where('id', '!=', $split->id))
+            ->exists();
+        if ($duplicate) {
+            throw new Exception("{$symbol} already has a split on {$splitDate}");
+        }
+
+        $split = $split ?? new StockSplit();
+        $split->fill([
+            'symbol' => $symbol,
+            'split_date' => $splitDate,
+            'split_ratio' => $ratio,
+            'split_factor' => $factor
+        ]);
+        $split->save();
+
+        return $split;
+    }
+
+    /**
+     * Shares after the split per share before it, from a ratio like "4:1", "3-for-2" or "1:10"
+     */
+    public function parseRatio(string $ratio): float
+    {
+        if (!preg_match('/^\s*(\d+(?:\.\d+)?)\s*(?::|\/|-for-|\s+for\s+)\s*(\d+(?:\.\d+)?)\s*$/i', $ratio, $matches)
+            || (float)$matches[1] <= 0 || (float)$matches[2] <= 0) {
+            throw new Exception('Split ratio must look like 4:1 (forward) or 1:10 (reverse)');
+        }
+
+        $factor = (float)$matches[1] / (float)$matches[2];
+        if ($factor == 1.0) {
+            throw new Exception('A 1:1 split does not change anything');
+        }
+
+        return round($factor, 6);
+    }
+}
@@ -0,0 +1,344 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\StockSplit;
+use App\Models\Transaction;
+use DateTime;
+use Exception;
+
+/**
+ * Builds tax lots from a portfolio's trades.
+ *
+ * Every buy opens a lot. Every sell relieves shares from open lots using the
+ * method recorded on the sell (or the portfolio default): FIFO, LIFO, HIFO
+ * (highest cost first) or specific lots chosen at the time of the sale.
+ * Transfers between portfolios relieve lots without realizing a gain and
+ * reopen them in the receiving portfolio with their cost and acquisition date.
+ * Stock splits restate the shares and cost per share of the lots open on the
+ * split date; the lot's total cost basis is unchanged.
+ *
+ * Prices are in the trade's currency. Each lot keeps the rate into the
+ * portfolio's currency it was bought at, and disposals report their result in
+ * the portfolio's currency split into price and FX gain.
+ */
+class TaxLotService
+{
+    public const METHODS = ['fifo', 'lifo', 'hifo', 'specific'];
+
+    // Quantities below this are treated as zero to absorb decimal rounding
+    private const EPSILON = 0.000001;
+
+    public function __construct(
+        private StockSplitService $stockSplitService
+    ) {}
+
+    /**
+     * Replay transactions (one or more symbols) into open lots and closed lot disposals
+     *
+     * With $asOfDate, only trades up to that date are replayed and the open lots
+     * are in the shares of that date rather than today's. With $strict, a sell or
+     * transfer out that the open lots can't cover throws instead of relieving
+     * only the shares there are.
+     */
+    public function buildLots(iterable $transactions, string $defaultMethod = 'fifo', ?string $asOfDate = null, bool $strict = false): array
+    {
+        $openLots = [];
+        $closedLots = [];
+        $asOfDate = $asOfDate ?? date('Y-m-d');
+
+        $sorted = array_values(array_filter(
+            $this->sortTransactions($transactions),
+            fn($transaction) => $transaction->transaction_date->format('Y-m-d') <= $asOfDate
+        ));
+        $splits = $this->stockSplitService->getSplits(array_values(array_unique(array_map(fn($t) => $t->stock_symbol, $sorted))));
+
+        foreach ($sorted as $transaction) {
+            $symbol = $transaction->stock_symbol;
+            $openLots[$symbol] = $openLots[$symbol] ?? [];
+
+            // Splits up to this trade restate the lots it trades against
+            $this->applySplits($openLots[$symbol], $splits[$symbol], $transaction->transaction_date->format('Y-m-d'));
+
+            if (in_array($transaction->transaction_type, ['buy', 'transfer_in'])) {
+                $openLots[$symbol][] = $this->openLot($transaction);
+            } elseif ($transaction->transaction_type === 'sell') {
+                $method = $transaction->lot_method ?: $defaultMethod;
+                $closedLots = array_merge(
+                    $closedLots,
+                    $this->relieveLots($openLots[$symbol], $transaction, $method, $strict)
+                );
+            } elseif ($transaction->transaction_type === 'transfer_out') {
+                // Transferred lots keep their basis in the receiving portfolio; nothing is realized
+                $this->relieveLots($openLots[$symbol], $transaction, $transaction->lot_method ?: $defaultMethod, $strict);
+            }
+        }
+
+        $open = [];
+        foreach ($openLots as $symbol => $lots) {
+            $this->applySplits($lots, $splits[$symbol], $asOfDate);
+            foreach ($lots as $lot) {
+                if ($lot['remaining_quantity'] > self::EPSILON) {
+                    $open[] = $this->withHoldingPeriod($lot, $asOfDate);
+                }
+            }
+        }
+
+        return [
+            'open_lots' => $open,
+            'closed_lots' => $closedLots
+        ];
+    }
+
+    /**
+     * Check that every sell and transfer out is covered by the lots open at its date,
+     * including the specific lots it picked. Throws for the first one that isn't.
+     */
+    public function assertLotsCovered(iterable $transactions, string $defaultMethod = 'fifo'): void
+    {
+        $this->buildLots($transactions, $defaultMethod, null, true);
+    }
+
+    /**
+     * Check that specific lot selections for a sell refer to open lots with enough shares
+     */
+    public function validateLotSelections(iterable $transactions, array $selections, string $symbol, float $quantity, string $defaultMethod = 'fifo'): void
+    {
+        $openLots = [];
+        foreach ($this->buildLots($transactions, $defaultMethod)['open_lots'] as $lot) {
+            if ($lot['stock_symbol'] === $symbol) {
+                $openLots[$lot['lot_id']] = $lot;
+            }
+        }
+
+        $selectedTotal = 0;
+        foreach ($selections as $selection) {
+            $lotId = (int)($selection['lot_id'] ?? 0);
+            $selectedQuantity = (float)($selection['quantity'] ?? 0);
+
+            if (!isset($openLots[$lotId])) {
+                throw new Exception("Lot {$lotId} is not an open {$symbol} lot");
+            }
+            if ($selectedQuantity <= 0) {
+                throw new Exception('Selected lot quantities must be greater than 0');
+            }
+            if ($selectedQuantity - $openLots[$lotId]['remaining_quantity'] > self::EPSILON) {
+                throw new Exception("Lot {$lotId} only has {$openLots[$lotId]['remaining_quantity']} shares remaining");
+            }
+            $selectedTotal += $selectedQuantity;
+        }
+
+        if (abs($selectedTotal - $quantity) > self::EPSILON) {
+            throw new Exception('Selected lot quantities must add up to the number of shares sold');
+        }
+    }
+
+    private function openLot(Transaction $transaction): array
+    {
+        $quantity = (float)$transaction->quantity;
+        // Commissions are part of the cost basis
+        $costPerShare = $quantity > 0
+            ? ((float)$transaction->price * $quantity + (float)$transaction->fees) / $quantity
+            : 0;
+
+        return [
+            'lot_id' => $transaction->id,
+            'stock_symbol' => $transaction->stock_symbol,
+            // A transferred lot keeps the date it was first bought
+            'acquired_date' => ($transaction->acquired_date ?? $transaction->transaction_date)->format('Y-m-d'),
+            'quantity' => $quantity,
+            'remaining_quantity' => $quantity,
+            'price' => (float)$transaction->price,
+            'cost_per_share' => $costPerShare,
+            'currency' => $transaction->currency,
+            'fx_rate' => $transaction->getFxRate(),
+            'dividend_payment_id' => $transaction->dividend_payment_id,
+            'transfer_id' => $transaction->transfer_id,
+            'splits' => []
+        ];
+    }
+
+    /**
+     * Relieve a sell's (or transfer out's) shares from open lots, returning one disposal per lot touched
+     *
+     * @throws Exception In strict mode, when a picked lot or the open lots don't have the shares
+     */
+    private function relieveLots(array &$lots, Transaction $sell, string $method, bool $strict = false): array
+    {
+        $remaining = (float)$sell->quantity;
+        $sellPrice = (float)$sell->price;
+        $sellFees = (float)$sell->fees;
+        $sellQuantity = (float)$sell->quantity;
+        $sellFxRate = $sell->getFxRate();
+        $soldDate = $sell->transaction_date->format('Y-m-d');
+        $disposals = [];
+
+        // Specific selections first, then the remainder (if any) by FIFO
+        $plan = [];
+        if ($method === 'specific' && !empty($sell->lot_selections)) {
+            foreach ($sell->lot_selections as $selection) {
+                $plan[] = [(int)$selection['lot_id'], (float)$selection['quantity']];
+            }
+            $method = 'fifo';
+        }
+        foreach ($this->orderLots($lots, $method) as $index) {
+            $plan[] = [$lots[$index]['lot_id'], INF];
+        }
+
+        foreach ($plan as [$lotId, $maxQuantity]) {
+            if ($remaining <= self::EPSILON) {
+                break;
+            }
+
+            $index = $this->findLotIndex($lots, $lotId);
+            if ($strict && $maxQuantity !== INF
+                && ($index === null || $maxQuantity - $lots[$index]['remaining_quantity'] > self::EPSILON)) {
+                throw new Exception(sprintf(
+                    'Lot %d picked by the %s on %s no longer has the %s shares it needs',
+                    $lotId, $this->describeTrade($sell), $soldDate, $this->formatQuantity($maxQuantity)
+                ));
+            }
+            if ($index === null || $lots[$index]['remaining_quantity'] <= self::EPSILON) {
+                continue;
+            }
+
+            $quantity = min($remaining, $maxQuantity, $lots[$index]['remaining_quantity']);
+            $lots[$index]['remaining_quantity'] -= $quantity;
+            $remaining -= $quantity;
+
+            $costBasis = $quantity * $lots[$index]['cost_per_share'];
+            // Sale commissions reduce proceeds pro rata across the lots sold
+            $fees = $sellQuantity > 0 ? $sellFees * $quantity / $sellQuantity : 0;
+            $proceeds = $quantity * $sellPrice - $fees;
+            $lotFxRate = $lots[$index]['fx_rate'];
+
+            $disposals[] = $this->withHoldingPeriod([
+                'sell_transaction_id' => $sell->id,
+                'lot_id' => $lots[$index]['lot_id'],
+                'stock_symbol' => $sell->stock_symbol,
+                'quantity' => $quantity,
+                'acquired_date' => $lots[$index]['acquired_date'],
+                'sold_date' => $soldDate,
+                'cost_per_share' => $lots[$index]['cost_per_share'],
+                'cost_basis' => $costBasis,
+                'proceeds' => $proceeds,
+                'fees' => $fees,
+                'gain_loss' => $proceeds - $costBasis,
+                'currency' => $lots[$index]['currency'],
+                'cost_basis_base' => $costBasis * $lotFxRate,
+                'proceeds_base' => $proceeds * $sellFxRate,
+                'fees_base' => $fees * $sellFxRate,
+                'gain_loss_base' => $proceeds * $sellFxRate - $costBasis * $lotFxRate,
+                // The part of the result due to the rate moving between purchase and sale
+                'fx_gain_loss' => $proceeds * ($sellFxRate - $lotFxRate)
+            ], $soldDate);
+        }
+
+        if ($strict && $remaining > self::EPSILON) {
+            throw new Exception(sprintf(
+                'The %s of %s %s on %s is %s shares more than were open',
+                $this->describeTrade($sell), $this->formatQuantity($sellQuantity), $sell->stock_symbol,
+                $soldDate, $this->formatQuantity($remaining)
+            ));
+        }
+
+        return $disposals;
+    }
+
+    private function describeTrade(Transaction $transaction): string
+    {
+        return $transaction->transaction_type === 'transfer_out' ? 'transfer out' : 'sell';
+    }
+
+    private function formatQuantity(float $quantity): string
+    {
+        return rtrim(rtrim(number_format($quantity, 6, '.', ''), '0'), '.');
+    }
+
+    /**
+     * Apply the pending splits dated on or before $date to the open lots, removing them from the queue
+     *
+     * @param StockSplit[]|null $splits Splits for one symbol, oldest first
+     */
+    private function applySplits(array &$lots, ?array &$splits, string $date): void
+    {
+        while (!empty($splits) && $splits[0]->split_date->format('Y-m-d') <= $date) {
+            $split = array_shift($splits);
+            $factor = (float)$split->split_factor;
+
+            foreach ($lots as &$lot) {
+                $lot['quantity'] *= $factor;
+                $lot['remaining_quantity'] *= $factor;
+                $lot['price'] /= $factor;
+                $lot['cost_per_share'] /= $factor;
+                $lot['splits'][] = $split->split_ratio;
+            }
+            unset($lot);
+        }
+    }
+
+    /**
+     * Indexes of open lots in the order the method relieves them
+     */
+    private function orderLots(array $lots, string $method): array
+    {
+        $indexes = array_keys($lots);
+
+        usort($indexes, function ($a, $b) use ($lots, $method) {
+            switch ($method) {
+                case 'lifo':
+                    return [$lots[$b]['acquired_date'], $b] <=> [$lots[$a]['acquired_date'], $a];
+                case 'hifo':
+                    return [$lots[$b]['cost_per_share'], $a] <=> [$lots[$a]['cost_per_share'], $b];
+                default:
+                    return [$lots[$a]['acquired_date'], $a] <=> [$lots[$b]['acquired_date'], $b];
+            }
+        });
+
+        return $indexes;
+    }
+
+    private function findLotIndex(array $lots, int $lotId): ?int
+    {
+        foreach ($lots as $index => $lot) {
+            if ($lot['lot_id'] === $lotId) {
+                return $index;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Long-term once held for more than one year (acquired date + 1 year, exclusive)
+     */
+    private function withHoldingPeriod(array $lot, string $asOfDate): array
+    {
+        $acquired = new DateTime($lot['acquired_date']);
+        $asOf = new DateTime($asOfDate);
+        $oneYearLater = (clone $acquired)->modify('+1 year');
+
+        $lot['holding_period_days'] = (int)$acquired->diff($asOf)->days;
+        $lot['term'] = $asOf > $oneYearLater ? 'long' : 'short';
+
+        if (isset($lot['remaining_quantity'])) {
+            $lot['remaining_cost_basis'] = $lot['remaining_quantity'] * $lot['cost_per_share'];
+            $lot['remaining_cost_basis_base'] = $lot['remaining_cost_basis'] * $lot['fx_rate'];
+        }
+
+        return $lot;
+    }
+
+    private function sortTransactions(iterable $transactions): array
+    {
+        $sorted = is_array($transactions) ? $transactions : iterator_to_array($transactions);
+
+        usort($sorted, function ($a, $b) {
+            return [$a->transaction_date->format('Y-m-d'), $a->created_at, $a->id]
+                <=> [$b->transaction_date->format('Y-m-d'), $b->created_at, $b->id];
+        });
+
+        return $sorted;
+    }
+}
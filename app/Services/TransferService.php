@@ -0,0 +1,351 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\CashTransaction;
+use App\Models\Portfolio;
+use App\Models\PortfolioTransfer;
+use App\Models\StockQuote;
+use App\Models\Transaction;
+use DateTime;
+use Exception;
+
+/**
+ * Moves shares or cash between two of a user's portfolios.
+ *
+ * A share transfer relieves the chosen lots in the sending portfolio with a
+ * transfer_out trade and reopens each of them in the receiving portfolio with
+ * a transfer_in trade at its cost per share and original acquisition date, so
+ * holding periods and cost basis carry over and no gain is realized. Between
+ * portfolios kept in different currencies the lot is restated at the rate of
+ * its acquisition date, as if it had been bought in the receiving one. A cash
+ * transfer records a cash entry on each side. Both sides are written in one
+ * database transaction and are undone together.
+ *
+ * A back-dated transfer or the undoing of one is refused when it would leave a
+ * later sell or transfer out in either portfolio without the shares it relieved.
+ */
+class TransferService
+{
+    // Quantities below this are treated as zero to absorb decimal rounding
+    private const EPSILON = 0.000001;
+
+    public function __construct(
+        private PortfolioService $portfolioService,
+        private TaxLotService $taxLotService,
+        private StockDataService $stockDataService,
+        private StockSplitService $stockSplitService,
+        private FxRateService $fxRateService
+    ) {}
+
+    /**
+     * Transfers in and out of a portfolio, newest first
+     */
+    public function getTransfers(Portfolio $portfolio): array
+    {
+        $transfers = PortfolioTransfer::forPortfolio($portfolio->id)
+            ->with(['fromPortfolio', 'toPortfolio'])
+            ->orderByDate('desc')
+            ->get();
+
+        return $transfers->map(fn($transfer) => $this->formatTransfer($transfer, $portfolio))->all();
+    }
+
+    /**
+     * Move lots of one stock to another portfolio
+     *
+     * @param array $data {stock_symbol, transfer_date, lots: [{lot_id, quantity}], market_price?, notes?}
+     */
+    public function transferShares(Portfolio $from, Portfolio $to, array $data): PortfolioTransfer
+    {
+        $this->validatePortfolios($from, $to);
+        $date = $this->validateDate($data['transfer_date'] ?? null);
+        $symbol = strtoupper(trim((string)($data['stock_symbol'] ?? '')));
+
+        if ($symbol === '') {
+            throw new Exception("Field 'stock_symbol' is required");
+        }
+        if (empty($data['lots']) || !is_array($data['lots'])) {
+            throw new Exception('Select at least one lot to transfer');
+        }
+
+        // The lots as they stood on the transfer date
+        $transactions = Transaction::where('portfolio_id', $from->id)
+            ->where('stock_symbol', $symbol)
+            ->whereIn('transaction_type', Transaction::LOT_TYPES)
+            ->get();
+        $openLots = [];
+        foreach ($this->taxLotService->buildLots($transactions, $from->lot_method ?? 'fifo', $date)['open_lots'] as $lot) {
+            $openLots[$lot['lot_id']] = $lot;
+        }
+
+        $selections = [];
+        foreach ($data['lots'] as $selection) {
+            $lotId = (int)($selection['lot_id'] ?? 0);
+            $quantity = (float)($selection['quantity'] ?? 0);
+
+            if ($quantity <= 0) {
+                continue;
+            }
+            if (!isset($openLots[$lotId])) {
+                throw new Exception("Lot {$lotId} is not an open {$symbol} lot on {$date}");
+            }
+            if ($quantity - $openLots[$lotId]['remaining_quantity'] > self::EPSILON) {
+                throw new Exception("Lot {$lotId} only has {$openLots[$lotId]['remaining_quantity']} shares on {$date}");
+            }
+            $selections[] = ['lot_id' => $lotId, 'quantity' => $quantity];
+        }
+
+        if (empty($selections)) {
+            throw new Exception('Select at least one lot to transfer');
+        }
+
+        $totalQuantity = array_sum(array_column($selections, 'quantity'));
+        $marketPrice = $this->resolveMarketPrice($symbol, $date, $data['market_price'] ?? null);
+
+        $currency = $openLots[$selections[0]['lot_id']]['currency'] ?? $from->currency;
+
+        return $from->getConnection()->transaction(function () use ($from, $to, $data, $date, $symbol, $currency, $selections, $openLots, $totalQuantity, $marketPrice) {
+            $transfer = PortfolioTransfer::create([
+                'user_id' => $from->user_id,
+                'from_portfolio_id' => $from->id,
+                'to_portfolio_id' => $to->id,
+                'transfer_type' => 'shares',
+                'stock_symbol' => $symbol,
+                'quantity' => $totalQuantity,
+                'market_price' => $marketPrice,
+                'amount' => $totalQuantity * $marketPrice,
+                'transfer_date' => $date,
+                'notes' => $data['notes'] ?? null
+            ]);
+
+            Transaction::create([
+                'portfolio_id' => $from->id,
+                'stock_symbol' => $symbol,
+                'transaction_type' => 'transfer_out',
+                'quantity' => $totalQuantity,
+                'price' => $marketPrice,
+                'fees' => 0,
+                'currency' => $currency,
+                'fx_rate' => $this->fxRateService->getRate($currency, $from->currency, $date),
+                'transaction_date' => $date,
+                'notes' => "Transferred to {$to->name}",
+                'transfer_id' => $transfer->id,
+                'lot_method' => 'specific',
+                'lot_selections' => $selections
+            ]);
+
+            foreach ($selections as $selection) {
+                $lot = $openLots[$selection['lot_id']];
+
+                Transaction::create([
+                    'portfolio_id' => $to->id,
+                    'stock_symbol' => $symbol,
+                    'transaction_type' => 'transfer_in',
+                    'quantity' => $selection['quantity'],
+                    'price' => $lot['cost_per_share'],
+                    'fees' => 0,
+                    'currency' => $currency,
+                    'fx_rate' => $from->currency === $to->currency
+                        ? $lot['fx_rate']
+                        : $this->fxRateService->getRate($currency, $to->currency, $lot['acquired_date']),
+                    'transaction_date' => $date,
+                    'acquired_date' => $lot['acquired_date'],
+                    'notes' => "Transferred from {$from->name}",
+                    'transfer_id' => $transfer->id
+                ]);
+            }
+
+            // Later sells from the sending portfolio must still have their shares
+            $this->assertLotsCovered($from, $symbol, 'This transfer');
+
+            $this->portfolioService->recalculateHoldingForStock($from->id, $symbol);
+            $this->portfolioService->recalculateHoldingForStock($to->id, $symbol);
+
+            return $transfer;
+        });
+    }
+
+    /**
+     * Move cash to another portfolio, converted into its currency at the rate of the transfer date
+     *
+     * @param array $data {amount, transfer_date, notes?}
+     */
+    public function transferCash(Portfolio $from, Portfolio $to, array $data): PortfolioTransfer
+    {
+        $this->validatePortfolios($from, $to);
+        $date = $this->validateDate($data['transfer_date'] ?? null);
+
+        $amount = $data['amount'] ?? null;
+        if (!is_numeric($amount) || (float)$amount <= 0) {
+            throw new Exception('Amount must be greater than 0');
+        }
+        $amount = (float)$amount;
+
+        $rate = $this->fxRateService->getRate($from->currency, $to->currency, $date);
+        if ($rate === null) {
+            throw new Exception("No {$from->currency}/{$to->currency} exchange rate is available for {$date}");
+        }
+
+        return $from->getConnection()->transaction(function () use ($from, $to, $data, $date, $amount, $rate) {
+            $transfer = PortfolioTransfer::create([
+                'user_id' => $from->user_id,
+                'from_portfolio_id' => $from->id,
+                'to_portfolio_id' => $to->id,
+                'transfer_type' => 'cash',
+                'amount' => $amount,
+                'transfer_date' => $date,
+                'notes' => $data['notes'] ?? null
+            ]);
+
+            CashTransaction::create([
+                'portfolio_id' => $from->id,
+                'transaction_type' => 'transfer_out',
+                'amount' => $amount,
+                'transaction_date' => $date,
+                'notes' => "Transfer to {$to->name}",
+                'transfer_id' => $transfer->id
+            ]);
+
+            CashTransaction::create([
+                'portfolio_id' => $to->id,
+                'transaction_type' => 'transfer_in',
+                'amount' => $amount * $rate,
+                'transaction_date' => $date,
+                'notes' => "Transfer from {$from->name}",
+                'transfer_id' => $transfer->id
+            ]);
+
+            return $transfer;
+        });
+    }
+
+    /**
+     * Undo a transfer: remove both sides and rebuild the holdings they touched
+     */
+    public function deleteTransfer(PortfolioTransfer $transfer): void
+    {
+        $transfer->getConnection()->transaction(function () use ($transfer) {
+            $transfer->transactions()->delete();
+            $transfer->cashTransactions()->delete();
+            $transfer->delete();
+
+            if ($transfer->isShares()) {
+                // The receiving portfolio may have sold or moved on the shares since
+                $this->assertLotsCovered($transfer->toPortfolio, $transfer->stock_symbol, 'Undoing this transfer');
+
+                $this->portfolioService->recalculateHoldingForStock((int)$transfer->from_portfolio_id, $transfer->stock_symbol);
+                $this->portfolioService->recalculateHoldingForStock((int)$transfer->to_portfolio_id, $transfer->stock_symbol);
+            }
+        });
+    }
+
+    /**
+     * A transfer touching the portfolio, or null
+     */
+    public function findTransfer(Portfolio $portfolio, int $transferId): ?PortfolioTransfer
+    {
+        return PortfolioTransfer::forPortfolio($portfolio->id)->find($transferId);
+    }
+
+    /**
+     * Transfer as seen from one of its portfolios
+     */
+    public function formatTransfer(PortfolioTransfer $transfer, Portfolio $portfolio): array
+    {
+        $incoming = (int)$transfer->to_portfolio_id === (int)$portfolio->id;
+        $counterparty = $incoming ? $transfer->fromPortfolio : $transfer->toPortfolio;
+
+        return [
+            'id' => $transfer->id,
+            'transfer_type' => $transfer->transfer_type,
+            'direction' => $incoming ? 'in' : 'out',
+            'from_portfolio_id' => $transfer->from_portfolio_id,
+            'to_portfolio_id' => $transfer->to_portfolio_id,
+            'counterparty_portfolio_id' => $counterparty?->id,
+            'counterparty_portfolio_name' => $counterparty?->name,
+            'stock_symbol' => $transfer->stock_symbol,
+            'quantity' => $transfer->quantity !== null ? (float)$transfer->quantity : null,
+            'market_price' => $transfer->market_price !== null ? (float)$transfer->market_price : null,
+            'amount' => (float)$transfer->amount,
+            'transfer_date' => $transfer->transfer_date->format('Y-m-d'),
+            'notes' => $transfer->notes
+        ];
+    }
+
+    /**
+     * Replay a stock's whole trade history in a portfolio, throwing (and so rolling
+     * back the surrounding transaction) if a sell or transfer out is left short
+     */
+    private function assertLotsCovered(Portfolio $portfolio, string $symbol, string $action): void
+    {
+        $transactions = Transaction::where('portfolio_id', $portfolio->id)
+            ->where('stock_symbol', $symbol)
+            ->whereIn('transaction_type', Transaction::LOT_TYPES)
+            ->get();
+
+        try {
+            $this->taxLotService->assertLotsCovered($transactions, $portfolio->lot_method ?? 'fifo');
+        } catch (Exception $e) {
+            throw new Exception("{$action} would leave {$portfolio->name} short: " . lcfirst($e->getMessage()));
+        }
+    }
+
+    private function validatePortfolios(Portfolio $from, Portfolio $to): void
+    {
+        if ((int)$from->id === (int)$to->id) {
+            throw new Exception('Choose a different portfolio to transfer to');
+        }
+
+        if ((int)$from->user_id !== (int)$to->user_id) {
+            throw new Exception('Transfers are only possible between your own portfolios');
+        }
+    }
+
+    private function validateDate($value): string
+    {
+        $date = DateTime::createFromFormat('!Y-m-d', (string)$value);
+        if (!$date || $date->format('Y-m-d') !== $value) {
+            throw new Exception('Transfer date must be a valid date (YYYY-MM-DD)');
+        }
+
+        if ($value > date('Y-m-d')) {
+            throw new Exception('Transfer date cannot be in the future');
+        }
+
+        return $value;
+    }
+
+    /**
+     * Market price per share on the transfer date, in that date's shares
+     *
+     * Used to value the transfer for returns; the lots themselves keep their cost.
+     */
+    private function resolveMarketPrice(string $symbol, string $date, $submitted): float
+    {
+        if ($submitted !== null && $submitted !== '') {
+            if (!is_numeric($submitted) || (float)$submitted <= 0) {
+                throw new Exception('Market price must be greater than 0');
+            }
+            return (float)$submitted;
+        }
+
+        if ($date === date('Y-m-d')) {
+            $quote = StockQuote::where('symbol', $symbol)->value('current_price');
+            if ($quote) {
+                return (float)$quote;
+            }
+        }
+
+        // Stored closes are split-adjusted to today's shares
+        $close = $this->stockDataService->getMostRecentPrice($symbol, $date);
+        if ($close) {
+            $splits = $this->stockSplitService->getSplits([$symbol])[$symbol] ?? [];
+            return $close * $this->stockSplitService->getFactorBetween($splits, $date, date('Y-m-d'));
+        }
+
+        throw new Exception("No {$symbol} price is available for {$date}; enter the market price");
+    }
+}
@@ -6,11 +6,27 @@ namespace App\Services;
 
 use App\Models\User;
 use App\Models\UserPreference;
+use DateTimeZone;
 use Exception;
 use Illuminate\Database\Eloquent\Collection;
 
 class UserService
 {
+    public const THEMES = ['light', 'dark', 'auto'];
+
+    // PHP date() formats the frontend knows how to render
+    public const DATE_FORMATS = ['Y-m-d', 'm/d/Y', 'd/m/Y', 'd.m.Y', 'M j, Y', 'j M Y'];
+
+    public const CHART_PERIODS = ['1D', '1W', '1M', '3M', '1Y'];
+
+    // Widgets the dashboard can show, and their widths (one grid column or the full row)
+    public const DASHBOARD_WIDGETS = [
+        'overview_chart', 'allocation_chart', 'top_movers', 'upcoming_dividends',
+        'watchlist', 'alerts', 'returns_table'
+    ];
+
+    public const DASHBOARD_WIDGET_SIZES = ['half', 'full'];
+
     /**
      * Create a new user
      */
@@ -163,6 +179,100 @@ class UserService
         return $this->deactivate($user)->save();
     }
     
+    /**
+     * Get the user's preferences, creating the defaults if they have none yet
+     */
+    public function getPreferences(User $user): UserPreference
+    {
+        return $user->preferences ?? $this->createDefaultPreferences($user);
+    }
+    
+    /**
+     * Update the user's preferences
+     */
+    public function updatePreferences(User $user, array $data): UserPreference
+    {
+        $preferences = $this->getPreferences($user);
+        $data = array_intersect_key($data, array_flip([
+            'theme', 'timezone', 'currency', 'date_format', 'locale', 'chart_period',
+            'notifications_enabled', 'email_notifications', 'dashboard_layout'
+        ]));
+        
+        if (isset($data['theme']) && !in_array($data['theme'], self::THEMES, true)) {
+            throw new Exception('Theme must be light, dark or auto');
+        }
+        
+        if (isset($data['timezone']) && !in_array($data['timezone'], $this->getTimezones(), true)) {
+            throw new Exception('Unknown timezone');
+        }
+        
+        if (isset($data['currency'])) {
+            $data['currency'] = strtoupper(trim($data['currency']));
+            if (!preg_match('/^[A-Z]{3}$/', $data['currency'])) {
+                throw new Exception('Currency must be a 3-letter code');
+            }
+        }
+        
+        if (isset($data['date_format']) && !in_array($data['date_format'], self::DATE_FORMATS, true)) {
+            throw new Exception('Unsupported date format');
+        }
+        
+        if (array_key_exists('locale', $data)) {
+            $data['locale'] = $data['locale'] ?: null;
+            if ($data['locale'] !== null && !preg_match('/^[a-z]{2,3}(-[A-Z][A-Za-z]{1,3})?$/', $data['locale'])) {
+                throw new Exception('Invalid number format');
+            }
+        }
+        
+        if (isset($data['chart_period']) && !in_array($data['chart_period'], self::CHART_PERIODS, true)) {
+            throw new Exception('Chart period must be one of ' . implode(', ', self::CHART_PERIODS));
+        }
+        
+        foreach (['notifications_enabled', 'email_notifications'] as $flag) {
+            if (array_key_exists($flag, $data)) {
+                $data[$flag] = filter_var($data[$flag], FILTER_VALIDATE_BOOLEAN);
+            }
+        }
+        
+        if (array_key_exists('dashboard_layout', $data) && $data['dashboard_layout'] !== null) {
+            $data['dashboard_layout'] = $this->validateDashboardLayout($data['dashboard_layout']);
+        }
+        
+        $preferences->update($data);
+        return $preferences->fresh();
+    }
+    
+    /**
+     * Check a dashboard layout ({"widgets": [{"type", "size"}, ...]}, in display order)
+     * and keep only the fields the dashboard reads
+     */
+    private function validateDashboardLayout($layout): array
+    {
+        if (!is_array($layout) || !isset($layout['widgets']) || !is_array($layout['widgets'])) {
+            throw new Exception('Dashboard layout must have a list of widgets');
+        }
+
+        $widgets = [];
+        foreach ($layout['widgets'] as $widget) {
+            $type = $widget['type'] ?? null;
+            if (!in_array($type, self::DASHBOARD_WIDGETS, true)) {
+                throw new Exception('Unknown dashboard widget: ' . (is_string($type) ? $type : 'none'));
+            }
+            if (isset($widgets[$type])) {
+                throw new Exception("The {$type} widget can only be added once");
+            }
+
+            $size = $widget['size'] ?? 'half';
+            if (!in_array($size, self::DASHBOARD_WIDGET_SIZES, true)) {
+                throw new Exception('Widget size must be half or full');
+            }
+
+            $widgets[$type] = ['type' => $type, 'size' => $size];
+        }
+
+        return ['widgets' => array_values($widgets)];
+    }
+
     /**
      * Check if username exists
      */
@@ -213,12 +323,20 @@ class UserService
         }
     }
     
+    /**
+     * IANA timezone names a preference can be set to (canonical names only, no aliases)
+     */
+    public function getTimezones(): array
+    {
+        return DateTimeZone::listIdentifiers();
+    }
+
     /**
      * Create default preferences for user
      */
     private function createDefaultPreferences(User $user): UserPreference
     {
-        return UserPreference::create([
+        $preferences = UserPreference::create([
             'user_id' => $user->id,
             'theme' => 'auto',
             'timezone' => $_ENV['APP_TIMEZONE'] ?? 'America/New_York',
@@ -227,5 +345,11 @@ class UserService
             'notifications_enabled' => true,
             'email_notifications' => true
         ]);
+
+        // Pick up the column defaults (chart_period) the insert left to the database
+        $preferences->refresh();
+        $user->setRelation('preferences', $preferences);
+
+        return $preferences;
     }
 }
@@ -0,0 +1,219 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services;
+
+use App\Models\StockPrice;
+use App\Models\User;
+use App\Models\Watchlist;
+use App\Models\WatchlistItem;
+use DateTime;
+use Exception;
+
+/**
+ * Named lists of symbols a user follows without holding them.
+ *
+ * A symbol is looked up (and created with its quote, price history and
+ * dividends) the first time it is added, like a symbol that is first traded.
+ * Items carry the latest stored quote, the trailing dividend yield and the
+ * recent closes for a sparkline; the frontend refreshes quotes on its own
+ * through POST /api/stocks/quotes.
+ */
+class WatchlistService
+{
+    // Calendar days of closing prices in an item's sparkline
+    private const SPARKLINE_DAYS = 30;
+
+    public function __construct(
+        private StockDataService $stockDataService
+    ) {}
+
+    /**
+     * The user's watchlists, by name, with how many symbols each holds
+     */
+    public function getWatchlists(User $user): array
+    {
+        return $user->watchlists()
+            ->withCount('items')
+            ->orderBy('name')
+            ->get()
+            ->map(fn($watchlist) => [
+                'id' => $watchlist->id,
+                'name' => $watchlist->name,
+                'items_count' => $watchlist->items_count
+            ])
+            ->all();
+    }
+
+    /**
+     * Get a watchlist with authorization check
+     */
+    public function getWatchlist(int $watchlistId, User $user): Watchlist
+    {
+        $watchlist = Watchlist::where('id', $watchlistId)
+            ->where('user_id', $user->id)
+            ->first();
+
+        if (!$watchlist) {
+            throw new Exception('Watchlist not found or access denied');
+        }
+
+        return $watchlist;
+    }
+
+    public function createWatchlist(User $user, array $data): Watchlist
+    {
+        $name = $this->validateName($user, $data['name'] ?? null);
+
+        return Watchlist::create([
+            'user_id' => $user->id,
+            'name' => $name
+        ]);
+    }
+
+    public function renameWatchlist(Watchlist $watchlist, array $data): Watchlist
+    {
+        $watchlist->update([
+            'name' => $this->validateName($watchlist->user, $data['name'] ?? null, $watchlist->id)
+        ]);
+
+        return $watchlist;
+    }
+
+    public function deleteWatchlist(Watchlist $watchlist): void
+    {
+        $watchlist->delete();
+    }
+
+    /**
+     * Add a symbol to a watchlist, fetching the stock if the app doesn't know it yet
+     */
+    public function addSymbol(Watchlist $watchlist, array $data): WatchlistItem
+    {
+        $symbol = strtoupper(trim((string)($data['symbol'] ?? '')));
+
+        if (!$this->stockDataService->isValidSymbol($symbol)) {
+            throw new Exception('Invalid stock symbol');
+        }
+        if ($watchlist->items()->where('stock_symbol', $symbol)->exists()) {
+            throw new Exception("{$symbol} is already on this watchlist");
+        }
+        if (!$this->stockDataService->getOrCreateStock($symbol)) {
+            throw new Exception("Stock {$symbol} not found");
+        }
+
+        return $watchlist->items()->create([
+            'stock_symbol' => $symbol,
+            'notes' => $this->normalizeNotes($data['notes'] ?? null)
+        ]);
+    }
+
+    public function findItem(Watchlist $watchlist, string $symbol): ?WatchlistItem
+    {
+        return $watchlist->items()->where('stock_symbol', strtoupper($symbol))->first();
+    }
+
+    public function updateItem(WatchlistItem $item, array $data): WatchlistItem
+    {
+        if (array_key_exists('notes', $data)) {
+            $item->update(['notes' => $this->normalizeNotes($data['notes'])]);
+        }
+
+        return $item;
+    }
+
+    public function removeItem(WatchlistItem $item): void
+    {
+        $item->delete();
+    }
+
+    /**
+     * A watchlist with its symbols' quotes, dividend yields and sparkline closes
+     */
+    public function formatWatchlist(Watchlist $watchlist): array
+    {
+        $items = $watchlist->items()->with('stock.quote')->orderBy('created_at')->get();
+        $sparklines = $this->getSparklines($items->pluck('stock_symbol')->all());
+
+        return [
+            'id' => $watchlist->id,
+            'name' => $watchlist->name,
+            'items' => $items->map(fn($item) => $this->formatItem($item, $sparklines[$item->stock_symbol] ?? []))->all(),
+            'created_at' => $watchlist->created_at->toISOString(),
+            'updated_at' => $watchlist->updated_at->toISOString()
+        ];
+    }
+
+    public function formatItem(WatchlistItem $item, array $sparkline = []): array
+    {
+        $stock = $item->stock;
+        $quote = $stock?->quote;
+
+        return [
+            'symbol' => $item->stock_symbol,
+            'name' => $stock?->name ?? $item->stock_symbol,
+            'currency' => $stock?->currency ?: 'USD',
+            'notes' => $item->notes,
+            'current_price' => $quote ? (float)$quote->current_price : null,
+            'change_amount' => $quote ? (float)$quote->change_amount : null,
+            'change_percent' => $quote ? (float)$quote->change_percent : null,
+            'fifty_two_week_high' => $quote?->fifty_two_week_high !== null ? (float)$quote->fifty_two_week_high : null,
+            'fifty_two_week_low' => $quote?->fifty_two_week_low !== null ? (float)$quote->fifty_two_week_low : null,
+            'dividend_yield' => $stock?->getAnnualDividendYield(),
+            'sparkline' => $sparkline,
+            'added_at' => $item->created_at->toISOString()
+        ];
+    }
+
+    /**
+     * Recent closing prices per symbol, oldest first
+     */
+    private function getSparklines(array $symbols): array
+    {
+        if (empty($symbols)) {
+            return [];
+        }
+
+        $since = (new DateTime())->modify('-' . self::SPARKLINE_DAYS . ' days')->format('Y-m-d');
+        $sparklines = [];
+        $prices = StockPrice::whereIn('symbol', $symbols)
+            ->where('price_date', '>=', $since)
+            ->orderBy('price_date')
+            ->get(['symbol', 'close_price']);
+
+        foreach ($prices as $price) {
+            $sparklines[$price->symbol][] = (float)$price->close_price;
+        }
+
+        return $sparklines;
+    }
+
+    private function validateName(User $user, $name, ?int $ignoreId = null): string
+    {
+        $name = trim((string)$name);
+
+        if ($name === '') {
+            throw new Exception("Field 'name' is required");
+        }
+        if (mb_strlen($name) > 100) {
+            throw new Exception('Watchlist name cannot be longer than 100 characters');
+        }
+
+        $exists = Watchlist::where('user_id', $user->id)
+            ->where('name', $name)
+            ->when($ignoreId, fn($query) => $query->where('id', '!=', $ignoreId))
+            ->exists();
+        if ($exists) {
+            throw new Exception("You already have a watchlist named {$name}");
+        }
+
+        return $name;
+    }
+
+    private function normalizeNotes($notes): ?string
+    {
+        $notes = trim((string)$notes);
+        return $notes === '' ? null : $notes;
+    }
+}
@@ -17,6 +17,8 @@ declare(strict_types=1);
  *   --stats       Show data freshness statistics
  *   --historical  Fetch historical price data (30 days)
  *   --dividends   Fetch dividend data
+ *   --profiles    Fetch company profiles (sector, industry, fund weights)
+ *   --splits      Rebuild holdings that splits have taken effect on
  *   --days=N      Number of days of historical data (default: 30)
  *   --help        Show this help message
  */
@@ -25,23 +27,34 @@ declare(strict_types=1);
 require_once __DIR__ . '/../bootstrap/app.php';
 
 use App\Services\BackgroundDataService;
+use App\Services\CashLedgerService;
+use App\Services\ClassificationService;
+use App\Services\FxRateService;
+use App\Services\LookThroughService;
+use App\Services\PortfolioService;
+use App\Services\ReturnsService;
 use App\Services\StockDataService;
+use App\Services\StockSplitService;
+use App\Services\TaxLotService;
 use App\Services\ConfigService;
 use App\Helpers\DateTimeHelper;
 
 class StockDataFetcher
 {
+    private StockDataService $stockDataService;
     private BackgroundDataService $backgroundDataService;
     private bool $force = false;
     private bool $showStats = false;
     private bool $historical = false;
     private bool $dividends = false;
+    private bool $profiles = false;
+    private bool $splits = false;
     private ?int $days = null;
     
     public function __construct()
     {
-        $stockDataService = new StockDataService();
-        $this->backgroundDataService = new BackgroundDataService($stockDataService);
+        $this->stockDataService = new StockDataService();
+        $this->backgroundDataService = new BackgroundDataService($this->stockDataService);
     }
     
     public function run(array $args): int
@@ -80,6 +93,20 @@ class StockDataFetcher
             if ($dividendResults['failed'] > 0) {
                 return 1;
             }
+        } elseif ($this->profiles) {
+            // Fetch company profiles
+            $this->log("🏷️ Fetching company profiles...");
+            $profileResults = $this->backgroundDataService->fetchProfileData($this->force);
+            $this->displayResults($profileResults, 'Profile Data');
+
+            if ($profileResults['failed'] > 0) {
+                return 1;
+            }
+        } elseif ($this->splits) {
+            // Rebuild holdings that splits dated today or earlier haven't been applied to
+            $this->log("✂️ Applying due stock splits...");
+            $rebuilt = $this->createPortfolioService()->rebuildDueHoldings();
+            $this->log("   Holdings rebuilt: {$rebuilt}");
         } else {
             // Fetch fresh quote data
             $results = $this->backgroundDataService->fetchPortfolioStockData($this->force);
@@ -99,6 +126,8 @@ class StockDataFetcher
         $this->showStats = in_array('--stats', $args);
         $this->historical = in_array('--historical', $args);
         $this->dividends = in_array('--dividends', $args);
+        $this->profiles = in_array('--profiles', $args);
+        $this->splits = in_array('--splits', $args);
 
         // Parse --days=N option
         foreach ($args as $arg) {
@@ -114,6 +143,23 @@ class StockDataFetcher
         }
     }
     
+    private function createPortfolioService(): PortfolioService
+    {
+        $stockSplitService = new StockSplitService();
+        $fxRateService = new FxRateService();
+
+        return new PortfolioService(
+            $this->stockDataService,
+            new TaxLotService($stockSplitService),
+            new CashLedgerService($fxRateService),
+            new ReturnsService(),
+            new ClassificationService(),
+            new LookThroughService(ROOT_PATH . '/storage/etf-constituents'),
+            $stockSplitService,
+            $fxRateService
+        );
+    }
+
     private function displayStats(): void
     {
         $this->log("📊 Current data freshness statistics:");
@@ -176,6 +222,8 @@ class StockDataFetcher
         echo "  --stats       Show data freshness statistics before fetching\n";
         echo "  --historical  Fetch historical price data instead of quotes\n";
         echo "  --dividends   Fetch dividend data instead of quotes\n";
+        echo "  --profiles    Fetch company profiles (sector, industry, fund weights)\n";
+        echo "  --splits      Rebuild holdings that splits have taken effect on\n";
         echo "  --days=N      Number of days of historical data (default: " . ConfigService::getHistoricalDataDays() . ")\n";
         echo "  --help        Show this help message\n\n";
         echo "Examples:\n";
@@ -185,7 +233,9 @@ class StockDataFetcher
         echo "  php bin/fetch-stock-data.php --historical\n";
         echo "  php bin/fetch-stock-data.php --historical --days=90\n";
         echo "  php bin/fetch-stock-data.php --dividends\n";
-        echo "  php bin/fetch-stock-data.php --dividends --days=365\n\n";
+        echo "  php bin/fetch-stock-data.php --dividends --days=365\n";
+        echo "  php bin/fetch-stock-data.php --profiles\n";
+        echo "  php bin/fetch-stock-data.php --splits\n\n";
         echo "Recommended cron schedule:\n";
         echo "  # Every 15 minutes during market hours (9:30 AM - 4:00 PM ET)\n";
         echo "  */15 9-16 * * 1-5 /usr/bin/php /path/to/bin/fetch-stock-data.php\n\n";
@@ -71,6 +71,14 @@ echo "  • Daily at 4:10 PM ET (10 minutes after market close)"
 echo "  • Fetches 1 year of dividend history"
 echo "  • Updates automatically when new stocks are added"
 echo ""
+echo -e "${BLUE}Company Profiles:${NC}"
+echo "  • Weekly on Sunday at 6:00 AM"
+echo "  • Sector, industry and fund sector weights (refreshed monthly)"
+echo ""
+echo -e "${BLUE}Stock Splits:${NC}"
+echo "  • Daily at 12:05 AM"
+echo "  • Rebuilds holdings whose splits take effect that day"
+echo ""
 
 read -p "Do you want to proceed? (y/N): " -n 1 -r
 echo ""
@@ -109,6 +117,16 @@ add_cron_job "10 16 * * 1-5" \
     "/usr/bin/php $FETCH_SCRIPT --dividends >/dev/null 2>&1" \
     "Portfolio Tracker - Daily Dividend Data Fetch"
 
+# Company profiles: Weekly on Sunday at 6:00 AM (each profile is refreshed monthly)
+add_cron_job "0 6 * * 0" \
+    "/usr/bin/php $FETCH_SCRIPT --profiles >/dev/null 2>&1" \
+    "Portfolio Tracker - Weekly Company Profile Fetch"
+
+# Stock splits: Daily at 12:05 AM, so splits entered ahead of time apply on their date
+add_cron_job "5 0 * * *" \
+    "/usr/bin/php $FETCH_SCRIPT --splits >/dev/null 2>&1" \
+    "Portfolio Tracker - Daily Stock Split Rebuild"
+
 echo -e "${GREEN}✅ Cron setup completed!${NC}"
 echo ""
 
@@ -11,6 +11,13 @@ use App\Services\AuthService;
 use App\Services\UserService;
 use App\Services\PortfolioService;
 use App\Services\StockDataService;
+use App\Services\TaxLotService;
+use App\Services\StockSplitService;
+use App\Services\CashLedgerService;
+use App\Services\FxRateService;
+use App\Services\ReturnsService;
+use App\Services\ClassificationService;
+use App\Services\LookThroughService;
 use App\Services\FinancialModelingPrepService;
 use App\Services\DividendSafetyService;
 use App\Controllers\AuthController;
@@ -114,8 +121,45 @@ $container->set(StockDataService::class, function () {
     return new StockDataService();
 });
 
+$container->set(StockSplitService::class, function () {
+    return new StockSplitService();
+});
+
+$container->set(TaxLotService::class, function ($container) {
+    return new TaxLotService($container->get(StockSplitService::class));
+});
+
+$container->set(FxRateService::class, function () {
+    return new FxRateService();
+});
+
+$container->set(CashLedgerService::class, function ($container) {
+    return new CashLedgerService($container->get(FxRateService::class));
+});
+
+$container->set(ReturnsService::class, function () {
+    return new ReturnsService();
+});
+
+$container->set(ClassificationService::class, function () {
+    return new ClassificationService();
+});
+
+$container->set(LookThroughService::class, function () {
+    return new LookThroughService(ROOT_PATH . '/storage/etf-constituents');
+});
+
 $container->set(PortfolioService::class, function ($container) {
-    return new PortfolioService($container->get(StockDataService::class));
+    return new PortfolioService(
+        $container->get(StockDataService::class),
+        $container->get(TaxLotService::class),
+        $container->get(CashLedgerService::class),
+        $container->get(ReturnsService::class),
+        $container->get(ClassificationService::class),
+        $container->get(LookThroughService::class),
+        $container->get(StockSplitService::class),
+        $container->get(FxRateService::class)
+    );
 });
 
 $container->set(FinancialModelingPrepService::class, function () {
@@ -142,7 +186,11 @@ $container->set(PortfolioController::class, function ($container) {
 });
 
 $container->set(StockController::class, function ($container) {
-    return new StockController($container->get(StockDataService::class));
+    return new StockController(
+        $container->get(StockDataService::class),
+        $container->get(ClassificationService::class),
+        $container->get(FxRateService::class)
+    );
 });
 
 // Middleware
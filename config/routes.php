@@ -7,7 +7,9 @@ use Psr\Http\Message\ResponseInterface as Response;
 use Psr\Http\Message\ServerRequestInterface as Request;
 use App\Controllers\AuthController;
 use App\Controllers\PortfolioController;
+use App\Controllers\PreferencesController;
 use App\Controllers\StockController;
+use App\Controllers\WatchlistController;
 use App\Middleware\AuthMiddleware;
 use App\Middleware\AdminMiddleware;
 
@@ -100,6 +102,9 @@ $app->group('/auth', function ($group) {
 $app->group('/api/portfolios', function ($group) {
     $group->get('', [PortfolioController::class, 'index']);
     $group->post('', [PortfolioController::class, 'create']);
+    $group->get('/returns', [PortfolioController::class, 'getCombinedReturns']);
+    $group->get('/movers', [PortfolioController::class, 'getTopMovers']);
+    $group->get('/dividend-calendar', [\App\Controllers\DividendPaymentController::class, 'getCombinedCalendar']);
     $group->get('/{id:[0-9]+}', [PortfolioController::class, 'show']);
     $group->put('/{id:[0-9]+}', [PortfolioController::class, 'update']);
     $group->delete('/{id:[0-9]+}', [PortfolioController::class, 'delete']);
@@ -109,9 +114,23 @@ $app->group('/api/portfolios', function ($group) {
     $group->delete('/{id:[0-9]+}/holdings/{symbol:[A-Z0-9.-]+}', [PortfolioController::class, 'deleteHolding']);
     $group->get('/{id:[0-9]+}/transactions', [PortfolioController::class, 'getTransactions']);
     $group->post('/{id:[0-9]+}/transactions', [PortfolioController::class, 'addTransaction']);
+    $group->post('/{id:[0-9]+}/transactions/batch', [PortfolioController::class, 'addTransactionsBatch']);
     $group->get('/{id:[0-9]+}/transactions/{transactionId:[0-9]+}', [PortfolioController::class, 'getTransaction']);
     $group->put('/{id:[0-9]+}/transactions/{transactionId:[0-9]+}', [PortfolioController::class, 'updateTransaction']);
     $group->delete('/{id:[0-9]+}/transactions/{transactionId:[0-9]+}', [PortfolioController::class, 'deleteTransaction']);
+    $group->get('/{id:[0-9]+}/lots', [PortfolioController::class, 'getTaxLots']);
+    $group->get('/{id:[0-9]+}/realized-gains', [PortfolioController::class, 'getRealizedGains']);
+    $group->get('/{id:[0-9]+}/returns', [PortfolioController::class, 'getReturns']);
+    $group->get('/{id:[0-9]+}/cash', [PortfolioController::class, 'getCashLedger']);
+    $group->post('/{id:[0-9]+}/cash', [PortfolioController::class, 'addCashTransaction']);
+    $group->put('/{id:[0-9]+}/cash/{cashTransactionId:[0-9]+}', [PortfolioController::class, 'updateCashTransaction']);
+    $group->delete('/{id:[0-9]+}/cash/{cashTransactionId:[0-9]+}', [PortfolioController::class, 'deleteCashTransaction']);
+    $group->get('/{id:[0-9]+}/transfers', [\App\Controllers\TransferController::class, 'getTransfers']);
+    $group->post('/{id:[0-9]+}/transfers', [\App\Controllers\TransferController::class, 'createTransfer']);
+    $group->delete('/{id:[0-9]+}/transfers/{transferId:[0-9]+}', [\App\Controllers\TransferController::class, 'deleteTransfer']);
+    $group->get('/{id:[0-9]+}/targets', [PortfolioController::class, 'getTargets']);
+    $group->put('/{id:[0-9]+}/targets', [PortfolioController::class, 'saveTargets']);
+    $group->get('/{id:[0-9]+}/look-through', [PortfolioController::class, 'getLookThrough']);
 
     // Dividend payments
     $group->get('/{id:[0-9]+}/dividend-payments/pending', [\App\Controllers\DividendPaymentController::class, 'getPendingPayments']);
@@ -119,6 +138,8 @@ $app->group('/api/portfolios', function ($group) {
     $group->post('/{id:[0-9]+}/dividend-payments/bulk', [\App\Controllers\DividendPaymentController::class, 'processBulkPayments']);
     $group->get('/{id:[0-9]+}/dividend-payments/analytics', [\App\Controllers\DividendPaymentController::class, 'getDividendAnalytics']);
     $group->get('/{id:[0-9]+}/dividend-payments/validate', [\App\Controllers\DividendPaymentController::class, 'validateDividendPayments']);
+    $group->get('/{id:[0-9]+}/dividend-calendar', [\App\Controllers\DividendPaymentController::class, 'getCalendar']);
+    $group->get('/{id:[0-9]+}/dividend-growth', [\App\Controllers\DividendPaymentController::class, 'getDividendGrowth']);
     $group->get('/{id:[0-9]+}/dividend-payments', [\App\Controllers\DividendPaymentController::class, 'getPaymentHistory']);
     $group->put('/{id:[0-9]+}/dividend-payments/{paymentId:[0-9]+}', [\App\Controllers\DividendPaymentController::class, 'updatePayment']);
     $group->delete('/{id:[0-9]+}/dividend-payments/{paymentId:[0-9]+}', [\App\Controllers\DividendPaymentController::class, 'deletePayment']);
@@ -215,6 +236,11 @@ $app->group('/api', function ($group) {
                     'POST /auth/logout' => 'User logout',
                     'GET /auth/me' => 'Get current user info'
                 ],
+                'Preferences' => [
+                    'GET /api/preferences' => 'Get your theme, timezone, currency, formats and dashboard layout',
+                    'PUT /api/preferences' => 'Update your preferences',
+                    'GET /api/preferences/timezones' => 'List the timezones a preference can be set to'
+                ],
                 'Portfolios' => [
                     'GET /api/portfolios' => 'List all portfolios',
                     'POST /api/portfolios' => 'Create new portfolio',
@@ -224,11 +250,40 @@ $app->group('/api', function ($group) {
                     'POST /api/portfolios/{id}/holdings' => 'Add holding to portfolio',
                     'GET /api/portfolios/{id}/transactions' => 'Get portfolio transactions',
                     'POST /api/portfolios/{id}/transactions' => 'Add transaction to portfolio',
+                    'POST /api/portfolios/{id}/transactions/batch' => 'Add multiple transactions (CSV import)',
                     'GET /api/portfolios/{id}/transactions/{transactionId}' => 'Get specific transaction',
                     'PUT /api/portfolios/{id}/transactions/{transactionId}' => 'Update transaction',
                     'DELETE /api/portfolios/{id}/transactions/{transactionId}' => 'Delete transaction',
+                    'GET /api/portfolios/{id}/lots' => 'Get open tax lots and closed lot disposals',
+                    'GET /api/portfolios/{id}/realized-gains' => 'Get realized gains report for a tax year',
+                    'GET /api/portfolios/returns' => 'Get combined TWR/MWR returns across all portfolios',
+                    'GET /api/portfolios/movers?limit=' => 'Get today\'s biggest movers across all portfolios',
+                    'GET /api/portfolios/{id}/returns' => 'Get TWR/MWR returns for MTD, QTD, YTD, 1Y, 3Y and inception',
+                    'GET /api/portfolios/{id}/cash' => 'Get cash ledger and balance',
+                    'POST /api/portfolios/{id}/cash' => 'Record a deposit, withdrawal, interest or fee',
+                    'PUT /api/portfolios/{id}/cash/{cashTransactionId}' => 'Update cash transaction',
+                    'DELETE /api/portfolios/{id}/cash/{cashTransactionId}' => 'Delete cash transaction',
+                    'GET /api/portfolios/{id}/transfers' => 'Get transfers in and out of a portfolio',
+                    'POST /api/portfolios/{id}/transfers' => 'Transfer lots or cash to another of your portfolios',
+                    'DELETE /api/portfolios/{id}/transfers/{transferId}' => 'Undo a transfer (both portfolios)',
+                    'GET /api/portfolios/{id}/targets' => 'Get target allocation (per symbol or per sector)',
+                    'PUT /api/portfolios/{id}/targets' => 'Replace target allocation',
+                    'GET /api/portfolios/{id}/dividend-calendar?from=&to=' => 'Get dividend ex-dates and payment dates with expected amounts',
+                    'GET /api/portfolios/dividend-calendar?from=&to=' => 'Get the dividend calendar across all portfolios',
+                    'GET /api/portfolios/{id}/dividend-growth' => 'Get yield on cost, dividend CAGR and consecutive increases per holding',
+                    'GET /api/portfolios/{id}/look-through' => 'Get exposure with ETFs expanded into their constituents',
                     'GET /api/portfolios/{id}/dividend-safety' => 'Get portfolio dividend safety analysis'
                 ],
+                'Watchlists' => [
+                    'GET /api/watchlists' => 'List your watchlists',
+                    'POST /api/watchlists' => 'Create a watchlist',
+                    'GET /api/watchlists/{id}' => 'Get a watchlist with quotes, 52-week ranges, yields and sparklines',
+                    'PUT /api/watchlists/{id}' => 'Rename a watchlist',
+                    'DELETE /api/watchlists/{id}' => 'Delete a watchlist',
+                    'POST /api/watchlists/{id}/items' => 'Add a symbol to a watchlist',
+                    'PUT /api/watchlists/{id}/items/{symbol}' => 'Update the notes on a watchlist symbol',
+                    'DELETE /api/watchlists/{id}/items/{symbol}' => 'Remove a symbol from a watchlist'
+                ],
                 'Stocks' => [
                     'GET /api/stocks/search?q={query}' => 'Search for stocks',
                     'GET /api/stocks/{symbol}/quote' => 'Get current stock quote',
@@ -240,7 +295,10 @@ $app->group('/api', function ($group) {
                     'POST /api/stocks/quotes' => 'Get multiple stock quotes',
                     'GET /api/stocks/missing-historical-data' => 'Get stocks missing historical data',
                     'POST /api/stocks/backfill-historical-data' => 'Backfill historical data for stocks',
-                    'GET /api/stocks/{symbol}/dividend-safety' => 'Get dividend safety score for a stock'
+                    'GET /api/stocks/{symbol}/dividend-safety' => 'Get dividend safety score for a stock',
+                    'GET /api/stocks/classifications' => 'Get your sector classification overrides',
+                    'PUT /api/stocks/{symbol}/classification' => 'Override a symbol\'s sector, industry or sector weights',
+                    'DELETE /api/stocks/{symbol}/classification' => 'Remove a classification override'
                 ]
             ]
         ];
@@ -251,9 +309,31 @@ $app->group('/api', function ($group) {
 
 })->add(AuthMiddleware::class);
 
+// User preference routes (protected)
+$app->group('/api/preferences', function ($group) {
+    $group->get('', [PreferencesController::class, 'show']);
+    $group->put('', [PreferencesController::class, 'update']);
+    $group->get('/timezones', [PreferencesController::class, 'timezones']);
+})->add(AuthMiddleware::class);
+
+// Watchlist routes (protected)
+$app->group('/api/watchlists', function ($group) {
+    $group->get('', [WatchlistController::class, 'index']);
+    $group->post('', [WatchlistController::class, 'create']);
+    $group->get('/{id:[0-9]+}', [WatchlistController::class, 'show']);
+    $group->put('/{id:[0-9]+}', [WatchlistController::class, 'update']);
+    $group->delete('/{id:[0-9]+}', [WatchlistController::class, 'delete']);
+    $group->post('/{id:[0-9]+}/items', [WatchlistController::class, 'addItem']);
+    $group->put('/{id:[0-9]+}/items/{symbol:[A-Z0-9.-]+}', [WatchlistController::class, 'updateItem']);
+    $group->delete('/{id:[0-9]+}/items/{symbol:[A-Z0-9.-]+}', [WatchlistController::class, 'removeItem']);
+})->add(AuthMiddleware::class);
+
 // Stock routes (protected) - inside API group
 $app->group('/api/stocks', function ($group) {
     $group->get('/search', [StockController::class, 'search']);
+    $group->get('/classifications', [StockController::class, 'getClassificationOverrides']);
+    $group->put('/{symbol:[A-Z0-9.-]+}/classification', [StockController::class, 'saveClassificationOverride']);
+    $group->delete('/{symbol:[A-Z0-9.-]+}/classification', [StockController::class, 'deleteClassificationOverride']);
     $group->get('/{symbol:[A-Z0-9.-]+}/quote', [StockController::class, 'quote']);
     $group->get('/{symbol:[A-Z0-9.-]+}/history', [StockController::class, 'history']);
     $group->get('/{symbol:[A-Z0-9.-]+}/dividends', [StockController::class, 'dividends']);
@@ -282,6 +362,12 @@ $app->group('/admin', function ($group) {
     $group->get('/users', \App\Controllers\Admin\ApiKeyController::class . ':getUsers');
     $group->put('/users/{id}/role', \App\Controllers\Admin\ApiKeyController::class . ':updateUserRole');
 
+    // Stock splits
+    $group->get('/stock-splits', \App\Controllers\Admin\StockSplitController::class . ':index');
+    $group->post('/stock-splits', \App\Controllers\Admin\StockSplitController::class . ':store');
+    $group->put('/stock-splits/{id}', \App\Controllers\Admin\StockSplitController::class . ':update');
+    $group->delete('/stock-splits/{id}', \App\Controllers\Admin\StockSplitController::class . ':delete');
+
     // Admin dashboard
     $group->get('', function (Request $request, Response $response) {
         $data = [
@@ -289,13 +375,18 @@ $app->group('/admin', function ($group) {
             'features' => [
                 'API key configuration',
                 'Data provider management',
+                'Stock split corrections',
                 'System monitoring'
             ],
             'endpoints' => [
                 'GET /admin/api-keys - List all API keys',
                 'GET /admin/api-keys/{id} - Get specific API key',
                 'PUT /admin/api-keys/{id} - Update API key',
-                'POST /admin/api-keys/{id}/test - Test API key'
+                'POST /admin/api-keys/{id}/test - Test API key',
+                'GET /admin/stock-splits - List stock splits',
+                'POST /admin/stock-splits - Enter a stock split and recompute affected portfolios',
+                'PUT /admin/stock-splits/{id} - Correct a stock split and recompute affected portfolios',
+                'DELETE /admin/stock-splits/{id} - Delete a stock split and recompute affected portfolios'
             ]
         ];
 
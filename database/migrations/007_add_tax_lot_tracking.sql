@@ -0,0 +1,13 @@
+-- Migration: Add tax lot tracking
+-- Lots are derived from buy/sell transactions. A sell records which relief
+-- method it used so changing the portfolio default never rewrites past sales.
+
+-- Default lot relief method for each portfolio
+ALTER TABLE portfolios
+    ADD COLUMN lot_method ENUM('fifo', 'lifo', 'hifo', 'specific') NOT NULL DEFAULT 'fifo' AFTER currency;
+
+-- Relief method and specific lot picks for sell transactions
+-- lot_selections: [{"lot_id": <buy transaction id>, "quantity": 10}]
+ALTER TABLE transactions
+    ADD COLUMN lot_method ENUM('fifo', 'lifo', 'hifo', 'specific') NULL AFTER notes,
+    ADD COLUMN lot_selections JSON NULL AFTER lot_method;
@@ -0,0 +1,20 @@
+-- Migration: Create cash ledger
+-- Only manual cash movements are stored here. Trades and cash dividends are
+-- read from their own tables when the ledger is built, so editing or deleting
+-- them never leaves the cash balance out of step.
+
+CREATE TABLE cash_transactions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    portfolio_id INT NOT NULL,
+    transaction_type ENUM('deposit', 'withdrawal', 'interest', 'fee') NOT NULL,
+    amount DECIMAL(15, 4) NOT NULL,
+    transaction_date DATE NOT NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (portfolio_id) REFERENCES portfolios(id) ON DELETE CASCADE,
+    INDEX idx_portfolio_id (portfolio_id),
+    INDEX idx_transaction_type (transaction_type),
+    INDEX idx_transaction_date (transaction_date)
+);
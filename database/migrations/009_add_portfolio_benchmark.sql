@@ -0,0 +1,13 @@
+-- Migration: Add portfolio benchmark
+-- A benchmark is either a symbol from the stocks table or a named blend
+-- ('60/40' = 60% SPY, 40% AGG, rebalanced daily). Its price history comes from
+-- stock_prices like any holding, so the benchmark funds are seeded here and
+-- picked up by the historical data backfill.
+
+ALTER TABLE portfolios
+    ADD COLUMN benchmark VARCHAR(20) NOT NULL DEFAULT 'SPY' AFTER lot_method;
+
+INSERT IGNORE INTO stocks (symbol, name, exchange, currency, country) VALUES
+('SPY', 'SPDR S&P 500 ETF Trust', 'NYSE Arca', 'USD', 'US'),
+('VTI', 'Vanguard Total Stock Market ETF', 'NYSE Arca', 'USD', 'US'),
+('AGG', 'iShares Core U.S. Aggregate Bond ETF', 'NYSE Arca', 'USD', 'US');
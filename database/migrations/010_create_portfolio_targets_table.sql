@@ -0,0 +1,18 @@
+-- Migration: Create target allocations
+-- A portfolio's targets are either all per symbol or all per sector. Weights
+-- are percentages of total value (holdings plus tracked cash); whatever they
+-- leave unallocated is the cash target.
+
+CREATE TABLE portfolio_targets (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    portfolio_id INT NOT NULL,
+    target_type ENUM('symbol', 'sector') NOT NULL,
+    target_key VARCHAR(100) NOT NULL,
+    target_weight DECIMAL(7, 4) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (portfolio_id) REFERENCES portfolios(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_portfolio_target (portfolio_id, target_type, target_key),
+    INDEX idx_portfolio_id (portfolio_id)
+);
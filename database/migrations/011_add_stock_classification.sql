@@ -0,0 +1,25 @@
+-- Migration: Add sector classification
+-- Sector and industry come from the stock's company profile. Funds also store
+-- their look-through sector weights (fractions of the fund) so a single ETF
+-- can count towards several sectors. Users can override any symbol's
+-- classification; an override with sector_weights replaces the look-through.
+
+ALTER TABLE stocks
+    ADD COLUMN is_etf BOOLEAN NOT NULL DEFAULT FALSE AFTER industry,
+    ADD COLUMN sector_weights JSON NULL AFTER is_etf,
+    ADD COLUMN profile_updated_at TIMESTAMP NULL AFTER sector_weights;
+
+CREATE TABLE stock_classification_overrides (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    symbol VARCHAR(20) NOT NULL,
+    sector VARCHAR(100) NULL,
+    industry VARCHAR(100) NULL,
+    sector_weights JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_symbol (user_id, symbol),
+    INDEX idx_user_id (user_id)
+);
@@ -0,0 +1,9 @@
+-- Migration: Add withholding tax and tax classification to dividend payments
+-- total_dividend_amount stays the gross dividend; the net amount received is
+-- total_dividend_amount - withholding_tax. Existing payments are assumed to
+-- have had nothing withheld and to be qualified dividends.
+
+ALTER TABLE dividend_payments
+    ADD COLUMN withholding_tax DECIMAL(15, 4) NOT NULL DEFAULT 0 AFTER total_dividend_amount,
+    ADD COLUMN tax_classification ENUM('qualified', 'ordinary', 'return_of_capital') NOT NULL DEFAULT 'qualified' AFTER withholding_tax,
+    ADD INDEX idx_tax_classification (tax_classification);
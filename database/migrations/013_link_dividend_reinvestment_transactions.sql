@@ -0,0 +1,21 @@
+-- Migration: Link transactions to the dividend payment that created them
+-- A DRIP payment records a buy for the reinvested shares, which opens a tax
+-- lot like any other buy, and every payment records a dividend transaction.
+-- Both belong to the payment and are replaced or removed with it.
+
+ALTER TABLE transactions
+    ADD COLUMN dividend_payment_id INT NULL AFTER external_id,
+    ADD CONSTRAINT fk_transactions_dividend_payment
+        FOREIGN KEY (dividend_payment_id) REFERENCES dividend_payments(id) ON DELETE CASCADE,
+    ADD INDEX idx_dividend_payment_id (dividend_payment_id);
+
+-- Earlier payments only referenced themselves in the transaction notes:
+-- "DRIP purchase from dividend payment (ID: 12)" and "Dividend payment - drip (ID: 12)"
+UPDATE transactions t
+JOIN dividend_payments dp
+    ON dp.id = CAST(SUBSTRING_INDEX(SUBSTRING_INDEX(t.notes, '(ID: ', -1), ')', 1) AS UNSIGNED)
+    AND dp.portfolio_id = t.portfolio_id
+    AND dp.stock_symbol = t.stock_symbol
+SET t.dividend_payment_id = dp.id
+WHERE t.notes LIKE 'DRIP purchase from dividend payment (ID: %)'
+    OR t.notes LIKE 'Dividend payment - % (ID: %)';
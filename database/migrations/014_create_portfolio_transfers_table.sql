@@ -0,0 +1,47 @@
+-- Migration: Create portfolio-to-portfolio transfers
+-- A share transfer records a transfer_out trade in the sending portfolio that
+-- relieves the chosen lots, and one transfer_in trade per lot in the receiving
+-- portfolio that reopens it with its cost per share and acquisition date.
+-- A cash transfer records a cash transaction on each side. Both sides belong
+-- to the transfer and are removed with it.
+
+CREATE TABLE portfolio_transfers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    from_portfolio_id INT NOT NULL,
+    to_portfolio_id INT NOT NULL,
+    transfer_type ENUM('shares', 'cash') NOT NULL,
+    stock_symbol VARCHAR(20) NULL,
+    quantity DECIMAL(15, 6) NULL,
+    market_price DECIMAL(15, 4) NULL,
+    -- Cash moved, or the market value of the shares on the transfer date
+    amount DECIMAL(15, 4) NOT NULL,
+    transfer_date DATE NOT NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (from_portfolio_id) REFERENCES portfolios(id) ON DELETE CASCADE,
+    FOREIGN KEY (to_portfolio_id) REFERENCES portfolios(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_from_portfolio_id (from_portfolio_id),
+    INDEX idx_to_portfolio_id (to_portfolio_id),
+    INDEX idx_transfer_date (transfer_date)
+);
+
+-- acquired_date keeps a transferred lot's original acquisition date; the
+-- transfer_in trade itself is dated on the day of the transfer
+ALTER TABLE transactions
+    ADD COLUMN transfer_id INT NULL AFTER dividend_payment_id,
+    ADD COLUMN acquired_date DATE NULL AFTER transfer_id,
+    ADD CONSTRAINT fk_transactions_transfer
+        FOREIGN KEY (transfer_id) REFERENCES portfolio_transfers(id) ON DELETE CASCADE,
+    ADD INDEX idx_transfer_id (transfer_id);
+
+ALTER TABLE cash_transactions
+    MODIFY COLUMN transaction_type ENUM('deposit', 'withdrawal', 'interest', 'fee', 'transfer_in', 'transfer_out') NOT NULL,
+    ADD COLUMN transfer_id INT NULL AFTER notes,
+    ADD CONSTRAINT fk_cash_transactions_transfer
+        FOREIGN KEY (transfer_id) REFERENCES portfolio_transfers(id) ON DELETE CASCADE,
+    ADD INDEX idx_transfer_id (transfer_id);
@@ -0,0 +1,41 @@
+-- Migration: Add trade currencies and an FX rate history
+-- Trades are recorded in the stock's listing currency with the rate that
+-- converted one unit of it into the portfolio's base currency on the trade
+-- date. Holdings keep their listing currency and the base currency cost of
+-- their open lots, so price and FX gains can be told apart.
+
+CREATE TABLE fx_rates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    from_currency VARCHAR(3) NOT NULL,
+    to_currency VARCHAR(3) NOT NULL,
+    rate_date DATE NOT NULL,
+    -- Units of to_currency for one unit of from_currency
+    rate DECIMAL(18, 8) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_pair_date (from_currency, to_currency, rate_date),
+    UNIQUE KEY unique_pair_date (from_currency, to_currency, rate_date)
+);
+
+ALTER TABLE transactions
+    ADD COLUMN currency VARCHAR(3) NULL AFTER fees,
+    ADD COLUMN fx_rate DECIMAL(18, 8) NULL AFTER currency;
+
+ALTER TABLE portfolio_holdings
+    ADD COLUMN currency VARCHAR(3) NULL AFTER avg_cost_basis,
+    ADD COLUMN cost_basis_base DECIMAL(15, 4) NULL AFTER currency;
+
+-- Existing trades are in the stock's listing currency. Where that is the
+-- portfolio's currency no conversion was ever needed; other rates are looked
+-- up from the history the next time the holding is rebuilt.
+UPDATE transactions t
+JOIN portfolios p ON p.id = t.portfolio_id
+LEFT JOIN stocks s ON s.symbol = t.stock_symbol
+SET t.currency = COALESCE(s.currency, p.currency),
+    t.fx_rate = IF(COALESCE(s.currency, p.currency) = p.currency, 1, NULL);
+
+UPDATE portfolio_holdings h
+JOIN portfolios p ON p.id = h.portfolio_id
+LEFT JOIN stocks s ON s.symbol = h.stock_symbol
+SET h.currency = COALESCE(s.currency, p.currency),
+    h.cost_basis_base = IF(COALESCE(s.currency, p.currency) = p.currency, h.quantity * h.avg_cost_basis, NULL);
@@ -0,0 +1,12 @@
+-- Migration: Add number format and chart period preferences
+-- locale is the BCP 47 tag numbers are formatted with (e.g. 'de-DE' for
+-- 1.234,56); NULL follows the browser. chart_period is the range the
+-- performance charts open at.
+
+ALTER TABLE user_preferences
+    ADD COLUMN locale VARCHAR(10) NULL AFTER date_format,
+    ADD COLUMN chart_period VARCHAR(3) NOT NULL DEFAULT '1M' AFTER locale;
+
+-- Users created before preferences were written on registration
+INSERT IGNORE INTO user_preferences (user_id)
+SELECT id FROM users;
@@ -0,0 +1,28 @@
+-- Migration: Create watchlists
+-- Named lists of symbols a user follows without holding them. Each symbol
+-- appears once per list and can carry the user's own notes.
+
+CREATE TABLE watchlists (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_user_watchlist (user_id, name),
+    INDEX idx_user_id (user_id)
+);
+
+CREATE TABLE watchlist_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    watchlist_id INT NOT NULL,
+    stock_symbol VARCHAR(20) NOT NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (watchlist_id) REFERENCES watchlists(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_watchlist_symbol (watchlist_id, stock_symbol),
+    INDEX idx_watchlist_id (watchlist_id)
+);
@@ -4,26 +4,78 @@ class PortfolioApp {
         this.apiBase = '/api';
         this.authToken = localStorage.getItem('auth_token');
         this.currentUser = null;
+        this.router = window.portfolioRouter;
+        // Currency amounts on the current page are shown in
+        this.displayCurrency = 'USD';
+        // Defaults until the signed-in user's preferences load
+        this.preferences = {
+            theme: 'auto',
+            timezone: null,
+            currency: 'USD',
+            date_format: 'Y-m-d',
+            locale: null,
+            chart_period: '1M',
+            notifications_enabled: true,
+            email_notifications: true,
+            dashboard_layout: null
+        };
+        // 'auto' theme follows this, including changes while the app is open
+        this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
         
         this.init();
     }
     
     async init() {
+        this.registerRoutes();
+
+        this.applyTheme();
+        this.colorSchemeQuery.addEventListener('change', () => this.applyTheme());
+
         // Check if user is logged in
         if (this.authToken) {
             try {
                 await this.getCurrentUser();
-                this.showDashboard();
             } catch (error) {
                 console.error('Auth check failed:', error);
-                this.logout();
+                this.clearAuthToken();
             }
-        } else {
-            this.showHomepage();
         }
 
+        // Render whatever view the URL points at (deep links, refreshes)
+        this.router.start();
+
         this.setupEventListeners();
     }
+
+    registerRoutes() {
+        this.router
+            .register('/', () => this.authToken ? this.showDashboard() : this.showHomepage())
+            .register('/login', () => this.authToken ? this.router.navigate('/', { replace: true }) : this.showLogin())
+            .register('/register', () => this.authToken ? this.router.navigate('/', { replace: true }) : this.showRegister())
+            .register('/portfolios/:id', this.requireAuth(({ id }) => this.showPortfolioDetail(id)))
+            .register('/portfolios/:id/trades', this.requireAuth(({ id }, query) => this.showTradeHistory(id, query)))
+            .register('/portfolios/:id/dividends', this.requireAuth(({ id }, query) => this.showDividendPayments(id, query.tab)))
+            .register('/dividends/calendar', this.requireAuth(() => this.showCombinedDividendCalendar()))
+            .register('/portfolios/:id/dividend-safety', this.requireAuth(({ id }) => this.showDividendSafety(id)))
+            .register('/portfolios/:id/realized-gains', this.requireAuth(({ id }, query) => this.showRealizedGains(id, query.year)))
+            .register('/portfolios/:id/cash', this.requireAuth(({ id }) => this.showCashLedger(id)))
+            .register('/portfolios/:id/rebalance', this.requireAuth(({ id }) => this.showRebalance(id)))
+            .register('/settings', this.requireAuth(() => this.showPreferences()))
+            .register('/watchlists', this.requireAuth((params, query) => this.showWatchlists(query.list)))
+            .otherwise(() => this.router.navigate('/', { replace: true }));
+    }
+
+    requireAuth(handler) {
+        return (params, query) => {
+            if (!this.authToken) {
+                // Remember the deep link so we can return to it after signing in
+                this.redirectAfterLogin = window.location.hash.replace(/^#/, '');
+                this.router.navigate('/login', { replace: true });
+                return;
+            }
+            return handler(params, query);
+        };
+    }
     
     setupEventListeners() {
         // Navigation
@@ -52,6 +104,21 @@ class PortfolioApp {
             }
         });
 
+        // Dashboard widgets are reordered by dragging them while customizing
+        document.addEventListener('dragstart', (e) => {
+            if (e.target.matches?.('.dashboard-editing > .dashboard-widget')) {
+                this.startWidgetDrag(e.target, e);
+            }
+        });
+        document.addEventListener('dragover', (e) => this.dragWidgetOver(e));
+        document.addEventListener('drop', (e) => {
+            if (this.draggedWidget) e.preventDefault();
+        });
+        document.addEventListener('dragend', () => this.endWidgetDrag());
+
+        // Browser Back/Forward should never leave a stale modal on top of the new view
+        window.addEventListener('hashchange', () => this.closeModal());
+
         // Close stock search results when clicking outside
         document.addEventListener('click', (e) => {
             if (!e.target.closest('.stock-search-results') && !e.target.matches('[data-stock-search]')) {
@@ -70,25 +137,25 @@ class PortfolioApp {
     async handleAction(action, element) {
         switch (action) {
             case 'show-login':
-                this.showLogin();
+                this.router.navigate('/login');
                 break;
             case 'show-register':
-                this.showRegister();
+                this.router.navigate('/register');
                 break;
             case 'show-homepage':
-                this.showHomepage();
+                this.router.navigate('/');
                 break;
             case 'logout':
                 this.logout();
                 break;
             case 'show-dashboard':
-                this.showDashboard();
+                this.router.navigate('/');
                 break;
             case 'show-create-portfolio':
                 this.showCreatePortfolioModal();
                 break;
             case 'view-portfolio':
-                this.showPortfolioDetail(element.dataset.portfolioId);
+                this.router.navigate(`/portfolios/${element.dataset.portfolioId}`);
                 break;
             case 'close-modal':
                 // Check if we're in the dividend modal
@@ -103,10 +170,103 @@ class PortfolioApp {
                 this.showAddHoldingModal(element.dataset.portfolioId);
                 break;
             case 'show-add-trade':
-                this.showAddTradeModal(element.dataset.portfolioId);
+                this.showAddTradeModal(element.dataset.portfolioId, {
+                    symbol: element.dataset.symbol,
+                    transactionType: element.dataset.transactionType,
+                    price: element.dataset.price ? parseFloat(element.dataset.price) : undefined
+                });
                 break;
             case 'show-trade-history':
-                this.showTradeHistory(element.dataset.portfolioId);
+                this.router.navigate(`/portfolios/${element.dataset.portfolioId}/trades`);
+                break;
+            case 'show-import-trades':
+                this.showImportTradesModal(element.dataset.portfolioId);
+                break;
+            case 'parse-import-file':
+                this.parseImportFile();
+                break;
+            case 'preview-import-trades':
+                this.previewImportTrades();
+                break;
+            case 'import-step-back':
+                this.importState.step = this.importState.step === 'preview' ? 'mapping' : 'upload';
+                this.renderImportStep();
+                break;
+            case 'confirm-import-trades':
+                this.confirmImportTrades();
+                break;
+            case 'show-realized-gains':
+                this.router.navigate(`/portfolios/${element.dataset.portfolioId}/realized-gains`);
+                break;
+            case 'show-rebalance':
+                this.router.navigate(`/portfolios/${element.dataset.portfolioId}/rebalance`);
+                break;
+            case 'add-target-row':
+                this.addTargetRow();
+                break;
+            case 'remove-target-row':
+                element.closest('.target-row').remove();
+                break;
+            case 'stage-rebalance-trades':
+                this.stageRebalanceTrades();
+                break;
+            case 'skip-staged-trade':
+                this.showNextStagedTrade(element.dataset.portfolioId);
+                break;
+            case 'cancel-staged-trades':
+                this.stagedTrades = [];
+                this.closeModal();
+                break;
+            case 'export-form-8949':
+                this.exportForm8949();
+                break;
+            case 'show-cash-ledger':
+                this.router.navigate(`/portfolios/${element.dataset.portfolioId}/cash`);
+                break;
+            case 'change-risk-period':
+                this.changeRiskPeriod(element.dataset.portfolioId, element.dataset.period);
+                break;
+            case 'show-benchmark-settings':
+                this.showBenchmarkModal(element.dataset.portfolioId);
+                break;
+            case 'toggle-look-through':
+                this.toggleLookThrough(element.dataset.portfolioId);
+                break;
+            case 'toggle-forecast-drip':
+                this.toggleForecastDrip();
+                break;
+            case 'export-dividend-tax-summary':
+                this.exportDividendTaxSummary();
+                break;
+            case 'show-classifications':
+                this.showClassificationsModal();
+                break;
+            case 'edit-classification':
+                this.showModal(this.getClassificationFormHTML(element.dataset.symbol));
+                break;
+            case 'reset-classification':
+                this.resetClassification(element.dataset.symbol);
+                break;
+            case 'show-cash-transaction':
+                this.showCashTransactionModal(element.dataset.portfolioId, element.dataset.cashTransactionId);
+                break;
+            case 'delete-cash-transaction':
+                this.deleteCashTransaction(element.dataset.portfolioId, element.dataset.cashTransactionId);
+                break;
+            case 'show-transfer':
+                this.showTransferModal(element.dataset.portfolioId || this.getCurrentPortfolioId(), element.dataset.symbol, element.dataset.transferType);
+                break;
+            case 'transfer-all-lots':
+                this.fillAllTransferLots();
+                break;
+            case 'undo-transfer':
+                this.undoTransfer(element.dataset.portfolioId, element.dataset.transferId);
+                break;
+            case 'show-export':
+                this.showExportModal(element.dataset.dataset);
+                break;
+            case 'export-data':
+                this.exportData(element.dataset.dataset, element.dataset.format);
                 break;
             case 'show-stock-detail':
                 this.showStockDetailModal(element.dataset.symbol);
@@ -143,10 +303,11 @@ class PortfolioApp {
                 this.deleteHolding(element.dataset.symbol, this.getCurrentPortfolioId());
                 break;
             case 'show-dividend-payments':
-                this.showDividendPayments(element.dataset.portfolioId);
+                this.closeModal();
+                this.router.navigate(`/portfolios/${element.dataset.portfolioId}/dividends${element.dataset.tab ? `?tab=${element.dataset.tab}` : ''}`);
                 break;
             case 'show-dividend-safety':
-                this.showDividendSafety(element.dataset.portfolioId);
+                this.router.navigate(`/portfolios/${element.dataset.portfolioId}/dividend-safety`);
                 break;
             case 'record-dividend-payment':
                 this.showRecordDividendModal(element.dataset.dividendId);
@@ -154,6 +315,72 @@ class PortfolioApp {
             case 'switch-dividend-tab':
                 this.switchDividendTab(element.dataset.tab);
                 break;
+            case 'show-dividend-calendar':
+                this.router.navigate('/dividends/calendar');
+                break;
+            case 'show-preferences':
+                this.router.navigate('/settings');
+                break;
+            case 'reset-dashboard-layout':
+                this.resetDashboardLayout();
+                break;
+            case 'customize-dashboard':
+                this.setDashboardEditing(true);
+                break;
+            case 'finish-dashboard-customize':
+                this.setDashboardEditing(false);
+                break;
+            case 'add-dashboard-widget':
+                this.addDashboardWidget(document.getElementById('dashboard-add-widget')?.value);
+                break;
+            case 'remove-dashboard-widget':
+                this.removeDashboardWidget(element.closest('.dashboard-widget'));
+                break;
+            case 'resize-dashboard-widget':
+                this.resizeDashboardWidget(element.closest('.dashboard-widget'));
+                break;
+            case 'dividend-calendar-view':
+                this.setDividendCalendarView(element.dataset.view);
+                break;
+            case 'dividend-calendar-nav':
+                this.moveDividendCalendar(parseInt(element.dataset.step, 10));
+                break;
+            case 'record-calendar-dividend':
+                this.recordCalendarDividend(parseInt(element.dataset.index, 10));
+                break;
+            case 'sort-dividend-growth':
+                this.sortDividendGrowth(element.dataset.sort);
+                break;
+            case 'show-watchlists':
+                this.router.navigate('/watchlists');
+                break;
+            case 'select-watchlist':
+                this.router.navigate(`/watchlists?list=${element.dataset.watchlistId}`);
+                break;
+            case 'show-create-watchlist':
+                this.showModal(this.getWatchlistNameModalHTML());
+                break;
+            case 'show-rename-watchlist':
+                this.showModal(this.getWatchlistNameModalHTML(this.watchlist));
+                break;
+            case 'delete-watchlist':
+                this.deleteWatchlist();
+                break;
+            case 'sort-watchlist':
+                this.sortWatchlist(element.dataset.sort);
+                break;
+            case 'refresh-watchlist':
+                this.refreshWatchlistQuotes();
+                break;
+            case 'edit-watchlist-notes':
+                this.showModal(this.getWatchlistNotesModalHTML(element.dataset.symbol));
+                break;
+            case 'remove-watchlist-symbol':
+                this.removeWatchlistSymbol(element.dataset.symbol);
+                break;
+            case 'record-watchlist-trade':
+                this.recordWatchlistTrade(element.dataset.symbol);
+                break;
         }
     }
     
@@ -180,6 +407,39 @@ class PortfolioApp {
             case 'edit-trade':
                 await this.updateTrade(data);
                 break;
+            case 'cash-transaction':
+                await this.saveCashTransaction(data);
+                break;
+            case 'transfer':
+                await this.submitTransfer(data);
+                break;
+            case 'benchmark':
+                await this.saveBenchmark(data);
+                break;
+            case 'classification':
+                await this.saveClassification(data);
+                break;
+            case 'risk-free-rate':
+                await this.saveRiskFreeRate(data);
+                break;
+            case 'targets':
+                await this.saveTargets(data);
+                break;
+            case 'rebalance-plan':
+                await this.calculateRebalancePlan(data);
+                break;
+            case 'preferences':
+                await this.savePreferences(data);
+                break;
+            case 'watchlist-name':
+                await this.saveWatchlistName(data);
+                break;
+            case 'add-watchlist-symbol':
+                await this.addWatchlistSymbol(data, form);
+                break;
+            case 'watchlist-notes':
+                await this.saveWatchlistNotes(data);
+                break;
         }
     }
     
@@ -213,11 +473,17 @@ class PortfolioApp {
                 this.authToken = response.token;
                 localStorage.setItem('auth_token', this.authToken);
                 this.currentUser = response.user;
+                await this.loadPreferences();
                 
                 this.showSuccess('Welcome back!');
                 
-                // Show welcome walkthrough for new users
-                if (response.user.is_first_login) {
+                // Return to a deep link that required sign-in
+                if (this.redirectAfterLogin) {
+                    const redirect = this.redirectAfterLogin;
+                    this.redirectAfterLogin = null;
+                    this.router.navigate(redirect, { replace: true });
+                } else if (response.user.is_first_login) {
+                    // Show welcome walkthrough for new users
                     this.showWelcomeWalkthrough();
                 } else {
                     this.showDashboard();
@@ -271,6 +537,7 @@ class PortfolioApp {
                 this.authToken = response.token;
                 localStorage.setItem('auth_token', this.authToken);
                 this.currentUser = response.user;
+                await this.loadPreferences();
                 
                 this.showSuccess('Account created successfully!');
                 this.showWelcomeWalkthrough();
@@ -295,10 +562,259 @@ class PortfolioApp {
         const response = await this.authCall('/auth/me');
         if (response.user) {
             this.currentUser = response.user;
+            await this.loadPreferences();
             return this.currentUser;
         }
         throw new Error('Failed to get current user - no user in response');
     }
+
+    async loadPreferences() {
+        try {
+            const response = await this.apiCall('/preferences');
+            if (response.success) {
+                this.preferences = { ...this.preferences, ...response.preferences };
+            }
+        } catch (error) {
+            // Keep the defaults; preferences only change how things are shown
+            console.error('Failed to load preferences:', error);
+        }
+        this.applyPreferences();
+    }
+
+    applyPreferences() {
+        this.applyTheme();
+
+        if (window.portfolioCharts) {
+            window.portfolioCharts.setLocale(this.getLocale());
+            window.portfolioCharts.setDateFormatter(value => this.formatDate(value));
+        }
+    }
+
+    /**
+     * Set the page's theme from the preference, resolving 'auto' from the OS color scheme,
+     * and redraw the charts when it changes
+     */
+    applyTheme() {
+        const preference = this.preferences.theme || 'auto';
+        const theme = preference === 'auto'
+            ? (this.colorSchemeQuery.matches ? 'dark' : 'light')
+            : preference;
+
+        if (document.documentElement.dataset.theme === theme) return;
+
+        document.documentElement.dataset.theme = theme;
+        if (window.portfolioCharts) {
+            window.portfolioCharts.setTheme();
+        }
+    }
+
+    async showPreferences() {
+        this.router.sync('/settings');
+        await this.loadTimezones();
+        document.getElementById('app').innerHTML = this.getPreferencesPageHTML();
+    }
+
+    /**
+     * Fetch the timezones the server accepts once. The browser's own list can hold
+     * aliases (Asia/Calcutta) the server rejects, so it is only a fallback.
+     */
+    async loadTimezones() {
+        if (this.timezones) return;
+
+        try {
+            const response = await this.apiCall('/preferences/timezones');
+            if (response.success) {
+                this.timezones = response.timezones;
+            }
+        } catch (error) {
+            console.error('Failed to load timezones:', error);
+        }
+    }
+
+    async savePreferences(data) {
+        try {
+            const response = await this.apiCall('/preferences', {
+                method: 'PUT',
+                body: JSON.stringify({
+                    theme: data.theme,
+                    timezone: data.timezone,
+                    currency: data.currency,
+                    date_format: data.date_format,
+                    locale: data.locale || null,
+                    chart_period: data.chart_period,
+                    notifications_enabled: data.notifications_enabled === '1',
+                    email_notifications: data.email_notifications === '1'
+                })
+            });
+
+            if (response.success) {
+                this.preferences = { ...this.preferences, ...response.preferences };
+                this.applyPreferences();
+                this.showPreferences();
+                this.showSuccess('Preferences saved');
+            } else {
+                this.showError(response.error || 'Failed to save preferences');
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to save preferences');
+            console.error('Save preferences error:', error);
+        }
+    }
+
+    async resetDashboardLayout() {
+        try {
+            const response = await this.apiCall('/preferences', {
+                method: 'PUT',
+                body: JSON.stringify({ dashboard_layout: null })
+            });
+
+            if (response.success) {
+                this.preferences = { ...this.preferences, ...response.preferences };
+                this.showSuccess('Dashboard layout reset to the default');
+
+                if (document.getElementById('dashboard-widgets')) {
+                    this.renderDashboardWidgets();
+                }
+            } else {
+                this.showError(response.error || 'Failed to reset dashboard layout');
+            }
+        } catch (error) {
+            this.showError('Failed to reset dashboard layout');
+            console.error('Reset dashboard layout error:', error);
+        }
+    }
+
+    getPreferencesPageHTML() {
+        const prefs = this.preferences;
+        const option = (value, label, selected) => `<option value="${this.escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${this.escapeHtml(label)}</option>`;
+        const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const timezones = this.timezones
+            ? [...this.timezones]
+            : (typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []);
+        const timezone = [prefs.timezone, browserTimezone].find(zone => zone && timezones.includes(zone))
+            || prefs.timezone || browserTimezone;
+        if (!timezones.includes(timezone)) timezones.unshift(timezone);
+
+        const dateFormats = ['Y-m-d', 'm/d/Y', 'd/m/Y', 'd.m.Y', 'M j, Y', 'j M Y'];
+        const numberFormats = [
+            ['', 'Browser default'],
+            ['en-US', '1,234.56'],
+            ['de-DE', '1.234,56'],
+            ['fr-FR', '1 234,56'],
+            ['de-CH', "1'234.56"],
+            ['en-IN', '1,23,456.78']
+        ];
+        const today = new Date();
+
+        return `
+            <div class="preferences-page">
+                <header style="background: var(--surface); border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
+                    <div class="container">
+                        <div class="flex justify-between items-center">
+                            <div class="flex items-center gap-4">
+                                <button data-action="show-dashboard" class="btn btn-secondary">← Back to Dashboard</button>
+                                <div>
+                                    <h2 style="margin-bottom: 0;">⚙️ Settings</h2>
+                                    <p class="text-muted" style="margin-bottom: 0;">${this.escapeHtml(this.currentUser?.username || '')}</p>
+                                </div>
+                            </div>
+                            <div class="flex gap-4">
+                                <button data-action="logout" class="btn btn-secondary">Sign Out</button>
+                            </div>
+                        </div>
+                    </div>
+                </header>
+
+                <main class="py-8">
+                    <div class="container" style="max-width: 720px;">
+                        <form data-form="preferences">
+                            <div class="card mb-6">
+                                <h3 class="mb-4">Appearance</h3>
+                                <div class="form-group">
+                                    <label class="form-label" for="pref_theme">Theme</label>
+                                    <select id="pref_theme" name="theme" class="form-input">
+                                        ${option('auto', 'Match system', prefs.theme)}
+                                        ${option('light', 'Light', prefs.theme)}
+                                        ${option('dark', 'Dark', prefs.theme)}
+                                    </select>
+                                </div>
+                            </div>
+
+                            <div class="card mb-6">
+                                <h3 class="mb-4">Region &amp; Formats</h3>
+                                <div class="grid grid-cols-2 gap-4">
+                                    <div class="form-group">
+                                        <label class="form-label" for="pref_currency">Currency</label>
+                                        <select id="pref_currency" name="currency" class="form-input">
+                                            ${this.getCurrencyOptionsHTML(prefs.currency)}
+                                        </select>
+                                        <p class="text-muted" style="font-size: var(--font-size-sm); margin-bottom: 0;">Dashboard totals are shown in it, and new portfolios start in it.</p>
+                                    </div>
+
+                                    <div class="form-group">
+                                        <label class="form-label" for="pref_timezone">Time Zone</label>
+                                        <select id="pref_timezone" name="timezone" class="form-input">
+                                            ${timezones.map(zone => option(zone, zone.replace(/_/g, ' '), timezone)).join('')}
+                                        </select>
+                                    </div>
+
+                                    <div class="form-group">
+                                        <label class="form-label" for="pref_date_format">Date Format</label>
+                                        <select id="pref_date_format" name="date_format" class="form-input">
+                                            ${dateFormats.map(format => option(format, this.formatDate(today, { dateFormat: format }), prefs.date_format)).join('')}
+                                        </select>
+                                    </div>
+
+                                    <div class="form-group">
+                                        <label class="form-label" for="pref_locale">Number Format</label>
+                                        <select id="pref_locale" name="locale" class="form-input">
+                                            ${numberFormats.map(([locale, label]) => option(locale, label, prefs.locale || '')).join('')}
+                                        </select>
+                                    </div>
+                                </div>
+                            </div>
+
+                            <div class="card mb-6">
+                                <h3 class="mb-4">Charts</h3>
+                                <div class="form-group">
+                                    <label class="form-label" for="pref_chart_period">Default Chart Period</label>
+                                    <select id="pref_chart_period" name="chart_period" class="form-input">
+                                        ${['1D', '1W', '1M', '3M', '1Y'].map(period => option(period, period, prefs.chart_period)).join('')}
+                                    </select>
+                                    <p class="text-muted" style="font-size: var(--font-size-sm); margin-bottom: 0;">The range performance charts open at.</p>
+                                </div>
+                            </div>
+
+                            <div class="card mb-6">
+                                <h3 class="mb-4">Notifications</h3>
+                                <label class="flex items-center gap-2 mb-3">
+                                    <input type="checkbox" name="notifications_enabled" value="1" ${prefs.notifications_enabled ? 'checked' : ''}>
+                                    <span>Show confirmation messages in the app (errors are always shown)</span>
+                                </label>
+                                <label class="flex items-center gap-2">
+                                    <input type="checkbox" name="email_notifications" value="1" ${prefs.email_notifications ? 'checked' : ''}>
+                                    <span>Email notifications</span>
+                                </label>
+                            </div>
+
+                            <div class="card mb-6">
+                                <h3 class="mb-4">Dashboard</h3>
+                                <div class="flex justify-between items-center">
+                                    <p class="text-muted" style="margin-bottom: 0;">${prefs.dashboard_layout ? 'Your dashboard uses a custom layout.' : 'Your dashboard uses the default layout.'}</p>
+                                    <button type="button" data-action="reset-dashboard-layout" class="btn btn-secondary btn-sm" ${prefs.dashboard_layout ? '' : 'disabled'}>Reset Layout</button>
+                                </div>
+                            </div>
+
+                            <div class="flex gap-4">
+                                <button type="submit" class="btn btn-primary btn-lg" style="flex: 1;">Save Preferences</button>
+                                <button type="button" data-action="show-dashboard" class="btn btn-secondary btn-lg">Cancel</button>
+                            </div>
+                        </form>
+                    </div>
+                </main>
+            </div>
+        `;
+    }
     
     logout() {
         this.clearAuthToken();
@@ -370,11 +886,24 @@ class PortfolioApp {
                 quantity: parseFloat(data.quantity),
                 price: parseFloat(data.price),
                 fees: parseFloat(data.fees || 0),
+                fx_rate: data.fx_rate ? parseFloat(data.fx_rate) : null,
                 transaction_date: data.transaction_date,
                 notes: data.notes
             };
 
+            if (data.transaction_type === 'sell') {
+                tradeData.lot_method = data.lot_method;
+                if (data.lot_method === 'specific') {
+                    tradeData.lot_selections = this.getSelectedLots(document.querySelector('#modal form[data-form="add-trade"]'));
+                }
+            }
 
+            if (data.transaction_type === 'sell' && data.save_lot_method) {
+                await this.apiCall(`/portfolios/${data.portfolio_id}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({ lot_method: data.lot_method })
+                });
+            }
 
             const response = await this.apiCall(`/portfolios/${data.portfolio_id}/transactions`, {
                 method: 'POST',
@@ -384,6 +913,12 @@ class PortfolioApp {
             if (response.success) {
                 this.showSuccess(`${data.transaction_type === 'buy' ? 'Buy' : 'Sell'} trade recorded successfully!`);
                 this.closeModal();
+
+                // Work through the rest of a staged rebalance before refreshing
+                if (data.staged_trade && this.stagedTrades?.length > 0) {
+                    this.showNextStagedTrade(data.portfolio_id);
+                    return;
+                }
                 this.showPortfolioDetail(data.portfolio_id); // Refresh portfolio view
             } else {
                 this.showError(response.error || 'Failed to record trade');
@@ -406,8 +941,12 @@ class PortfolioApp {
                     quantity: parseFloat(data.quantity),
                     price: parseFloat(data.price),
                     fees: parseFloat(data.fees || 0),
+                    fx_rate: data.fx_rate ? parseFloat(data.fx_rate) : null,
                     transaction_date: data.transaction_date,
-                    notes: data.notes
+                    notes: data.notes,
+                    // Keep the lots this sell was matched against
+                    lot_method: data.lot_method || null,
+                    lot_selections: data.lot_selections ? JSON.parse(data.lot_selections) : null
                 })
             });
 
@@ -445,19 +984,23 @@ class PortfolioApp {
         }
     }
 
-    async showTradeHistory(portfolioId) {
+    async showTradeHistory(portfolioId, filters = {}) {
         try {
+            this.router.sync(`/portfolios/${portfolioId}/trades`);
             this.showLoading('Loading trade history...');
 
-            const [portfolioResponse, transactionsResponse] = await Promise.all([
+            const [portfolioResponse, transactionsResponse, lots] = await Promise.all([
                 this.apiCall(`/portfolios/${portfolioId}`),
-                this.apiCall(`/portfolios/${portfolioId}/transactions`)
+                this.apiCall(`/portfolios/${portfolioId}/transactions`),
+                this.apiCall(`/portfolios/${portfolioId}/lots`)
             ]);
 
             // Store original transactions for filtering
             this.originalTransactions = transactionsResponse.data || [];
             this.currentPortfolioData = portfolioResponse;
             this.currentPortfolioId = portfolioId;
+            this.setDisplayCurrency(portfolioResponse.portfolio.currency);
+            this.washSales = window.washSaleDetector.detect(this.originalTransactions, lots.closed_lots || []);
 
             document.getElementById('app').innerHTML = this.getTradeHistoryPageHTML(
                 portfolioResponse,
@@ -467,7 +1010,7 @@ class PortfolioApp {
 
             // Initialize filters after DOM is ready
             setTimeout(() => {
-                this.initializeTradeHistoryFilters();
+                this.initializeTradeHistoryFilters(filters);
             }, 100);
         } catch (error) {
             this.showError('Failed to load trade history');
@@ -475,58 +1018,492 @@ class PortfolioApp {
         }
     }
 
-    initializeTradeHistoryFilters() {
-        // Add event listeners to all filter inputs
-        const symbolFilter = document.getElementById('symbol-filter');
-        const typeFilter = document.getElementById('type-filter');
-        const dateFilter = document.getElementById('date-filter');
-        const sortFilter = document.getElementById('sort-filter');
+    async showRealizedGains(portfolioId, year = null) {
+        try {
+            this.router.sync(`/portfolios/${portfolioId}/realized-gains`, year ? { year } : null);
+            this.showLoading('Loading realized gains...');
 
-        if (symbolFilter) {
-            symbolFilter.addEventListener('input', () => this.applyTradeFilters());
-        }
-        if (typeFilter) {
-            typeFilter.addEventListener('change', () => this.applyTradeFilters());
-        }
-        if (dateFilter) {
-            dateFilter.addEventListener('change', () => this.applyTradeFilters());
-        }
-        if (sortFilter) {
-            sortFilter.addEventListener('change', () => this.applyTradeFilters());
+            const [portfolioResponse, report, transactionsResponse, lots] = await Promise.all([
+                this.apiCall(`/portfolios/${portfolioId}`),
+                this.apiCall(`/portfolios/${portfolioId}/realized-gains${year ? `?year=${year}` : ''}`),
+                this.apiCall(`/portfolios/${portfolioId}/transactions`),
+                this.apiCall(`/portfolios/${portfolioId}/lots`)
+            ]);
+
+            // Wash sales are reported on Form 8949 with code W and the disallowed loss as a positive adjustment
+            const washSales = window.washSaleDetector.detect(transactionsResponse.data || [], lots.closed_lots || []);
+            washSales.disposals.forEach(washed => {
+                const disposal = report.disposals.find(d => d.sell_transaction_id === washed.sell_transaction_id && d.lot_id === washed.lot_id);
+                if (disposal) {
+                    // Detected in the trade's currency; reported as the same share of the loss in the portfolio's currency
+                    const share = disposal.gain_loss < 0 ? washed.disallowed_loss / -disposal.gain_loss : 0;
+                    disposal.adjustment_code = 'W';
+                    disposal.adjustment_amount = share * Math.max(0, -disposal.gain_loss_base);
+                }
+            });
+
+            this.currentPortfolioData = portfolioResponse;
+            this.currentPortfolioId = portfolioId;
+            this.setDisplayCurrency(portfolioResponse.portfolio.currency);
+            this.realizedGainsReport = report;
+
+            document.getElementById('app').innerHTML = this.getRealizedGainsPageHTML(portfolioResponse.portfolio, report, portfolioId);
+
+            const yearFilter = document.getElementById('realized-year-filter');
+            if (yearFilter) {
+                yearFilter.addEventListener('change', () => this.showRealizedGains(portfolioId, yearFilter.value));
+            }
+        } catch (error) {
+            this.showError('Failed to load realized gains');
+            console.error('Realized gains error:', error);
         }
     }
 
-    applyTradeFilters() {
-        if (!this.originalTransactions) return;
+    async showCashLedger(portfolioId) {
+        try {
+            this.router.sync(`/portfolios/${portfolioId}/cash`);
+            this.showLoading('Loading cash ledger...');
 
-        let filteredTransactions = [...this.originalTransactions];
+            const [portfolioResponse, ledger] = await Promise.all([
+                this.apiCall(`/portfolios/${portfolioId}`),
+                this.apiCall(`/portfolios/${portfolioId}/cash`)
+            ]);
 
-        // Apply symbol filter
-        const symbolFilter = document.getElementById('symbol-filter');
-        if (symbolFilter && symbolFilter.value.trim()) {
-            const searchTerm = symbolFilter.value.trim().toLowerCase();
-            filteredTransactions = filteredTransactions.filter(trade =>
-                trade.stock_symbol.toLowerCase().includes(searchTerm)
-            );
-        }
+            this.currentPortfolioData = portfolioResponse;
+            this.currentPortfolioId = portfolioId;
+            this.setDisplayCurrency(portfolioResponse.portfolio.currency);
+            this.cashLedger = ledger;
 
-        // Apply type filter
-        const typeFilter = document.getElementById('type-filter');
-        if (typeFilter && typeFilter.value) {
-            filteredTransactions = filteredTransactions.filter(trade =>
-                trade.transaction_type === typeFilter.value
-            );
+            document.getElementById('app').innerHTML = this.getCashLedgerPageHTML(portfolioResponse.portfolio, ledger, portfolioId);
+        } catch (error) {
+            this.showError('Failed to load cash ledger');
+            console.error('Cash ledger error:', error);
         }
+    }
 
-        // Apply date filter
-        const dateFilter = document.getElementById('date-filter');
-        if (dateFilter && dateFilter.value) {
-            const days = parseInt(dateFilter.value);
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - days);
+    showCashTransactionModal(portfolioId, cashTransactionId = null) {
+        const entry = cashTransactionId
+            ? (this.cashLedger?.entries || []).find(e => e.source === 'cash' && String(e.id) === String(cashTransactionId))
+            : null;
+        this.showModal(this.getCashTransactionModalHTML(portfolioId, entry));
+    }
 
-            filteredTransactions = filteredTransactions.filter(trade => {
-                const tradeDate = new Date(trade.transaction_date);
+    async saveCashTransaction(data) {
+        try {
+            this.showLoading('Saving cash transaction...');
+
+            const endpoint = `/portfolios/${data.portfolio_id}/cash${data.cash_transaction_id ? `/${data.cash_transaction_id}` : ''}`;
+            const response = await this.apiCall(endpoint, {
+                method: data.cash_transaction_id ? 'PUT' : 'POST',
+                body: JSON.stringify({
+                    transaction_type: data.transaction_type,
+                    amount: parseFloat(data.amount),
+                    transaction_date: data.transaction_date,
+                    notes: data.notes
+                })
+            });
+
+            if (response.success) {
+                this.showSuccess('Cash transaction saved');
+                this.closeModal();
+                this.router.resolve();
+            } else {
+                this.showError(response.error || 'Failed to save cash transaction');
+            }
+        } catch (error) {
+            this.showError('Failed to save cash transaction. Please try again.');
+            console.error('Save cash transaction error:', error);
+        }
+    }
+
+    async deleteCashTransaction(portfolioId, cashTransactionId) {
+        if (!confirm('Delete this cash transaction? The cash balance will be recalculated.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/portfolios/${portfolioId}/cash/${cashTransactionId}`, {
+                method: 'DELETE'
+            });
+
+            if (response.success) {
+                this.showSuccess('Cash transaction deleted');
+                this.router.resolve();
+            } else {
+                this.showError(response.error || 'Failed to delete cash transaction');
+            }
+        } catch (error) {
+            this.showError('Failed to delete cash transaction. Please try again.');
+            console.error('Delete cash transaction error:', error);
+        }
+    }
+
+    async showTransferModal(portfolioId, symbol = null, transferType = 'shares') {
+        const type = symbol && transferType !== 'cash' ? 'shares' : 'cash';
+
+        try {
+            const [portfoliosResponse, lotsResponse] = await Promise.all([
+                this.apiCall('/portfolios'),
+                type === 'shares' ? this.apiCall(`/portfolios/${portfolioId}/lots?symbol=${encodeURIComponent(symbol)}`) : null
+            ]);
+
+            const destinations = (portfoliosResponse.portfolios || []).filter(p => String(p.id) !== String(portfolioId));
+            if (destinations.length === 0) {
+                this.showError('Create another portfolio to transfer to');
+                return;
+            }
+
+            this.showModal(this.getTransferModalHTML(portfolioId, type, symbol, destinations, lotsResponse?.open_lots || []));
+        } catch (error) {
+            this.showError('Failed to load transfer details');
+            console.error('Transfer modal error:', error);
+        }
+    }
+
+    fillAllTransferLots() {
+        document.querySelectorAll('#modal form[data-form="transfer"] .lot-quantity-input').forEach(input => {
+            input.value = input.max;
+        });
+    }
+
+    async submitTransfer(data) {
+        const form = document.querySelector('#modal form[data-form="transfer"]');
+        const body = {
+            to_portfolio_id: parseInt(data.to_portfolio_id),
+            transfer_type: data.transfer_type,
+            transfer_date: data.transfer_date,
+            notes: data.notes
+        };
+
+        if (data.transfer_type === 'shares') {
+            body.stock_symbol = data.stock_symbol;
+            body.lots = this.getSelectedLots(form);
+            if (data.market_price) {
+                body.market_price = parseFloat(data.market_price);
+            }
+
+            if (body.lots.length === 0) {
+                this.showError('Enter the shares to transfer from at least one lot');
+                return;
+            }
+        } else {
+            body.amount = parseFloat(data.amount);
+        }
+
+        try {
+            this.showLoading('Transferring...');
+
+            const response = await this.apiCall(`/portfolios/${data.portfolio_id}/transfers`, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message || 'Transfer recorded');
+                this.closeModal();
+                this.router.resolve();
+            } else {
+                this.showError(response.error || 'Failed to record transfer');
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to record transfer. Please try again.');
+            console.error('Transfer error:', error);
+            this.router.resolve();
+        }
+    }
+
+    async undoTransfer(portfolioId, transferId) {
+        if (!confirm('Undo this transfer? It is removed from both portfolios and their holdings are recalculated.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/portfolios/${portfolioId}/transfers/${transferId}`, {
+                method: 'DELETE'
+            });
+
+            if (response.success) {
+                this.showSuccess('Transfer undone');
+                this.closeModal();
+                this.router.resolve();
+            } else {
+                this.showError(response.error || 'Failed to undo transfer');
+            }
+        } catch (error) {
+            this.showError(error.message || 'Failed to undo transfer. Please try again.');
+            console.error('Undo transfer error:', error);
+        }
+    }
+
+    async showRebalance(portfolioId) {
+        try {
+            this.router.sync(`/portfolios/${portfolioId}/rebalance`);
+            this.showLoading('Loading target allocation...');
+
+            const portfolioResponse = await this.apiCall(`/portfolios/${portfolioId}`);
+
+            this.currentPortfolioData = portfolioResponse;
+            this.currentPortfolioId = portfolioId;
+            this.setDisplayCurrency(portfolioResponse.portfolio.currency);
+            this.rebalanceState = { portfolioId, plan: null };
+
+            document.getElementById('app').innerHTML = this.getRebalancePageHTML(portfolioResponse, portfolioId);
+        } catch (error) {
+            this.showError('Failed to load target allocation');
+            console.error('Rebalance error:', error);
+        }
+    }
+
+    addTargetRow() {
+        const rows = document.getElementById('target-rows');
+        if (!rows) return;
+
+        const index = Math.max(-1, ...[...rows.querySelectorAll('.target-row')].map(row => parseInt(row.dataset.index, 10))) + 1;
+        rows.insertAdjacentHTML('beforeend', this.getTargetRowHTML(index, { key: '', weight: '' }));
+    }
+
+    async saveTargets(data) {
+        const targets = Object.keys(data)
+            .filter(name => name.startsWith('target_key_') && data[name].trim() !== '')
+            .map(name => {
+                const index = name.replace('target_key_', '');
+                return { key: data[name].trim(), weight: parseFloat(data[`target_weight_${index}`]) || 0 };
+            });
+
+        const totalWeight = targets.reduce((sum, target) => sum + target.weight, 0);
+        if (totalWeight > 100.0001) {
+            this.showError(`Target weights add up to ${totalWeight.toFixed(2)}%. They can't exceed 100%.`);
+            return;
+        }
+
+        try {
+            this.showLoading('Saving target allocation...');
+
+            const response = await this.apiCall(`/portfolios/${data.portfolio_id}/targets`, {
+                method: 'PUT',
+                body: JSON.stringify({ target_type: data.target_type, targets })
+            });
+
+            if (response.success) {
+                this.showSuccess('Target allocation saved');
+                this.router.resolve();
+            } else {
+                this.showError(response.error || 'Failed to save target allocation');
+            }
+        } catch (error) {
+            this.showError('Failed to save target allocation: ' + error.message);
+            console.error('Save targets error:', error);
+        }
+    }
+
+    async calculateRebalancePlan(data) {
+        const portfolioData = this.currentPortfolioData;
+        const targets = portfolioData?.targets;
+        if (!targets || targets.targets.length === 0) {
+            this.showError('Save a target allocation first');
+            return;
+        }
+
+        const holdings = portfolioData.holdings || [];
+        const cash = portfolioData.cash?.tracked ? portfolioData.cash.balance : 0;
+
+        try {
+            // New positions need a price, and its rate into the portfolio's currency, to size the buy
+            const prices = {};
+            if (targets.target_type === 'symbol') {
+                const currency = encodeURIComponent(portfolioData.portfolio.currency);
+                const missing = targets.targets.map(t => t.key).filter(symbol => !holdings.some(h => h.symbol === symbol));
+                const quotes = await Promise.all(missing.map(symbol => this.apiCall(`/stocks/${symbol}/quote?currency=${currency}`).catch(() => null)));
+                quotes.forEach((quote, i) => {
+                    if (quote && quote.current_price) {
+                        prices[missing[i]] = {
+                            price: parseFloat(quote.current_price),
+                            currency: quote.currency,
+                            fx_rate: quote.fx_rate == null ? null : parseFloat(quote.fx_rate)
+                        };
+                    }
+                });
+            }
+
+            const plan = window.rebalanceCalculator.plan(holdings, cash, targets, {
+                contribution: parseFloat(data.contribution) || 0,
+                contributionsOnly: !!data.contributions_only,
+                minTradeValue: parseFloat(data.min_trade_value) || 0,
+                feePerTrade: parseFloat(data.fee_per_trade) || 0,
+                fractional: !!data.fractional,
+                prices
+            });
+
+            this.rebalanceState = { ...this.rebalanceState, plan };
+            document.getElementById('rebalance-plan').innerHTML = this.getRebalancePlanHTML(plan, !!data.contributions_only);
+        } catch (error) {
+            this.showError('Failed to calculate rebalancing plan');
+            console.error('Rebalance plan error:', error);
+        }
+    }
+
+    /**
+     * Queue the plan's trades and open the add-trade modal for the first one.
+     * Each is recorded through addTrade, which opens the next until the queue is empty.
+     */
+    stageRebalanceTrades() {
+        const plan = this.rebalanceState?.plan;
+        if (!plan || plan.trades.length === 0) return;
+
+        // The plan lists sells first, so their proceeds are in cash before the buys
+        this.stagedTrades = plan.trades.map((trade, i) => ({ ...trade, index: i + 1, total: plan.trades.length }));
+        this.showNextStagedTrade(this.rebalanceState.portfolioId);
+    }
+
+    showNextStagedTrade(portfolioId) {
+        const trade = (this.stagedTrades || []).shift();
+        if (!trade) {
+            this.closeModal();
+            this.showPortfolioDetail(portfolioId);
+            return;
+        }
+
+        this.showAddTradeModal(portfolioId, {
+            symbol: trade.symbol,
+            transactionType: trade.transaction_type,
+            quantity: trade.quantity,
+            price: trade.price,
+            fees: trade.fee,
+            notes: 'Rebalance',
+            staged: { index: trade.index, total: trade.total }
+        });
+    }
+
+    getTaxClassificationLabels() {
+        return {
+            qualified: 'Qualified',
+            ordinary: 'Ordinary',
+            return_of_capital: 'Return of Capital'
+        };
+    }
+
+    exportDividendTaxSummary() {
+        const year = document.getElementById('dividend-tax-year')?.value;
+        const payments = (this.dividendPaymentHistory || [])
+            .filter(payment => payment.payment_date.startsWith(year))
+            .sort((a, b) => a.payment_date.localeCompare(b.payment_date));
+
+        if (payments.length === 0) {
+            this.showError('There are no dividend payments to export for this year');
+            return;
+        }
+
+        const exporter = window.portfolioExporter;
+        const portfolio = this.currentPortfolioData?.portfolio;
+        exporter.download(
+            exporter.toDividendTaxSummaryCSV(payments, year),
+            exporter.getFilename(portfolio, `dividend-tax-${year}`, 'csv'),
+            'text/csv'
+        );
+    }
+
+    exportForm8949() {
+        const report = this.realizedGainsReport;
+        if (!report || report.disposals.length === 0) {
+            this.showError('There are no realized gains to export for this year');
+            return;
+        }
+
+        const exporter = window.portfolioExporter;
+        const portfolio = this.currentPortfolioData?.portfolio;
+        exporter.download(
+            exporter.toForm8949CSV(report.disposals, report.year),
+            exporter.getFilename(portfolio, `form-8949-${report.year}`, 'csv'),
+            'text/csv'
+        );
+    }
+
+    initializeTradeHistoryFilters(filters = {}) {
+        // Add event listeners to all filter inputs
+        const symbolFilter = document.getElementById('symbol-filter');
+        const typeFilter = document.getElementById('type-filter');
+        const dateFilter = document.getElementById('date-filter');
+        const sortFilter = document.getElementById('sort-filter');
+
+        // Restore filters from the URL query string
+        if (symbolFilter && filters.symbol) symbolFilter.value = filters.symbol;
+        if (typeFilter && filters.type) typeFilter.value = filters.type;
+        if (dateFilter && filters.days) dateFilter.value = filters.days;
+        if (sortFilter && filters.sort) sortFilter.value = filters.sort;
+
+        if (filters.symbol || filters.type || filters.days || filters.sort) {
+            this.applyTradeFilters();
+        }
+
+        if (symbolFilter) {
+            symbolFilter.addEventListener('input', () => this.applyTradeFilters());
+        }
+        if (typeFilter) {
+            typeFilter.addEventListener('change', () => this.applyTradeFilters());
+        }
+        if (dateFilter) {
+            dateFilter.addEventListener('change', () => this.applyTradeFilters());
+        }
+        if (sortFilter) {
+            sortFilter.addEventListener('change', () => this.applyTradeFilters());
+        }
+    }
+
+    applyTradeFilters() {
+        if (!this.originalTransactions) return;
+
+        const filteredTransactions = this.getFilteredTrades();
+
+        const symbolFilter = document.getElementById('symbol-filter');
+        const typeFilter = document.getElementById('type-filter');
+        const dateFilter = document.getElementById('date-filter');
+        const sortFilter = document.getElementById('sort-filter');
+
+        // Keep the URL in sync so filtered views can be bookmarked and shared
+        this.router.updateQuery({
+            symbol: symbolFilter ? symbolFilter.value.trim() : '',
+            type: typeFilter ? typeFilter.value : '',
+            days: dateFilter ? dateFilter.value : '',
+            sort: sortFilter && sortFilter.value !== 'date-desc' ? sortFilter.value : ''
+        });
+
+        // Update the table and stats
+        this.updateTradeHistoryDisplay(filteredTransactions);
+    }
+
+    /**
+     * Trades matching the trade history filters, in the selected sort order
+     */
+    getFilteredTrades() {
+        let filteredTransactions = [...(this.originalTransactions || [])];
+
+        // Apply symbol filter
+        const symbolFilter = document.getElementById('symbol-filter');
+        if (symbolFilter && symbolFilter.value.trim()) {
+            const searchTerm = symbolFilter.value.trim().toLowerCase();
+            filteredTransactions = filteredTransactions.filter(trade =>
+                trade.stock_symbol.toLowerCase().includes(searchTerm)
+            );
+        }
+
+        // Apply type filter
+        const typeFilter = document.getElementById('type-filter');
+        if (typeFilter && typeFilter.value) {
+            filteredTransactions = filteredTransactions.filter(trade => typeFilter.value === 'drip'
+                ? this.isReinvestmentTrade(trade)
+                : trade.transaction_type === typeFilter.value
+            );
+        }
+
+        // Apply date filter
+        const dateFilter = document.getElementById('date-filter');
+        if (dateFilter && dateFilter.value) {
+            const days = parseInt(dateFilter.value);
+            const cutoffDate = new Date();
+            cutoffDate.setDate(cutoffDate.getDate() - days);
+
+            filteredTransactions = filteredTransactions.filter(trade => {
+                const tradeDate = new Date(trade.transaction_date);
                 return tradeDate >= cutoffDate;
             });
         }
@@ -553,8 +1530,7 @@ class PortfolioApp {
             });
         }
 
-        // Update the table and stats
-        this.updateTradeHistoryDisplay(filteredTransactions);
+        return filteredTransactions;
     }
 
     updateTradeHistoryDisplay(transactions) {
@@ -597,7 +1573,7 @@ class PortfolioApp {
         const totalVolumeElement = document.querySelector('.grid.grid-cols-4.gap-6 .card:nth-child(4) div:first-child');
         if (totalVolumeElement) {
             const totalVolume = this.calculateTotalTradeValue(transactions);
-            totalVolumeElement.textContent = `$${totalVolume.toLocaleString()}`;
+            totalVolumeElement.textContent = this.formatCurrency(totalVolume);
         }
     }
 
@@ -725,12 +1701,61 @@ class PortfolioApp {
             document.getElementById('app').innerHTML = currentAppContent;
 
             this.showModal(this.getEditTradeModalHTML(trade));
+            this.initializeEditWashSaleCheck(portfolioId, trade);
         } catch (error) {
             this.showError('Failed to load trade details');
             console.error('Edit trade error:', error);
         }
     }
 
+    /**
+     * Load the symbol's other trades and lots so the edit form can warn about wash sales.
+     * The trade being edited is left out, and lots it sold are put back as open.
+     */
+    async initializeEditWashSaleCheck(portfolioId, trade) {
+        const form = document.querySelector('#modal form[data-form="edit-trade"]');
+        if (!form) return;
+
+        this.editTradeState = null;
+
+        try {
+            const query = `?symbol=${encodeURIComponent(trade.stock_symbol)}`;
+            const [lots, transactionsResponse] = await Promise.all([
+                this.apiCall(`/portfolios/${portfolioId}/lots${query}`),
+                this.apiCall(`/portfolios/${portfolioId}/transactions${query}`)
+            ]);
+
+            const openLots = (lots.open_lots || []).map(lot => ({ ...lot }));
+            (lots.closed_lots || [])
+                .filter(lot => lot.sell_transaction_id === trade.id)
+                .forEach(lot => {
+                    const open = openLots.find(l => l.lot_id === lot.lot_id);
+                    if (open) {
+                        open.remaining_quantity += lot.quantity;
+                    } else {
+                        openLots.push({ lot_id: lot.lot_id, acquired_date: lot.acquired_date, remaining_quantity: lot.quantity, cost_per_share: lot.cost_per_share });
+                    }
+                });
+
+            this.editTradeState = {
+                tradeId: trade.id,
+                symbol: trade.stock_symbol,
+                openLots,
+                closedLots: (lots.closed_lots || []).filter(lot => lot.sell_transaction_id !== trade.id),
+                transactions: (transactionsResponse.data || []).filter(t => t.id !== trade.id),
+                lotMethod: trade.lot_method || lots.lot_method || 'fifo',
+                lotSelections: trade.lot_selections || []
+            };
+        } catch (error) {
+            console.error('Failed to load wash sale data:', error);
+            return;
+        }
+
+        form.addEventListener('input', () => this.renderWashSaleWarning(form));
+        form.addEventListener('change', () => this.renderWashSaleWarning(form));
+        this.renderWashSaleWarning(form);
+    }
+
     confirmDeleteTrade(tradeId) {
         this.showModal(this.getConfirmDeleteTradeModalHTML(tradeId));
     }
@@ -744,12 +1769,15 @@ class PortfolioApp {
 
             // Get current portfolio ID from URL or context
             const portfolioId = this.getCurrentPortfolioId();
-            const response = await this.apiCall(`/portfolios/${portfolioId}/transactions?symbol=${symbol}`);
+            const [response, lotsResponse] = await Promise.all([
+                this.apiCall(`/portfolios/${portfolioId}/transactions?symbol=${symbol}`),
+                this.apiCall(`/portfolios/${portfolioId}/lots?symbol=${symbol}`)
+            ]);
 
             // Restore app content before showing modal
             document.getElementById('app').innerHTML = currentAppContent;
 
-            this.showModal(this.getHoldingTradesModalHTML(response.data || [], symbol, portfolioId));
+            this.showModal(this.getHoldingTradesModalHTML(response.data || [], symbol, portfolioId, lotsResponse));
         } catch (error) {
             this.showError('Failed to load holding trades');
             console.error('Holding trades error:', error);
@@ -963,10 +1991,10 @@ class PortfolioApp {
 
             if (performanceResponse.success && performanceResponse.data) {
                 // Add events to the historical data
-                const historicalDataWithEvents = {
+                const historicalDataWithEvents = await this.addBenchmarkComparison({
                     ...performanceResponse.data,
                     events: eventsResponse.success ? eventsResponse.events : []
-                };
+                });
                 // Update performance chart with real data and events
                 window.portfolioCharts.createRealPerformanceChart('performanceChart', historicalDataWithEvents);
             } else {
@@ -995,23 +2023,284 @@ class PortfolioApp {
             '1W': 7,
             '1M': 30,
             '3M': 90,
+            '6M': 180,
             '1Y': 365
         };
         return periodMap[period] || 30;
     }
-    
-    async apiCall(endpoint, options = {}) {
-        const url = this.apiBase + endpoint;
-        const defaultOptions = {
-            headers: {
-                'Content-Type': 'application/json',
-                ...(this.authToken && { 'Authorization': `Bearer ${this.authToken}` })
-            }
-        };
 
-        const finalOptions = { ...defaultOptions, ...options };
-
-        const response = await fetch(url, finalOptions);
+    getBenchmarkLabel(portfolio) {
+        const benchmark = portfolio?.benchmark || 'SPY';
+        const components = portfolio?.benchmark_components || [];
+        return components.length > 1
+            ? `${benchmark} (${components.map(component => component.symbol).join('/')})`
+            : benchmark;
+    }
+
+    /**
+     * Add the portfolio's benchmark line to performance chart data and fill in the
+     * excess return and tracking error cards for the same period.
+     */
+    async addBenchmarkComparison(historicalData) {
+        const portfolio = this.currentPortfolioData?.portfolio;
+        const components = portfolio?.benchmark_components || [];
+        const dates = historicalData.dates || [];
+
+        if (components.length === 0 || dates.length === 0) {
+            this.renderBenchmarkMetrics(null);
+            return historicalData;
+        }
+
+        try {
+            // Start a week early so there is a close on or before the first charted day
+            const priceSeries = await Promise.all(components.map(component =>
+                this.fetchPriceHistory(component.symbol, dates[0], dates[dates.length - 1], 7)
+            ));
+
+            const comparison = this.calculateBenchmarkComparison(historicalData, components, priceSeries);
+            this.renderBenchmarkMetrics(comparison);
+
+            return comparison
+                ? { ...historicalData, benchmark_values: comparison.values, benchmark_label: this.getBenchmarkLabel(portfolio) }
+                : historicalData;
+        } catch (error) {
+            console.warn('Benchmark history unavailable:', error);
+            this.renderBenchmarkMetrics(null);
+            return historicalData;
+        }
+    }
+
+    /**
+     * Daily closes for a symbol, oldest first, as [{date, close}] (adjusted for dividends where available)
+     */
+    async fetchPriceHistory(symbol, startDate, endDate, leadDays = 0) {
+        const start = new Date(startDate);
+        start.setDate(start.getDate() - leadDays);
+
+        const history = await this.apiCall(`/stocks/${symbol}/history?start=${start.toISOString().split('T')[0]}&end=${endDate}`);
+
+        return (history.prices || [])
+            .map(price => ({ date: String(price.date).slice(0, 10), close: price.adjusted_close || price.close }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Benchmark value series, excess return and tracking error over the charted days.
+     *
+     * The benchmark starts at the portfolio's first charted value and receives the same
+     * contributions (start of day) and withdrawals (end of day), so the two lines stay
+     * comparable. Blends are rebalanced daily to their component weights. Daily portfolio
+     * returns exclude those flows, matching the time-weighted returns.
+     */
+    calculateBenchmarkComparison(historicalData, components, priceSeries) {
+        const dates = historicalData.dates;
+        const values = historicalData.portfolio_values;
+        const flows = historicalData.flow_values || [];
+
+        // Latest close on or before each charted day, per component
+        const closes = priceSeries.map(prices => {
+            let index = -1;
+            return dates.map(date => {
+                while (index + 1 < prices.length && prices[index + 1].date <= date) index++;
+                return index >= 0 ? prices[index].close : null;
+            });
+        });
+
+        const startIndex = values.findIndex((value, i) => value > 0 && closes.every(series => series[i] > 0));
+        if (startIndex === -1) return null;
+
+        const benchmarkValues = dates.map(() => null);
+        benchmarkValues[startIndex] = values[startIndex];
+        const activeReturns = [];
+        let portfolioGrowth = 1;
+        let benchmarkGrowth = 1;
+
+        for (let i = startIndex + 1; i < dates.length; i++) {
+            const flow = flows[i] || 0;
+            const benchmarkReturn = components.reduce((sum, component, k) =>
+                sum + component.weight * (closes[k][i] / closes[k][i - 1] - 1), 0);
+
+            benchmarkValues[i] = (benchmarkValues[i - 1] + Math.max(flow, 0)) * (1 + benchmarkReturn) + Math.min(flow, 0);
+
+            const startValue = values[i - 1] + Math.max(flow, 0);
+            if (startValue <= 0) continue;
+
+            const portfolioReturn = (values[i] - Math.min(flow, 0)) / startValue - 1;
+            portfolioGrowth *= 1 + portfolioReturn;
+            benchmarkGrowth *= 1 + benchmarkReturn;
+            activeReturns.push(portfolioReturn - benchmarkReturn);
+        }
+
+        // Annualized standard deviation of daily active returns (252 trading days)
+        let trackingError = null;
+        if (activeReturns.length > 1) {
+            const mean = activeReturns.reduce((sum, r) => sum + r, 0) / activeReturns.length;
+            const variance = activeReturns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (activeReturns.length - 1);
+            trackingError = Math.sqrt(variance) * Math.sqrt(252);
+        }
+
+        return {
+            values: benchmarkValues.map(value => value === null ? null : Math.round(value * 100) / 100),
+            start_label: historicalData.labels[startIndex],
+            days: activeReturns.length,
+            portfolio_return: portfolioGrowth - 1,
+            benchmark_return: benchmarkGrowth - 1,
+            excess_return: portfolioGrowth - benchmarkGrowth,
+            tracking_error: trackingError
+        };
+    }
+
+    renderBenchmarkMetrics(comparison) {
+        const excessElement = document.getElementById('benchmark-excess-return');
+        const trackingElement = document.getElementById('benchmark-tracking-error');
+        const periodElement = document.getElementById('benchmark-period');
+        if (!excessElement || !trackingElement) return;
+
+        if (!comparison || comparison.days === 0) {
+            excessElement.textContent = '—';
+            excessElement.style.color = '';
+            trackingElement.textContent = '—';
+            if (periodElement) periodElement.textContent = 'No benchmark price history for this period';
+            return;
+        }
+
+        excessElement.textContent = this.formatPercent(comparison.excess_return);
+        excessElement.style.color = comparison.excess_return >= 0 ? 'var(--success-green)' : 'var(--danger-red)';
+        trackingElement.textContent = comparison.tracking_error === null ? '—' : `${(comparison.tracking_error * 100).toFixed(2)}%`;
+        if (periodElement) {
+            periodElement.textContent = `Since ${comparison.start_label}: ${this.formatPercent(comparison.portfolio_return)} vs ${this.formatPercent(comparison.benchmark_return)}`;
+        }
+    }
+
+    showBenchmarkModal(portfolioId) {
+        this.showModal(this.getBenchmarkModalHTML(portfolioId, this.currentPortfolioData?.portfolio?.benchmark || 'SPY'));
+    }
+
+    async saveBenchmark(data) {
+        const benchmark = data.benchmark === 'custom' ? (data.custom_symbol || '').trim().toUpperCase() : data.benchmark;
+        if (!benchmark) {
+            this.showError('Please choose a benchmark symbol');
+            return;
+        }
+
+        try {
+            this.showLoading('Saving benchmark...');
+
+            const response = await this.apiCall(`/portfolios/${data.portfolio_id}`, {
+                method: 'PUT',
+                body: JSON.stringify({ benchmark })
+            });
+
+            if (response.success) {
+                this.showSuccess(`Benchmark set to ${response.portfolio.benchmark}`);
+                this.closeModal();
+                this.router.resolve();
+            } else {
+                this.showError(response.error || 'Failed to save benchmark');
+            }
+        } catch (error) {
+            this.showError('Failed to save benchmark: ' + error.message);
+            console.error('Save benchmark error:', error);
+        }
+    }
+
+    async showClassificationsModal() {
+        try {
+            const response = await this.apiCall('/stocks/classifications');
+            this.classificationSectors = response.sectors || [];
+        } catch (error) {
+            // The list still works without the suggested sector names
+            console.error('Load classifications error:', error);
+        }
+
+        this.showModal(this.getClassificationsModalHTML(this.currentPortfolioData?.holdings || []));
+    }
+
+    /**
+     * Parse "Sector: percent" lines into [{sector, weight}] fractions
+     */
+    parseSectorWeights(text) {
+        const weights = [];
+        for (const line of (text || '').split('\n').map(l => l.trim()).filter(Boolean)) {
+            const match = line.match(/^(.+?)\s*[:=]\s*([\d.]+)\s*%?$/);
+            if (!match || !(parseFloat(match[2]) > 0)) {
+                throw new Error(`Can't read "${line}" - use "Sector: percent"`);
+            }
+            weights.push({ sector: match[1].trim(), weight: parseFloat(match[2]) / 100 });
+        }
+        return weights;
+    }
+
+    async saveClassification(data) {
+        let sectorWeights;
+        try {
+            sectorWeights = this.parseSectorWeights(data.sector_weights);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        if (!data.sector.trim() && sectorWeights.length === 0) {
+            this.showError('Enter a sector or sector weights');
+            return;
+        }
+
+        try {
+            this.showLoading('Saving classification...');
+
+            const response = await this.apiCall(`/stocks/${data.symbol}/classification`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    sector: data.sector.trim(),
+                    industry: data.industry.trim(),
+                    sector_weights: sectorWeights
+                })
+            });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.closeModal();
+                this.router.resolve();
+            } else {
+                this.showError(response.error || 'Failed to save classification');
+            }
+        } catch (error) {
+            this.showError('Failed to save classification: ' + error.message);
+            console.error('Save classification error:', error);
+        }
+    }
+
+    async resetClassification(symbol) {
+        try {
+            this.showLoading('Resetting classification...');
+
+            const response = await this.apiCall(`/stocks/${symbol}/classification`, { method: 'DELETE' });
+
+            if (response.success) {
+                this.showSuccess(response.message);
+                this.closeModal();
+                this.router.resolve();
+            } else {
+                this.showError(response.error || 'Failed to reset classification');
+            }
+        } catch (error) {
+            this.showError('Failed to reset classification: ' + error.message);
+            console.error('Reset classification error:', error);
+        }
+    }
+    
+    async apiCall(endpoint, options = {}) {
+        const url = this.apiBase + endpoint;
+        const defaultOptions = {
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.authToken && { 'Authorization': `Bearer ${this.authToken}` })
+            }
+        };
+
+        const finalOptions = { ...defaultOptions, ...options };
+
+        const response = await fetch(url, finalOptions);
 
         if (!response.ok) {
             // Try to get error details from response
@@ -1055,29 +2344,35 @@ class PortfolioApp {
     }
     
     showHomepage() {
+        this.router.sync('/');
         document.getElementById('app').innerHTML = this.getHomepageHTML();
     }
     
     showLogin() {
+        this.router.sync('/login');
         document.getElementById('app').innerHTML = this.getLoginHTML();
     }
     
     showRegister() {
+        this.router.sync('/register');
         document.getElementById('app').innerHTML = this.getRegisterHTML();
     }
     
     async showDashboard() {
         try {
+            this.router.sync('/');
             this.showLoading('Loading your portfolios...');
             
             const portfolios = await this.apiCall('/portfolios');
+            // Totals across portfolios are in the user's preferred currency
+            this.setDisplayCurrency(portfolios.display_currency);
+            this.dashboardPortfolios = portfolios.portfolios || [];
+            this.dashboardEditing = false;
             document.getElementById('app').innerHTML = this.getDashboardHTML(portfolios);
 
-            // Initialize dashboard charts if there are portfolios
-            if (portfolios.portfolios && portfolios.portfolios.length > 0) {
-                setTimeout(() => {
-                    this.initializeDashboardCharts(portfolios.portfolios);
-                }, 100);
+            // Fill in the widgets if there are portfolios
+            if (this.dashboardPortfolios.length > 0) {
+                setTimeout(() => this.loadDashboardWidgets(), 100);
             }
         } catch (error) {
             this.showError('Failed to load dashboard');
@@ -1091,6 +2386,7 @@ class PortfolioApp {
 
     async showPortfolioDetail(portfolioId) {
         try {
+            this.router.sync(`/portfolios/${portfolioId}`);
             this.showLoading('Loading portfolio details...');
 
             // Check if this portfolio needs a refresh (e.g., after dividend payments)
@@ -1117,12 +2413,22 @@ class PortfolioApp {
                 await this.enrichHoldingsWithDividendData(portfolio.holdings);
             }
 
+            this.currentPortfolioData = portfolio;
+            this.currentPortfolioId = portfolioId;
+            this.setDisplayCurrency(portfolio.portfolio.currency);
+
             document.getElementById('app').innerHTML = this.getPortfolioDetailHTML(portfolio);
 
             // Initialize charts after DOM is ready
             setTimeout(() => {
                 this.initializePortfolioCharts(portfolio);
                 this.loadDividendSummary(portfolio.portfolio.id);
+                this.renderDividendForecast();
+                this.loadReturns(`/portfolios/${portfolio.portfolio.id}/returns`);
+                this.loadRiskMetrics(portfolio.portfolio.id);
+                if (this.lookThroughMode) {
+                    this.loadLookThrough(portfolio.portfolio.id);
+                }
             }, 100);
         } catch (error) {
             this.showError('Failed to load portfolio details');
@@ -1134,8 +2440,9 @@ class PortfolioApp {
         try {
             // Fetch dividend data for all unique symbols
             const symbols = [...new Set(holdings.map(h => h.symbol))];
+            // Two years of history so the forecast can tell annual payers apart
             const dividendPromises = symbols.map(symbol =>
-                this.apiCall(`/stocks/${symbol}/dividends?days=365`).catch(error => {
+                this.apiCall(`/stocks/${symbol}/dividends?days=730`).catch(error => {
                     console.warn(`Failed to fetch dividend data for ${symbol}:`, error);
                     return { success: false, symbol };
                 })
@@ -1148,11 +2455,13 @@ class PortfolioApp {
             dividendResponses.forEach(response => {
                 if (response.success && response.dividends) {
                     const symbol = response.symbol;
-                    const totalDividends = response.total_amount || 0;
+                    const yearAgo = new Date(Date.now() - 365 * 86400000).toISOString().split('T')[0];
+                    const lastYear = response.dividends.filter(dividend => String(dividend.ex_date).slice(0, 10) >= yearAgo);
                     dividendMap[symbol] = {
-                        annual_dividend: totalDividends,
-                        dividend_count: response.count || 0,
-                        dividends: response.dividends || []
+                        annual_dividend: lastYear.reduce((sum, dividend) => sum + dividend.amount, 0),
+                        dividend_count: lastYear.length,
+                        dividends: lastYear,
+                        dividend_history: response.dividends
                     };
                 }
             });
@@ -1165,13 +2474,19 @@ class PortfolioApp {
                     holding.dividend_yield = holding.current_price > 0
                         ? (dividendData.annual_dividend / holding.current_price) * 100
                         : 0;
+                    holding.yield_on_cost = holding.avg_cost_basis > 0
+                        ? (dividendData.annual_dividend / holding.avg_cost_basis) * 100
+                        : 0;
                     holding.dividend_count = dividendData.dividend_count;
                     holding.dividends = dividendData.dividends;
+                    holding.dividend_history = dividendData.dividend_history;
                 } else {
                     holding.annual_dividend = 0;
                     holding.dividend_yield = 0;
+                    holding.yield_on_cost = 0;
                     holding.dividend_count = 0;
                     holding.dividends = [];
+                    holding.dividend_history = [];
                 }
             });
 
@@ -1181,8 +2496,10 @@ class PortfolioApp {
             holdings.forEach(holding => {
                 holding.annual_dividend = 0;
                 holding.dividend_yield = 0;
+                holding.yield_on_cost = 0;
                 holding.dividend_count = 0;
                 holding.dividends = [];
+                holding.dividend_history = [];
             });
         }
     }
@@ -1196,10 +2513,11 @@ class PortfolioApp {
 
         if (portfolioId) {
             try {
-                // Fetch real historical data (temporarily disable events due to 500 error)
+                // Open at the user's default period (temporarily disable events due to 500 error)
+                const days = this.getPeriodDays(this.preferences.chart_period);
                 const [performanceResponse, stockPerformanceResponse] = await Promise.all([
-                    this.apiCall(`/portfolios/${portfolioId}/performance?days=60`),
-                    this.apiCall(`/portfolios/${portfolioId}/stocks/performance?days=60`)
+                    this.apiCall(`/portfolios/${portfolioId}/performance?days=${days}`),
+                    this.apiCall(`/portfolios/${portfolioId}/stocks/performance?days=${days}`)
                 ]);
                 // Temporarily disable events until 500 error is resolved
                 const eventsResponse = { success: true, events: [] };
@@ -1207,10 +2525,10 @@ class PortfolioApp {
                 // Performance Chart - use real data if available
                 if (performanceResponse.success && performanceResponse.data) {
                     // Add events to the historical data
-                    const historicalDataWithEvents = {
+                    const historicalDataWithEvents = await this.addBenchmarkComparison({
                         ...performanceResponse.data,
                         events: eventsResponse.success ? eventsResponse.events : []
-                    };
+                    });
                     window.portfolioCharts.createRealPerformanceChart('performanceChart', historicalDataWithEvents);
                 } else {
                     // Fallback to mock data
@@ -1251,7 +2569,7 @@ class PortfolioApp {
 
     async initializeDashboardCharts(portfolios) {
         // Check if portfolios have any value
-        const totalValue = portfolios.reduce((sum, p) => sum + (p.total_value || 0), 0);
+        const totalValue = portfolios.reduce((sum, p) => sum + (p.display?.total_value || 0), 0);
 
         if (totalValue === 0) {
             // Show empty state for charts
@@ -1260,15 +2578,17 @@ class PortfolioApp {
             return;
         }
 
-        // Create overview performance chart with real data
-        try {
-            const overviewData = await this.generateDashboardOverviewData(portfolios);
-            window.portfolioCharts.createPerformanceChart('dashboardOverviewChart', overviewData);
-        } catch (error) {
-            console.error('Error creating dashboard overview chart:', error);
-            // Fallback to mock data
-            const mockData = window.portfolioCharts.generateMockPerformanceData(30);
-            window.portfolioCharts.createPerformanceChart('dashboardOverviewChart', mockData);
+        // Create overview performance chart with real data, if its widget is on the dashboard
+        if (document.getElementById('dashboardOverviewChart')) {
+            try {
+                const overviewData = await this.generateDashboardOverviewData(portfolios);
+                window.portfolioCharts.createPerformanceChart('dashboardOverviewChart', overviewData);
+            } catch (error) {
+                console.error('Error creating dashboard overview chart:', error);
+                // Fallback to mock data
+                const mockData = window.portfolioCharts.generateMockPerformanceData(30);
+                window.portfolioCharts.createPerformanceChart('dashboardOverviewChart', mockData);
+            }
         }
 
         // Create portfolio allocation chart
@@ -1279,15 +2599,17 @@ class PortfolioApp {
     async generateDashboardOverviewData(portfolios) {
         // Get real aggregated portfolio performance data
         try {
-            const portfoliosWithValue = portfolios.filter(p => (p.total_value || 0) > 0);
+            const portfoliosWithValue = portfolios.filter(p => (p.display?.total_value || 0) > 0);
 
             if (portfoliosWithValue.length === 0) {
                 return window.portfolioCharts.generateMockPerformanceData(30);
             }
 
-            // Fetch performance data for all portfolios (use 60 days to capture first transactions)
+            // Fetch performance data for all portfolios over the user's default period,
+            // converted so portfolios kept in different currencies can be summed
+            const days = this.getPeriodDays(this.preferences.chart_period);
             const performancePromises = portfoliosWithValue.map(portfolio =>
-                this.apiCall(`/portfolios/${portfolio.id}/performance?days=60`)
+                this.apiCall(`/portfolios/${portfolio.id}/performance?days=${days}&currency=${this.displayCurrency}`)
             );
 
             const performanceResponses = await Promise.all(performancePromises);
@@ -1374,23 +2696,21 @@ class PortfolioApp {
 
     generatePortfolioAllocationData(portfolios) {
         // Filter out portfolios with zero value
-        const portfoliosWithValue = portfolios.filter(p => (p.total_value || 0) > 0);
+        const portfoliosWithValue = portfolios.filter(p => (p.display?.total_value || 0) > 0);
 
         if (portfoliosWithValue.length === 0) {
-            // Return empty data for empty state
+            // Return empty data for empty state; the chart colors it for the current theme
             return {
                 labels: ['No Data'],
                 datasets: [{
                     data: [1],
-                    backgroundColor: ['#e5e7eb'],
-                    borderColor: ['#d1d5db'],
                     borderWidth: 2
                 }]
             };
         }
 
         const labels = portfoliosWithValue.map(p => p.name);
-        const data = portfoliosWithValue.map(p => p.total_value || 0);
+        const data = portfoliosWithValue.map(p => p.display.total_value);
         const colors = portfoliosWithValue.map((_, index) => window.portfolioCharts.sectorColors[index % window.portfolioCharts.sectorColors.length]);
 
         return {
@@ -1427,85 +2747,566 @@ class PortfolioApp {
         this.showModal(this.getAddHoldingModalHTML(portfolioId));
     }
 
-    showAddTradeModal(portfolioId) {
-        this.showModal(this.getAddTradeModalHTML(portfolioId));
+    showAddTradeModal(portfolioId, prefill = {}) {
+        this.closeModal();
+        this.showModal(this.getAddTradeModalHTML(portfolioId, prefill));
+        this.initializeLotRelief(portfolioId);
     }
 
-    showModal(content) {
-        const modal = document.createElement('div');
-        modal.id = 'modal';
-        modal.className = 'modal-overlay';
-        modal.innerHTML = content;
-        document.body.appendChild(modal);
+    /**
+     * Load open lots for the sell form and keep the basis preview up to date
+     */
+    initializeLotRelief(portfolioId) {
+        const form = document.querySelector('#modal form[data-form="add-trade"]');
+        if (!form) return;
 
-        // Add click outside to close
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                this.closeModal();
+        this.lotReliefState = { portfolioId, symbol: null, openLots: [], closedLots: [], transactions: [], lotMethod: 'fifo' };
+
+        const refresh = () => this.updateLotRelief(form);
+        ['transaction_type', 'stock_symbol', 'lot_method'].forEach(id => {
+            const field = form.querySelector(`#${id}`);
+            if (field) field.addEventListener('change', refresh);
+        });
+        form.addEventListener('input', (e) => {
+            if (e.target.matches('#quantity, #price, #fees, #transaction_date, .lot-quantity-input')) {
+                this.renderLotReliefPreview(form);
             }
         });
 
-        // Add escape key to close
-        document.addEventListener('keydown', this.handleEscapeKey.bind(this));
+        refresh();
     }
 
-    closeModal() {
-        const modal = document.getElementById('modal');
-        if (modal) {
-            modal.remove();
+    async updateLotRelief(form) {
+        const state = this.lotReliefState;
+        const section = form.querySelector('#lot-relief-section');
+        const symbol = form.querySelector('#stock_symbol').value.trim().toUpperCase();
+        const isSell = form.querySelector('#transaction_type').value === 'sell';
+
+        section.style.display = isSell && symbol ? 'block' : 'none';
+        if (!symbol) {
+            this.renderWashSaleWarning(form);
+            return;
         }
-        document.removeEventListener('keydown', this.handleEscapeKey.bind(this));
-    }
 
-    handleEscapeKey(e) {
-        if (e.key === 'Escape') {
-            this.closeModal();
+        // Buys need the symbol's history too, for the wash sale check
+        if (state.symbol !== symbol) {
+            try {
+                const query = `?symbol=${encodeURIComponent(symbol)}`;
+                const [response, transactionsResponse] = await Promise.all([
+                    this.apiCall(`/portfolios/${state.portfolioId}/lots${query}`),
+                    this.apiCall(`/portfolios/${state.portfolioId}/transactions${query}`)
+                ]);
+                const methodChanged = state.symbol === null;
+                state.symbol = symbol;
+                state.openLots = response.open_lots || [];
+                state.closedLots = response.closed_lots || [];
+                state.transactions = transactionsResponse.data || [];
+                state.lotMethod = response.lot_method || 'fifo';
+
+                // Start from the portfolio's default method the first time lots load
+                if (methodChanged) {
+                    form.querySelector('#lot_method').value = state.lotMethod;
+                }
+            } catch (error) {
+                console.error('Failed to load tax lots:', error);
+                state.openLots = [];
+                state.closedLots = [];
+                state.transactions = [];
+            }
+        }
+
+        if (!isSell) {
+            this.renderWashSaleWarning(form);
+            return;
         }
+
+        const method = form.querySelector('#lot_method').value;
+        form.querySelector('#lot-picker').innerHTML = method === 'specific' ? this.getLotPickerHTML(state.openLots) : '';
+        this.renderLotReliefPreview(form);
     }
-    
-    showLoading(message = 'Loading...') {
-        document.getElementById('app').innerHTML = `
-            <div class="container py-20">
-                <div class="flex flex-col items-center justify-center">
-                    <div class="spinner mb-4"></div>
-                    <p class="text-muted">${message}</p>
-                </div>
-            </div>
-        `;
+
+    renderLotReliefPreview(form) {
+        const preview = form.querySelector('#lot-preview');
+        if (!preview || !this.lotReliefState) return;
+
+        const quantity = parseFloat(form.querySelector('#quantity').value) || 0;
+        const price = parseFloat(form.querySelector('#price').value) || 0;
+        const fees = parseFloat(form.querySelector('#fees').value) || 0;
+        const saleDate = form.querySelector('#transaction_date').value;
+        const method = form.querySelector('#lot_method').value;
+
+        const relief = this.calculateLotRelief(
+            this.lotReliefState.openLots,
+            quantity,
+            method,
+            this.getSelectedLots(form),
+            saleDate
+        );
+        preview.innerHTML = this.getLotReliefPreviewHTML(relief, quantity, price, fees);
+        this.renderWashSaleWarning(form, relief);
     }
-    
-    showError(message) {
-        this.showNotification(message, 'error');
+
+    /**
+     * Warn before saving a trade that would trigger a wash sale
+     */
+    renderWashSaleWarning(form, relief = null) {
+        const warning = form.querySelector('#wash-sale-warning');
+        const state = form.dataset.form === 'edit-trade' ? this.editTradeState : this.lotReliefState;
+        if (!warning || !state) return;
+
+        const field = name => form.elements.namedItem(name).value;
+        const trade = {
+            id: state.tradeId,
+            stock_symbol: field('stock_symbol').trim().toUpperCase(),
+            transaction_type: field('transaction_type'),
+            quantity: parseFloat(field('quantity')) || 0,
+            price: parseFloat(field('price')) || 0,
+            fees: parseFloat(field('fees')) || 0,
+            transaction_date: field('transaction_date')
+        };
+
+        if (!trade.stock_symbol || trade.quantity <= 0 || trade.price <= 0 || !trade.transaction_date || trade.stock_symbol !== state.symbol) {
+            warning.innerHTML = '';
+            return;
+        }
+
+        // Lots the sale would close, with the sale's proceeds split across them by share count
+        let proposedLots = [];
+        if (trade.transaction_type === 'sell') {
+            relief = relief || this.calculateLotRelief(state.openLots, trade.quantity, state.lotMethod, state.lotSelections || [], trade.transaction_date);
+            const proceedsPerShare = (trade.quantity * trade.price - trade.fees) / trade.quantity;
+            proposedLots = relief.allocations.map(a => ({
+                lot_id: a.lot.lot_id,
+                quantity: a.quantity,
+                gain_loss: a.quantity * proceedsPerShare - a.costBasis
+            }));
+        }
+
+        const check = window.washSaleDetector.checkProposedTrade(state.transactions, state.closedLots, trade, proposedLots);
+        warning.innerHTML = check ? this.getWashSaleWarningHTML(check, trade) : '';
     }
-    
-    showSuccess(message) {
-        this.showNotification(message, 'success');
+
+    getSelectedLots(form) {
+        return Array.from(form.querySelectorAll('.lot-quantity-input'))
+            .map(input => ({ lot_id: parseInt(input.dataset.lotId), quantity: parseFloat(input.value) || 0 }))
+            .filter(selection => selection.quantity > 0);
     }
-    
-    showNotification(message, type = 'info') {
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        notification.innerHTML = `
-            <div class="container">
-                <div class="card" style="position: fixed; top: 20px; right: 20px; z-index: 1000; max-width: 400px;">
-                    <div class="flex items-center gap-4">
-                        <div class="flex-1">
-                            <p class="mb-0 ${type === 'error' ? 'text-danger' : type === 'success' ? 'text-success' : ''}">${message}</p>
-                        </div>
-                        <button onclick="this.parentElement.parentElement.parentElement.remove()" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
-                    </div>
-                </div>
+
+    /**
+     * Mirror of the server's lot relief so the sell form can preview basis and holding period
+     */
+    calculateLotRelief(openLots, quantity, method, selections = [], saleDate = null) {
+        const lots = openLots.map(lot => ({ ...lot }));
+        const plan = [];
+
+        if (method === 'specific') {
+            selections.forEach(selection => plan.push([selection.lot_id, selection.quantity]));
+        } else {
+            const ordered = [...lots].sort((a, b) => {
+                if (method === 'lifo') return b.acquired_date.localeCompare(a.acquired_date) || b.lot_id - a.lot_id;
+                if (method === 'hifo') return b.cost_per_share - a.cost_per_share || a.lot_id - b.lot_id;
+                return a.acquired_date.localeCompare(b.acquired_date) || a.lot_id - b.lot_id;
+            });
+            ordered.forEach(lot => plan.push([lot.lot_id, Infinity]));
+        }
+
+        const sold = saleDate ? new Date(saleDate) : new Date();
+        const allocations = [];
+        let remaining = quantity;
+
+        plan.forEach(([lotId, maxQuantity]) => {
+            const lot = lots.find(l => l.lot_id === lotId);
+            if (!lot || remaining <= 0) return;
+
+            const take = Math.min(remaining, maxQuantity, lot.remaining_quantity);
+            if (take <= 0) return;
+            remaining -= take;
+
+            const oneYearLater = new Date(lot.acquired_date);
+            oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
+
+            allocations.push({
+                lot,
+                quantity: take,
+                costBasis: take * lot.cost_per_share,
+                term: sold > oneYearLater ? 'long' : 'short'
+            });
+        });
+
+        const allocated = allocations.reduce((sum, a) => sum + a.quantity, 0);
+
+        return {
+            allocations,
+            costBasis: allocations.reduce((sum, a) => sum + a.costBasis, 0),
+            unmatched: Math.max(0, quantity - allocated),
+            openShares: openLots.reduce((sum, lot) => sum + lot.remaining_quantity, 0)
+        };
+    }
+
+    getLotPickerHTML(openLots, actionLabel = 'Sell') {
+        if (openLots.length === 0) {
+            return '<p class="text-muted" style="font-size: var(--font-size-sm);">No open lots for this symbol.</p>';
+        }
+
+        return `
+            <div style="max-height: 180px; overflow-y: auto; margin-bottom: var(--space-3);">
+                <table style="width: 100%; border-collapse: collapse; font-size: var(--font-size-sm);">
+                    <thead>
+                        <tr style="border-bottom: 1px solid var(--gray-200);">
+                            <th style="text-align: left; padding: var(--space-2);">Acquired</th>
+                            <th style="text-align: right; padding: var(--space-2);">Available</th>
+                            <th style="text-align: right; padding: var(--space-2);">Cost/Share</th>
+                            <th style="text-align: right; padding: var(--space-2);">${actionLabel}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${openLots.map(lot => `
+                            <tr style="border-bottom: 1px solid var(--gray-100);">
+                                <td style="padding: var(--space-2);">${this.formatDate(lot.acquired_date)}</td>
+                                <td style="padding: var(--space-2); text-align: right;">${this.formatNumber(lot.remaining_quantity)}</td>
+                                <td style="padding: var(--space-2); text-align: right;">${this.formatCurrency(lot.cost_per_share)}</td>
+                                <td style="padding: var(--space-2); text-align: right;">
+                                    <input type="number" class="form-input lot-quantity-input" data-lot-id="${lot.lot_id}" step="0.000001" min="0" max="${lot.remaining_quantity}" placeholder="0" style="width: 100px; padding: var(--space-1) var(--space-2);">
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
             </div>
         `;
-        
-        document.body.appendChild(notification);
-        
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            if (notification.parentElement) {
-                notification.remove();
-            }
-        }, 5000);
+    }
+
+    getLotReliefPreviewHTML(relief, quantity, price, fees) {
+        if (quantity <= 0) {
+            return '';
+        }
+
+        const proceeds = quantity * price - fees;
+        const gainLoss = proceeds - relief.costBasis;
+        const byTerm = term => relief.allocations.filter(a => a.term === term);
+        const termSummary = term => {
+            const allocations = byTerm(term);
+            const shares = allocations.reduce((sum, a) => sum + a.quantity, 0);
+            const basis = allocations.reduce((sum, a) => sum + a.costBasis, 0);
+            // Split fees across terms by share count
+            const termProceeds = quantity > 0 ? proceeds * shares / quantity : 0;
+            return { shares, basis, gain: termProceeds - basis };
+        };
+        const shortTerm = termSummary('short');
+        const longTerm = termSummary('long');
+
+        return `
+            <div style="background: var(--gray-50); border-radius: var(--radius-md); padding: var(--space-3); font-size: var(--font-size-sm);">
+                ${relief.unmatched > 0 ? `
+                    <div class="text-danger mb-2">
+                        ${relief.openShares < quantity
+                            ? `Only ${this.formatNumber(relief.openShares)} shares are held in open lots.`
+                            : `${this.formatNumber(relief.unmatched)} shares are not assigned to a lot.`}
+                    </div>
+                ` : ''}
+                <div class="grid grid-cols-3 gap-4 mb-2">
+                    <div>
+                        <div style="color: var(--gray-500);">Cost Basis</div>
+                        <div style="font-weight: 600;">${this.formatCurrency(relief.costBasis)}</div>
+                    </div>
+                    <div>
+                        <div style="color: var(--gray-500);">Net Proceeds</div>
+                        <div style="font-weight: 600;">${this.formatCurrency(proceeds)}</div>
+                    </div>
+                    <div>
+                        <div style="color: var(--gray-500);">Est. Gain/Loss</div>
+                        <div style="font-weight: 600; color: ${gainLoss >= 0 ? 'var(--success-green)' : 'var(--danger-red)'};">
+                            ${gainLoss >= 0 ? '+' : '-'}${this.formatCurrency(Math.abs(gainLoss))}
+                        </div>
+                    </div>
+                </div>
+                <div style="color: var(--gray-600);">
+                    Short-term: ${this.formatNumber(shortTerm.shares)} shares (${shortTerm.gain >= 0 ? '+' : '-'}${this.formatCurrency(Math.abs(shortTerm.gain))})
+                    • Long-term: ${this.formatNumber(longTerm.shares)} shares (${longTerm.gain >= 0 ? '+' : '-'}${this.formatCurrency(Math.abs(longTerm.gain))})
+                </div>
+            </div>
+        `;
+    }
+
+    getWashSaleWarningHTML(check, trade) {
+        const dates = list => [...new Set(list.map(t => this.formatDate(t.transaction_date)))].join(', ');
+        const message = check.type === 'sell'
+            ? `This sale realizes a ${this.formatCurrency(check.loss)} loss, but ${trade.stock_symbol} was bought within 30 days (${dates(check.replacements)}).
+               ${this.formatCurrency(check.disallowed_loss)} of the loss would be disallowed and added to the basis of those shares.`
+            : `This purchase is within 30 days of selling ${trade.stock_symbol} at a loss (${dates(check.sales)}).
+               ${this.formatCurrency(check.disallowed_loss)} of that loss would be disallowed, making the adjusted basis of this lot
+               ${this.formatCurrency(check.adjusted_cost_basis)} (${this.formatCurrency(check.adjusted_cost_per_share)}/share).`;
+
+        return `
+            <div class="alert mb-4" style="background: var(--warning-yellow-bg); border: 1px solid var(--warning-yellow-light); border-radius: var(--radius-md); padding: var(--space-3);">
+                <small style="color: var(--gray-700);">
+                    ⚠️ <strong>Wash sale:</strong> ${message}
+                </small>
+            </div>
+        `;
+    }
+
+    showImportTradesModal(portfolioId) {
+        this.importState = {
+            portfolioId,
+            step: 'upload',
+            broker: 'generic',
+            dateFormat: 'auto',
+            fileName: null,
+            headers: [],
+            rows: [],
+            mapping: {},
+            trades: []
+        };
+        this.showModal(this.getImportTradesModalHTML());
+    }
+
+    renderImportStep() {
+        const modal = document.getElementById('modal');
+        if (modal) {
+            modal.innerHTML = this.getImportTradesModalHTML();
+        }
+    }
+
+    async parseImportFile() {
+        const fileInput = document.getElementById('import-file');
+        const file = fileInput && fileInput.files[0];
+        if (!file) {
+            this.showError('Please choose a CSV file to import');
+            return;
+        }
+
+        try {
+            const broker = document.getElementById('import-broker').value;
+            const text = await file.text();
+            const { headers, rows } = window.tradeImporter.load(text, broker);
+
+            Object.assign(this.importState, {
+                step: 'mapping',
+                broker,
+                fileName: file.name,
+                headers,
+                rows,
+                mapping: window.tradeImporter.autoMap(headers, broker)
+            });
+            this.renderImportStep();
+        } catch (error) {
+            this.showError(`Could not read CSV: ${error.message}`);
+            console.error('CSV import parse error:', error);
+        }
+    }
+
+    async previewImportTrades() {
+        const state = this.importState;
+
+        window.tradeImporter.fields.forEach(field => {
+            state.mapping[field.key] = parseInt(document.getElementById(`import-map-${field.key}`).value);
+        });
+        state.dateFormat = document.getElementById('import-date-format').value;
+
+        const missing = window.tradeImporter.fields.filter(field => field.required && state.mapping[field.key] < 0);
+        if (missing.length > 0) {
+            this.showError(`Please map: ${missing.map(field => field.label).join(', ')}`);
+            return;
+        }
+
+        try {
+            // Compare against what's already recorded so re-imports don't double count
+            const response = await this.apiCall(`/portfolios/${state.portfolioId}/transactions`);
+            const trades = window.tradeImporter.normalizeRows(state.rows, state.mapping, {
+                broker: state.broker,
+                dateFormat: state.dateFormat
+            });
+
+            state.trades = window.tradeImporter.markDuplicates(trades, response.data || []);
+            state.step = 'preview';
+            this.renderImportStep();
+        } catch (error) {
+            this.showError('Failed to check existing trades. Please try again.');
+            console.error('CSV import preview error:', error);
+        }
+    }
+
+    async confirmImportTrades() {
+        const state = this.importState;
+        const includeDuplicates = document.getElementById('import-include-duplicates')?.checked;
+        const selected = state.trades.filter(trade =>
+            trade.status === 'ready' || (includeDuplicates && trade.status === 'duplicate')
+        );
+
+        if (selected.length === 0) {
+            this.showError('There are no valid trades to import');
+            return;
+        }
+
+        try {
+            const button = document.querySelector('[data-action="confirm-import-trades"]');
+            if (button) {
+                button.disabled = true;
+                button.textContent = 'Importing...';
+            }
+
+            const response = await this.apiCall(`/portfolios/${state.portfolioId}/transactions/batch`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    transactions: window.tradeImporter.toTransactions(selected, state.broker)
+                })
+            });
+
+            if (response.success) {
+                const { successful, failed, skipped } = response.summary;
+                this.showSuccess(`Imported ${successful} trade${successful === 1 ? '' : 's'}${skipped ? ` (${skipped} already imported)` : ''}`);
+                if (failed > 0) {
+                    const firstError = response.summary.results.find(result => !result.success && !result.skipped);
+                    this.showError(`${failed} trade${failed === 1 ? '' : 's'} failed${firstError ? `: ${firstError.stock_symbol} - ${firstError.error}` : ''}`);
+                }
+                this.closeModal();
+                this.importState = null;
+                // Re-render whichever view (portfolio or trade history) the import was started from
+                this.router.resolve();
+            } else {
+                this.showError(response.error || 'Failed to import trades');
+                this.renderImportStep();
+            }
+        } catch (error) {
+            this.showError('Failed to import trades. Please try again.');
+            console.error('CSV import error:', error);
+            this.renderImportStep();
+        }
+    }
+
+    showExportModal(dataset) {
+        this.showModal(this.getExportModalHTML(dataset, this.getExportRows(dataset).length));
+    }
+
+    /**
+     * Rows currently shown for a dataset - trades honor the trade history filters
+     */
+    getExportRows(dataset) {
+        switch (dataset) {
+            case 'trades':
+                return this.getFilteredTrades();
+            case 'holdings':
+                return this.currentPortfolioData?.holdings || [];
+            case 'dividends':
+                return this.dividendPaymentHistory || [];
+            default:
+                return [];
+        }
+    }
+
+    async exportData(dataset, format) {
+        const exporter = window.portfolioExporter;
+        const portfolio = this.currentPortfolioData?.portfolio;
+        const rows = this.getExportRows(dataset);
+
+        try {
+            if (format === 'csv') {
+                exporter.download(exporter.toCSV(dataset, rows), exporter.getFilename(portfolio, dataset, 'csv'), 'text/csv');
+            } else if (format === 'json') {
+                exporter.download(exporter.toJSON(dataset, rows, portfolio), exporter.getFilename(portfolio, dataset, 'json'), 'application/json');
+            } else {
+                // OFX/QFX is a full statement: the current view's rows plus the rest of the portfolio
+                const portfolioId = this.currentPortfolioId;
+                const [transactionsResponse, dividendsResponse] = await Promise.all([
+                    dataset === 'trades' ? null : this.apiCall(`/portfolios/${portfolioId}/transactions`),
+                    dataset === 'dividends' ? null : this.apiCall(`/portfolios/${portfolioId}/dividend-payments`)
+                ]);
+
+                const statement = exporter.toOFX({
+                    portfolio,
+                    transactions: dataset === 'trades' ? rows : (transactionsResponse.data || []),
+                    dividends: dataset === 'dividends' ? rows : (dividendsResponse.payments || []),
+                    holdings: this.currentPortfolioData?.holdings || []
+                }, { qfx: format === 'qfx' });
+
+                exporter.download(statement, exporter.getFilename(portfolio, 'statement', format), 'application/x-ofx');
+            }
+
+            this.closeModal();
+            this.showSuccess(`Exported ${rows.length} ${dataset} as ${format.toUpperCase()}`);
+        } catch (error) {
+            this.showError('Failed to export data. Please try again.');
+            console.error('Export error:', error);
+        }
+    }
+
+    showModal(content) {
+        const modal = document.createElement('div');
+        modal.id = 'modal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = content;
+        document.body.appendChild(modal);
+
+        // Add click outside to close
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeModal();
+            }
+        });
+
+        // Add escape key to close
+        document.addEventListener('keydown', this.handleEscapeKey.bind(this));
+    }
+
+    closeModal() {
+        const modal = document.getElementById('modal');
+        if (modal) {
+            modal.remove();
+        }
+        document.removeEventListener('keydown', this.handleEscapeKey.bind(this));
+    }
+
+    handleEscapeKey(e) {
+        if (e.key === 'Escape') {
+            this.closeModal();
+        }
+    }
+    
+    showLoading(message = 'Loading...') {
+        document.getElementById('app').innerHTML = `
+            <div class="container py-20">
+                <div class="flex flex-col items-center justify-center">
+                    <div class="spinner mb-4"></div>
+                    <p class="text-muted">${message}</p>
+                </div>
+            </div>
+        `;
+    }
+    
+    showError(message) {
+        this.showNotification(message, 'error');
+    }
+    
+    showSuccess(message) {
+        if (this.preferences.notifications_enabled === false) return;
+        this.showNotification(message, 'success');
+    }
+    
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${type}`;
+        notification.innerHTML = `
+            <div class="container">
+                <div class="card" style="position: fixed; top: 20px; right: 20px; z-index: 1000; max-width: 400px;">
+                    <div class="flex items-center gap-4">
+                        <div class="flex-1">
+                            <p class="mb-0 ${type === 'error' ? 'text-danger' : type === 'success' ? 'text-success' : ''}">${message}</p>
+                        </div>
+                        <button onclick="this.parentElement.parentElement.parentElement.remove()" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(notification);
+        
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentElement) {
+                notification.remove();
+            }
+        }, 5000);
     }
     
     getHomepageHTML() {
@@ -1554,7 +3355,7 @@ class PortfolioApp {
                 </section>
                 
                 <!-- Features Section -->
-                <section class="py-16" style="background: white;">
+                <section class="py-16" style="background: var(--surface);">
                     <div class="container">
                         <div class="text-center mb-12">
                             <h2>Everything you need to track your investments</h2>
@@ -1734,7 +3535,7 @@ class PortfolioApp {
         return `
             <div class="dashboard">
                 <!-- Header -->
-                <header style="background: white; border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
+                <header style="background: var(--surface); border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
                     <div class="container">
                         <div class="flex justify-between items-center">
                             <div>
@@ -1742,7 +3543,10 @@ class PortfolioApp {
                                 <p class="text-muted" style="margin-bottom: 0;">Welcome back, ${this.currentUser?.username || 'Investor'}!</p>
                             </div>
                             <div class="flex gap-4">
+                                <button data-action="show-dividend-calendar" class="btn btn-secondary">📅 Dividend Calendar</button>
+                                <button data-action="show-watchlists" class="btn btn-secondary">👀 Watchlists</button>
                                 <button data-action="show-create-portfolio" class="btn btn-primary">+ New Portfolio</button>
+                                <button data-action="show-preferences" class="btn btn-secondary" title="Settings">⚙️ Settings</button>
                                 <button data-action="logout" class="btn btn-secondary">Sign Out</button>
                             </div>
                         </div>
@@ -1752,6 +3556,7 @@ class PortfolioApp {
                 <!-- Main Content -->
                 <main class="py-8">
                     <div class="container">
+                        ${this.getMissingFxRatesHTML(portfoliosData.missing_fx_rates)}
                         ${portfolios.length === 0 ? this.getEmptyStateHTML() : this.getDashboardContentHTML(portfolios)}
                     </div>
                 </main>
@@ -1759,30 +3564,36 @@ class PortfolioApp {
         `;
     }
 
+    /**
+     * Warning for currency pairs the server had no exchange rate for, whose amounts are approximate
+     */
+    getMissingFxRatesHTML(pairs = []) {
+        if (!pairs || pairs.length === 0) return '';
+
+        return `
+            <div class="alert mb-6" style="background: var(--warning-yellow-bg); border: 1px solid var(--warning-yellow-light); border-radius: var(--radius-md); padding: var(--space-3);">
+                <small>⚠️ No exchange rate is available for ${pairs.map(pair => `<strong>${this.escapeHtml(pair)}</strong>`).join(', ')}.
+                Values in ${pairs.length === 1 ? 'that currency' : 'those currencies'} are approximate until a rate can be fetched.</small>
+            </div>
+        `;
+    }
+
     getDashboardContentHTML(portfolios) {
         const hasHoldings = portfolios.some(p => (p.total_value || 0) > 0);
 
         return `
-            <!-- Dashboard Overview Charts -->
+            <!-- Dashboard Widgets -->
             <section class="mb-8">
                 ${hasHoldings ? `
-                    <div class="grid grid-cols-2 gap-6">
-                        <!-- Total Portfolio Performance -->
-                        <div class="card">
-                            <h3 class="mb-4">Total Portfolio Performance</h3>
-                            <div style="height: 250px; position: relative;">
-                                <canvas id="dashboardOverviewChart"></canvas>
-                            </div>
-                        </div>
-
-                        <!-- Portfolio Allocation -->
-                        <div class="card">
-                            <h3 class="mb-4">Portfolio Allocation</h3>
-                            <div style="height: 250px; position: relative;">
-                                <canvas id="portfolioAllocationChart"></canvas>
-                            </div>
+                    <div class="flex justify-between items-center mb-4">
+                        <h3 style="margin-bottom: 0;">Overview</h3>
+                        <div id="dashboard-toolbar" class="flex items-center" style="gap: var(--space-2);">
+                            ${this.getDashboardToolbarHTML()}
                         </div>
                     </div>
+                    <div id="dashboard-widgets" class="dashboard-widgets">
+                        ${this.getDashboardLayout().map(widget => this.getDashboardWidgetHTML(widget)).join('')}
+                    </div>
                 ` : `
                     <div class="card text-center py-12">
                         <div style="font-size: 3rem; margin-bottom: var(--space-4); opacity: 0.3;">📊</div>
@@ -1800,1055 +3611,3741 @@ class PortfolioApp {
         `;
     }
 
-    getEmptyStateHTML() {
-        return `
-            <div class="text-center py-16">
-                <div style="width: 64px; height: 64px; background: var(--gray-100); border-radius: var(--radius-full); margin: 0 auto var(--space-6); display: flex; align-items: center; justify-content: center;">
-                    <span style="color: var(--gray-400); font-size: 2rem;">📊</span>
-                </div>
-                <h3>No Portfolios Yet</h3>
-                <p class="text-muted mb-8">Create your first portfolio to start tracking your investments.</p>
-                <button data-action="show-create-portfolio" class="btn btn-primary btn-lg">Create Your First Portfolio</button>
-            </div>
-        `;
+    /**
+     * Widgets the dashboard can show, with their titles and default widths
+     */
+    getDashboardWidgetTypes() {
+        return {
+            overview_chart: { title: 'Total Portfolio Performance', size: 'half' },
+            allocation_chart: { title: 'Portfolio Allocation', size: 'half' },
+            returns_table: { title: 'Returns (All Portfolios)', size: 'full' },
+            top_movers: { title: "Today's Top Movers", size: 'half' },
+            upcoming_dividends: { title: 'Upcoming Dividends', size: 'half' },
+            watchlist: { title: 'Watchlist', size: 'half' },
+            alerts: { title: 'Alerts', size: 'half' }
+        };
     }
 
-    getPortfoliosGridHTML(portfolios) {
-        return `
-            <div class="grid grid-cols-3 gap-6">
-                ${portfolios.map(portfolio => `
-                    <div class="card fade-in">
-                        <div class="flex justify-between items-start mb-4">
-                            <div>
-                                <h4 style="margin-bottom: var(--space-2);">${portfolio.name}</h4>
-                                <p class="text-muted" style="margin-bottom: 0; font-size: var(--font-size-sm);">${portfolio.holdings_count} holdings</p>
-                            </div>
-                            <span class="text-muted" style="font-size: var(--font-size-sm);">${portfolio.type}</span>
-                        </div>
+    getDefaultDashboardLayout() {
+        const types = this.getDashboardWidgetTypes();
+        return ['overview_chart', 'allocation_chart', 'returns_table', 'top_movers', 'upcoming_dividends']
+            .map(type => ({ type, size: types[type].size }));
+    }
 
-                        <div class="mb-4">
-                            <div style="font-size: var(--font-size-2xl); font-weight: 600; margin-bottom: var(--space-2);">
-                                $${this.formatNumber(portfolio.total_value)}
-                            </div>
-                            <div class="flex justify-between">
-                                <span class="text-muted" style="font-size: var(--font-size-sm);">Total Value</span>
-                                <span class="${portfolio.total_gain_loss >= 0 ? 'text-success' : 'text-danger'}" style="font-size: var(--font-size-sm); font-weight: 500;">
-                                    ${portfolio.total_gain_loss >= 0 ? '+' : ''}${this.formatNumber(portfolio.total_gain_loss)} (${portfolio.total_gain_loss_percent.toFixed(2)}%)
-                                </span>
-                            </div>
-                        </div>
+    // The saved layout (without widgets this version doesn't know), or the default
+    getDashboardLayout() {
+        const types = this.getDashboardWidgetTypes();
+        const saved = this.preferences.dashboard_layout?.widgets;
+        return saved ? saved.filter(widget => types[widget.type]) : this.getDefaultDashboardLayout();
+    }
 
-                        <button data-action="view-portfolio" data-portfolio-id="${portfolio.id}" class="btn btn-secondary" style="width: 100%;">View Details</button>
+    getDashboardWidgetHTML({ type, size }) {
+        const { title } = this.getDashboardWidgetTypes()[type];
+
+        return `
+            <div class="card dashboard-widget ${size === 'full' ? 'widget-full' : ''}" data-widget="${type}" data-size="${size}" ${this.dashboardEditing ? 'draggable="true"' : ''}>
+                <div class="flex justify-between items-center mb-4">
+                    <h3 style="margin-bottom: 0;">${title}</h3>
+                    <div class="widget-controls">
+                        <button data-action="resize-dashboard-widget" class="btn btn-secondary btn-sm">${size === 'full' ? 'Narrow' : 'Widen'}</button>
+                        <button data-action="remove-dashboard-widget" class="btn btn-secondary btn-sm" title="Remove widget">×</button>
                     </div>
-                `).join('')}
+                </div>
+                ${this.getDashboardWidgetBodyHTML(type)}
             </div>
         `;
     }
 
-    formatNumber(num) {
-        return new Intl.NumberFormat('en-US', {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        }).format(num);
+    getDashboardWidgetBodyHTML(type) {
+        const chart = canvasId => `
+            <div style="height: 250px; position: relative;">
+                <canvas id="${canvasId}"></canvas>
+            </div>
+        `;
+
+        switch (type) {
+            case 'overview_chart':
+                return chart('dashboardOverviewChart');
+            case 'allocation_chart':
+                return chart('portfolioAllocationChart');
+            case 'returns_table':
+                return '<div id="returns-table"><p class="text-muted">Calculating returns...</p></div>';
+            case 'top_movers':
+                return '<div id="dashboard-top-movers"><p class="text-muted">Loading quotes...</p></div>';
+            case 'upcoming_dividends':
+                return '<div id="dashboard-upcoming-dividends"><p class="text-muted">Loading dividends...</p></div>';
+            case 'watchlist':
+                return '<div id="dashboard-watchlist"><p class="text-muted">Loading watchlist...</p></div>';
+            case 'alerts':
+                return '<div id="dashboard-alerts"><p class="text-muted">Checking for alerts...</p></div>';
+        }
+        return '';
     }
 
-    getCreatePortfolioModalHTML() {
+    getDashboardToolbarHTML() {
+        if (!this.dashboardEditing) {
+            return '<button data-action="customize-dashboard" class="btn btn-secondary btn-sm">Customize</button>';
+        }
+
+        const types = this.getDashboardWidgetTypes();
+        const shown = [...document.querySelectorAll('#dashboard-widgets .dashboard-widget')].map(widget => widget.dataset.widget);
+        const available = Object.keys(types).filter(type => !shown.includes(type));
+
         return `
-            <div class="modal-content">
-                <div class="card card-lg" style="max-width: 500px; margin: 0 auto;">
-                    <div class="flex justify-between items-center mb-6">
-                        <h3 style="margin-bottom: 0;">Create New Portfolio</h3>
-                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
-                    </div>
+            <span class="text-muted" style="font-size: var(--font-size-sm);">Drag widgets to reorder them</span>
+            ${available.length > 0 ? `
+                <select id="dashboard-add-widget" class="form-input" style="width: auto; padding: var(--space-2);">
+                    ${available.map(type => `<option value="${type}">${types[type].title}</option>`).join('')}
+                </select>
+                <button data-action="add-dashboard-widget" class="btn btn-secondary btn-sm">+ Add Widget</button>
+            ` : ''}
+            <button data-action="reset-dashboard-layout" class="btn btn-secondary btn-sm">Reset to Default</button>
+            <button data-action="finish-dashboard-customize" class="btn btn-primary btn-sm">Done</button>
+        `;
+    }
 
-                    <form data-form="create-portfolio">
-                        <div class="form-group">
-                            <label class="form-label" for="name">Portfolio Name</label>
-                            <input type="text" id="name" name="name" class="form-input" placeholder="e.g., Retirement Portfolio" required>
-                        </div>
+    /**
+     * Redraw the dashboard's widgets from the current layout, e.g. after it was reset
+     */
+    renderDashboardWidgets() {
+        const container = document.getElementById('dashboard-widgets');
+        if (!container) return;
 
-                        <div class="form-group">
-                            <label class="form-label" for="description">Description (Optional)</label>
-                            <textarea id="description" name="description" class="form-input" rows="3" placeholder="Brief description of this portfolio's purpose"></textarea>
-                        </div>
+        container.querySelectorAll('canvas').forEach(canvas => window.portfolioCharts.destroyChart(canvas.id));
+        container.innerHTML = this.getDashboardLayout().map(widget => this.getDashboardWidgetHTML(widget)).join('');
+        this.updateDashboardToolbar();
+        this.loadDashboardWidgets();
+    }
 
-                        <div class="grid grid-cols-2 gap-4">
-                            <div class="form-group">
-                                <label class="form-label" for="portfolio_type">Portfolio Type</label>
-                                <select id="portfolio_type" name="portfolio_type" class="form-input" required>
-                                    <option value="personal">Personal</option>
-                                    <option value="retirement">Retirement</option>
-                                    <option value="trading">Trading</option>
-                                    <option value="savings">Savings</option>
-                                    <option value="other">Other</option>
-                                </select>
-                            </div>
+    updateDashboardToolbar() {
+        const toolbar = document.getElementById('dashboard-toolbar');
+        if (toolbar) {
+            toolbar.innerHTML = this.getDashboardToolbarHTML();
+        }
+    }
 
-                            <div class="form-group">
-                                <label class="form-label" for="currency">Currency</label>
-                                <select id="currency" name="currency" class="form-input" required>
-                                    <option value="USD">USD - US Dollar</option>
-                                    <option value="EUR">EUR - Euro</option>
-                                    <option value="GBP">GBP - British Pound</option>
-                                    <option value="CAD">CAD - Canadian Dollar</option>
-                                </select>
-                            </div>
-                        </div>
+    /**
+     * Fill in the data of the dashboard's widgets, or of the given widget types only
+     */
+    loadDashboardWidgets(types = this.getDashboardLayout().map(widget => widget.type)) {
+        if (types.includes('overview_chart') || types.includes('allocation_chart')) {
+            this.initializeDashboardCharts(this.dashboardPortfolios || []);
+        }
+        if (types.includes('returns_table')) {
+            this.loadReturns('/portfolios/returns');
+        }
+        if (types.includes('top_movers')) {
+            this.loadTopMovers();
+        }
+        if (types.includes('upcoming_dividends') || types.includes('alerts')) {
+            this.loadDashboardDividends();
+        }
+        if (types.includes('watchlist')) {
+            this.loadDashboardWatchlist();
+        }
+    }
 
-                        <div class="form-group">
-                            <label class="form-label">
-                                <input type="checkbox" name="is_public" value="1" style="margin-right: var(--space-2);">
-                                Make this portfolio public (visible to others)
-                            </label>
-                        </div>
+    setDashboardEditing(editing) {
+        const container = document.getElementById('dashboard-widgets');
+        if (!container) return;
 
-                        <div class="flex gap-4">
-                            <button type="submit" class="btn btn-primary btn-lg" style="flex: 1;">Create Portfolio</button>
-                            <button type="button" data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
-                        </div>
-                    </form>
-                </div>
-            </div>
-        `;
+        this.dashboardEditing = editing;
+        container.classList.toggle('dashboard-editing', editing);
+        container.querySelectorAll('.dashboard-widget').forEach(widget => {
+            widget.draggable = editing;
+        });
+        this.updateDashboardToolbar();
     }
 
-    getAddHoldingModalHTML(portfolioId) {
-        return `
-            <div class="modal-content">
-                <div class="card card-lg" style="max-width: 500px; margin: 0 auto;">
-                    <div class="flex justify-between items-center mb-6">
-                        <h3 style="margin-bottom: 0;">Add Stock Holding</h3>
-                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
-                    </div>
+    addDashboardWidget(type) {
+        const container = document.getElementById('dashboard-widgets');
+        const definition = this.getDashboardWidgetTypes()[type];
+        if (!container || !definition || container.querySelector(`[data-widget="${type}"]`)) return;
 
-                    <form data-form="add-holding">
-                        <input type="hidden" name="portfolio_id" value="${portfolioId}">
+        container.insertAdjacentHTML('beforeend', this.getDashboardWidgetHTML({ type, size: definition.size }));
+        this.updateDashboardToolbar();
+        this.loadDashboardWidgets([type]);
+        this.saveDashboardLayout();
+    }
 
-                        <div class="form-group">
-                            <label class="form-label" for="stock_symbol">Stock Symbol</label>
-                            <div style="position: relative;">
-                                <input type="text" id="stock_symbol" name="stock_symbol" class="form-input" placeholder="Search for a stock..." data-stock-search autocomplete="off" required>
-                                <div class="stock-search-results" style="display: none;"></div>
-                            </div>
-                            <small class="text-muted">Start typing to search for stocks (e.g., "Apple" or "AAPL")</small>
-                        </div>
+    removeDashboardWidget(widget) {
+        if (!widget) return;
 
-                        <div class="grid grid-cols-2 gap-4">
-                            <div class="form-group">
-                                <label class="form-label" for="quantity">Quantity</label>
-                                <input type="number" id="quantity" name="quantity" class="form-input" step="0.000001" min="0" placeholder="10" required>
-                            </div>
+        widget.querySelectorAll('canvas').forEach(canvas => window.portfolioCharts.destroyChart(canvas.id));
+        widget.remove();
+        this.updateDashboardToolbar();
+        this.saveDashboardLayout();
+    }
 
-                            <div class="form-group">
-                                <label class="form-label" for="avg_cost_basis">Average Cost per Share</label>
-                                <input type="number" id="avg_cost_basis" name="avg_cost_basis" class="form-input" step="0.01" min="0" placeholder="150.00" required>
-                            </div>
-                        </div>
+    // Widgets are either one grid column wide or span the whole row; charts follow their container
+    resizeDashboardWidget(widget) {
+        if (!widget) return;
 
-                        <div class="form-group">
-                            <label class="form-label" for="notes">Notes (Optional)</label>
-                            <textarea id="notes" name="notes" class="form-input" rows="2" placeholder="Any additional notes about this holding"></textarea>
-                        </div>
+        const size = widget.dataset.size === 'full' ? 'half' : 'full';
+        widget.dataset.size = size;
+        widget.classList.toggle('widget-full', size === 'full');
+        widget.querySelector('[data-action="resize-dashboard-widget"]').textContent = size === 'full' ? 'Narrow' : 'Widen';
+        this.saveDashboardLayout();
+    }
 
-                        <div class="flex gap-4">
-                            <button type="submit" class="btn btn-primary btn-lg" style="flex: 1;">Add Holding</button>
-                            <button type="button" data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
-                        </div>
-                    </form>
-                </div>
-            </div>
-        `;
+    startWidgetDrag(widget, event) {
+        this.draggedWidget = widget;
+        this.draggedWidgetIndex = [...widget.parentElement.children].indexOf(widget);
+        widget.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts a drag that carries data
+        event.dataTransfer.setData('text/plain', widget.dataset.widget);
     }
 
-    getAddTradeModalHTML(portfolioId) {
-        const today = new Date().toISOString().split('T')[0];
+    // The dragged widget moves as it passes over the others, so the grid previews the drop
+    dragWidgetOver(event) {
+        if (!this.draggedWidget) return;
+        event.preventDefault();
 
-        return `
-            <div class="modal-content">
-                <div class="card card-lg" style="max-width: 500px; margin: 0 auto;">
-                    <div class="flex justify-between items-center mb-6">
-                        <h3 style="margin-bottom: 0;">Record Trade</h3>
-                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
-                    </div>
+        const target = event.target.closest?.('.dashboard-widget');
+        if (!target || target === this.draggedWidget || target.parentElement !== this.draggedWidget.parentElement) return;
 
-                    <form data-form="add-trade">
-                        <input type="hidden" name="portfolio_id" value="${portfolioId}">
+        const targetIsAfter = this.draggedWidget.compareDocumentPosition(target) & Node.DOCUMENT_POSITION_FOLLOWING;
+        target.parentElement.insertBefore(this.draggedWidget, targetIsAfter ? target.nextSibling : target);
+    }
 
-                        <div class="grid grid-cols-2 gap-4">
-                            <div class="form-group">
-                                <label class="form-label" for="stock_symbol">Stock Symbol</label>
-                                <div style="position: relative;">
-                                    <input type="text" id="stock_symbol" name="stock_symbol" class="form-input" placeholder="Search for a stock..." data-stock-search autocomplete="off" required>
-                                    <div class="stock-search-results" style="display: none;"></div>
-                                </div>
-                            </div>
+    endWidgetDrag() {
+        const widget = this.draggedWidget;
+        if (!widget) return;
 
-                            <div class="form-group">
-                                <label class="form-label" for="transaction_type">Trade Type</label>
-                                <select id="transaction_type" name="transaction_type" class="form-input" required>
-                                    <option value="buy">Buy</option>
-                                    <option value="sell">Sell</option>
-                                </select>
-                            </div>
-                        </div>
+        this.draggedWidget = null;
+        widget.classList.remove('dragging');
+        if ([...widget.parentElement.children].indexOf(widget) !== this.draggedWidgetIndex) {
+            this.saveDashboardLayout();
+        }
+    }
 
-                        <div class="grid grid-cols-3 gap-4">
-                            <div class="form-group">
-                                <label class="form-label" for="quantity">Shares</label>
-                                <input type="number" id="quantity" name="quantity" class="form-input" step="0.000001" min="0.000001" placeholder="10" required>
-                            </div>
+    // Save the widgets on the page, in their current order and sizes, as the user's layout
+    async saveDashboardLayout() {
+        const widgets = [...document.querySelectorAll('#dashboard-widgets .dashboard-widget')]
+            .map(widget => ({ type: widget.dataset.widget, size: widget.dataset.size }));
 
-                            <div class="form-group">
-                                <label class="form-label" for="price">Price per Share</label>
-                                <input type="number" id="price" name="price" class="form-input" step="0.01" min="0.01" placeholder="150.00" required>
-                            </div>
+        try {
+            const response = await this.apiCall('/preferences', {
+                method: 'PUT',
+                body: JSON.stringify({ dashboard_layout: { widgets } })
+            });
 
-                            <div class="form-group">
-                                <label class="form-label" for="fees">Commission/Fees</label>
-                                <input type="number" id="fees" name="fees" class="form-input" step="0.01" min="0" placeholder="0.00" value="0">
-                            </div>
-                        </div>
+            if (response.success) {
+                this.preferences = { ...this.preferences, ...response.preferences };
+            } else {
+                this.showError(response.error || 'Failed to save dashboard layout');
+            }
+        } catch (error) {
+            this.showError('Failed to save dashboard layout');
+            console.error('Save dashboard layout error:', error);
+        }
+    }
 
-                        <div class="form-group">
-                            <label class="form-label" for="transaction_date">Trade Date</label>
-                            <input type="date" id="transaction_date" name="transaction_date" class="form-input" value="${today}" required>
-                        </div>
+    async loadTopMovers() {
+        const container = document.getElementById('dashboard-top-movers');
+        if (!container) return;
 
-                        <div class="form-group">
-                            <label class="form-label" for="notes">Notes (Optional)</label>
-                            <textarea id="notes" name="notes" class="form-input" rows="2" placeholder="Any notes about this trade (e.g., strategy, market conditions)"></textarea>
-                        </div>
+        try {
+            const response = await this.apiCall('/portfolios/movers?limit=5');
+            const movers = response.movers || [];
 
-                        <div class="alert alert-info mb-4" style="background: var(--primary-blue-bg); border: 1px solid var(--primary-blue-light); border-radius: var(--radius-md); padding: var(--space-3);">
-                            <small style="color: var(--primary-blue);">
-                                💡 <strong>Trade-based tracking:</strong> Your holdings are automatically calculated from all your buy/sell trades using FIFO cost basis.
-                            </small>
-                        </div>
+            if (movers.length === 0) {
+                container.innerHTML = '<p class="text-muted">Movers appear once your holdings have quotes.</p>';
+                return;
+            }
 
-                        <div class="flex gap-4">
-                            <button type="submit" class="btn btn-primary btn-lg" style="flex: 1;">Record Trade</button>
-                            <button type="button" data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
-                        </div>
-                    </form>
-                </div>
-            </div>
-        `;
+            const changeColor = value => value >= 0 ? 'var(--success-green)' : 'var(--danger-red)';
+            container.innerHTML = `
+                <table class="holdings-table">
+                    <thead>
+                        <tr>
+                            <th style="text-align: left;">Symbol</th>
+                            <th style="text-align: right;">Price</th>
+                            <th style="text-align: right;">Change</th>
+                            <th style="text-align: right;">Day Gain/Loss</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${movers.map(mover => `
+                            <tr>
+                                <td>
+                                    <strong>${this.escapeHtml(mover.symbol)}</strong>
+                                    <div class="text-muted" style="font-size: var(--font-size-xs);">${this.escapeHtml(mover.name)}</div>
+                                </td>
+                                <td style="text-align: right;">${this.formatCurrency(mover.current_price, { currency: mover.currency })}</td>
+                                <td style="text-align: right; font-weight: 600; color: ${changeColor(mover.change_percent)};">
+                                    ${mover.change_percent >= 0 ? '+' : ''}${mover.change_percent.toFixed(2)}%
+                                </td>
+                                <td style="text-align: right; color: ${changeColor(mover.day_gain_loss)};">
+                                    ${mover.day_gain_loss >= 0 ? '+' : ''}${this.formatCurrency(mover.day_gain_loss, { currency: response.currency })}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Failed to load top movers:', error);
+            container.innerHTML = '<p class="text-muted">Top movers are unavailable right now.</p>';
+        }
     }
 
-    getEditTradeModalHTML(trade) {
-        return `
-            <div class="modal-content">
-                <div class="card card-lg" style="max-width: 500px; margin: 0 auto;">
-                    <div class="flex justify-between items-center mb-6">
-                        <h3 style="margin-bottom: 0;">Edit Trade</h3>
-                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
-                    </div>
+    /**
+     * Fill the upcoming dividends and alerts widgets from the combined dividend calendar:
+     * dividends going ex in the next 60 days, and ones that went ex in the last 90 without
+     * a recorded payment
+     */
+    async loadDashboardDividends() {
+        const upcoming = document.getElementById('dashboard-upcoming-dividends');
+        const alerts = document.getElementById('dashboard-alerts');
+        if (!upcoming && !alerts) return;
 
-                    <form data-form="edit-trade">
-                        <input type="hidden" name="trade_id" value="${trade.id}">
-                        <input type="hidden" name="portfolio_id" value="${trade.portfolio_id}">
+        const from = new Date();
+        from.setDate(from.getDate() - 90);
+        const to = new Date();
+        to.setDate(to.getDate() + 60);
 
-                        <div class="grid grid-cols-2 gap-4">
-                            <div class="form-group">
-                                <label class="form-label" for="edit_stock_symbol">Stock Symbol</label>
-                                <input type="text" id="edit_stock_symbol" name="stock_symbol" class="form-input" value="${trade.stock_symbol}" required readonly>
-                                <small class="text-muted">Stock symbol cannot be changed. Delete and create new trade if needed.</small>
-                            </div>
+        try {
+            const response = await this.apiCall(`/portfolios/dividend-calendar?from=${this.toDateKey(from)}&to=${this.toDateKey(to)}`);
 
-                            <div class="form-group">
-                                <label class="form-label" for="edit_transaction_type">Trade Type</label>
-                                <select id="edit_transaction_type" name="transaction_type" class="form-input" required>
-                                    <option value="buy" ${trade.transaction_type === 'buy' ? 'selected' : ''}>Buy</option>
-                                    <option value="sell" ${trade.transaction_type === 'sell' ? 'selected' : ''}>Sell</option>
-                                </select>
-                            </div>
-                        </div>
+            // Alerts record payments through the calendar's record action, which looks events up here
+            this.dividendCalendarEvents = response.events || [];
 
-                        <div class="grid grid-cols-3 gap-4">
-                            <div class="form-group">
-                                <label class="form-label" for="edit_quantity">Shares</label>
-                                <input type="number" id="edit_quantity" name="quantity" class="form-input" step="0.000001" min="0.000001" value="${trade.quantity}" required>
-                            </div>
+            if (upcoming) {
+                upcoming.innerHTML = this.getUpcomingDividendsHTML(
+                    this.dividendCalendarEvents.filter(event => event.status === 'upcoming').slice(0, 6)
+                );
+            }
+            if (alerts) {
+                alerts.innerHTML = this.getDashboardAlertsHTML();
+            }
+        } catch (error) {
+            console.error('Failed to load dashboard dividends:', error);
+            [upcoming, alerts].filter(Boolean).forEach(container => {
+                container.innerHTML = '<p class="text-muted">Dividend data is unavailable right now.</p>';
+            });
+        }
+    }
 
-                            <div class="form-group">
-                                <label class="form-label" for="edit_price">Price per Share</label>
-                                <input type="number" id="edit_price" name="price" class="form-input" step="0.01" min="0.01" value="${trade.price}" required>
-                            </div>
+    getUpcomingDividendsHTML(events) {
+        if (events.length === 0) {
+            return '<p class="text-muted">No dividends going ex in the next 60 days.</p>';
+        }
 
-                            <div class="form-group">
-                                <label class="form-label" for="edit_fees">Commission/Fees</label>
-                                <input type="number" id="edit_fees" name="fees" class="form-input" step="0.01" min="0" value="${trade.fees || 0}">
-                            </div>
-                        </div>
+        return `
+            <table class="holdings-table">
+                <thead>
+                    <tr>
+                        <th style="text-align: left;">Symbol</th>
+                        <th style="text-align: left;">Ex-Date</th>
+                        <th style="text-align: left;">Pay Date</th>
+                        <th style="text-align: right;">Expected</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${events.map(event => `
+                        <tr>
+                            <td>
+                                <strong>${this.escapeHtml(event.stock_symbol)}</strong>
+                                <div class="text-muted" style="font-size: var(--font-size-xs);">${this.escapeHtml(event.portfolio_name)}</div>
+                            </td>
+                            <td>${this.formatDate(event.ex_date)}</td>
+                            <td>${event.payment_date ? this.formatDate(event.payment_date) : '—'}</td>
+                            <td style="text-align: right; color: var(--success-green);">${this.formatCurrency(event.expected_amount)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
 
-                        <div class="form-group">
-                            <label class="form-label" for="edit_transaction_date">Trade Date</label>
-                            <input type="date" id="edit_transaction_date" name="transaction_date" class="form-input" value="${trade.transaction_date}" required>
-                        </div>
+    getDashboardAlertsHTML() {
+        const pending = this.dividendCalendarEvents
+            .map((event, index) => ({ event, index }))
+            .filter(({ event }) => event.status === 'pending');
 
-                        <div class="form-group">
-                            <label class="form-label" for="edit_notes">Notes (Optional)</label>
-                            <textarea id="edit_notes" name="notes" class="form-input" rows="2" placeholder="Any notes about this trade">${trade.notes || ''}</textarea>
-                        </div>
+        if (pending.length === 0) {
+            return '<p class="text-muted">Nothing needs your attention.</p>';
+        }
 
-                        <div class="flex gap-4">
-                            <button type="submit" class="btn btn-primary btn-lg" style="flex: 1;">Update Trade</button>
-                            <button type="button" data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
+        return `
+            <div class="space-y-2">
+                ${pending.map(({ event, index }) => `
+                    <div class="flex justify-between items-center" style="gap: var(--space-3); padding: var(--space-3); background: var(--warning-yellow-bg); border-radius: var(--radius-md);">
+                        <div style="font-size: var(--font-size-sm);">
+                            <strong>${this.escapeHtml(event.stock_symbol)}</strong> went ex-dividend on ${this.formatDate(event.ex_date)}.
+                            Record the ${this.formatCurrency(event.expected_amount)} payment in ${this.escapeHtml(event.portfolio_name)}.
                         </div>
-                    </form>
-                </div>
+                        <button data-action="record-calendar-dividend" data-index="${index}" class="btn btn-secondary btn-sm">Record</button>
+                    </div>
+                `).join('')}
             </div>
         `;
     }
 
-    getConfirmDeleteTradeModalHTML(tradeId) {
+    // The widget shows the first of the user's watchlists
+    async loadDashboardWatchlist() {
+        const container = document.getElementById('dashboard-watchlist');
+        if (!container) return;
+
+        try {
+            const { watchlists = [] } = await this.apiCall('/watchlists');
+            if (watchlists.length === 0) {
+                container.innerHTML = `
+                    <p class="text-muted">Follow stocks you don't own yet.</p>
+                    <button data-action="show-watchlists" class="btn btn-secondary btn-sm">Create a Watchlist</button>
+                `;
+                return;
+            }
+
+            const { watchlist } = await this.apiCall(`/watchlists/${watchlists[0].id}`);
+            const items = watchlist.items.slice(0, 6);
+
+            container.innerHTML = `
+                ${items.length === 0 ? `<p class="text-muted">${this.escapeHtml(watchlist.name)} has no symbols yet.</p>` : `
+                    <table class="holdings-table">
+                        <tbody>
+                            ${items.map(item => `
+                                <tr>
+                                    <td><strong>${this.escapeHtml(item.symbol)}</strong></td>
+                                    <td>${this.getSparklineSVG(item.sparkline)}</td>
+                                    <td style="text-align: right;">${item.current_price !== null ? this.formatCurrency(item.current_price, { currency: item.currency }) : '—'}</td>
+                                    <td style="text-align: right;">${this.getWatchlistChangeHTML(item)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+                <button data-action="select-watchlist" data-watchlist-id="${watchlist.id}" class="btn btn-secondary btn-sm" style="margin-top: var(--space-2);">View ${this.escapeHtml(watchlist.name)}</button>
+            `;
+        } catch (error) {
+            console.error('Failed to load dashboard watchlist:', error);
+            container.innerHTML = '<p class="text-muted">Watchlists are unavailable right now.</p>';
+        }
+    }
+
+    async showWatchlists(watchlistId = null) {
+        try {
+            this.router.sync('/watchlists', watchlistId ? { list: watchlistId } : null);
+            this.showLoading('Loading watchlists...');
+            this.stopWatchlistRefresh();
+
+            const { watchlists = [] } = await this.apiCall('/watchlists');
+            this.watchlists = watchlists;
+
+            const selected = watchlists.find(list => String(list.id) === String(watchlistId)) || watchlists[0];
+            this.watchlist = selected ? (await this.apiCall(`/watchlists/${selected.id}`)).watchlist : null;
+            this.watchlistSort = this.watchlistSort || { key: 'symbol', direction: 'asc' };
+
+            document.getElementById('app').innerHTML = this.getWatchlistsPageHTML();
+            this.renderWatchlist();
+
+            if (this.watchlist) {
+                this.startWatchlistRefresh();
+            }
+        } catch (error) {
+            this.showError('Failed to load watchlists');
+            console.error('Watchlists error:', error);
+        }
+    }
+
+    getWatchlistsPageHTML() {
+        const current = this.watchlist;
+
+        return `
+            <div class="watchlists-page">
+                <header style="background: var(--surface); border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
+                    <div class="container">
+                        <div class="flex justify-between items-center">
+                            <div class="flex items-center gap-4">
+                                <button data-action="show-dashboard" class="btn btn-secondary">← Back to Dashboard</button>
+                                <div>
+                                    <h2 style="margin-bottom: 0;">👀 Watchlists</h2>
+                                    <p class="text-muted" style="margin-bottom: 0;">Stocks you follow without holding them</p>
+                                </div>
+                            </div>
+                            <div class="flex gap-4">
+                                <button data-action="show-create-watchlist" class="btn btn-primary">+ New Watchlist</button>
+                                <button data-action="logout" class="btn btn-secondary">Sign Out</button>
+                            </div>
+                        </div>
+                    </div>
+                </header>
+
+                <main class="py-8">
+                    <div class="container">
+                        ${!current ? `
+                            <div class="card text-center py-12">
+                                <div style="font-size: 3rem; margin-bottom: var(--space-4); opacity: 0.3;">👀</div>
+                                <h3 class="mb-4">No Watchlists Yet</h3>
+                                <p class="text-muted mb-6">Create a watchlist to follow prices, yields and 52-week ranges of stocks you don't own.</p>
+                                <button data-action="show-create-watchlist" class="btn btn-primary">Create Watchlist</button>
+                            </div>
+                        ` : `
+                            <div class="flex gap-4 mb-6" style="flex-wrap: wrap;">
+                                ${this.watchlists.map(list => `
+                                    <button data-action="select-watchlist" data-watchlist-id="${list.id}" class="btn ${list.id === current.id ? 'btn-primary' : 'btn-secondary'}">${this.escapeHtml(list.name)} (${list.items_count})</button>
+                                `).join('')}
+                            </div>
+
+                            <div class="card">
+                                <div class="flex justify-between items-center mb-4">
+                                    <h3 style="margin-bottom: 0;">${this.escapeHtml(current.name)}</h3>
+                                    <div class="flex gap-4 items-center">
+                                        <span id="watchlist-updated" class="text-muted" style="font-size: var(--font-size-sm);"></span>
+                                        <button data-action="refresh-watchlist" class="btn btn-secondary btn-sm">↻ Refresh</button>
+                                        <button data-action="show-rename-watchlist" class="btn btn-secondary btn-sm">Rename</button>
+                                        <button data-action="delete-watchlist" class="btn btn-secondary btn-sm" style="color: var(--danger-red);">Delete</button>
+                                    </div>
+                                </div>
+
+                                <form data-form="add-watchlist-symbol" class="flex gap-4 mb-6" style="align-items: flex-end;">
+                                    <div class="form-group" style="flex: 1; margin-bottom: 0;">
+                                        <label class="form-label" for="watchlist_symbol">Add Symbol</label>
+                                        <div style="position: relative;">
+                                            <input type="text" id="watchlist_symbol" name="symbol" class="form-input" placeholder="Search for a stock..." data-stock-search autocomplete="off" required>
+                                            <div class="stock-search-results" style="display: none;"></div>
+                                        </div>
+                                    </div>
+                                    <div class="form-group" style="flex: 1; margin-bottom: 0;">
+                                        <label class="form-label" for="watchlist_notes">Notes (Optional)</label>
+                                        <input type="text" id="watchlist_notes" name="notes" class="form-input" placeholder="e.g., Buy below 150">
+                                    </div>
+                                    <button type="submit" class="btn btn-primary">Add</button>
+                                </form>
+
+                                <div id="watchlist-table"></div>
+                            </div>
+                        `}
+                    </div>
+                </main>
+            </div>
+        `;
+    }
+
+    sortWatchlist(key) {
+        const sort = this.watchlistSort;
+        this.watchlistSort = {
+            key,
+            // Text sorts A-Z first, figures largest first
+            direction: sort.key === key ? (sort.direction === 'asc' ? 'desc' : 'asc') : (key === 'symbol' ? 'asc' : 'desc')
+        };
+        this.renderWatchlist();
+    }
+
+    renderWatchlist() {
+        const container = document.getElementById('watchlist-table');
+        if (!container || !this.watchlist) return;
+
+        const items = this.watchlist.items;
+        if (items.length === 0) {
+            container.innerHTML = '<p class="text-muted text-center py-8">Search for a stock above to add it to this watchlist.</p>';
+            return;
+        }
+
+        const { key, direction } = this.watchlistSort;
+        // Where the price sits in its 52-week range, 0 (low) to 100 (high)
+        const rangePosition = item => item.current_price === null || !item.fifty_two_week_high || item.fifty_two_week_high <= item.fifty_two_week_low
+            ? null
+            : (item.current_price - item.fifty_two_week_low) / (item.fifty_two_week_high - item.fifty_two_week_low) * 100;
+        const value = item => key === 'range_position' ? rangePosition(item) : item[key];
+        const sorted = [...items].sort((a, b) => {
+            const left = value(a);
+            const right = value(b);
+            // Symbols without a quote stay at the bottom either way
+            if (left === null || left === undefined) return 1;
+            if (right === null || right === undefined) return -1;
+            const order = typeof left === 'string' ? left.localeCompare(right) : left - right;
+            return direction === 'asc' ? order : -order;
+        });
+
+        const header = (sortKey, label, align = 'right') => `
+            <th style="text-align: ${align}; cursor: pointer;" data-action="sort-watchlist" data-sort="${sortKey}">
+                ${label}${key === sortKey ? (direction === 'asc' ? ' ▲' : ' ▼') : ''}
+            </th>
+        `;
+
+        container.innerHTML = `
+            <div style="overflow-x: auto;">
+                <table class="holdings-table">
+                    <thead>
+                        <tr>
+                            ${header('symbol', 'Symbol', 'left')}
+                            <th style="text-align: left;">30 Days</th>
+                            ${header('current_price', 'Price')}
+                            ${header('change_percent', 'Change')}
+                            ${header('range_position', '52-Week Range', 'left')}
+                            ${header('dividend_yield', 'Yield')}
+                            <th style="text-align: left;">Notes</th>
+                            <th style="text-align: right;">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sorted.map(item => {
+                            const position = rangePosition(item);
+                            return `
+                                <tr>
+                                    <td>
+                                        <strong>${this.escapeHtml(item.symbol)}</strong>
+                                        <div class="text-muted" style="font-size: var(--font-size-xs);">${this.escapeHtml(item.name)}</div>
+                                    </td>
+                                    <td>${this.getSparklineSVG(item.sparkline)}</td>
+                                    <td style="text-align: right; font-weight: 600;">${item.current_price !== null ? this.formatCurrency(item.current_price, { currency: item.currency }) : '—'}</td>
+                                    <td style="text-align: right;">${this.getWatchlistChangeHTML(item)}</td>
+                                    <td style="min-width: 160px;">
+                                        ${position === null ? '<span class="text-muted">—</span>' : `
+                                            <div style="position: relative; height: 4px; margin: var(--space-2) 0; background: var(--gray-200); border-radius: var(--radius-full);">
+                                                <div style="position: absolute; top: -3px; left: calc(${Math.min(100, Math.max(0, position)).toFixed(1)}% - 5px); width: 10px; height: 10px; border-radius: var(--radius-full); background: var(--primary-blue);"></div>
+                                            </div>
+                                            <div class="flex justify-between text-muted" style="font-size: var(--font-size-xs);">
+                                                <span>${this.formatCurrency(item.fifty_two_week_low, { currency: item.currency })}</span>
+                                                <span>${this.formatCurrency(item.fifty_two_week_high, { currency: item.currency })}</span>
+                                            </div>
+                                        `}
+                                    </td>
+                                    <td style="text-align: right;">${item.dividend_yield ? `${item.dividend_yield.toFixed(2)}%` : '<span class="text-muted">—</span>'}</td>
+                                    <td style="max-width: 220px; font-size: var(--font-size-sm);">${item.notes ? this.escapeHtml(item.notes) : '<span class="text-muted">—</span>'}</td>
+                                    <td style="text-align: right; white-space: nowrap;">
+                                        <button data-action="record-watchlist-trade" data-symbol="${this.escapeHtml(item.symbol)}" class="btn btn-primary btn-sm">Record Trade</button>
+                                        <button data-action="edit-watchlist-notes" data-symbol="${this.escapeHtml(item.symbol)}" class="btn btn-secondary btn-sm">Notes</button>
+                                        <button data-action="remove-watchlist-symbol" data-symbol="${this.escapeHtml(item.symbol)}" class="btn btn-secondary btn-sm" title="Remove from watchlist">×</button>
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    getWatchlistChangeHTML(item) {
+        if (item.change_percent === null) {
+            return '<span class="text-muted">—</span>';
+        }
+
+        const sign = item.change_percent >= 0 ? '+' : '';
+        return `
+            <span style="font-weight: 600; color: ${item.change_percent >= 0 ? 'var(--success-green)' : 'var(--danger-red)'};">
+                ${sign}${item.change_percent.toFixed(2)}%
+            </span>
+        `;
+    }
+
+    /**
+     * Small inline line chart of closing prices, green if the period ended up and red if down
+     */
+    getSparklineSVG(values = [], width = 100, height = 28) {
+        if (!values || values.length < 2) {
+            return '<span class="text-muted">—</span>';
+        }
+
+        const min = Math.min(...values);
+        const range = (Math.max(...values) - min) || 1;
+        const points = values.map((value, i) => {
+            const x = (i / (values.length - 1)) * width;
+            const y = height - 2 - ((value - min) / range) * (height - 4);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+        const color = values[values.length - 1] >= values[0] ? 'var(--success-green)' : 'var(--danger-red)';
+
+        return `
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+                <polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round" />
+            </svg>
+        `;
+    }
+
+    // Quotes refresh every minute while the watchlist is on screen and the tab is visible
+    startWatchlistRefresh() {
+        this.stopWatchlistRefresh();
+        this.watchlistRefreshTimer = setInterval(() => {
+            if (!document.getElementById('watchlist-table')) {
+                this.stopWatchlistRefresh();
+            } else if (!document.hidden) {
+                this.refreshWatchlistQuotes();
+            }
+        }, 60000);
+    }
+
+    stopWatchlistRefresh() {
+        clearInterval(this.watchlistRefreshTimer);
+        this.watchlistRefreshTimer = null;
+    }
+
+    async refreshWatchlistQuotes() {
+        const symbols = this.watchlist?.items.map(item => item.symbol) || [];
+        if (symbols.length === 0) return;
+
+        try {
+            const { quotes = {} } = await this.apiCall('/stocks/quotes', {
+                method: 'POST',
+                body: JSON.stringify({ symbols })
+            });
+
+            this.watchlist.items.forEach(item => {
+                const quote = quotes[item.symbol];
+                if (!quote) return;
+
+                item.current_price = Number(quote.current_price);
+                item.change_amount = Number(quote.change_amount);
+                item.change_percent = Number(quote.change_percent);
+                if (quote.fifty_two_week_high) item.fifty_two_week_high = Number(quote.fifty_two_week_high);
+                if (quote.fifty_two_week_low) item.fifty_two_week_low = Number(quote.fifty_two_week_low);
+            });
+
+            this.renderWatchlist();
+            const updated = document.getElementById('watchlist-updated');
+            if (updated) {
+                updated.textContent = `Updated ${new Date().toLocaleTimeString(this.getLocale(), { hour: 'numeric', minute: '2-digit' })}`;
+            }
+        } catch (error) {
+            console.error('Watchlist quote refresh error:', error);
+        }
+    }
+
+    getWatchlistNameModalHTML(watchlist = null) {
         return `
             <div class="modal-content">
-                <div class="card card-lg" style="max-width: 400px; margin: 0 auto;">
+                <div class="card card-lg" style="max-width: 420px; margin: 0 auto;">
                     <div class="flex justify-between items-center mb-6">
-                        <h3 style="margin-bottom: 0;">Delete Trade</h3>
+                        <h3 style="margin-bottom: 0;">${watchlist ? 'Rename Watchlist' : 'New Watchlist'}</h3>
                         <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
                     </div>
 
-                    <div class="text-center mb-6">
-                        <div style="font-size: 3rem; margin-bottom: var(--space-4); opacity: 0.3;">⚠️</div>
-                        <h4>Are you sure?</h4>
-                        <p class="text-muted">This will permanently delete this trade and recalculate your holdings. This action cannot be undone.</p>
-                    </div>
+                    <form data-form="watchlist-name">
+                        ${watchlist ? `<input type="hidden" name="watchlist_id" value="${watchlist.id}">` : ''}
+                        <div class="form-group">
+                            <label class="form-label" for="watchlist_name">Name</label>
+                            <input type="text" id="watchlist_name" name="name" class="form-input" maxlength="100" placeholder="e.g., Dividend Growers" value="${watchlist ? this.escapeHtml(watchlist.name) : ''}" required>
+                        </div>
 
-                    <div class="flex gap-4">
-                        <button data-action="confirm-delete-trade" data-trade-id="${tradeId}" class="btn btn-danger btn-lg" style="flex: 1;">Delete Trade</button>
-                        <button data-action="close-modal" class="btn btn-secondary btn-lg" style="flex: 1;">Cancel</button>
-                    </div>
+                        <div class="flex gap-4">
+                            <button type="submit" class="btn btn-primary" style="flex: 1;">${watchlist ? 'Save' : 'Create Watchlist'}</button>
+                            <button type="button" data-action="close-modal" class="btn btn-secondary">Cancel</button>
+                        </div>
+                    </form>
                 </div>
             </div>
         `;
     }
 
-    getHoldingTradesModalHTML(transactions, symbol, portfolioId) {
+    async saveWatchlistName(data) {
+        try {
+            const response = await this.apiCall(data.watchlist_id ? `/watchlists/${data.watchlist_id}` : '/watchlists', {
+                method: data.watchlist_id ? 'PUT' : 'POST',
+                body: JSON.stringify({ name: data.name })
+            });
+
+            this.closeModal();
+            this.showSuccess(response.message);
+            this.showWatchlists(response.watchlist.id);
+        } catch (error) {
+            this.showError(error.message || 'Failed to save watchlist');
+        }
+    }
+
+    async deleteWatchlist() {
+        if (!this.watchlist || !confirm(`Delete the ${this.watchlist.name} watchlist and its ${this.watchlist.items.length} symbols?`)) {
+            return;
+        }
+
+        try {
+            await this.apiCall(`/watchlists/${this.watchlist.id}`, { method: 'DELETE' });
+            this.showSuccess('Watchlist deleted');
+            this.showWatchlists();
+        } catch (error) {
+            this.showError(error.message || 'Failed to delete watchlist');
+        }
+    }
+
+    async addWatchlistSymbol(data, form) {
+        if (!this.watchlist) return;
+
+        try {
+            const response = await this.apiCall(`/watchlists/${this.watchlist.id}/items`, {
+                method: 'POST',
+                body: JSON.stringify({ symbol: data.symbol.trim().toUpperCase(), notes: data.notes })
+            });
+
+            this.showSuccess(response.message);
+            this.showWatchlists(this.watchlist.id);
+        } catch (error) {
+            this.showError(error.message || 'Failed to add symbol');
+            form.querySelector('[data-stock-search]')?.focus();
+        }
+    }
+
+    getWatchlistNotesModalHTML(symbol) {
+        const item = this.watchlist?.items.find(i => i.symbol === symbol);
+        if (!item) return '';
+
         return `
             <div class="modal-content">
-                <div class="card card-lg" style="max-width: 700px; margin: 0 auto;">
+                <div class="card card-lg" style="max-width: 500px; margin: 0 auto;">
                     <div class="flex justify-between items-center mb-6">
-                        <h3 style="margin-bottom: 0;">Trades for ${symbol}</h3>
-                        <div class="flex gap-2">
-                            <button data-action="show-add-trade" data-portfolio-id="${portfolioId}" class="btn btn-primary btn-sm">+ Add Trade</button>
-                            <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
-                        </div>
+                        <h3 style="margin-bottom: 0;">Notes for ${this.escapeHtml(symbol)}</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
                     </div>
 
-                    ${transactions.length === 0 ? `
-                        <div class="text-center py-8">
-                            <div style="font-size: 2rem; margin-bottom: var(--space-3); opacity: 0.3;">📈</div>
-                            <h4>No Trades for ${symbol}</h4>
-                            <p class="text-muted mb-4">Add your first trade for this stock.</p>
-                            <button data-action="show-add-trade" data-portfolio-id="${portfolioId}" class="btn btn-primary">Add Trade</button>
+                    <form data-form="watchlist-notes">
+                        <input type="hidden" name="symbol" value="${this.escapeHtml(symbol)}">
+                        <div class="form-group">
+                            <label class="form-label" for="watchlist_item_notes">Notes</label>
+                            <textarea id="watchlist_item_notes" name="notes" class="form-input" rows="4" placeholder="Why you're watching it, price targets, upcoming events...">${this.escapeHtml(item.notes || '')}</textarea>
                         </div>
-                    ` : `
-                        <div style="max-height: 300px; overflow-y: auto;">
-                            <table style="width: 100%; border-collapse: collapse;">
-                                <thead style="position: sticky; top: 0; background: white; z-index: 1;">
-                                    <tr style="border-bottom: 2px solid var(--gray-200);">
-                                        <th style="text-align: left; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Date</th>
-                                        <th style="text-align: center; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Type</th>
-                                        <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Shares</th>
-                                        <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Price</th>
-                                        <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Total</th>
-                                        <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Actions</th>
-                                    </tr>
-                                </thead>
-                                <tbody>
-                                    ${transactions.map(trade => {
-                                        const total = trade.quantity * trade.price;
-                                        const tradeDate = new Date(trade.transaction_date).toLocaleDateString();
-                                        const isBuy = trade.transaction_type === 'buy';
 
-                                        return `
-                                            <tr style="border-bottom: 1px solid var(--gray-100);">
-                                                <td style="padding: var(--space-3);">
-                                                    <div style="font-size: var(--font-size-sm);">${tradeDate}</div>
-                                                </td>
-                                                <td style="padding: var(--space-3); text-align: center;">
-                                                    <span class="badge ${isBuy ? 'badge-success' : 'badge-danger'}" style="text-transform: uppercase;">
-                                                        ${trade.transaction_type}
-                                                    </span>
-                                                </td>
-                                                <td style="padding: var(--space-3); text-align: right;">
-                                                    <div>${this.formatNumber(trade.quantity)}</div>
-                                                </td>
-                                                <td style="padding: var(--space-3); text-align: right;">
-                                                    <div>$${this.formatNumber(trade.price)}</div>
-                                                </td>
-                                                <td style="padding: var(--space-3); text-align: right;">
-                                                    <div style="font-weight: 600; color: ${isBuy ? 'var(--danger-red)' : 'var(--success-green)'};">
-                                                        ${isBuy ? '-' : '+'}$${this.formatNumber(total)}
-                                                    </div>
-                                                </td>
-                                                <td style="padding: var(--space-3); text-align: right;">
-                                                    <div class="flex gap-2 justify-end">
-                                                        <button data-action="show-edit-trade" data-trade-id="${trade.id}" class="btn btn-secondary btn-sm" title="Edit Trade">✏️</button>
-                                                        <button data-action="confirm-delete-trade" data-trade-id="${trade.id}" class="btn btn-danger btn-sm" title="Delete Trade">🗑️</button>
-                                                    </div>
-                                                </td>
-                                            </tr>
-                                        `;
-                                    }).join('')}
-                                </tbody>
-                            </table>
+                        <div class="flex gap-4">
+                            <button type="submit" class="btn btn-primary" style="flex: 1;">Save Notes</button>
+                            <button type="button" data-action="close-modal" class="btn btn-secondary">Cancel</button>
                         </div>
-                    `}
+                    </form>
                 </div>
             </div>
         `;
     }
 
-    getEditHoldingModalHTML(symbol) {
+    async saveWatchlistNotes(data) {
+        try {
+            const response = await this.apiCall(`/watchlists/${this.watchlist.id}/items/${encodeURIComponent(data.symbol)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ notes: data.notes })
+            });
+
+            const item = this.watchlist.items.find(i => i.symbol === data.symbol);
+            if (item) {
+                item.notes = response.item.notes;
+            }
+
+            this.closeModal();
+            this.showSuccess('Notes saved');
+            this.renderWatchlist();
+        } catch (error) {
+            this.showError(error.message || 'Failed to save notes');
+        }
+    }
+
+    async removeWatchlistSymbol(symbol) {
+        try {
+            const response = await this.apiCall(`/watchlists/${this.watchlist.id}/items/${encodeURIComponent(symbol)}`, {
+                method: 'DELETE'
+            });
+
+            this.showSuccess(response.message);
+            this.showWatchlists(this.watchlist.id);
+        } catch (error) {
+            this.showError(error.message || 'Failed to remove symbol');
+        }
+    }
+
+    /**
+     * Open the add-trade modal for a watched symbol at its current price, asking which
+     * portfolio to record it in when there is more than one
+     */
+    async recordWatchlistTrade(symbol) {
+        const item = this.watchlist?.items.find(i => i.symbol === symbol);
+        const prefill = { symbol, transactionType: 'buy', price: item?.current_price || undefined };
+
+        try {
+            const { portfolios = [] } = await this.apiCall('/portfolios');
+
+            if (portfolios.length === 0) {
+                this.showError('Create a portfolio before recording trades');
+            } else if (portfolios.length === 1) {
+                this.showAddTradeModal(portfolios[0].id, prefill);
+            } else {
+                this.showModal(this.getChooseTradePortfolioModalHTML(portfolios, prefill));
+            }
+        } catch (error) {
+            this.showError('Failed to load portfolios');
+            console.error('Record watchlist trade error:', error);
+        }
+    }
+
+    getChooseTradePortfolioModalHTML(portfolios, prefill) {
         return `
             <div class="modal-content">
-                <div class="card card-lg" style="max-width: 400px; margin: 0 auto;">
+                <div class="card card-lg" style="max-width: 420px; margin: 0 auto;">
                     <div class="flex justify-between items-center mb-6">
-                        <h3 style="margin-bottom: 0;">Edit ${symbol} Holding</h3>
+                        <h3 style="margin-bottom: 0;">Record ${this.escapeHtml(prefill.symbol)} Trade In</h3>
                         <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
                     </div>
 
-                    <div class="text-center mb-6">
-                        <div style="font-size: 2rem; margin-bottom: var(--space-3);">📈</div>
-                        <h4>Manage Individual Trades</h4>
-                        <p class="text-muted">Holdings are calculated from your trades. Use the actions below to manage this position:</p>
+                    <div class="space-y-2">
+                        ${portfolios.map(portfolio => `
+                            <button data-action="show-add-trade" data-portfolio-id="${portfolio.id}" data-symbol="${this.escapeHtml(prefill.symbol)}" data-transaction-type="${prefill.transactionType}" ${prefill.price ? `data-price="${prefill.price}"` : ''} class="btn btn-secondary" style="width: 100%;">${this.escapeHtml(portfolio.name)} (${portfolio.currency})</button>
+                        `).join('')}
                     </div>
+                </div>
+            </div>
+        `;
+    }
 
-                    <div class="flex flex-col gap-3">
-                        <button data-action="view-holding-trades" data-symbol="${symbol}" class="btn btn-primary btn-lg">View All ${symbol} Trades</button>
-                        <button data-action="show-add-trade" data-portfolio-id="${this.getCurrentPortfolioId()}" class="btn btn-secondary btn-lg">Add New ${symbol} Trade</button>
-                        <button data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
+    getEmptyStateHTML() {
+        return `
+            <div class="text-center py-16">
+                <div style="width: 64px; height: 64px; background: var(--gray-100); border-radius: var(--radius-full); margin: 0 auto var(--space-6); display: flex; align-items: center; justify-content: center;">
+                    <span style="color: var(--gray-400); font-size: 2rem;">📊</span>
+                </div>
+                <h3>No Portfolios Yet</h3>
+                <p class="text-muted mb-8">Create your first portfolio to start tracking your investments.</p>
+                <button data-action="show-create-portfolio" class="btn btn-primary btn-lg">Create Your First Portfolio</button>
+            </div>
+        `;
+    }
+
+    getPortfoliosGridHTML(portfolios) {
+        return `
+            <div class="grid grid-cols-3 gap-6">
+                ${portfolios.map(portfolio => `
+                    <div class="card fade-in">
+                        <div class="flex justify-between items-start mb-4">
+                            <div>
+                                <h4 style="margin-bottom: var(--space-2);">${portfolio.name}</h4>
+                                <p class="text-muted" style="margin-bottom: 0; font-size: var(--font-size-sm);">${portfolio.holdings_count} holdings</p>
+                            </div>
+                            <span class="text-muted" style="font-size: var(--font-size-sm);">${portfolio.type}</span>
+                        </div>
+
+                        <div class="mb-4">
+                            <div style="font-size: var(--font-size-2xl); font-weight: 600; margin-bottom: var(--space-2);">
+                                ${this.formatCurrency(portfolio.total_value, { currency: portfolio.currency })}
+                            </div>
+                            <div class="flex justify-between">
+                                <span class="text-muted" style="font-size: var(--font-size-sm);">Total Value${portfolio.currency !== this.displayCurrency ? ` · ${this.formatCurrency(portfolio.display.total_value)}` : ''}</span>
+                                <span class="${portfolio.total_gain_loss >= 0 ? 'text-success' : 'text-danger'}" style="font-size: var(--font-size-sm); font-weight: 500;">
+                                    ${portfolio.total_gain_loss >= 0 ? '+' : ''}${this.formatCurrency(portfolio.total_gain_loss, { currency: portfolio.currency })} (${portfolio.total_gain_loss_percent.toFixed(2)}%)
+                                </span>
+                            </div>
+                        </div>
+
+                        <button data-action="view-portfolio" data-portfolio-id="${portfolio.id}" class="btn btn-secondary" style="width: 100%;">View Details</button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    formatNumber(num) {
+        return new Intl.NumberFormat(this.getLocale(), {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        }).format(num);
+    }
+
+    getLocale() {
+        return this.preferences.locale || navigator.language || 'en-US';
+    }
+
+    // Format a date in the user's date format. Calendar dates ("2025-03-14") are shown
+    // as-is; timestamps are first moved into the user's time zone.
+    formatDate(value, { dateFormat = this.preferences.date_format } = {}) {
+        if (!value) return '';
+
+        let year, month, day;
+        if (value instanceof Date) {
+            [year, month, day] = [value.getFullYear(), value.getMonth() + 1, value.getDate()];
+        } else if (/^\d{4}-\d{2}-\d{2}(T00:00:00)?$/.test(value)) {
+            [year, month, day] = value.slice(0, 10).split('-').map(Number);
+        } else {
+            const date = new Date(value);
+            if (isNaN(date)) return String(value);
+
+            const parts = new Intl.DateTimeFormat('en-US', {
+                timeZone: this.preferences.timezone || undefined,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric'
+            }).formatToParts(date);
+            const part = type => Number(parts.find(p => p.type === type).value);
+            [year, month, day] = [part('year'), part('month'), part('day')];
+        }
+
+        const pad = number => String(number).padStart(2, '0');
+        const tokens = {
+            Y: year,
+            m: pad(month),
+            n: month,
+            d: pad(day),
+            j: day,
+            M: new Date(year, month - 1, 1).toLocaleDateString(this.getLocale(), { month: 'short' })
+        };
+        return (dateFormat || 'Y-m-d').replace(/[YmndjM]/g, token => tokens[token]);
+    }
+
+    getCurrencyOptionsHTML(selected) {
+        const currencies = [
+            ['USD', 'US Dollar'], ['EUR', 'Euro'], ['GBP', 'British Pound'], ['CAD', 'Canadian Dollar'],
+            ['AUD', 'Australian Dollar'], ['CHF', 'Swiss Franc'], ['JPY', 'Japanese Yen'], ['SEK', 'Swedish Krona'],
+            ['NOK', 'Norwegian Krone'], ['DKK', 'Danish Krone'], ['NZD', 'New Zealand Dollar'], ['HKD', 'Hong Kong Dollar'],
+            ['SGD', 'Singapore Dollar'], ['INR', 'Indian Rupee'], ['ZAR', 'South African Rand']
+        ];
+        if (selected && !currencies.some(([code]) => code === selected)) {
+            currencies.push([selected, selected]);
+        }
+
+        return currencies.map(([code, name]) => `
+            <option value="${code}" ${code === selected ? 'selected' : ''}>${code} - ${name}</option>
+        `).join('');
+    }
+
+    // Format an amount in a currency, by default the one the current page is shown in.
+    // Prices of listings quoted in a minor unit (e.g. London's pence, "GBp") get the code as a suffix.
+    formatCurrency(amount, { currency = this.displayCurrency, decimals = 2 } = {}) {
+        const value = Number(amount) || 0;
+        const digits = { minimumFractionDigits: Math.min(2, decimals), maximumFractionDigits: decimals };
+
+        if (!currency || currency !== currency.toUpperCase()) {
+            return `${new Intl.NumberFormat(this.getLocale(), digits).format(value)} ${currency || ''}`.trim();
+        }
+
+        try {
+            return new Intl.NumberFormat(this.getLocale(), { style: 'currency', currency, ...digits }).format(value);
+        } catch (error) {
+            return `${currency} ${new Intl.NumberFormat(this.getLocale(), digits).format(value)}`;
+        }
+    }
+
+    setDisplayCurrency(currency) {
+        this.displayCurrency = currency || 'USD';
+        if (window.portfolioCharts) {
+            window.portfolioCharts.setCurrency(this.displayCurrency);
+        }
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    getCreatePortfolioModalHTML() {
+        return `
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 500px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Create New Portfolio</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                    </div>
+
+                    <form data-form="create-portfolio">
+                        <div class="form-group">
+                            <label class="form-label" for="name">Portfolio Name</label>
+                            <input type="text" id="name" name="name" class="form-input" placeholder="e.g., Retirement Portfolio" required>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="description">Description (Optional)</label>
+                            <textarea id="description" name="description" class="form-input" rows="3" placeholder="Brief description of this portfolio's purpose"></textarea>
+                        </div>
+
+                        <div class="grid grid-cols-2 gap-4">
+                            <div class="form-group">
+                                <label class="form-label" for="portfolio_type">Portfolio Type</label>
+                                <select id="portfolio_type" name="portfolio_type" class="form-input" required>
+                                    <option value="personal">Personal</option>
+                                    <option value="retirement">Retirement</option>
+                                    <option value="trading">Trading</option>
+                                    <option value="savings">Savings</option>
+                                    <option value="other">Other</option>
+                                </select>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label" for="currency">Currency</label>
+                                <select id="currency" name="currency" class="form-input" required>
+                                    ${this.getCurrencyOptionsHTML(this.preferences.currency)}
+                                </select>
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label">
+                                <input type="checkbox" name="is_public" value="1" style="margin-right: var(--space-2);">
+                                Make this portfolio public (visible to others)
+                            </label>
+                        </div>
+
+                        <div class="flex gap-4">
+                            <button type="submit" class="btn btn-primary btn-lg" style="flex: 1;">Create Portfolio</button>
+                            <button type="button" data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+    }
+
+    getAddHoldingModalHTML(portfolioId) {
+        return `
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 500px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Add Stock Holding</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
                     </div>
+
+                    <form data-form="add-holding">
+                        <input type="hidden" name="portfolio_id" value="${portfolioId}">
+
+                        <div class="form-group">
+                            <label class="form-label" for="stock_symbol">Stock Symbol</label>
+                            <div style="position: relative;">
+                                <input type="text" id="stock_symbol" name="stock_symbol" class="form-input" placeholder="Search for a stock..." data-stock-search autocomplete="off" required>
+                                <div class="stock-search-results" style="display: none;"></div>
+                            </div>
+                            <small class="text-muted">Start typing to search for stocks (e.g., "Apple" or "AAPL")</small>
+                        </div>
+
+                        <div class="grid grid-cols-2 gap-4">
+                            <div class="form-group">
+                                <label class="form-label" for="quantity">Quantity</label>
+                                <input type="number" id="quantity" name="quantity" class="form-input" step="0.000001" min="0" placeholder="10" required>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label" for="avg_cost_basis">Average Cost per Share</label>
+                                <input type="number" id="avg_cost_basis" name="avg_cost_basis" class="form-input" step="0.01" min="0" placeholder="150.00" required>
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="notes">Notes (Optional)</label>
+                            <textarea id="notes" name="notes" class="form-input" rows="2" placeholder="Any additional notes about this holding"></textarea>
+                        </div>
+
+                        <div class="flex gap-4">
+                            <button type="submit" class="btn btn-primary btn-lg" style="flex: 1;">Add Holding</button>
+                            <button type="button" data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
+                        </div>
+                    </form>
                 </div>
             </div>
         `;
     }
 
-    getConfirmDeleteHoldingModalHTML(symbol) {
-        return `
-            <div class="modal-content">
-                <div class="card card-lg" style="max-width: 400px; margin: 0 auto;">
-                    <div class="flex justify-between items-center mb-6">
-                        <h3 style="margin-bottom: 0;">Delete ${symbol} Holding</h3>
-                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
-                    </div>
+    getAddTradeModalHTML(portfolioId, prefill = {}) {
+        const today = new Date().toISOString().split('T')[0];
+        const transactionType = prefill.transactionType === 'sell' ? 'sell' : 'buy';
+        const staged = prefill.staged;
+
+        return `
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 500px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Record Trade</h3>
+                        <button data-action="${staged ? 'cancel-staged-trades' : 'close-modal'}" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                    </div>
+
+                    ${staged ? `
+                        <div class="alert alert-info mb-4" style="background: var(--primary-blue-bg); border: 1px solid var(--primary-blue-light); border-radius: var(--radius-md); padding: var(--space-3);">
+                            <small style="color: var(--primary-blue);">
+                                ⚖️ <strong>Rebalancing trade ${staged.index} of ${staged.total}.</strong> Check the price and date, then record it or skip to the next one.
+                            </small>
+                        </div>
+                    ` : ''}
+
+                    <form data-form="add-trade">
+                        <input type="hidden" name="portfolio_id" value="${portfolioId}">
+                        ${staged ? '<input type="hidden" name="staged_trade" value="1">' : ''}
+
+                        <div class="grid grid-cols-2 gap-4">
+                            <div class="form-group">
+                                <label class="form-label" for="stock_symbol">Stock Symbol</label>
+                                <div style="position: relative;">
+                                    <input type="text" id="stock_symbol" name="stock_symbol" class="form-input" placeholder="Search for a stock..." data-stock-search autocomplete="off" value="${prefill.symbol || ''}" required>
+                                    <div class="stock-search-results" style="display: none;"></div>
+                                </div>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label" for="transaction_type">Trade Type</label>
+                                <select id="transaction_type" name="transaction_type" class="form-input" required>
+                                    <option value="buy" ${transactionType === 'buy' ? 'selected' : ''}>Buy</option>
+                                    <option value="sell" ${transactionType === 'sell' ? 'selected' : ''}>Sell</option>
+                                </select>
+                            </div>
+                        </div>
+
+                        <div class="grid grid-cols-3 gap-4">
+                            <div class="form-group">
+                                <label class="form-label" for="quantity">Shares</label>
+                                <input type="number" id="quantity" name="quantity" class="form-input" step="0.000001" min="0.000001" placeholder="10" value="${prefill.quantity || ''}" required>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label" for="price">Price per Share</label>
+                                <input type="number" id="price" name="price" class="form-input" step="0.01" min="0.01" placeholder="150.00" value="${prefill.price ? prefill.price.toFixed(2) : ''}" required>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label" for="fees">Commission/Fees</label>
+                                <input type="number" id="fees" name="fees" class="form-input" step="0.01" min="0" placeholder="0.00" value="${prefill.fees || 0}">
+                            </div>
+                        </div>
+
+                        <div class="grid grid-cols-2 gap-4">
+                            <div class="form-group">
+                                <label class="form-label" for="transaction_date">Trade Date</label>
+                                <input type="date" id="transaction_date" name="transaction_date" class="form-input" value="${today}" required>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label" for="fx_rate">FX Rate (Optional)</label>
+                                <input type="number" id="fx_rate" name="fx_rate" class="form-input" step="any" min="0" placeholder="Looked up" title="Portfolio currency per unit of the stock's listing currency. Left blank, the rate on the trade date is used.">
+                            </div>
+                        </div>
+
+                        <div id="lot-relief-section" class="form-group" style="display: none;">
+                            <label class="form-label" for="lot_method">Lot Relief Method</label>
+                            <select id="lot_method" name="lot_method" class="form-input">
+                                <option value="fifo">FIFO - First in, first out</option>
+                                <option value="lifo">LIFO - Last in, first out</option>
+                                <option value="hifo">HIFO - Highest cost first</option>
+                                <option value="specific">Specific lots</option>
+                            </select>
+                            <label class="flex items-center gap-2 mt-2 mb-3" style="font-size: var(--font-size-sm); color: var(--gray-600);">
+                                <input type="checkbox" name="save_lot_method" value="1">
+                                <span>Use this method by default for this portfolio</span>
+                            </label>
+                            <div id="lot-picker"></div>
+                            <div id="lot-preview"></div>
+                        </div>
+
+                        <div id="wash-sale-warning"></div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="notes">Notes (Optional)</label>
+                            <textarea id="notes" name="notes" class="form-input" rows="2" placeholder="Any notes about this trade (e.g., strategy, market conditions)">${prefill.notes ? this.escapeHtml(prefill.notes) : ''}</textarea>
+                        </div>
+
+                        <div class="alert alert-info mb-4" style="background: var(--primary-blue-bg); border: 1px solid var(--primary-blue-light); border-radius: var(--radius-md); padding: var(--space-3);">
+                            <small style="color: var(--primary-blue);">
+                                💡 <strong>Trade-based tracking:</strong> Your holdings are automatically calculated from your buy/sell trades as tax lots. Sells relieve lots using the method above.
+                            </small>
+                        </div>
+
+                        <div class="flex gap-4">
+                            <button type="submit" class="btn btn-primary btn-lg" style="flex: 1;">Record Trade</button>
+                            ${staged ? `
+                                <button type="button" data-action="skip-staged-trade" data-portfolio-id="${portfolioId}" class="btn btn-secondary btn-lg">Skip</button>
+                                <button type="button" data-action="cancel-staged-trades" class="btn btn-secondary btn-lg">Stop</button>
+                            ` : `
+                                <button type="button" data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
+                            `}
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+    }
+
+    getImportTradesModalHTML() {
+        const state = this.importState;
+        const steps = ['upload', 'mapping', 'preview'];
+        const stepLabels = { upload: '1. Upload', mapping: '2. Map Columns', preview: '3. Review' };
+
+        let body;
+        if (state.step === 'mapping') {
+            body = this.getImportMappingStepHTML(state);
+        } else if (state.step === 'preview') {
+            body = this.getImportPreviewStepHTML(state);
+        } else {
+            body = this.getImportUploadStepHTML(state);
+        }
+
+        return `
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: ${state.step === 'preview' ? '900px' : '600px'}; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-4">
+                        <h3 style="margin-bottom: 0;">Import Trades from CSV</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                    </div>
+
+                    <div class="flex gap-2 mb-6">
+                        ${steps.map(step => `
+                            <span class="badge ${step === state.step ? 'badge-primary' : ''}" style="${step === state.step ? '' : 'background: var(--gray-100); color: var(--gray-600);'}">${stepLabels[step]}</span>
+                        `).join('')}
+                    </div>
+
+                    ${body}
+                </div>
+            </div>
+        `;
+    }
+
+    getImportUploadStepHTML(state) {
+        const presets = window.tradeImporter.brokerPresets;
+
+        return `
+            <div class="form-group">
+                <label class="form-label" for="import-broker">Broker</label>
+                <select id="import-broker" class="form-input">
+                    ${Object.entries(presets).map(([key, preset]) => `
+                        <option value="${key}" ${key === state.broker ? 'selected' : ''}>${preset.label}</option>
+                    `).join('')}
+                </select>
+            </div>
+
+            <div class="form-group">
+                <label class="form-label" for="import-file">CSV File</label>
+                <input type="file" id="import-file" class="form-input" accept=".csv,text/csv">
+                <small class="text-muted">Export your trade history or activity as CSV from your broker's website. Only buy and sell rows are imported.</small>
+            </div>
+
+            <div class="flex gap-4">
+                <button data-action="parse-import-file" class="btn btn-primary btn-lg" style="flex: 1;">Next: Map Columns</button>
+                <button data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
+            </div>
+        `;
+    }
+
+    getImportMappingStepHTML(state) {
+        const sampleRows = state.rows.slice(0, 3);
+
+        return `
+            <p class="text-muted mb-4">
+                ${this.escapeHtml(state.fileName)} - ${state.rows.length} rows. Check that each field points at the right column.
+            </p>
+
+            <div class="grid grid-cols-2 gap-4">
+                ${window.tradeImporter.fields.map(field => `
+                    <div class="form-group">
+                        <label class="form-label" for="import-map-${field.key}">${field.label}${field.required ? ' *' : ''}</label>
+                        <select id="import-map-${field.key}" class="form-input">
+                            <option value="-1">— Not mapped —</option>
+                            ${state.headers.map((header, index) => `
+                                <option value="${index}" ${state.mapping[field.key] === index ? 'selected' : ''}>${this.escapeHtml(header)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+
+            <div class="form-group">
+                <label class="form-label" for="import-date-format">Date Format</label>
+                <select id="import-date-format" class="form-input">
+                    ${['auto', 'MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'].map(format => `
+                        <option value="${format}" ${format === state.dateFormat ? 'selected' : ''}>${format === 'auto' ? 'Broker default' : format}</option>
+                    `).join('')}
+                </select>
+            </div>
+
+            <div style="overflow-x: auto;" class="mb-6">
+                <table class="holdings-table" style="font-size: var(--font-size-sm);">
+                    <thead>
+                        <tr>${state.headers.map(header => `<th>${this.escapeHtml(header)}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${sampleRows.map(row => `
+                            <tr>${state.headers.map((_, index) => `<td>${this.escapeHtml(row[index])}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="flex gap-4">
+                <button data-action="preview-import-trades" class="btn btn-primary btn-lg" style="flex: 1;">Next: Review Trades</button>
+                <button data-action="import-step-back" class="btn btn-secondary btn-lg">Back</button>
+            </div>
+        `;
+    }
+
+    getImportPreviewStepHTML(state) {
+        const count = status => state.trades.filter(trade => trade.status === status).length;
+        const statusBadges = {
+            ready: '<span class="badge badge-success">Ready</span>',
+            duplicate: '<span class="badge badge-warning">Duplicate</span>',
+            error: '<span class="badge badge-danger">Error</span>',
+            skipped: '<span class="badge" style="background: var(--gray-100); color: var(--gray-600);">Skipped</span>'
+        };
+
+        return `
+            <div class="grid grid-cols-4 gap-4 mb-6">
+                <div class="card text-center">
+                    <div style="font-size: var(--font-size-xl); font-weight: 600; color: var(--success-green);">${count('ready')}</div>
+                    <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Ready</div>
+                </div>
+                <div class="card text-center">
+                    <div style="font-size: var(--font-size-xl); font-weight: 600; color: var(--warning-orange);">${count('duplicate')}</div>
+                    <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Duplicates</div>
+                </div>
+                <div class="card text-center">
+                    <div style="font-size: var(--font-size-xl); font-weight: 600; color: var(--danger-red);">${count('error')}</div>
+                    <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Errors</div>
+                </div>
+                <div class="card text-center">
+                    <div style="font-size: var(--font-size-xl); font-weight: 600; color: var(--gray-600);">${count('skipped')}</div>
+                    <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Skipped</div>
+                </div>
+            </div>
+
+            <div style="max-height: 400px; overflow-y: auto;" class="mb-4">
+                <table class="holdings-table" style="font-size: var(--font-size-sm);">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Status</th>
+                            <th>Date</th>
+                            <th>Type</th>
+                            <th>Symbol</th>
+                            <th>Shares</th>
+                            <th>Price</th>
+                            <th>Fees</th>
+                            <th>Issues</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${state.trades.map(trade => `
+                            <tr style="${trade.status === 'error' ? 'background: rgba(239, 68, 68, 0.05);' : ''}">
+                                <td>${trade.row_number}</td>
+                                <td>${statusBadges[trade.status]}</td>
+                                <td>${trade.transaction_date || '-'}</td>
+                                <td>${trade.transaction_type ? trade.transaction_type.toUpperCase() : this.escapeHtml(trade.raw_type)}</td>
+                                <td><strong>${this.escapeHtml(trade.stock_symbol)}</strong></td>
+                                <td>${trade.quantity !== null ? trade.quantity : '-'}</td>
+                                <td>${trade.price !== null ? this.formatCurrency(trade.price) : '-'}</td>
+                                <td>${this.formatCurrency(trade.fees)}</td>
+                                <td class="text-muted">${trade.errors.map(error => this.escapeHtml(error)).join('; ')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            ${count('duplicate') > 0 ? `
+                <div class="form-group">
+                    <label class="flex items-center gap-2">
+                        <input type="checkbox" id="import-include-duplicates">
+                        <span>Import duplicates anyway</span>
+                    </label>
+                </div>
+            ` : ''}
+
+            <div class="flex gap-4">
+                <button data-action="confirm-import-trades" class="btn btn-primary btn-lg" style="flex: 1;" ${count('ready') + count('duplicate') === 0 ? 'disabled' : ''}>Import Trades</button>
+                <button data-action="import-step-back" class="btn btn-secondary btn-lg">Back</button>
+            </div>
+        `;
+    }
+
+    getExportModalHTML(dataset, count) {
+        const labels = { trades: 'Trades', holdings: 'Holdings', dividends: 'Dividend Payments' };
+        const formats = [
+            { format: 'csv', label: 'CSV', description: 'Spreadsheets (Excel, Google Sheets, Numbers)' },
+            { format: 'json', label: 'JSON', description: 'Raw data for scripts and backups' },
+            { format: 'ofx', label: 'OFX', description: 'Investment statement for accounting tools' },
+            { format: 'qfx', label: 'QFX', description: 'Investment statement for Quicken' }
+        ];
+
+        return `
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 500px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Export ${labels[dataset]}</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                    </div>
+
+                    <p class="text-muted mb-4">
+                        ${count} ${count === 1 ? 'row' : 'rows'}${dataset === 'trades' ? ' matching the current filters' : ''}.
+                        OFX/QFX statements also include the portfolio's other trades, dividends and positions.
+                    </p>
+
+                    <div class="grid gap-4 mb-6">
+                        ${formats.map(option => `
+                            <button data-action="export-data" data-dataset="${dataset}" data-format="${option.format}" class="btn btn-outline" style="justify-content: space-between;" ${count === 0 && ['csv', 'json'].includes(option.format) ? 'disabled' : ''}>
+                                ${option.label} - ${option.description}
+                            </button>
+                        `).join('')}
+                    </div>
+
+                    <button data-action="close-modal" class="btn btn-secondary btn-lg" style="width: 100%;">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    getEditTradeModalHTML(trade) {
+        return `
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 500px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Edit Trade</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                    </div>
+
+                    <form data-form="edit-trade">
+                        <input type="hidden" name="trade_id" value="${trade.id}">
+                        <input type="hidden" name="portfolio_id" value="${trade.portfolio_id}">
+                        <input type="hidden" name="lot_method" value="${trade.lot_method || ''}">
+                        <input type="hidden" name="lot_selections" value="${trade.lot_selections ? this.escapeHtml(JSON.stringify(trade.lot_selections)) : ''}">
+
+                        <div class="grid grid-cols-2 gap-4">
+                            <div class="form-group">
+                                <label class="form-label" for="edit_stock_symbol">Stock Symbol</label>
+                                <input type="text" id="edit_stock_symbol" name="stock_symbol" class="form-input" value="${trade.stock_symbol}" required readonly>
+                                <small class="text-muted">Stock symbol cannot be changed. Delete and create new trade if needed.</small>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label" for="edit_transaction_type">Trade Type</label>
+                                <select id="edit_transaction_type" name="transaction_type" class="form-input" required>
+                                    <option value="buy" ${trade.transaction_type === 'buy' ? 'selected' : ''}>Buy</option>
+                                    <option value="sell" ${trade.transaction_type === 'sell' ? 'selected' : ''}>Sell</option>
+                                </select>
+                            </div>
+                        </div>
+
+                        <div class="grid grid-cols-3 gap-4">
+                            <div class="form-group">
+                                <label class="form-label" for="edit_quantity">Shares</label>
+                                <input type="number" id="edit_quantity" name="quantity" class="form-input" step="0.000001" min="0.000001" value="${trade.quantity}" required>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label" for="edit_price">Price per Share</label>
+                                <input type="number" id="edit_price" name="price" class="form-input" step="0.01" min="0.01" value="${trade.price}" required>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label" for="edit_fees">Commission/Fees</label>
+                                <input type="number" id="edit_fees" name="fees" class="form-input" step="0.01" min="0" value="${trade.fees || 0}">
+                            </div>
+                        </div>
+
+                        <div class="grid grid-cols-2 gap-4">
+                            <div class="form-group">
+                                <label class="form-label" for="edit_transaction_date">Trade Date</label>
+                                <input type="date" id="edit_transaction_date" name="transaction_date" class="form-input" value="${trade.transaction_date}" required>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label" for="edit_fx_rate">FX Rate${trade.currency ? ` (${trade.currency})` : ''}</label>
+                                <input type="number" id="edit_fx_rate" name="fx_rate" class="form-input" step="any" min="0" placeholder="Looked up" value="${trade.fx_rate ?? ''}" title="Portfolio currency per unit of the stock's listing currency. Clear it to use the rate on the trade date.">
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="edit_notes">Notes (Optional)</label>
+                            <textarea id="edit_notes" name="notes" class="form-input" rows="2" placeholder="Any notes about this trade">${trade.notes || ''}</textarea>
+                        </div>
+
+                        <div id="wash-sale-warning"></div>
+
+                        <div class="flex gap-4">
+                            <button type="submit" class="btn btn-primary btn-lg" style="flex: 1;">Update Trade</button>
+                            <button type="button" data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+    }
+
+    getConfirmDeleteTradeModalHTML(tradeId) {
+        return `
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 400px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Delete Trade</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                    </div>
+
+                    <div class="text-center mb-6">
+                        <div style="font-size: 3rem; margin-bottom: var(--space-4); opacity: 0.3;">⚠️</div>
+                        <h4>Are you sure?</h4>
+                        <p class="text-muted">This will permanently delete this trade and recalculate your holdings. This action cannot be undone.</p>
+                    </div>
+
+                    <div class="flex gap-4">
+                        <button data-action="confirm-delete-trade" data-trade-id="${tradeId}" class="btn btn-danger btn-lg" style="flex: 1;">Delete Trade</button>
+                        <button data-action="close-modal" class="btn btn-secondary btn-lg" style="flex: 1;">Cancel</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    getHoldingTradesModalHTML(transactions, symbol, portfolioId, lots = null) {
+        return `
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 700px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Trades for ${symbol}</h3>
+                        <div class="flex gap-2">
+                            <button data-action="show-add-trade" data-portfolio-id="${portfolioId}" data-symbol="${symbol}" class="btn btn-primary btn-sm">+ Add Trade</button>
+                            ${lots && lots.open_lots.length > 0 ? `
+                                <button data-action="show-add-trade" data-portfolio-id="${portfolioId}" data-symbol="${symbol}" data-transaction-type="sell" class="btn btn-secondary btn-sm">Sell</button>
+                            ` : ''}
+                            <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                        </div>
+                    </div>
+
+                    ${transactions.length === 0 ? `
+                        <div class="text-center py-8">
+                            <div style="font-size: 2rem; margin-bottom: var(--space-3); opacity: 0.3;">📈</div>
+                            <h4>No Trades for ${symbol}</h4>
+                            <p class="text-muted mb-4">Add your first trade for this stock.</p>
+                            <button data-action="show-add-trade" data-portfolio-id="${portfolioId}" class="btn btn-primary">Add Trade</button>
+                        </div>
+                    ` : `
+                        <div style="max-height: 300px; overflow-y: auto;">
+                            <table style="width: 100%; border-collapse: collapse;">
+                                <thead style="position: sticky; top: 0; background: var(--surface); z-index: 1;">
+                                    <tr style="border-bottom: 2px solid var(--gray-200);">
+                                        <th style="text-align: left; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Date</th>
+                                        <th style="text-align: center; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Type</th>
+                                        <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Shares</th>
+                                        <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Price</th>
+                                        <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Total</th>
+                                        <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${transactions.map(trade => {
+                                        const total = trade.quantity * trade.price;
+                                        const tradeDate = this.formatDate(trade.transaction_date);
+
+                                        return `
+                                            <tr style="border-bottom: 1px solid var(--gray-100);">
+                                                <td style="padding: var(--space-3);">
+                                                    <div style="font-size: var(--font-size-sm);">${tradeDate}</div>
+                                                </td>
+                                                <td style="padding: var(--space-3); text-align: center;">
+                                                    ${this.getTradeTypeBadgeHTML(trade)}
+                                                </td>
+                                                <td style="padding: var(--space-3); text-align: right;">
+                                                    <div>${this.formatNumber(trade.quantity)}</div>
+                                                </td>
+                                                <td style="padding: var(--space-3); text-align: right;">
+                                                    <div>${this.formatCurrency(trade.price, { currency: trade.currency })}</div>
+                                                </td>
+                                                <td style="padding: var(--space-3); text-align: right;">
+                                                    ${this.getTradeTotalHTML(trade, total)}
+                                                </td>
+                                                <td style="padding: var(--space-3); text-align: right;">
+                                                    <div class="flex gap-2 justify-end">
+                                                        ${this.getTradeActionsHTML(trade, portfolioId)}
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        `;
+                                    }).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    `}
+
+                    ${lots && (lots.splits || []).length > 0 ? this.getStockSplitsHTML(lots.splits) : ''}
+
+                    ${lots && lots.open_lots.length > 0 ? this.getOpenLotsHTML(lots, symbol) : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    getStockSplitsHTML(splits) {
+        return `
+            <div class="mt-6">
+                <div class="flex justify-between items-center mb-3">
+                    <h4 style="margin-bottom: 0;">Stock Splits</h4>
+                    <span class="text-muted" style="font-size: var(--font-size-sm);">Trades show the shares as entered; lots are restated</span>
+                </div>
+                <table style="width: 100%; border-collapse: collapse; font-size: var(--font-size-sm);">
+                    <tbody>
+                        ${splits.map(split => `
+                            <tr style="border-bottom: 1px solid var(--gray-100);">
+                                <td style="padding: var(--space-2);">✂️ ${this.formatDate(split.split_date)}</td>
+                                <td style="padding: var(--space-2); text-align: center; font-weight: 600;">${this.escapeHtml(split.split_ratio)}</td>
+                                <td style="padding: var(--space-2); text-align: right;">
+                                    <span class="badge ${split.type === 'reverse' ? 'badge-warning' : 'badge-primary'}">
+                                        ${split.type === 'reverse' ? 'Reverse' : 'Forward'} ×${parseFloat(split.split_factor)}
+                                    </span>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    getOpenLotsHTML(lots, symbol) {
+        const holding = (this.currentPortfolioData?.holdings || []).find(h => h.symbol === symbol);
+        const currentPrice = holding ? parseFloat(holding.current_price) : null;
+        const methodLabels = { fifo: 'FIFO', lifo: 'LIFO', hifo: 'HIFO', specific: 'Specific lots' };
+
+        return `
+            <div class="mt-6">
+                <div class="flex justify-between items-center mb-3">
+                    <h4 style="margin-bottom: 0;">Open Tax Lots</h4>
+                    <span class="text-muted" style="font-size: var(--font-size-sm);">Default relief: ${methodLabels[lots.lot_method] || 'FIFO'}</span>
+                </div>
+                <div style="max-height: 240px; overflow-y: auto;">
+                    <table style="width: 100%; border-collapse: collapse; font-size: var(--font-size-sm);">
+                        <thead style="position: sticky; top: 0; background: var(--surface);">
+                            <tr style="border-bottom: 2px solid var(--gray-200);">
+                                <th style="text-align: left; padding: var(--space-2); color: var(--gray-700);">Acquired</th>
+                                <th style="text-align: right; padding: var(--space-2); color: var(--gray-700);">Shares</th>
+                                <th style="text-align: right; padding: var(--space-2); color: var(--gray-700);">Cost/Share</th>
+                                <th style="text-align: right; padding: var(--space-2); color: var(--gray-700);">Cost Basis</th>
+                                <th style="text-align: right; padding: var(--space-2); color: var(--gray-700);">Gain/Loss</th>
+                                <th style="text-align: center; padding: var(--space-2); color: var(--gray-700);">Term</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${lots.open_lots.map(lot => {
+                                const gainLoss = currentPrice !== null ? lot.remaining_quantity * currentPrice - lot.remaining_cost_basis : null;
+
+                                return `
+                                    <tr style="border-bottom: 1px solid var(--gray-100);">
+                                        <td style="padding: var(--space-2);">
+                                            ${this.formatDate(lot.acquired_date)}
+                                            ${lot.dividend_payment_id ? '<span class="badge badge-primary" title="Shares bought by dividend reinvestment">DRIP</span>' : ''}
+                                            ${lot.transfer_id ? '<span class="badge badge-warning" title="Received by a transfer with its original cost and acquisition date">Transferred</span>' : ''}
+                                            ${(lot.splits || []).length > 0 ? `<span class="badge badge-warning" title="Restated for splits ${this.escapeHtml(lot.splits.join(', '))}">Split</span>` : ''}
+                                        </td>
+                                        <td style="padding: var(--space-2); text-align: right;">
+                                            ${this.formatNumber(lot.remaining_quantity)}
+                                            ${lot.remaining_quantity < lot.quantity ? `<div class="text-muted" style="font-size: var(--font-size-xs);">of ${this.formatNumber(lot.quantity)}</div>` : ''}
+                                        </td>
+                                        <td style="padding: var(--space-2); text-align: right;">${this.formatCurrency(lot.cost_per_share)}</td>
+                                        <td style="padding: var(--space-2); text-align: right;">${this.formatCurrency(lot.remaining_cost_basis)}</td>
+                                        <td style="padding: var(--space-2); text-align: right; color: ${gainLoss === null ? 'var(--gray-500)' : gainLoss >= 0 ? 'var(--success-green)' : 'var(--danger-red)'};">
+                                            ${gainLoss === null ? '-' : `${gainLoss >= 0 ? '+' : '-'}${this.formatCurrency(Math.abs(gainLoss))}`}
+                                        </td>
+                                        <td style="padding: var(--space-2); text-align: center;">
+                                            <span class="badge ${lot.term === 'long' ? 'badge-success' : 'badge-warning'}" title="Held ${lot.holding_period_days} days">
+                                                ${lot.term === 'long' ? 'Long' : 'Short'}
+                                            </span>
+                                        </td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    getEditHoldingModalHTML(symbol) {
+        return `
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 400px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Edit ${symbol} Holding</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                    </div>
+
+                    <div class="text-center mb-6">
+                        <div style="font-size: 2rem; margin-bottom: var(--space-3);">📈</div>
+                        <h4>Manage Individual Trades</h4>
+                        <p class="text-muted">Holdings are calculated from your trades. Use the actions below to manage this position:</p>
+                    </div>
+
+                    <div class="flex flex-col gap-3">
+                        <button data-action="view-holding-trades" data-symbol="${symbol}" class="btn btn-primary btn-lg">View All ${symbol} Trades</button>
+                        <button data-action="show-add-trade" data-portfolio-id="${this.getCurrentPortfolioId()}" class="btn btn-secondary btn-lg">Add New ${symbol} Trade</button>
+                        <button data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    getConfirmDeleteHoldingModalHTML(symbol) {
+        return `
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 400px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Delete ${symbol} Holding</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                    </div>
+
+                    <div class="text-center mb-6">
+                        <div style="font-size: 3rem; margin-bottom: var(--space-4); opacity: 0.3;">⚠️</div>
+                        <h4>Delete All ${symbol} Trades?</h4>
+                        <p class="text-muted">This will permanently delete ALL trades for ${symbol} and remove this holding from your portfolio. This action cannot be undone.</p>
+                    </div>
+
+                    <div class="flex gap-4">
+                        <button data-action="confirm-delete-holding" data-symbol="${symbol}" class="btn btn-danger btn-lg" style="flex: 1;">Delete All Trades</button>
+                        <button data-action="close-modal" class="btn btn-secondary btn-lg" style="flex: 1;">Cancel</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    getPortfolioDetailHTML(portfolioData) {
+        const portfolio = portfolioData.portfolio;
+        const performance = portfolioData.performance;
+        const holdings = portfolioData.holdings || [];
+        const cash = portfolioData.cash || { tracked: false, balance: 0 };
+
+        return `
+            <div class="portfolio-detail" data-portfolio-id="${portfolio.id}">
+                <!-- Header -->
+                <header style="background: var(--surface); border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
+                    <div class="container">
+                        <div class="flex justify-between items-center">
+                            <div>
+                                <div class="flex items-center gap-4 mb-2">
+                                    <button data-action="show-dashboard" class="btn btn-secondary" style="padding: 0.5rem;">← Back</button>
+                                    <h2 style="margin-bottom: 0;">${portfolio.name}</h2>
+                                    <span class="text-muted" style="font-size: var(--font-size-sm); text-transform: capitalize;">${portfolio.type}</span>
+                                </div>
+                                <p class="text-muted" style="margin-bottom: 0;">${holdings.length} holdings • ${portfolio.currency}</p>
+                            </div>
+                            <div class="flex gap-4">
+                                <button data-action="refresh-portfolio" data-portfolio-id="${portfolio.id}" class="btn btn-secondary" title="Refresh stock prices">
+                                    🔄 Refresh
+                                </button>
+                                <button data-action="backfill-historical-data" class="btn btn-secondary" title="Fix missing historical data for portfolio charts">
+                                    📊 Fix Charts
+                                </button>
+                                <button data-action="show-add-trade" data-portfolio-id="${portfolio.id}" class="btn btn-primary">+ Add Trade</button>
+                                <button data-action="show-trade-history" data-portfolio-id="${portfolio.id}" class="btn btn-secondary">📈 Trade History</button>
+                                <button data-action="show-import-trades" data-portfolio-id="${portfolio.id}" class="btn btn-secondary">⬆️ Import CSV</button>
+                                <button data-action="show-realized-gains" data-portfolio-id="${portfolio.id}" class="btn btn-secondary">🧾 Realized Gains</button>
+                                <button data-action="show-rebalance" data-portfolio-id="${portfolio.id}" class="btn btn-secondary">⚖️ Rebalance</button>
+                            </div>
+                        </div>
+                    </div>
+                </header>
+
+                <!-- Performance Summary -->
+                <section class="py-8" style="background: var(--surface);">
+                    <div class="container">
+                        ${this.getMissingFxRatesHTML(portfolioData.missing_fx_rates)}
+                        <div class="grid grid-cols-4 gap-6">
+                            <div class="card text-center">
+                                <div style="font-size: var(--font-size-3xl); font-weight: 600; margin-bottom: var(--space-2);">
+                                    ${this.formatCurrency(cash.tracked ? cash.total_value : performance.total_value)}
+                                </div>
+                                <div class="text-muted">Total Value</div>
+                                <div style="font-size: var(--font-size-sm); margin-top: var(--space-1); color: var(--gray-600);">
+                                    ${cash.tracked ? `
+                                        Holdings ${this.formatCurrency(performance.total_value)} •
+                                        <button data-action="show-cash-ledger" data-portfolio-id="${portfolio.id}" class="btn-link" style="color: ${cash.balance >= 0 ? 'var(--primary-blue)' : 'var(--danger-red)'};">Cash ${cash.balance < 0 ? '-' : ''}${this.formatCurrency(Math.abs(cash.balance))}</button>
+                                    ` : `
+                                        <button data-action="show-cash-ledger" data-portfolio-id="${portfolio.id}" class="btn-link" style="color: var(--primary-blue);">+ Track cash</button>
+                                    `}
+                                </div>
+                            </div>
+
+                            <div class="card text-center">
+                                <div style="font-size: var(--font-size-3xl); font-weight: 600; margin-bottom: var(--space-2);">
+                                    ${this.formatCurrency(performance.total_cost_basis)}
+                                </div>
+                                <div class="text-muted">Cost Basis</div>
+                            </div>
+
+                            <div class="card text-center">
+                                <div style="font-size: var(--font-size-3xl); font-weight: 600; margin-bottom: var(--space-2); color: ${performance.total_gain_loss >= 0 ? 'var(--success-green)' : 'var(--danger-red)'};">
+                                    ${performance.total_gain_loss >= 0 ? '+' : ''}${this.formatCurrency(performance.total_gain_loss)}
+                                </div>
+                                <div class="text-muted">Unrealized Gain/Loss</div>
+                                ${Math.abs(performance.fx_gain_loss || 0) >= 0.01 ? `
+                                    <div style="font-size: var(--font-size-sm); margin-top: var(--space-1); color: var(--gray-600);" title="Price gain is the move in the listing currency; currency gain is the move in exchange rates since purchase">
+                                        Price ${performance.price_gain_loss >= 0 ? '+' : '-'}${this.formatCurrency(Math.abs(performance.price_gain_loss))} •
+                                        Currency ${performance.fx_gain_loss >= 0 ? '+' : '-'}${this.formatCurrency(Math.abs(performance.fx_gain_loss))}
+                                    </div>
+                                ` : ''}
+                                ${performance.realized_gain_loss ? `
+                                    <div style="font-size: var(--font-size-sm); margin-top: var(--space-1); color: ${performance.realized_gain_loss >= 0 ? 'var(--success-green)' : 'var(--danger-red)'};">
+                                        Realized: ${performance.realized_gain_loss >= 0 ? '+' : '-'}${this.formatCurrency(Math.abs(performance.realized_gain_loss))}
+                                        (YTD ${performance.realized_gain_loss_ytd >= 0 ? '+' : '-'}${this.formatCurrency(Math.abs(performance.realized_gain_loss_ytd))})
+                                    </div>
+                                ` : ''}
+                            </div>
+
+                            <div class="card text-center">
+                                <div id="return-card-value" style="font-size: var(--font-size-3xl); font-weight: 600; margin-bottom: var(--space-2); color: var(--gray-400);">
+                                    …
+                                </div>
+                                <div class="text-muted">Return (TWR, Since Inception)</div>
+                                <div style="font-size: var(--font-size-sm); margin-top: var(--space-1); color: var(--gray-600);">
+                                    On cost basis: ${performance.total_gain_loss_percent >= 0 ? '+' : ''}${performance.total_gain_loss_percent.toFixed(2)}%
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </section>
+
+                <!-- Returns -->
+                <section style="background: var(--surface); padding-bottom: var(--space-8);">
+                    <div class="container">
+                        <div class="card">
+                            <h3 class="mb-4">Returns</h3>
+                            <div id="returns-table">
+                                <p class="text-muted">Calculating returns...</p>
+                            </div>
+                        </div>
+                    </div>
+                </section>
+
+                <!-- Portfolio Charts -->
+                ${holdings.length > 0 ? this.getPortfolioChartsHTML(holdings, performance, portfolio) : ''}
+
+                <!-- Portfolio Analytics -->
+                ${holdings.length > 0 ? this.getPortfolioAnalyticsHTML(holdings, performance, portfolio) : ''}
+
+                <!-- Risk -->
+                ${holdings.length > 0 ? this.getPortfolioRiskHTML(portfolio) : ''}
+
+                <!-- Holdings Table -->
+                <section class="py-8">
+                    <div class="container">
+                        <div class="card">
+                            <div class="flex justify-between items-center mb-6">
+                                <h3 style="margin-bottom: 0;">Current Holdings</h3>
+                                <div class="flex items-center gap-4">
+                                    <div class="text-muted" style="font-size: var(--font-size-sm);">
+                                        ${holdings.length} positions • Computed from trades
+                                    </div>
+                                    ${holdings.length > 0 ? `
+                                        <button data-action="show-export" data-dataset="holdings" class="btn btn-secondary btn-sm">⬇️ Export</button>
+                                    ` : ''}
+                                </div>
+                            </div>
+
+                            ${holdings.length === 0 ? this.getEmptyHoldingsHTML(portfolio.id) : this.getHoldingsTableHTML(holdings, portfolioData.targets, cash)}
+                        </div>
+                    </div>
+                </section>
+
+                <!-- Dividend Payments Section -->
+                ${holdings.length > 0 ? this.getDividendPaymentsHTML(portfolio.id) : ''}
+            </div>
+        `;
+    }
+
+    getEmptyHoldingsHTML(portfolioId) {
+        return `
+            <div class="text-center py-12">
+                <div style="width: 48px; height: 48px; background: var(--gray-100); border-radius: var(--radius-full); margin: 0 auto var(--space-4); display: flex; align-items: center; justify-content: center;">
+                    <span style="color: var(--gray-400); font-size: 1.5rem;">📈</span>
+                </div>
+                <h4>No Trades Yet</h4>
+                <p class="text-muted mb-6">Record your first buy or sell trade to start building this portfolio.</p>
+                <div class="flex gap-4 justify-center">
+                    <button data-action="show-add-trade" data-portfolio-id="${portfolioId}" class="btn btn-primary">Record Your First Trade</button>
+                    <button data-action="show-import-trades" data-portfolio-id="${portfolioId}" class="btn btn-secondary">Import from CSV</button>
+                    <button data-action="show-trade-history" data-portfolio-id="${portfolioId}" class="btn btn-secondary">View Trade History</button>
+                </div>
+            </div>
+        `;
+    }
+
+    getHoldingsTableHTML(holdings, targets = null, cash = null) {
+        // Drift against the target allocation, when the portfolio has one
+        const hasTargets = targets && targets.targets.length > 0;
+        const allocation = {};
+        if (hasTargets) {
+            window.rebalanceCalculator.allocation(holdings, cash?.tracked ? cash.balance : 0, targets)
+                .forEach(row => { allocation[row.key] = row; });
+        }
+        const targetCell = holding => {
+            const row = allocation[targets.target_type === 'sector' ? (holding.sector || 'Other') : holding.symbol];
+            const drift = row.drift;
+            const color = Math.abs(drift) < 1 ? 'var(--gray-500)' : drift > 0 ? 'var(--warning-yellow)' : 'var(--primary-blue)';
+            return `
+                <div>${row.target_weight.toFixed(1)}%${targets.target_type === 'sector' ? ` <span class="text-muted" style="font-size: var(--font-size-xs);">${this.escapeHtml(row.key)}</span>` : ''}</div>
+                <div style="font-size: var(--font-size-sm); color: ${color};">${drift >= 0 ? '+' : ''}${drift.toFixed(1)}%</div>
+            `;
+        };
+
+        return `
+            <div style="overflow-x: auto;">
+                <table class="holdings-table">
+                    <thead>
+                        <tr>
+                            <th style="text-align: left;">Symbol</th>
+                            <th style="text-align: left;">Name</th>
+                            <th style="text-align: right;">Shares</th>
+                            <th style="text-align: right;">Avg Cost</th>
+                            <th style="text-align: right;">Current Price</th>
+                            <th style="text-align: right;">Market Value</th>
+                            <th style="text-align: right;">Gain/Loss</th>
+                            <th style="text-align: right;">Div Yield</th>
+                            <th style="text-align: right;" title="Trailing 12-month dividends against your average cost">Yield on Cost</th>
+                            <th style="text-align: right;">Weight</th>
+                            ${hasTargets ? `<th style="text-align: right;" title="Target and drift, as a share of holdings${cash?.tracked ? ' plus cash' : ''}">Target / Drift</th>` : ''}
+                            <th style="text-align: right;">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${holdings.map(holding => `
+                            <tr>
+                                <td>
+                                    <div class="stock-symbol" data-action="show-stock-detail" data-symbol="${holding.symbol}">${holding.symbol}</div>
+                                </td>
+                                <td>
+                                    <div style="color: var(--gray-700);">${holding.name || holding.symbol}</div>
+                                </td>
+                                <td style="text-align: right;">
+                                    <div>${this.formatNumber(holding.quantity)}</div>
+                                </td>
+                                <td style="text-align: right;">
+                                    <div>${this.formatCurrency(holding.avg_cost_basis, { currency: holding.currency })}</div>
+                                </td>
+                                <td style="text-align: right;">
+                                    <div>${this.formatCurrency(holding.current_price, { currency: holding.currency })}</div>
+                                </td>
+                                <td style="text-align: right;">
+                                    <div style="font-weight: 600;">${this.formatCurrency(holding.current_value)}</div>
+                                </td>
+                                <td style="text-align: right;">
+                                    <div class="performance-indicator ${holding.gain_loss >= 0 ? 'positive' : 'negative'}">
+                                        ${holding.gain_loss >= 0 ? '+' : ''}${this.formatCurrency(holding.gain_loss)}
+                                    </div>
+                                    <div style="font-size: var(--font-size-sm); color: ${holding.gain_loss_percent >= 0 ? 'var(--success-green)' : 'var(--danger-red)'};">
+                                        ${holding.gain_loss_percent >= 0 ? '+' : ''}${holding.gain_loss_percent.toFixed(2)}%
+                                    </div>
+                                    ${Math.abs(holding.fx_gain_loss || 0) >= 0.01 ? `
+                                        <div style="font-size: var(--font-size-xs); color: var(--gray-500);" title="Part of the gain/loss from exchange rate moves since purchase">
+                                            FX ${holding.fx_gain_loss >= 0 ? '+' : '-'}${this.formatCurrency(Math.abs(holding.fx_gain_loss))}
+                                        </div>
+                                    ` : ''}
+                                </td>
+                                <td style="text-align: right;">
+                                    <div style="color: var(--success-green); font-weight: 500;">
+                                        ${holding.dividend_yield ? holding.dividend_yield.toFixed(2) + '%' : 'N/A'}
+                                    </div>
+                                    <div style="font-size: var(--font-size-xs); color: var(--gray-500);">
+                                        ${holding.annual_dividend ? this.formatCurrency(holding.annual_dividend, { currency: holding.currency }) : ''}
+                                    </div>
+                                </td>
+                                <td style="text-align: right;">
+                                    <div style="color: var(--success-green); font-weight: 500;">
+                                        ${holding.yield_on_cost ? holding.yield_on_cost.toFixed(2) + '%' : 'N/A'}
+                                    </div>
+                                </td>
+                                <td style="text-align: right;">
+                                    <div>${holding.weight.toFixed(1)}%</div>
+                                </td>
+                                ${hasTargets ? `<td style="text-align: right;">${targetCell(holding)}</td>` : ''}
+                                <td style="text-align: right;">
+                                    <div class="flex gap-2 justify-end">
+                                        <button data-action="view-holding-trades" data-symbol="${holding.symbol}" class="btn btn-secondary btn-sm" title="View Trades">📈</button>
+                                        <button data-action="show-transfer" data-symbol="${holding.symbol}" class="btn btn-secondary btn-sm" title="Transfer to Another Portfolio">🔁</button>
+                                        <button data-action="edit-holding" data-symbol="${holding.symbol}" class="btn btn-secondary btn-sm" title="Edit Holding">✏️</button>
+                                        <button data-action="delete-holding" data-symbol="${holding.symbol}" class="btn btn-danger btn-sm" title="Delete All Trades">🗑️</button>
+                                    </div>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    getPortfolioChartsHTML(holdings, performance, portfolio) {
+        return `
+            <section class="py-8" style="background: var(--surface);">
+                <div class="container">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Portfolio Performance</h3>
+                        <div class="chart-period-selector">
+                            <button data-action="show-benchmark-settings" data-portfolio-id="${portfolio.id}" class="btn btn-secondary btn-sm">Benchmark: ${this.getBenchmarkLabel(portfolio)}</button>
+                            ${['1D', '1W', '1M', '3M', '1Y'].map(period => `
+                                <button data-action="change-chart-period" data-period="${period}" class="btn btn-secondary btn-sm ${period === this.preferences.chart_period ? 'active' : ''}">${period}</button>
+                            `).join('')}
+                        </div>
+                    </div>
+
+                    <div class="grid grid-cols-3 gap-6">
+                        <!-- Performance Chart -->
+                        <div class="chart-container" style="grid-column: span 2;">
+                            <div class="card">
+                                <h4 class="mb-4">Portfolio Value Over Time</h4>
+                                <div style="height: 300px; position: relative;">
+                                    <canvas id="performanceChart"></canvas>
+                                </div>
+                            </div>
+                        </div>
+
+                        <!-- Sector Allocation -->
+                        <div class="chart-container">
+                            <div class="card">
+                                <h4 class="mb-4">Sector Allocation</h4>
+                                <div style="height: 300px; position: relative;">
+                                    <canvas id="sectorChart"></canvas>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Holdings Performance Chart -->
+                    <div class="card mt-6">
+                        <h4 class="mb-4">Individual Stock Performance</h4>
+                        <div style="height: 250px; position: relative;">
+                            <canvas id="holdingsChart"></canvas>
+                        </div>
+                    </div>
+                </div>
+            </section>
+        `;
+    }
+
+    getPortfolioAnalyticsHTML(holdings, performance, portfolio) {
+        const sectorData = this.calculateSectorAllocation(holdings);
+        const topHoldings = holdings.slice(0, 5); // Top 5 holdings by value
+
+        return `
+            <section class="py-8" style="background: var(--gray-50);">
+                <div class="container">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Portfolio Analytics</h3>
+                        <div class="chart-period-selector">
+                            <button data-action="toggle-look-through" data-portfolio-id="${portfolio.id}" class="btn btn-secondary btn-sm ${this.lookThroughMode ? 'active' : ''}" title="Expand ETFs into the companies they hold">Look-through</button>
+                        </div>
+                    </div>
+
+                    <div class="grid grid-cols-2 gap-6">
+                        <!-- Top Holdings -->
+                        <div class="analytics-card">
+                            <h4 class="mb-4">Top Holdings</h4>
+                            <div class="space-y-3">
+                                ${topHoldings.map(holding => `
+                                    <div class="flex justify-between items-center">
+                                        <div class="flex items-center gap-3">
+                                            <div class="stock-symbol" data-action="show-stock-detail" data-symbol="${holding.symbol}" style="font-size: var(--font-size-sm);">${holding.symbol}</div>
+                                            <div style="font-size: var(--font-size-sm); color: var(--gray-600);">${holding.name || holding.symbol}</div>
+                                        </div>
+                                        <div class="text-right">
+                                            <div style="font-weight: 600; font-size: var(--font-size-sm);">${holding.weight.toFixed(1)}%</div>
+                                            <div style="font-size: var(--font-size-xs); color: var(--gray-500);">${this.formatCurrency(holding.current_value)}</div>
+                                        </div>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+
+                        <!-- Performance Metrics -->
+                        <div class="analytics-card">
+                            <h4 class="mb-4">Performance Metrics</h4>
+                            <div class="grid grid-cols-2 gap-4">
+                                <div class="metric-card">
+                                    <div class="metric-value" style="color: ${performance.total_gain_loss >= 0 ? 'var(--success-green)' : 'var(--danger-red)'};">
+                                        ${performance.total_gain_loss >= 0 ? '+' : ''}${performance.total_gain_loss_percent.toFixed(2)}%
+                                    </div>
+                                    <div class="metric-label">Total Return</div>
+                                </div>
+
+                                <div class="metric-card">
+                                    <div class="metric-value">
+                                        ${this.calculateBestPerformer(holdings).symbol || 'N/A'}
+                                    </div>
+                                    <div class="metric-label">Best Performer</div>
+                                </div>
+
+                                <div class="metric-card">
+                                    <div class="metric-value">
+                                        ${holdings.length}
+                                    </div>
+                                    <div class="metric-label">Holdings</div>
+                                </div>
+
+                                <div class="metric-card">
+                                    <div class="metric-value" style="color: var(--success-green);">
+                                        ${this.calculatePortfolioDividendYield(holdings).toFixed(2)}%
+                                    </div>
+                                    <div class="metric-label">Dividend Yield</div>
+                                </div>
+
+                                <div class="metric-card">
+                                    <div class="metric-value">
+                                        ${this.calculateDiversificationScore(holdings).toFixed(1)}
+                                    </div>
+                                    <div class="metric-label">Diversification</div>
+                                </div>
+
+                                <div class="metric-card">
+                                    <div class="metric-value" id="benchmark-excess-return">—</div>
+                                    <div class="metric-label">Excess Return vs ${this.getBenchmarkLabel(portfolio)}</div>
+                                    <div class="text-muted" id="benchmark-period" style="font-size: var(--font-size-xs);"></div>
+                                </div>
+
+                                <div class="metric-card">
+                                    <div class="metric-value" id="benchmark-tracking-error">—</div>
+                                    <div class="metric-label">Tracking Error (Annualized)</div>
+                                </div>
+                            </div>
+                        </div>
+
+                        <!-- Sector Exposure -->
+                        <div class="analytics-card">
+                            <div class="flex justify-between items-center mb-4">
+                                <h4 style="margin-bottom: 0;">Sector Exposure</h4>
+                                <button data-action="show-classifications" class="btn btn-secondary btn-sm">Classify Holdings</button>
+                            </div>
+                            ${this.getSectorExposureHTML(sectorData, holdings)}
+                        </div>
+                    </div>
+
+                    <div id="look-through-panel" class="mt-6" style="${this.lookThroughMode ? '' : 'display: none;'}"></div>
+                </div>
+            </section>
+        `;
+    }
+
+    getDefaultRiskPeriod() {
+        // Risk needs at least a month of returns, so shorter chart defaults fall back to a year
+        return ['1M', '3M', '1Y'].includes(this.preferences.chart_period) ? this.preferences.chart_period : '1Y';
+    }
+
+    getPortfolioRiskHTML(portfolio) {
+        const period = this.riskPeriod || this.getDefaultRiskPeriod();
+
+        return `
+            <section class="py-8" style="background: var(--surface);">
+                <div class="container">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Risk</h3>
+                        <div class="flex items-center gap-4">
+                            <form data-form="risk-free-rate" class="flex items-center gap-2">
+                                <input type="hidden" name="portfolio_id" value="${portfolio.id}">
+                                <label class="form-label" for="risk_free_rate" style="margin-bottom: 0; white-space: nowrap;">Risk-free rate (%)</label>
+                                <input type="number" id="risk_free_rate" name="risk_free_rate" class="form-input" step="0.01" min="0" max="25" value="${(this.getRiskFreeRate() * 100).toFixed(2)}" style="width: 90px;">
+                                <button type="submit" class="btn btn-secondary btn-sm">Apply</button>
+                            </form>
+                            <div class="chart-period-selector">
+                                ${['1M', '3M', '6M', '1Y'].map(p => `
+                                    <button data-action="change-risk-period" data-portfolio-id="${portfolio.id}" data-period="${p}" class="btn btn-secondary btn-sm ${p === period ? 'active' : ''}">${p}</button>
+                                `).join('')}
+                            </div>
+                        </div>
+                    </div>
+
+                    <div id="risk-panel">
+                        <p class="text-muted">Calculating risk metrics...</p>
+                    </div>
+                </div>
+            </section>
+        `;
+    }
+
+    getRiskFreeRate() {
+        const stored = parseFloat(localStorage.getItem('risk_free_rate'));
+        return isNaN(stored) ? 0.04 : stored;
+    }
+
+    async saveRiskFreeRate(data) {
+        const rate = parseFloat(data.risk_free_rate);
+        if (isNaN(rate) || rate < 0) {
+            this.showError('Please enter a risk-free rate of 0% or more');
+            return;
+        }
+
+        localStorage.setItem('risk_free_rate', String(rate / 100));
+        await this.loadRiskMetrics(data.portfolio_id);
+    }
+
+    toggleLookThrough(portfolioId) {
+        this.lookThroughMode = !this.lookThroughMode;
+        document.querySelector('[data-action="toggle-look-through"]')?.classList.toggle('active', this.lookThroughMode);
+
+        const panel = document.getElementById('look-through-panel');
+        if (!panel) return;
+        panel.style.display = this.lookThroughMode ? '' : 'none';
+        if (this.lookThroughMode) {
+            this.loadLookThrough(portfolioId);
+        }
+    }
+
+    async loadLookThrough(portfolioId) {
+        const panel = document.getElementById('look-through-panel');
+        if (!panel) return;
+
+        panel.innerHTML = '<p class="text-muted">Expanding fund holdings...</p>';
+
+        try {
+            const response = await this.apiCall(`/portfolios/${portfolioId}/look-through`);
+            panel.innerHTML = this.getLookThroughHTML(response);
+        } catch (error) {
+            panel.innerHTML = '<p class="text-muted">Could not load look-through exposure.</p>';
+            console.error('Look-through error:', error);
+        }
+    }
+
+    changeRiskPeriod(portfolioId, period) {
+        this.riskPeriod = period;
+        document.querySelectorAll('[data-action="change-risk-period"]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.period === period);
+        });
+        this.loadRiskMetrics(portfolioId);
+    }
+
+    /**
+     * Risk metrics for the selected period: the portfolio's from its daily performance
+     * series, and each holding's from its own price history, both against the benchmark
+     */
+    async loadRiskMetrics(portfolioId) {
+        const container = document.getElementById('risk-panel');
+        if (!container) return;
+
+        const period = this.riskPeriod || this.getDefaultRiskPeriod();
+        const portfolio = this.currentPortfolioData?.portfolio;
+        const holdings = this.currentPortfolioData?.holdings || [];
+        const components = portfolio?.benchmark_components || [];
+        const riskFreeRate = this.getRiskFreeRate();
+
+        container.innerHTML = '<p class="text-muted">Calculating risk metrics...</p>';
+
+        try {
+            const performanceResponse = await this.apiCall(`/portfolios/${portfolioId}/performance?days=${this.getPeriodDays(period)}`);
+            const historicalData = performanceResponse.data || {};
+            const dates = historicalData.dates || [];
+
+            if (dates.length < 3) {
+                container.innerHTML = '<p class="text-muted">Not enough price history for this period yet.</p>';
+                return;
+            }
+
+            const start = dates[0];
+            const end = dates[dates.length - 1];
+            const fetchHistory = symbol => this.fetchPriceHistory(symbol, start, end, 7).catch(() => []);
+
+            const [benchmarkSeries, holdingSeries] = await Promise.all([
+                Promise.all(components.map(component => fetchHistory(component.symbol))),
+                Promise.all(holdings.map(holding => fetchHistory(holding.symbol)))
+            ]);
+
+            const risk = window.riskCalculator;
+            const benchmarkReturns = components.length > 0 ? risk.blendedReturns(components, benchmarkSeries) : {};
+            const returns = risk.portfolioReturns(historicalData);
+            const firstIndex = dates.indexOf(returns[0]?.date);
+
+            const metrics = risk.calculate(returns, benchmarkReturns, riskFreeRate);
+            const drawdown = risk.maxDrawdown(returns, firstIndex > 0 ? dates[firstIndex - 1] : null);
+            const latestValue = historicalData.portfolio_values[historicalData.portfolio_values.length - 1] || 0;
+
+            const holdingRisk = holdings.map((holding, i) => {
+                const priceReturns = risk.priceReturns(holdingSeries[i].filter(price => price.date >= start));
+                const series = Object.entries(priceReturns).map(([date, value]) => ({ date, value }));
+                return { holding, metrics: risk.calculate(series, benchmarkReturns, riskFreeRate) };
+            });
+
+            container.innerHTML = this.getRiskPanelHTML(metrics, drawdown, latestValue, holdingRisk, portfolio);
+        } catch (error) {
+            console.error('Failed to load risk metrics:', error);
+            container.innerHTML = '<p class="text-muted">Risk metrics are unavailable right now.</p>';
+        }
+    }
+
+    getRiskPanelHTML(metrics, drawdown, latestValue, holdingRisk, portfolio) {
+        if (!metrics) {
+            return '<p class="text-muted">Not enough price history for this period yet.</p>';
+        }
+
+        const ratio = value => value === null ? '—' : value.toFixed(2);
+        const percent = value => value === null ? '—' : `${(value * 100).toFixed(2)}%`;
+        const benchmark = this.getBenchmarkLabel(portfolio);
+        const confidence = Math.round(window.riskCalculator.confidence * 100);
+
+        return `
+            <div class="grid grid-cols-3 gap-6 mb-6">
+                <div class="metric-card">
+                    <div class="metric-value">${percent(metrics.volatility)}</div>
+                    <div class="metric-label">Volatility (Annualized)</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-value">${ratio(metrics.beta)}</div>
+                    <div class="metric-label">Beta vs ${benchmark}</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-value">${ratio(metrics.sharpe)}</div>
+                    <div class="metric-label">Sharpe Ratio</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-value">${ratio(metrics.sortino)}</div>
+                    <div class="metric-label">Sortino Ratio</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-value" style="color: ${drawdown.drawdown < 0 ? 'var(--danger-red)' : 'inherit'};">${percent(drawdown.drawdown)}</div>
+                    <div class="metric-label">Max Drawdown</div>
+                    <div class="text-muted" style="font-size: var(--font-size-xs);">
+                        ${drawdown.drawdown < 0
+                            ? `${this.formatDate(drawdown.peak_date)} → ${this.formatDate(drawdown.trough_date)} • ${drawdown.recovery_date ? `recovered ${this.formatDate(drawdown.recovery_date)}` : 'not yet recovered'}`
+                            : 'No drawdown in this period'}
+                    </div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-value">${this.formatCurrency(metrics.value_at_risk * latestValue)}</div>
+                    <div class="metric-label">1-Day VaR (${confidence}%)</div>
+                    <div class="text-muted" style="font-size: var(--font-size-xs);">${percent(metrics.value_at_risk)} of current value</div>
+                </div>
+            </div>
+
+            <p class="text-muted" style="font-size: var(--font-size-sm);">
+                ${metrics.observations} daily returns, excluding deposits and withdrawals. Sharpe and Sortino use a ${(this.getRiskFreeRate() * 100).toFixed(2)}% risk-free rate; VaR is the historical ${confidence}% one-day loss.
+            </p>
+
+            <div style="overflow-x: auto;">
+                <table class="holdings-table">
+                    <thead>
+                        <tr>
+                            <th style="text-align: left;">Holding</th>
+                            <th style="text-align: right;">Weight</th>
+                            <th style="text-align: right;">Volatility</th>
+                            <th style="text-align: right;">Beta</th>
+                            <th style="text-align: right;">Sharpe</th>
+                            <th style="text-align: right;">1-Day VaR</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${holdingRisk.map(({ holding, metrics: m }) => `
+                            <tr>
+                                <td><div class="stock-symbol" data-action="show-stock-detail" data-symbol="${holding.symbol}">${holding.symbol}</div></td>
+                                <td style="text-align: right;">${holding.weight.toFixed(1)}%</td>
+                                <td style="text-align: right;">${m ? percent(m.volatility) : '—'}</td>
+                                <td style="text-align: right;">${m ? ratio(m.beta) : '—'}</td>
+                                <td style="text-align: right;">${m ? ratio(m.sharpe) : '—'}</td>
+                                <td style="text-align: right;">${m ? percent(m.value_at_risk) : '—'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Labelled percentage bars, largest first
+     *
+     * @param {Array} rows - [[label, weight in percent]]
+     */
+    getExposureBarsHTML(rows) {
+        return `
+            <div class="space-y-3">
+                ${[...rows].sort((a, b) => b[1] - a[1]).map(([label, weight]) => `
+                    <div>
+                        <div class="flex justify-between" style="font-size: var(--font-size-sm);">
+                            <span>${this.escapeHtml(label)}</span>
+                            <span style="font-weight: 600;">${weight.toFixed(1)}%</span>
+                        </div>
+                        <div style="height: 6px; background: var(--gray-100); border-radius: var(--radius-full);">
+                            <div style="height: 6px; width: ${Math.min(100, weight)}%; background: var(--primary-blue); border-radius: var(--radius-full);"></div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    getLookThroughHTML(data) {
+        const funds = data.funds || [];
+        const missing = data.funds_without_constituents || [];
+        const companies = data.top_companies || [];
+        const sourceLabel = source => source.source === 'direct' ? 'direct' : `via ${source.source}`;
+
+        return `
+            <div class="grid grid-cols-3 gap-6">
+                <!-- Top Underlying Companies -->
+                <div class="analytics-card" style="grid-column: span 3;">
+                    <div class="flex justify-between items-center mb-4">
+                        <h4 style="margin-bottom: 0;">Top Underlying Companies</h4>
+                        <span class="text-muted" style="font-size: var(--font-size-sm);">
+                            ${data.companies_count} companies${data.overlapping_count > 0 ? `, ${data.overlapping_count} held more than one way` : ''}
+                        </span>
+                    </div>
+                    ${companies.length === 0 ? '<p class="text-muted">No holdings to expand.</p>' : `
+                        <div style="overflow-x: auto;">
+                            <table class="holdings-table">
+                                <thead>
+                                    <tr>
+                                        <th style="text-align: left;">Company</th>
+                                        <th style="text-align: left;">Held</th>
+                                        <th style="text-align: right;">Exposure</th>
+                                        <th style="text-align: right;">Weight</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${companies.map(company => `
+                                        <tr>
+                                            <td>
+                                                <div class="stock-symbol">${this.escapeHtml(company.symbol)}</div>
+                                                <div style="font-size: var(--font-size-xs); color: var(--gray-500);">${this.escapeHtml(company.name)}</div>
+                                            </td>
+                                            <td style="font-size: var(--font-size-sm);">
+                                                ${company.sources.map(source => `${sourceLabel(source)} ${this.formatCurrency(source.value)}`).join(' · ')}
+                                                ${company.overlapping ? ' <span class="badge badge-warning">Overlap</span>' : ''}
+                                            </td>
+                                            <td style="text-align: right;">${this.formatCurrency(company.value)}</td>
+                                            <td style="text-align: right; font-weight: 600;">${company.weight.toFixed(2)}%</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    `}
+                </div>
+
+                <!-- Look-through Sector Exposure -->
+                <div class="analytics-card">
+                    <h4 class="mb-4">Sectors (Look-through)</h4>
+                    ${this.getExposureBarsHTML((data.sectors || []).map(row => [row.sector, row.weight]))}
+                </div>
+
+                <!-- Country Exposure -->
+                <div class="analytics-card">
+                    <h4 class="mb-4">Countries (Look-through)</h4>
+                    ${this.getExposureBarsHTML((data.countries || []).map(row => [row.country, row.weight]))}
+                </div>
+
+                <!-- Fund Coverage -->
+                <div class="analytics-card">
+                    <h4 class="mb-4">Funds Expanded</h4>
+                    ${funds.length === 0 ? '<p class="text-muted" style="font-size: var(--font-size-sm);">No constituent files match your holdings.</p>' : `
+                        <div class="space-y-3">
+                            ${funds.map(fund => `
+                                <div class="flex justify-between items-center" style="font-size: var(--font-size-sm);">
+                                    <div>
+                                        <div class="stock-symbol" style="font-size: var(--font-size-sm);">${fund.symbol}</div>
+                                        <div class="text-muted" style="font-size: var(--font-size-xs);">${fund.constituents_count} holdings, as of ${this.formatDate(fund.as_of)}</div>
+                                    </div>
+                                    <div style="font-weight: 600;">${(fund.coverage * 100).toFixed(1)}% listed</div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    `}
+                    ${missing.length > 0 ? `
+                        <p class="text-muted" style="font-size: var(--font-size-xs); margin: var(--space-4) 0 0;">
+                            No constituents file for ${missing.join(', ')}; counted by sector weights only. Add files to storage/etf-constituents.
+                        </p>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    getSectorExposureHTML(sectorData, holdings) {
+        const unclassified = holdings.filter(h => h.classification_source === 'unclassified');
+
+        return `
+            ${this.getExposureBarsHTML(Object.entries(sectorData))}
+            ${unclassified.length > 0 ? `
+                <p class="text-muted" style="font-size: var(--font-size-xs); margin: var(--space-4) 0 0;">
+                    No sector data for ${unclassified.map(h => h.symbol).join(', ')}. Classify them by hand or run the profile fetch.
+                </p>
+            ` : ''}
+        `;
+    }
+
+    calculateSectorAllocation(holdings) {
+        // Portfolio weight per sector, with funds split by their look-through weights
+        const sectors = {};
+        holdings.forEach(holding => {
+            window.portfolioCharts.getSectorExposure(holding).forEach(({ sector, weight }) => {
+                sectors[sector] = (sectors[sector] || 0) + holding.weight * weight;
+            });
+        });
+        return sectors;
+    }
+
+    calculateBestPerformer(holdings) {
+        return holdings.reduce((best, holding) => {
+            return holding.gain_loss_percent > (best.gain_loss_percent || -Infinity) ? holding : best;
+        }, {});
+    }
+
+    calculateDiversificationScore(holdings) {
+        // Simple diversification score based on number of holdings and weight distribution
+        if (holdings.length === 0) return 0;
+
+        const maxWeight = Math.max(...holdings.map(h => h.weight));
+        const baseScore = Math.min(holdings.length * 10, 70); // Up to 70 points for number of holdings
+        const concentrationPenalty = maxWeight > 50 ? (maxWeight - 50) : 0; // Penalty for concentration
+
+        return Math.max(0, Math.min(100, baseScore - concentrationPenalty));
+    }
+
+    calculatePortfolioDividendYield(holdings) {
+        if (!holdings || holdings.length === 0) return 0;
+
+        let totalDividends = 0;
+        let totalValue = 0;
+
+        holdings.forEach(holding => {
+            if (holding.annual_dividend && holding.current_value) {
+                totalDividends += holding.annual_dividend * holding.quantity;
+                totalValue += holding.current_value;
+            }
+        });
+
+        return totalValue > 0 ? (totalDividends / totalValue) * 100 : 0;
+    }
+
+    getDividendPaymentsHTML(portfolioId) {
+        return `
+            <section class="py-8" style="background: var(--surface);">
+                <div class="container">
+                    <div class="card">
+                        <div class="flex justify-between items-center mb-6">
+                            <h3 style="margin-bottom: 0;">💰 Dividend Payments</h3>
+                            <button data-action="show-dividend-payments" data-portfolio-id="${portfolioId}" class="btn btn-primary">
+                                Manage Dividends
+                            </button>
+                        </div>
+
+                        <!-- Dividend Summary Cards -->
+                        <div id="dividend-summary-${portfolioId}" class="grid grid-cols-3 gap-4 mb-6">
+                            <div class="card text-center" style="background: var(--gray-50);">
+                                <div class="loading-spinner" style="margin: 0 auto;"></div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600); margin-top: var(--space-2);">Loading...</div>
+                            </div>
+                            <div class="card text-center" style="background: var(--gray-50);">
+                                <div class="loading-spinner" style="margin: 0 auto;"></div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600); margin-top: var(--space-2);">Loading...</div>
+                            </div>
+                            <div class="card text-center" style="background: var(--gray-50);">
+                                <div class="loading-spinner" style="margin: 0 auto;"></div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600); margin-top: var(--space-2);">Loading...</div>
+                            </div>
+                        </div>
+
+                        <!-- Projected Income -->
+                        <div class="card mb-6">
+                            <div class="flex justify-between items-center mb-4">
+                                <div>
+                                    <h4 style="margin-bottom: 0;">📈 Projected Income – Next 12 Months</h4>
+                                    <p id="dividend-forecast-total" class="text-muted" style="margin-bottom: 0; font-size: var(--font-size-sm);"></p>
+                                </div>
+                                <div class="chart-period-selector">
+                                    <button data-action="toggle-forecast-drip" class="btn btn-secondary btn-sm ${this.forecastDrip ? 'active' : ''}" title="Reinvest each projected payment at the current price">Include DRIP</button>
+                                </div>
+                            </div>
+                            <div style="height: 250px; position: relative;">
+                                <canvas id="dividendForecastChart"></canvas>
+                            </div>
+                            <div id="dividend-forecast-breakdown" class="mt-6"></div>
+                        </div>
+
+                        <!-- Quick Actions -->
+                        <div class="flex gap-4">
+                            <button data-action="show-dividend-payments" data-portfolio-id="${portfolioId}" class="btn btn-outline">
+                                📋 View All Payments
+                            </button>
+                            <button data-action="show-dividend-payments" data-portfolio-id="${portfolioId}" class="btn btn-outline">
+                                📊 Analytics & Insights
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </section>
+        `;
+    }
+
+    getTradeHistoryPageHTML(portfolio, transactions, portfolioId) {
+        return `
+            <div class="trade-history-page">
+                <!-- Header -->
+                <header style="background: var(--surface); border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
+                    <div class="container">
+                        <div class="flex justify-between items-center">
+                            <div class="flex items-center gap-4">
+                                <button data-action="view-portfolio" data-portfolio-id="${portfolioId}" class="btn btn-secondary">
+                                    ← Back to Portfolio
+                                </button>
+                                <div>
+                                    <h3 style="margin-bottom: 0;">Trade History</h3>
+                                    <p class="text-muted" style="margin-bottom: 0;">${portfolio.portfolio?.name || 'Portfolio'}</p>
+                                </div>
+                            </div>
+                            <div class="flex gap-4">
+                                <button data-action="show-add-trade" data-portfolio-id="${portfolioId}" class="btn btn-primary">+ Add Trade</button>
+                                <button data-action="show-import-trades" data-portfolio-id="${portfolioId}" class="btn btn-secondary">⬆️ Import CSV</button>
+                                <button data-action="show-export" data-dataset="trades" class="btn btn-secondary">⬇️ Export</button>
+                                <button data-action="logout" class="btn btn-secondary">Sign Out</button>
+                            </div>
+                        </div>
+                    </div>
+                </header>
+
+                <!-- Main Content -->
+                <main class="py-8">
+                    <div class="container">
+                        <!-- Filters and Search -->
+                        <div class="card mb-6">
+                            <div class="grid grid-cols-4 gap-4">
+                                <div class="form-group">
+                                    <label class="form-label">Search Symbol</label>
+                                    <input type="text" id="symbol-filter" class="form-input" placeholder="e.g., AAPL, MO">
+                                </div>
+                                <div class="form-group">
+                                    <label class="form-label">Transaction Type</label>
+                                    <select id="type-filter" class="form-input">
+                                        <option value="">All Types</option>
+                                        <option value="buy">Buy</option>
+                                        <option value="sell">Sell</option>
+                                        <option value="dividend">Dividend</option>
+                                        <option value="drip">DRIP Reinvestment</option>
+                                        <option value="transfer_in">Transfer In</option>
+                                        <option value="transfer_out">Transfer Out</option>
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label class="form-label">Date Range</label>
+                                    <select id="date-filter" class="form-input">
+                                        <option value="">All Time</option>
+                                        <option value="7">Last 7 days</option>
+                                        <option value="30">Last 30 days</option>
+                                        <option value="90">Last 3 months</option>
+                                        <option value="365">Last year</option>
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label class="form-label">Sort By</label>
+                                    <select id="sort-filter" class="form-input">
+                                        <option value="date-desc">Date (Newest)</option>
+                                        <option value="date-asc">Date (Oldest)</option>
+                                        <option value="symbol-asc">Symbol (A-Z)</option>
+                                        <option value="amount-desc">Amount (High-Low)</option>
+                                        <option value="amount-asc">Amount (Low-High)</option>
+                                    </select>
+                                </div>
+                            </div>
+                        </div>
+
+                        <!-- Summary Stats -->
+                        <div class="grid grid-cols-4 gap-6 mb-6">
+                            <div class="card text-center">
+                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--gray-800);">
+                                    ${transactions.length}
+                                </div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Total Trades</div>
+                            </div>
+                            <div class="card text-center">
+                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--success-green);">
+                                    ${transactions.filter(t => t.transaction_type === 'buy').length}
+                                </div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Buy Orders</div>
+                            </div>
+                            <div class="card text-center">
+                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--danger-red);">
+                                    ${transactions.filter(t => t.transaction_type === 'sell').length}
+                                </div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Sell Orders</div>
+                            </div>
+                            <div class="card text-center">
+                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--primary-blue);">
+                                    ${this.formatCurrency(this.calculateTotalTradeValue(transactions))}
+                                </div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Total Volume</div>
+                            </div>
+                        </div>
+
+                        ${this.getWashSaleSummaryHTML()}
+
+                        <!-- Trades Table -->
+                        <div class="card">
+                            ${transactions.length === 0 ? `
+                                <div class="text-center py-12">
+                                    <div style="font-size: 3rem; margin-bottom: var(--space-4); opacity: 0.3;">📈</div>
+                                    <h3>No Trades Yet</h3>
+                                    <p class="text-muted mb-6">Start by recording your first buy or sell trade.</p>
+                                    <button data-action="show-add-trade" data-portfolio-id="${portfolioId}" class="btn btn-primary">Record First Trade</button>
+                                </div>
+                            ` : `
+                                <div class="flex justify-between items-center mb-4">
+                                    <h4 style="margin-bottom: 0;">All Transactions</h4>
+                                    <div class="text-muted" style="font-size: var(--font-size-sm);">
+                                        Showing ${transactions.length} transactions
+                                    </div>
+                                </div>
+
+                                <div class="table-responsive">
+                                    <table class="table" id="trades-table">
+                                        <thead>
+                                            <tr>
+                                                <th style="text-align: left; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Date</th>
+                                                <th style="text-align: left; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Symbol</th>
+                                                <th style="text-align: left; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Type</th>
+                                                <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Quantity</th>
+                                                <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Price</th>
+                                                <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Total</th>
+                                                <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Fees</th>
+                                                <th style="text-align: center; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Actions</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            ${this.renderTradeRows(transactions)}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            `}
+                        </div>
+                    </div>
+                </main>
+            </div>
+        `;
+    }
+
+    calculateTotalTradeValue(transactions) {
+        return transactions.reduce((total, trade) => {
+            // In the portfolio's currency, at each trade's rate
+            return total + (trade.quantity * trade.price * (parseFloat(trade.fx_rate) || 1));
+        }, 0);
+    }
+
+    getWashSaleSummaryHTML() {
+        const sells = Object.values(this.washSales?.bySell || {});
+        if (sells.length === 0) {
+            return '';
+        }
+
+        const disallowed = sells.reduce((sum, sell) => sum + sell.disallowed_loss, 0);
+
+        return `
+            <div class="alert mb-6" style="background: var(--warning-yellow-bg); border: 1px solid var(--warning-yellow-light); border-radius: var(--radius-md); padding: var(--space-3);">
+                <small style="color: var(--gray-700);">
+                    ⚠️ <strong>${sells.length} wash sale${sells.length === 1 ? '' : 's'}:</strong>
+                    ${this.formatCurrency(disallowed)} of realized losses is disallowed and added to the basis of the replacement purchases marked below.
+                </small>
+            </div>
+        `;
+    }
+
+    /**
+     * Buys made by a DRIP dividend payment
+     */
+    isReinvestmentTrade(trade) {
+        return trade.transaction_type === 'buy' && !!trade.dividend_payment_id;
+    }
+
+    /**
+     * Shares moved in or out by a transfer between portfolios; they carry cost basis, not cash
+     */
+    isTransferTrade(trade) {
+        return trade.transaction_type === 'transfer_in' || trade.transaction_type === 'transfer_out';
+    }
+
+    getTradeTypeBadgeHTML(trade) {
+        if (this.isReinvestmentTrade(trade)) {
+            return '<span class="badge badge-primary" title="Shares bought with a reinvested dividend">DRIP</span>';
+        }
+
+        if (this.isTransferTrade(trade)) {
+            const incoming = trade.transaction_type === 'transfer_in';
+            return `<span class="badge badge-warning" title="${this.escapeHtml(trade.notes || '')}">${incoming ? 'TRANSFER IN' : 'TRANSFER OUT'}</span>`;
+        }
+
+        return `
+            <span class="badge ${trade.transaction_type === 'buy' ? 'badge-success' : 'badge-danger'}" style="text-transform: uppercase;">
+                ${trade.transaction_type}
+            </span>
+        `;
+    }
+
+    /**
+     * Trades recorded by a dividend payment change with the payment, so link there instead of editing them
+     */
+    /**
+     * Cash impact of a trade; transfers move shares at cost and leave cash untouched
+     */
+    getTradeTotalHTML(trade, total) {
+        if (this.isTransferTrade(trade)) {
+            return `<div style="font-weight: 600; color: var(--gray-500);" title="No cash moves with a share transfer">${this.formatCurrency(total, { currency: trade.currency })}</div>`;
+        }
+
+        const isBuy = trade.transaction_type === 'buy';
+        return `
+            <div style="font-weight: 600; color: ${isBuy ? 'var(--danger-red)' : 'var(--success-green)'};">
+                ${isBuy ? '-' : '+'}${this.formatCurrency(total, { currency: trade.currency })}
+            </div>
+        `;
+    }
+
+    getTradeActionsHTML(trade, portfolioId) {
+        if (trade.dividend_payment_id) {
+            return `<button data-action="show-dividend-payments" data-portfolio-id="${portfolioId}" data-tab="history" class="btn btn-secondary btn-sm" title="Edit in dividend payment history">💰</button>`;
+        }
 
-                    <div class="text-center mb-6">
-                        <div style="font-size: 3rem; margin-bottom: var(--space-4); opacity: 0.3;">⚠️</div>
-                        <h4>Delete All ${symbol} Trades?</h4>
-                        <p class="text-muted">This will permanently delete ALL trades for ${symbol} and remove this holding from your portfolio. This action cannot be undone.</p>
-                    </div>
+        if (trade.transfer_id) {
+            return `<button data-action="undo-transfer" data-portfolio-id="${portfolioId}" data-transfer-id="${trade.transfer_id}" class="btn btn-danger btn-sm" title="Undo transfer in both portfolios">↩️</button>`;
+        }
 
-                    <div class="flex gap-4">
-                        <button data-action="confirm-delete-holding" data-symbol="${symbol}" class="btn btn-danger btn-lg" style="flex: 1;">Delete All Trades</button>
-                        <button data-action="close-modal" class="btn btn-secondary btn-lg" style="flex: 1;">Cancel</button>
-                    </div>
-                </div>
-            </div>
+        return `
+            <button data-action="show-edit-trade" data-trade-id="${trade.id}" class="btn btn-secondary btn-sm" title="Edit Trade">✏️</button>
+            <button data-action="confirm-delete-trade" data-trade-id="${trade.id}" class="btn btn-danger btn-sm" title="Delete Trade">🗑️</button>
         `;
     }
 
-    getPortfolioDetailHTML(portfolioData) {
-        const portfolio = portfolioData.portfolio;
-        const performance = portfolioData.performance;
-        const holdings = portfolioData.holdings || [];
+    renderTradeRows(transactions) {
+        const washSales = this.washSales || { bySell: {}, byBuy: {} };
+
+        return transactions.map(trade => {
+            const total = trade.quantity * trade.price;
+            const tradeDate = this.formatDate(trade.transaction_date);
+            const isBuy = trade.transaction_type === 'buy';
+            const washSale = isBuy ? washSales.byBuy[trade.id] : washSales.bySell[trade.id];
+
+            return `
+                <tr style="border-bottom: 1px solid var(--gray-100);">
+                    <td style="padding: var(--space-3);">
+                        <div style="font-size: var(--font-size-sm);">${tradeDate}</div>
+                    </td>
+                    <td style="padding: var(--space-3);">
+                        <button data-action="show-stock-detail" data-symbol="${trade.stock_symbol}" class="btn-link" style="font-weight: 600; color: var(--primary-blue);">
+                            ${trade.stock_symbol}
+                        </button>
+                    </td>
+                    <td style="padding: var(--space-3);">
+                        ${this.getTradeTypeBadgeHTML(trade)}
+                        ${washSale ? `
+                            <span class="badge badge-warning" title="${isBuy ? 'Replacement purchase for a wash sale' : 'Loss partly or fully disallowed by a wash sale'}">Wash Sale</span>
+                        ` : ''}
+                    </td>
+                    <td style="padding: var(--space-3); text-align: right;">
+                        <div>${this.formatNumber(trade.quantity)}</div>
+                    </td>
+                    <td style="padding: var(--space-3); text-align: right;">
+                        <div>${this.formatCurrency(trade.price, { currency: trade.currency })}</div>
+                    </td>
+                    <td style="padding: var(--space-3); text-align: right;">
+                        ${this.getTradeTotalHTML(trade, total)}
+                        ${washSale ? `
+                            <div style="font-size: var(--font-size-xs); color: var(--warning-yellow);">
+                                ${isBuy
+                                    ? `Adj. basis ${this.formatCurrency(washSale.adjusted_cost_basis, { currency: trade.currency })} (+${this.formatCurrency(washSale.basis_adjustment, { currency: trade.currency })})`
+                                    : `Disallowed loss ${this.formatCurrency(washSale.disallowed_loss, { currency: trade.currency })}`}
+                            </div>
+                        ` : ''}
+                    </td>
+                    <td style="padding: var(--space-3); text-align: right;">
+                        <div style="color: var(--gray-600);">${this.formatCurrency(trade.fees || 0, { currency: trade.currency })}</div>
+                    </td>
+                    <td style="padding: var(--space-3); text-align: center;">
+                        <div class="flex gap-2 justify-center">
+                            ${this.getTradeActionsHTML(trade, this.currentPortfolioId)}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    getRealizedGainsPageHTML(portfolio, report, portfolioId) {
+        const { summary, disposals } = report;
+        const years = report.available_years.includes(report.year) ? report.available_years : [report.year, ...report.available_years];
+        const gainColor = value => value >= 0 ? 'var(--success-green)' : 'var(--danger-red)';
+        const signed = value => `${value >= 0 ? '+' : '-'}${this.formatCurrency(Math.abs(value))}`;
 
         return `
-            <div class="portfolio-detail" data-portfolio-id="${portfolio.id}">
+            <div class="realized-gains-page">
                 <!-- Header -->
-                <header style="background: white; border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
+                <header style="background: var(--surface); border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
                     <div class="container">
                         <div class="flex justify-between items-center">
-                            <div>
-                                <div class="flex items-center gap-4 mb-2">
-                                    <button data-action="show-dashboard" class="btn btn-secondary" style="padding: 0.5rem;">← Back</button>
-                                    <h2 style="margin-bottom: 0;">${portfolio.name}</h2>
-                                    <span class="text-muted" style="font-size: var(--font-size-sm); text-transform: capitalize;">${portfolio.type}</span>
+                            <div class="flex items-center gap-4">
+                                <button data-action="view-portfolio" data-portfolio-id="${portfolioId}" class="btn btn-secondary">
+                                    ← Back to Portfolio
+                                </button>
+                                <div>
+                                    <h3 style="margin-bottom: 0;">Realized Gains &amp; Losses</h3>
+                                    <p class="text-muted" style="margin-bottom: 0;">${portfolio?.name || 'Portfolio'}</p>
                                 </div>
-                                <p class="text-muted" style="margin-bottom: 0;">${holdings.length} holdings • ${portfolio.currency}</p>
                             </div>
-                            <div class="flex gap-4">
-                                <button data-action="refresh-portfolio" data-portfolio-id="${portfolio.id}" class="btn btn-secondary" title="Refresh stock prices">
-                                    🔄 Refresh
-                                </button>
-                                <button data-action="backfill-historical-data" class="btn btn-secondary" title="Fix missing historical data for portfolio charts">
-                                    📊 Fix Charts
-                                </button>
-                                <button data-action="show-add-trade" data-portfolio-id="${portfolio.id}" class="btn btn-primary">+ Add Trade</button>
-                                <button data-action="show-trade-history" data-portfolio-id="${portfolio.id}" class="btn btn-secondary">📈 Trade History</button>
+                            <div class="flex gap-4 items-center">
+                                <select id="realized-year-filter" class="form-input" style="width: auto;">
+                                    ${years.map(year => `<option value="${year}" ${year === report.year ? 'selected' : ''}>Tax Year ${year}</option>`).join('')}
+                                </select>
+                                <button data-action="export-form-8949" class="btn btn-secondary" ${disposals.length === 0 ? 'disabled' : ''}>⬇️ Form 8949 CSV</button>
+                                <button data-action="logout" class="btn btn-secondary">Sign Out</button>
                             </div>
                         </div>
                     </div>
                 </header>
 
-                <!-- Performance Summary -->
-                <section class="py-8" style="background: white;">
+                <!-- Main Content -->
+                <main class="py-8">
                     <div class="container">
-                        <div class="grid grid-cols-4 gap-6">
+                        <!-- Summary Stats -->
+                        <div class="grid grid-cols-4 gap-6 mb-6">
                             <div class="card text-center">
-                                <div style="font-size: var(--font-size-3xl); font-weight: 600; margin-bottom: var(--space-2);">
-                                    $${this.formatNumber(performance.total_value)}
+                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: ${gainColor(summary.short_term.gain_loss)};">
+                                    ${signed(summary.short_term.gain_loss)}
                                 </div>
-                                <div class="text-muted">Total Value</div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Short-Term (${summary.short_term.count} lots)</div>
                             </div>
-
                             <div class="card text-center">
-                                <div style="font-size: var(--font-size-3xl); font-weight: 600; margin-bottom: var(--space-2);">
-                                    $${this.formatNumber(performance.total_cost_basis)}
+                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: ${gainColor(summary.long_term.gain_loss)};">
+                                    ${signed(summary.long_term.gain_loss)}
                                 </div>
-                                <div class="text-muted">Cost Basis</div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Long-Term (${summary.long_term.count} lots)</div>
                             </div>
-
                             <div class="card text-center">
-                                <div style="font-size: var(--font-size-3xl); font-weight: 600; margin-bottom: var(--space-2); color: ${performance.total_gain_loss >= 0 ? 'var(--success-green)' : 'var(--danger-red)'};">
-                                    ${performance.total_gain_loss >= 0 ? '+' : ''}$${this.formatNumber(performance.total_gain_loss)}
+                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: ${gainColor(summary.total.gain_loss)};">
+                                    ${signed(summary.total.gain_loss)}
                                 </div>
-                                <div class="text-muted">Total Gain/Loss</div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Total Realized</div>
                             </div>
-
                             <div class="card text-center">
-                                <div style="font-size: var(--font-size-3xl); font-weight: 600; margin-bottom: var(--space-2); color: ${performance.total_gain_loss_percent >= 0 ? 'var(--success-green)' : 'var(--danger-red)'};">
-                                    ${performance.total_gain_loss_percent >= 0 ? '+' : ''}${performance.total_gain_loss_percent.toFixed(2)}%
+                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--gray-800);">
+                                    ${this.formatCurrency(summary.total.fees)}
                                 </div>
-                                <div class="text-muted">Return</div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Sale Fees</div>
                             </div>
                         </div>
-                    </div>
-                </section>
-
-                <!-- Portfolio Charts -->
-                ${holdings.length > 0 ? this.getPortfolioChartsHTML(holdings, performance) : ''}
 
-                <!-- Portfolio Analytics -->
-                ${holdings.length > 0 ? this.getPortfolioAnalyticsHTML(holdings, performance) : ''}
+                        ${disposals.length === 0 ? `
+                            <div class="card text-center py-12">
+                                <div style="font-size: 3rem; margin-bottom: var(--space-4); opacity: 0.3;">🧾</div>
+                                <h4>No Sales in ${report.year}</h4>
+                                <p class="text-muted">Realized gains appear here once you record sell trades.</p>
+                            </div>
+                        ` : `
+                            <!-- By Symbol -->
+                            <div class="card mb-6">
+                                <h4 class="mb-4">By Symbol</h4>
+                                <table class="holdings-table">
+                                    <thead>
+                                        <tr>
+                                            <th style="text-align: left;">Symbol</th>
+                                            <th style="text-align: right;">Shares Sold</th>
+                                            <th style="text-align: right;">Proceeds</th>
+                                            <th style="text-align: right;">Cost Basis</th>
+                                            <th style="text-align: right;">Gain/Loss</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${report.by_symbol.map(row => `
+                                            <tr>
+                                                <td><strong>${row.stock_symbol}</strong></td>
+                                                <td style="text-align: right;">${this.formatNumber(row.quantity)}</td>
+                                                <td style="text-align: right;">${this.formatCurrency(row.proceeds)}</td>
+                                                <td style="text-align: right;">${this.formatCurrency(row.cost_basis)}</td>
+                                                <td style="text-align: right; font-weight: 600; color: ${gainColor(row.gain_loss)};">${signed(row.gain_loss)}</td>
+                                            </tr>
+                                        `).join('')}
+                                    </tbody>
+                                </table>
+                            </div>
 
-                <!-- Holdings Table -->
-                <section class="py-8">
-                    <div class="container">
-                        <div class="card">
-                            <div class="flex justify-between items-center mb-6">
-                                <h3 style="margin-bottom: 0;">Current Holdings</h3>
-                                <div class="text-muted" style="font-size: var(--font-size-sm);">
-                                    ${holdings.length} positions • Computed from trades
+                            <!-- Lot Detail -->
+                            <div class="card">
+                                <div class="flex justify-between items-center mb-4">
+                                    <h4 style="margin-bottom: 0;">Closed Lots</h4>
+                                    <span class="text-muted" style="font-size: var(--font-size-sm);">Each sell matched to the lots it closed</span>
+                                </div>
+                                <div style="overflow-x: auto;">
+                                    <table class="holdings-table">
+                                        <thead>
+                                            <tr>
+                                                <th style="text-align: left;">Symbol</th>
+                                                <th style="text-align: right;">Shares</th>
+                                                <th style="text-align: left;">Acquired</th>
+                                                <th style="text-align: left;">Sold</th>
+                                                <th style="text-align: right;">Proceeds</th>
+                                                <th style="text-align: right;">Cost Basis</th>
+                                                <th style="text-align: right;">Fees</th>
+                                                <th style="text-align: right;">Gain/Loss</th>
+                                                <th style="text-align: center;">Term</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            ${disposals.map(lot => `
+                                                <tr>
+                                                    <td><strong>${lot.stock_symbol}</strong></td>
+                                                    <td style="text-align: right;">${this.formatNumber(lot.quantity)}</td>
+                                                    <td>${this.formatDate(lot.acquired_date)}</td>
+                                                    <td>${this.formatDate(lot.sold_date)}</td>
+                                                    <td style="text-align: right;">${this.formatCurrency(lot.proceeds_base)}</td>
+                                                    <td style="text-align: right;">${this.formatCurrency(lot.cost_basis_base)}</td>
+                                                    <td style="text-align: right; color: var(--gray-600);">${this.formatCurrency(lot.fees_base)}</td>
+                                                    <td style="text-align: right; font-weight: 600; color: ${gainColor(lot.gain_loss_base)};">
+                                                        ${signed(lot.gain_loss_base)}
+                                                        ${lot.adjustment_code === 'W' ? `
+                                                            <div style="font-size: var(--font-size-xs); font-weight: 400; color: var(--warning-yellow);" title="Wash sale (code W)">
+                                                                Disallowed ${this.formatCurrency(lot.adjustment_amount)}
+                                                            </div>
+                                                        ` : ''}
+                                                    </td>
+                                                    <td style="text-align: center;">
+                                                        <span class="badge ${lot.term === 'long' ? 'badge-success' : 'badge-warning'}" title="Held ${lot.holding_period_days} days">
+                                                            ${lot.term === 'long' ? 'Long' : 'Short'}
+                                                        </span>
+                                                    </td>
+                                                </tr>
+                                            `).join('')}
+                                        </tbody>
+                                    </table>
                                 </div>
                             </div>
-
-                            ${holdings.length === 0 ? this.getEmptyHoldingsHTML(portfolio.id) : this.getHoldingsTableHTML(holdings)}
-                        </div>
+                        `}
                     </div>
-                </section>
-
-                <!-- Dividend Payments Section -->
-                ${holdings.length > 0 ? this.getDividendPaymentsHTML(portfolio.id) : ''}
-            </div>
-        `;
-    }
-
-    getEmptyHoldingsHTML(portfolioId) {
-        return `
-            <div class="text-center py-12">
-                <div style="width: 48px; height: 48px; background: var(--gray-100); border-radius: var(--radius-full); margin: 0 auto var(--space-4); display: flex; align-items: center; justify-content: center;">
-                    <span style="color: var(--gray-400); font-size: 1.5rem;">📈</span>
-                </div>
-                <h4>No Trades Yet</h4>
-                <p class="text-muted mb-6">Record your first buy or sell trade to start building this portfolio.</p>
-                <div class="flex gap-4 justify-center">
-                    <button data-action="show-add-trade" data-portfolio-id="${portfolioId}" class="btn btn-primary">Record Your First Trade</button>
-                    <button data-action="show-trade-history" data-portfolio-id="${portfolioId}" class="btn btn-secondary">View Trade History</button>
-                </div>
+                </main>
             </div>
         `;
     }
 
-    getHoldingsTableHTML(holdings) {
-        return `
-            <div style="overflow-x: auto;">
-                <table class="holdings-table">
-                    <thead>
-                        <tr>
-                            <th style="text-align: left;">Symbol</th>
-                            <th style="text-align: left;">Name</th>
-                            <th style="text-align: right;">Shares</th>
-                            <th style="text-align: right;">Avg Cost</th>
-                            <th style="text-align: right;">Current Price</th>
-                            <th style="text-align: right;">Market Value</th>
-                            <th style="text-align: right;">Gain/Loss</th>
-                            <th style="text-align: right;">Div Yield</th>
-                            <th style="text-align: right;">Weight</th>
-                            <th style="text-align: right;">Actions</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${holdings.map(holding => `
-                            <tr>
-                                <td>
-                                    <div class="stock-symbol" data-action="show-stock-detail" data-symbol="${holding.symbol}">${holding.symbol}</div>
-                                </td>
-                                <td>
-                                    <div style="color: var(--gray-700);">${holding.name || holding.symbol}</div>
-                                </td>
-                                <td style="text-align: right;">
-                                    <div>${this.formatNumber(holding.quantity)}</div>
-                                </td>
-                                <td style="text-align: right;">
-                                    <div>$${this.formatNumber(holding.avg_cost_basis)}</div>
-                                </td>
-                                <td style="text-align: right;">
-                                    <div>$${this.formatNumber(holding.current_price)}</div>
-                                </td>
-                                <td style="text-align: right;">
-                                    <div style="font-weight: 600;">$${this.formatNumber(holding.current_value)}</div>
-                                </td>
-                                <td style="text-align: right;">
-                                    <div class="performance-indicator ${holding.gain_loss >= 0 ? 'positive' : 'negative'}">
-                                        ${holding.gain_loss >= 0 ? '+' : ''}$${this.formatNumber(holding.gain_loss)}
-                                    </div>
-                                    <div style="font-size: var(--font-size-sm); color: ${holding.gain_loss_percent >= 0 ? 'var(--success-green)' : 'var(--danger-red)'};">
-                                        ${holding.gain_loss_percent >= 0 ? '+' : ''}${holding.gain_loss_percent.toFixed(2)}%
-                                    </div>
-                                </td>
-                                <td style="text-align: right;">
-                                    <div style="color: var(--success-green); font-weight: 500;">
-                                        ${holding.dividend_yield ? holding.dividend_yield.toFixed(2) + '%' : 'N/A'}
-                                    </div>
-                                    <div style="font-size: var(--font-size-xs); color: var(--gray-500);">
-                                        ${holding.annual_dividend ? '$' + this.formatNumber(holding.annual_dividend) : ''}
-                                    </div>
-                                </td>
-                                <td style="text-align: right;">
-                                    <div>${holding.weight.toFixed(1)}%</div>
-                                </td>
-                                <td style="text-align: right;">
-                                    <div class="flex gap-2 justify-end">
-                                        <button data-action="view-holding-trades" data-symbol="${holding.symbol}" class="btn btn-secondary btn-sm" title="View Trades">📈</button>
-                                        <button data-action="edit-holding" data-symbol="${holding.symbol}" class="btn btn-secondary btn-sm" title="Edit Holding">✏️</button>
-                                        <button data-action="delete-holding" data-symbol="${holding.symbol}" class="btn btn-danger btn-sm" title="Delete All Trades">🗑️</button>
-                                    </div>
-                                </td>
-                            </tr>
-                        `).join('')}
-                    </tbody>
-                </table>
-            </div>
-        `;
-    }
+    getCashLedgerPageHTML(portfolio, ledger, portfolioId) {
+        const { summary, entries } = ledger;
+        const signed = value => `${value >= 0 ? '+' : '-'}${this.formatCurrency(Math.abs(value))}`;
+        const typeBadges = {
+            deposit: 'badge-success',
+            withdrawal: 'badge-danger',
+            interest: 'badge-success',
+            fee: 'badge-warning',
+            buy: 'badge-danger',
+            sell: 'badge-success',
+            dividend: 'badge-success',
+            transfer_in: 'badge-warning',
+            transfer_out: 'badge-warning'
+        };
 
-    getPortfolioChartsHTML(holdings, performance) {
         return `
-            <section class="py-8" style="background: white;">
-                <div class="container">
-                    <div class="flex justify-between items-center mb-6">
-                        <h3 style="margin-bottom: 0;">Portfolio Performance</h3>
-                        <div class="chart-period-selector">
-                            <button data-action="change-chart-period" data-period="1D" class="btn btn-secondary btn-sm">1D</button>
-                            <button data-action="change-chart-period" data-period="1W" class="btn btn-secondary btn-sm">1W</button>
-                            <button data-action="change-chart-period" data-period="1M" class="btn btn-secondary btn-sm active">1M</button>
-                            <button data-action="change-chart-period" data-period="3M" class="btn btn-secondary btn-sm">3M</button>
-                            <button data-action="change-chart-period" data-period="1Y" class="btn btn-secondary btn-sm">1Y</button>
+            <div class="cash-ledger-page">
+                <!-- Header -->
+                <header style="background: var(--surface); border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
+                    <div class="container">
+                        <div class="flex justify-between items-center">
+                            <div class="flex items-center gap-4">
+                                <button data-action="view-portfolio" data-portfolio-id="${portfolioId}" class="btn btn-secondary">
+                                    ← Back to Portfolio
+                                </button>
+                                <div>
+                                    <h3 style="margin-bottom: 0;">Cash</h3>
+                                    <p class="text-muted" style="margin-bottom: 0;">${portfolio?.name || 'Portfolio'}</p>
+                                </div>
+                            </div>
+                            <div class="flex gap-4">
+                                <button data-action="show-cash-transaction" data-portfolio-id="${portfolioId}" class="btn btn-primary">+ Cash Transaction</button>
+                                <button data-action="show-transfer" data-portfolio-id="${portfolioId}" data-transfer-type="cash" class="btn btn-secondary">Transfer Cash</button>
+                                <button data-action="logout" class="btn btn-secondary">Sign Out</button>
+                            </div>
                         </div>
                     </div>
+                </header>
 
-                    <div class="grid grid-cols-3 gap-6">
-                        <!-- Performance Chart -->
-                        <div class="chart-container" style="grid-column: span 2;">
-                            <div class="card">
-                                <h4 class="mb-4">Portfolio Value Over Time</h4>
-                                <div style="height: 300px; position: relative;">
-                                    <canvas id="performanceChart"></canvas>
+                <main class="py-8">
+                    <div class="container">
+                        ${!ledger.tracked ? `
+                            <div class="alert alert-info mb-6" style="background: var(--primary-blue-bg); border: 1px solid var(--primary-blue-light); border-radius: var(--radius-md); padding: var(--space-3);">
+                                <small style="color: var(--primary-blue);">
+                                    💡 <strong>Cash isn't tracked yet.</strong> Record a deposit dated on or before your first trade.
+                                    From then on, buys, sells and cash dividends update the balance automatically.
+                                </small>
+                            </div>
+                        ` : ''}
+
+                        <!-- Summary -->
+                        <div class="grid grid-cols-4 gap-6 mb-6">
+                            <div class="card text-center">
+                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: ${ledger.balance >= 0 ? 'var(--gray-800)' : 'var(--danger-red)'};">
+                                    ${ledger.balance < 0 ? '-' : ''}${this.formatCurrency(Math.abs(ledger.balance))}
                                 </div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Available Cash</div>
                             </div>
-                        </div>
-
-                        <!-- Sector Allocation -->
-                        <div class="chart-container">
-                            <div class="card">
-                                <h4 class="mb-4">Sector Allocation</h4>
-                                <div style="height: 300px; position: relative;">
-                                    <canvas id="sectorChart"></canvas>
+                            <div class="card text-center">
+                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--gray-800);">
+                                    ${summary.net_contributions < 0 ? '-' : ''}${this.formatCurrency(Math.abs(summary.net_contributions))}
+                                </div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">
+                                    Net Contributions (${this.formatCurrency(summary.deposits + summary.transfers_in)} in, ${this.formatCurrency(summary.withdrawals + summary.transfers_out)} out)
+                                </div>
+                            </div>
+                            <div class="card text-center">
+                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--success-green);">
+                                    ${this.formatCurrency(summary.interest + summary.dividends)}
                                 </div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Interest &amp; Cash Dividends</div>
+                            </div>
+                            <div class="card text-center">
+                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--danger-red);">
+                                    ${this.formatCurrency(summary.fees)}
+                                </div>
+                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Account Fees</div>
                             </div>
                         </div>
-                    </div>
 
-                    <!-- Holdings Performance Chart -->
-                    <div class="card mt-6">
-                        <h4 class="mb-4">Individual Stock Performance</h4>
-                        <div style="height: 250px; position: relative;">
-                            <canvas id="holdingsChart"></canvas>
+                        <!-- Ledger -->
+                        <div class="card">
+                            <div class="flex justify-between items-center mb-4">
+                                <h4 style="margin-bottom: 0;">Ledger</h4>
+                                <span class="text-muted" style="font-size: var(--font-size-sm);">Trades and cash dividends are posted automatically</span>
+                            </div>
+                            ${entries.length === 0 ? `
+                                <div class="text-center py-12">
+                                    <div style="font-size: 3rem; margin-bottom: var(--space-4); opacity: 0.3;">💵</div>
+                                    <h4>No Cash Activity</h4>
+                                    <p class="text-muted mb-6">Record a deposit to start tracking this portfolio's cash.</p>
+                                    <button data-action="show-cash-transaction" data-portfolio-id="${portfolioId}" class="btn btn-primary">Record Deposit</button>
+                                </div>
+                            ` : `
+                                <div style="overflow-x: auto;">
+                                    <table class="holdings-table">
+                                        <thead>
+                                            <tr>
+                                                <th style="text-align: left;">Date</th>
+                                                <th style="text-align: left;">Type</th>
+                                                <th style="text-align: left;">Description</th>
+                                                <th style="text-align: right;">Amount</th>
+                                                <th style="text-align: right;">Balance</th>
+                                                <th style="text-align: center;">Actions</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            ${entries.map(entry => `
+                                                <tr>
+                                                    <td>${this.formatDate(entry.date)}</td>
+                                                    <td>
+                                                        <span class="badge ${typeBadges[entry.type] || 'badge-primary'}" style="text-transform: uppercase;">${entry.type.replace('_', ' ')}</span>
+                                                    </td>
+                                                    <td>${this.escapeHtml(entry.description)}</td>
+                                                    <td style="text-align: right; font-weight: 600; color: ${entry.amount >= 0 ? 'var(--success-green)' : 'var(--danger-red)'};">
+                                                        ${signed(entry.amount)}
+                                                    </td>
+                                                    <td style="text-align: right; color: ${entry.balance >= 0 ? 'var(--gray-700)' : 'var(--danger-red)'};">
+                                                        ${entry.balance < 0 ? '-' : ''}${this.formatCurrency(Math.abs(entry.balance))}
+                                                    </td>
+                                                    <td style="text-align: center;">
+                                                        ${entry.transfer_id ? `
+                                                            <button data-action="undo-transfer" data-portfolio-id="${portfolioId}" data-transfer-id="${entry.transfer_id}" class="btn btn-danger btn-sm" title="Undo transfer in both portfolios">↩️</button>
+                                                        ` : entry.source === 'cash' ? `
+                                                            <div class="flex gap-2 justify-center">
+                                                                <button data-action="show-cash-transaction" data-portfolio-id="${portfolioId}" data-cash-transaction-id="${entry.id}" class="btn btn-secondary btn-sm" title="Edit">✏️</button>
+                                                                <button data-action="delete-cash-transaction" data-portfolio-id="${portfolioId}" data-cash-transaction-id="${entry.id}" class="btn btn-danger btn-sm" title="Delete">🗑️</button>
+                                                            </div>
+                                                        ` : `<span class="text-muted" style="font-size: var(--font-size-xs);">${entry.source === 'trade' ? 'Trade' : 'Dividend'}</span>`}
+                                                    </td>
+                                                </tr>
+                                            `).join('')}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            `}
                         </div>
                     </div>
-                </div>
-            </section>
+                </main>
+            </div>
         `;
     }
 
-    getPortfolioAnalyticsHTML(holdings, performance) {
-        // Calculate sector allocation (simplified - using first letter of symbol as mock sector)
-        const sectorData = this.calculateSectorAllocation(holdings);
-        const topHoldings = holdings.slice(0, 5); // Top 5 holdings by value
+    getRebalancePageHTML(portfolioData, portfolioId) {
+        const portfolio = portfolioData.portfolio;
+        const holdings = portfolioData.holdings || [];
+        const targets = portfolioData.targets || { target_type: 'symbol', targets: [] };
+        const cash = portfolioData.cash || { tracked: false, balance: 0 };
+        const allocation = window.rebalanceCalculator.allocation(holdings, cash.tracked ? cash.balance : 0, targets);
+        const rows = targets.targets.length > 0 ? targets.targets : [{ key: '', weight: '' }];
+        const sectors = [...new Set(holdings.map(h => h.sector || 'Other'))];
 
         return `
-            <section class="py-8" style="background: var(--gray-50);">
-                <div class="container">
-                    <h3 class="mb-6">Portfolio Analytics</h3>
-
-                    <div class="grid grid-cols-2 gap-6">
-                        <!-- Top Holdings -->
-                        <div class="analytics-card">
-                            <h4 class="mb-4">Top Holdings</h4>
-                            <div class="space-y-3">
-                                ${topHoldings.map(holding => `
-                                    <div class="flex justify-between items-center">
-                                        <div class="flex items-center gap-3">
-                                            <div class="stock-symbol" data-action="show-stock-detail" data-symbol="${holding.symbol}" style="font-size: var(--font-size-sm);">${holding.symbol}</div>
-                                            <div style="font-size: var(--font-size-sm); color: var(--gray-600);">${holding.name || holding.symbol}</div>
-                                        </div>
-                                        <div class="text-right">
-                                            <div style="font-weight: 600; font-size: var(--font-size-sm);">${holding.weight.toFixed(1)}%</div>
-                                            <div style="font-size: var(--font-size-xs); color: var(--gray-500);">$${this.formatNumber(holding.current_value)}</div>
-                                        </div>
-                                    </div>
-                                `).join('')}
+            <div class="rebalance-page">
+                <!-- Header -->
+                <header style="background: var(--surface); border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
+                    <div class="container">
+                        <div class="flex justify-between items-center">
+                            <div class="flex items-center gap-4">
+                                <button data-action="view-portfolio" data-portfolio-id="${portfolioId}" class="btn btn-secondary">
+                                    ← Back to Portfolio
+                                </button>
+                                <div>
+                                    <h3 style="margin-bottom: 0;">Target Allocation & Rebalancing</h3>
+                                    <p class="text-muted" style="margin-bottom: 0;">${portfolio?.name || 'Portfolio'}</p>
+                                </div>
+                            </div>
+                            <div class="flex gap-4">
+                                <button data-action="logout" class="btn btn-secondary">Sign Out</button>
                             </div>
                         </div>
+                    </div>
+                </header>
 
-                        <!-- Performance Metrics -->
-                        <div class="analytics-card">
-                            <h4 class="mb-4">Performance Metrics</h4>
-                            <div class="grid grid-cols-2 gap-4">
-                                <div class="metric-card">
-                                    <div class="metric-value" style="color: ${performance.total_gain_loss >= 0 ? 'var(--success-green)' : 'var(--danger-red)'};">
-                                        ${performance.total_gain_loss >= 0 ? '+' : ''}${performance.total_gain_loss_percent.toFixed(2)}%
+                <main class="py-8">
+                    <div class="container">
+                        <div class="grid grid-cols-2 gap-6 mb-6">
+                            <!-- Targets -->
+                            <div class="card">
+                                <h4 class="mb-4">Targets</h4>
+                                <form data-form="targets">
+                                    <input type="hidden" name="portfolio_id" value="${portfolioId}">
+
+                                    <div class="form-group">
+                                        <label class="form-label" for="target_type">Set targets by</label>
+                                        <select id="target_type" name="target_type" class="form-input">
+                                            <option value="symbol" ${targets.target_type === 'symbol' ? 'selected' : ''}>Symbol</option>
+                                            <option value="sector" ${targets.target_type === 'sector' ? 'selected' : ''}>Sector</option>
+                                        </select>
                                     </div>
-                                    <div class="metric-label">Total Return</div>
-                                </div>
 
-                                <div class="metric-card">
-                                    <div class="metric-value">
-                                        ${this.calculateBestPerformer(holdings).symbol || 'N/A'}
-                                    </div>
-                                    <div class="metric-label">Best Performer</div>
-                                </div>
+                                    <datalist id="target-sectors">
+                                        ${sectors.map(sector => `<option value="${sector}">`).join('')}
+                                    </datalist>
 
-                                <div class="metric-card">
-                                    <div class="metric-value">
-                                        ${holdings.length}
+                                    <div id="target-rows">
+                                        ${rows.map((target, index) => this.getTargetRowHTML(index, target)).join('')}
                                     </div>
-                                    <div class="metric-label">Holdings</div>
-                                </div>
 
-                                <div class="metric-card">
-                                    <div class="metric-value" style="color: var(--success-green);">
-                                        ${this.calculatePortfolioDividendYield(holdings).toFixed(2)}%
+                                    <p class="text-muted" style="font-size: var(--font-size-sm);">
+                                        Weights are a share of holdings${cash.tracked ? ' plus cash' : ''}. Anything left unallocated is held as cash; holdings without a target are sold down.
+                                    </p>
+
+                                    <div class="flex gap-4">
+                                        <button type="button" data-action="add-target-row" class="btn btn-secondary">+ Add Target</button>
+                                        <button type="submit" class="btn btn-primary" style="flex: 1;">Save Targets</button>
                                     </div>
-                                    <div class="metric-label">Dividend Yield</div>
-                                </div>
+                                </form>
+                            </div>
 
-                                <div class="metric-card">
-                                    <div class="metric-value">
-                                        ${this.calculateDiversificationScore(holdings).toFixed(1)}
+                            <!-- Current vs target -->
+                            <div class="card">
+                                <h4 class="mb-4">Current vs Target</h4>
+                                ${allocation.length === 0 ? '<p class="text-muted">No holdings yet.</p>' : `
+                                    <table class="holdings-table">
+                                        <thead>
+                                            <tr>
+                                                <th style="text-align: left;">${targets.target_type === 'sector' ? 'Sector' : 'Symbol'}</th>
+                                                <th style="text-align: right;">Value</th>
+                                                <th style="text-align: right;">Current</th>
+                                                <th style="text-align: right;">Target</th>
+                                                <th style="text-align: right;">Drift</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            ${allocation.map(row => `
+                                                <tr>
+                                                    <td>${this.escapeHtml(row.key)}</td>
+                                                    <td style="text-align: right;">${this.formatCurrency(row.current_value)}</td>
+                                                    <td style="text-align: right;">${row.current_weight.toFixed(1)}%</td>
+                                                    <td style="text-align: right;">${row.target_weight === null ? '—' : row.target_weight.toFixed(1) + '%'}</td>
+                                                    <td style="text-align: right; color: ${row.drift === null || Math.abs(row.drift) < 1 ? 'var(--gray-500)' : row.drift > 0 ? 'var(--warning-yellow)' : 'var(--primary-blue)'};">
+                                                        ${row.drift === null ? '—' : `${row.drift >= 0 ? '+' : ''}${row.drift.toFixed(1)}%`}
+                                                    </td>
+                                                </tr>
+                                            `).join('')}
+                                        </tbody>
+                                    </table>
+                                `}
+                            </div>
+                        </div>
+
+                        <!-- Rebalancing plan -->
+                        <div class="card">
+                            <h4 class="mb-4">Rebalancing Plan</h4>
+                            <form data-form="rebalance-plan">
+                                <div class="grid grid-cols-4 gap-4">
+                                    <div class="form-group">
+                                        <label class="form-label" for="contribution">New Contribution</label>
+                                        <input type="number" id="contribution" name="contribution" class="form-input" step="0.01" min="0" placeholder="0.00">
+                                    </div>
+                                    <div class="form-group">
+                                        <label class="form-label" for="min_trade_value">Minimum Trade ($)</label>
+                                        <input type="number" id="min_trade_value" name="min_trade_value" class="form-input" step="0.01" min="0" value="100">
+                                    </div>
+                                    <div class="form-group">
+                                        <label class="form-label" for="fee_per_trade">Fee per Trade</label>
+                                        <input type="number" id="fee_per_trade" name="fee_per_trade" class="form-input" step="0.01" min="0" value="0">
+                                    </div>
+                                    <div class="form-group">
+                                        <label class="flex items-center gap-2" style="font-size: var(--font-size-sm); color: var(--gray-600);">
+                                            <input type="checkbox" name="contributions_only" value="1">
+                                            <span>Contributions only (no sells)</span>
+                                        </label>
+                                        <label class="flex items-center gap-2" style="font-size: var(--font-size-sm); color: var(--gray-600);">
+                                            <input type="checkbox" name="fractional" value="1">
+                                            <span>Allow fractional shares</span>
+                                        </label>
                                     </div>
-                                    <div class="metric-label">Diversification</div>
                                 </div>
+                                <button type="submit" class="btn btn-primary" ${targets.targets.length === 0 ? 'disabled' : ''}>Calculate Plan</button>
+                            </form>
+
+                            <div id="rebalance-plan" style="margin-top: var(--space-6);">
+                                ${targets.targets.length === 0 ? '<p class="text-muted">Save a target allocation to calculate a plan.</p>' : ''}
                             </div>
                         </div>
                     </div>
-                </div>
-            </section>
+                </main>
+            </div>
         `;
     }
 
-    calculateSectorAllocation(holdings) {
-        // Use real sector data from holdings
-        const sectors = {};
-        holdings.forEach(holding => {
-            const sector = holding.sector || this.getMockSector(holding.symbol);
-            sectors[sector] = (sectors[sector] || 0) + holding.weight;
-        });
-        return sectors;
+    getTargetRowHTML(index, target) {
+        return `
+            <div class="target-row grid grid-cols-3 gap-4" data-index="${index}">
+                <div class="form-group" style="grid-column: span 2; position: relative;">
+                    <input type="text" name="target_key_${index}" class="form-input" placeholder="Symbol or sector" list="target-sectors" autocomplete="off" value="${this.escapeHtml(String(target.key))}">
+                </div>
+                <div class="form-group flex items-center gap-2">
+                    <input type="number" name="target_weight_${index}" class="form-input" step="0.01" min="0" max="100" placeholder="%" value="${target.weight}">
+                    <button type="button" data-action="remove-target-row" class="btn btn-secondary btn-sm" title="Remove">×</button>
+                </div>
+            </div>
+        `;
     }
 
-    getMockSector(symbol) {
-        // Fallback mock sector assignment based on symbol (only used when real data unavailable)
-        const sectorMap = {
-            'A': 'Technology', 'B': 'Healthcare', 'C': 'Finance', 'D': 'Consumer',
-            'E': 'Energy', 'F': 'Finance', 'G': 'Technology', 'H': 'Healthcare',
-            'I': 'Industrial', 'J': 'Consumer', 'K': 'Technology', 'L': 'Healthcare',
-            'M': 'Consumer Staples', 'N': 'Energy', 'O': 'Industrial', 'P': 'Healthcare',
-            'Q': 'Technology', 'R': 'Consumer', 'S': 'Technology', 'T': 'Technology',
-            'U': 'Utilities', 'V': 'Healthcare', 'W': 'Consumer', 'X': 'Technology',
-            'Y': 'Technology', 'Z': 'Technology'
-        };
-        return sectorMap[symbol.charAt(0)] || 'Other';
-    }
+    getRebalancePlanHTML(plan, contributionsOnly) {
+        const money = value => `${this.formatCurrency(Math.abs(value))}`;
 
-    calculateBestPerformer(holdings) {
-        return holdings.reduce((best, holding) => {
-            return holding.gain_loss_percent > (best.gain_loss_percent || -Infinity) ? holding : best;
-        }, {});
-    }
+        return `
+            ${plan.unplaceable.map(item => `
+                <div class="alert mb-4" style="background: var(--warning-yellow-bg); border: 1px solid var(--warning-yellow-light); border-radius: var(--radius-md); padding: var(--space-3);">
+                    <small>⚠️ <strong>${this.escapeHtml(item.key)}</strong> (${item.weight.toFixed(1)}%) can't be planned: ${this.escapeHtml(item.reason)}.</small>
+                </div>
+            `).join('')}
 
-    calculateDiversificationScore(holdings) {
-        // Simple diversification score based on number of holdings and weight distribution
-        if (holdings.length === 0) return 0;
+            <div class="grid grid-cols-4 gap-6 mb-6">
+                <div class="card text-center">
+                    <div style="font-size: var(--font-size-2xl); font-weight: 600;">${money(plan.total_sells)}</div>
+                    <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Sells</div>
+                </div>
+                <div class="card text-center">
+                    <div style="font-size: var(--font-size-2xl); font-weight: 600;">${money(plan.total_buys)}</div>
+                    <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Buys</div>
+                </div>
+                <div class="card text-center">
+                    <div style="font-size: var(--font-size-2xl); font-weight: 600;">${money(plan.fees)}</div>
+                    <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Estimated Fees</div>
+                </div>
+                <div class="card text-center">
+                    <div style="font-size: var(--font-size-2xl); font-weight: 600; color: ${plan.shortfall > 0 ? 'var(--danger-red)' : 'var(--gray-800)'};">
+                        ${plan.cash_needed < 0 ? '-' : ''}${money(plan.cash_needed)}
+                    </div>
+                    <div style="font-size: var(--font-size-sm); color: var(--gray-600);">
+                        Cash Needed (${money(plan.cash_available)} available${plan.shortfall > 0 ? `, ${money(plan.shortfall)} short` : ''})
+                    </div>
+                </div>
+            </div>
 
-        const maxWeight = Math.max(...holdings.map(h => h.weight));
-        const baseScore = Math.min(holdings.length * 10, 70); // Up to 70 points for number of holdings
-        const concentrationPenalty = maxWeight > 50 ? (maxWeight - 50) : 0; // Penalty for concentration
+            ${plan.trades.length === 0 ? `
+                <p class="text-muted">${contributionsOnly ? 'No underweight positions to buy with the cash available.' : 'Already on target - no trades needed.'}</p>
+            ` : `
+                <div style="overflow-x: auto;">
+                    <table class="holdings-table">
+                        <thead>
+                            <tr>
+                                <th style="text-align: left;">Symbol</th>
+                                <th style="text-align: left;">Action</th>
+                                <th style="text-align: right;">Shares</th>
+                                <th style="text-align: right;">Price</th>
+                                <th style="text-align: right;">Value</th>
+                                <th style="text-align: right;">Fee</th>
+                                <th style="text-align: right;">Weight After</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${plan.trades.map(trade => {
+                                const after = plan.after.find(a => a.symbol === trade.symbol);
+                                return `
+                                    <tr>
+                                        <td><div class="stock-symbol">${trade.symbol}</div></td>
+                                        <td><span class="badge ${trade.transaction_type === 'buy' ? 'badge-success' : 'badge-danger'}">${trade.transaction_type.toUpperCase()}</span></td>
+                                        <td style="text-align: right;">${this.formatNumber(trade.quantity)}</td>
+                                        <td style="text-align: right;">${this.formatCurrency(trade.price, { currency: trade.currency })}</td>
+                                        <td style="text-align: right;">${this.formatCurrency(trade.value)}</td>
+                                        <td style="text-align: right;">${this.formatCurrency(trade.fee)}</td>
+                                        <td style="text-align: right;">${after ? `${after.weight_after.toFixed(1)}% <span class="text-muted" style="font-size: var(--font-size-xs);">(target ${after.target_weight.toFixed(1)}%)</span>` : '—'}</td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
 
-        return Math.max(0, Math.min(100, baseScore - concentrationPenalty));
+                <div class="flex justify-between items-center" style="margin-top: var(--space-4);">
+                    <p class="text-muted" style="font-size: var(--font-size-sm); margin-bottom: 0;">
+                        Prices are the latest quotes. Each trade opens in the trade form so you can enter the actual fill before recording it.
+                    </p>
+                    <button data-action="stage-rebalance-trades" class="btn btn-primary">Stage ${plan.trades.length} Trade${plan.trades.length === 1 ? '' : 's'}</button>
+                </div>
+            `}
+
+            ${plan.skipped.length > 0 ? `
+                <p class="text-muted" style="font-size: var(--font-size-sm); margin-top: var(--space-4);">
+                    Skipped below the minimum trade size: ${plan.skipped.map(s => `${s.transaction_type} ${s.symbol} (${this.formatCurrency(s.value)})`).join(', ')}
+                </p>
+            ` : ''}
+        `;
     }
 
-    calculatePortfolioDividendYield(holdings) {
-        if (!holdings || holdings.length === 0) return 0;
+    getCashTransactionModalHTML(portfolioId, entry = null) {
+        const type = entry?.type || 'deposit';
+        const today = new Date().toISOString().split('T')[0];
 
-        let totalDividends = 0;
-        let totalValue = 0;
+        return `
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 450px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">${entry ? 'Edit' : 'Record'} Cash Transaction</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                    </div>
 
-        holdings.forEach(holding => {
-            if (holding.annual_dividend && holding.current_value) {
-                totalDividends += holding.annual_dividend * holding.quantity;
-                totalValue += holding.current_value;
-            }
-        });
+                    <form data-form="cash-transaction">
+                        <input type="hidden" name="portfolio_id" value="${portfolioId}">
+                        <input type="hidden" name="cash_transaction_id" value="${entry?.id || ''}">
 
-        return totalValue > 0 ? (totalDividends / totalValue) * 100 : 0;
+                        <div class="grid grid-cols-2 gap-4">
+                            <div class="form-group">
+                                <label class="form-label" for="cash_transaction_type">Type</label>
+                                <select id="cash_transaction_type" name="transaction_type" class="form-input" required>
+                                    <option value="deposit" ${type === 'deposit' ? 'selected' : ''}>Deposit</option>
+                                    <option value="withdrawal" ${type === 'withdrawal' ? 'selected' : ''}>Withdrawal</option>
+                                    <option value="interest" ${type === 'interest' ? 'selected' : ''}>Interest</option>
+                                    <option value="fee" ${type === 'fee' ? 'selected' : ''}>Fee</option>
+                                </select>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label" for="cash_amount">Amount</label>
+                                <input type="number" id="cash_amount" name="amount" class="form-input" step="0.01" min="0.01" placeholder="1000.00" value="${entry ? Math.abs(entry.amount).toFixed(2) : ''}" required>
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="cash_transaction_date">Date</label>
+                            <input type="date" id="cash_transaction_date" name="transaction_date" class="form-input" value="${entry?.date || today}" required>
+                        </div>
+
+                        <div class="form-group">
+                            <label class="form-label" for="cash_notes">Notes (Optional)</label>
+                            <input type="text" id="cash_notes" name="notes" class="form-input" placeholder="e.g., Monthly contribution" value="${entry?.notes ? this.escapeHtml(entry.notes) : ''}">
+                        </div>
+
+                        <div class="flex gap-4">
+                            <button type="submit" class="btn btn-primary btn-lg" style="flex: 1;">${entry ? 'Update' : 'Record'}</button>
+                            <button type="button" data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
     }
 
-    getDividendPaymentsHTML(portfolioId) {
+    getTransferModalHTML(portfolioId, transferType, symbol, destinations, openLots) {
+        const today = new Date().toISOString().split('T')[0];
+        const isShares = transferType === 'shares';
+
         return `
-            <section class="py-8" style="background: white;">
-                <div class="container">
-                    <div class="card">
-                        <div class="flex justify-between items-center mb-6">
-                            <h3 style="margin-bottom: 0;">💰 Dividend Payments</h3>
-                            <button data-action="show-dividend-payments" data-portfolio-id="${portfolioId}" class="btn btn-primary">
-                                Manage Dividends
-                            </button>
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 550px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Transfer ${isShares ? `${symbol} Shares` : 'Cash'}</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                    </div>
+
+                    ${symbol ? `
+                        <div class="flex gap-2 mb-4">
+                            <button type="button" data-action="show-transfer" data-portfolio-id="${portfolioId}" data-symbol="${symbol}" data-transfer-type="shares" class="btn btn-sm ${isShares ? 'btn-primary' : 'btn-secondary'}">Shares</button>
+                            <button type="button" data-action="show-transfer" data-portfolio-id="${portfolioId}" data-symbol="${symbol}" data-transfer-type="cash" class="btn btn-sm ${isShares ? 'btn-secondary' : 'btn-primary'}">Cash</button>
                         </div>
+                    ` : ''}
 
-                        <!-- Dividend Summary Cards -->
-                        <div id="dividend-summary-${portfolioId}" class="grid grid-cols-3 gap-4 mb-6">
-                            <div class="card text-center" style="background: var(--gray-50);">
-                                <div class="loading-spinner" style="margin: 0 auto;"></div>
-                                <div style="font-size: var(--font-size-sm); color: var(--gray-600); margin-top: var(--space-2);">Loading...</div>
+                    <form data-form="transfer">
+                        <input type="hidden" name="portfolio_id" value="${portfolioId}">
+                        <input type="hidden" name="transfer_type" value="${transferType}">
+                        <input type="hidden" name="stock_symbol" value="${symbol || ''}">
+
+                        <div class="grid grid-cols-2 gap-4">
+                            <div class="form-group">
+                                <label class="form-label" for="transfer_to_portfolio">To Portfolio</label>
+                                <select id="transfer_to_portfolio" name="to_portfolio_id" class="form-input" required>
+                                    ${destinations.map(p => `<option value="${p.id}">${this.escapeHtml(p.name)}</option>`).join('')}
+                                </select>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label" for="transfer_date">Date</label>
+                                <input type="date" id="transfer_date" name="transfer_date" class="form-input" value="${today}" max="${today}" required>
+                            </div>
+                        </div>
+
+                        ${isShares ? `
+                            <div class="form-group">
+                                <div class="flex justify-between items-center mb-2">
+                                    <label class="form-label" style="margin-bottom: 0;">Lots to Transfer</label>
+                                    ${openLots.length > 0 ? '<button type="button" data-action="transfer-all-lots" class="btn btn-secondary btn-sm">All Shares</button>' : ''}
+                                </div>
+                                ${this.getLotPickerHTML(openLots, 'Transfer')}
+                                <small class="text-muted">Lots keep their cost basis and acquisition date. No gain or loss is realized.</small>
                             </div>
-                            <div class="card text-center" style="background: var(--gray-50);">
-                                <div class="loading-spinner" style="margin: 0 auto;"></div>
-                                <div style="font-size: var(--font-size-sm); color: var(--gray-600); margin-top: var(--space-2);">Loading...</div>
+
+                            <div class="form-group">
+                                <label class="form-label" for="transfer_market_price">Market Price per Share (Optional)</label>
+                                <input type="number" id="transfer_market_price" name="market_price" class="form-input" step="0.0001" min="0" placeholder="Closing price on the transfer date">
+                                <small class="text-muted">Values the transfer for performance returns in both portfolios</small>
                             </div>
-                            <div class="card text-center" style="background: var(--gray-50);">
-                                <div class="loading-spinner" style="margin: 0 auto;"></div>
-                                <div style="font-size: var(--font-size-sm); color: var(--gray-600); margin-top: var(--space-2);">Loading...</div>
+                        ` : `
+                            <div class="form-group">
+                                <label class="form-label" for="transfer_amount">Amount</label>
+                                <input type="number" id="transfer_amount" name="amount" class="form-input" step="0.01" min="0.01" placeholder="1000.00" required>
                             </div>
+                        `}
+
+                        <div class="form-group">
+                            <label class="form-label" for="transfer_notes">Notes (Optional)</label>
+                            <input type="text" id="transfer_notes" name="notes" class="form-input" placeholder="e.g., Rollover to IRA">
                         </div>
 
-                        <!-- Quick Actions -->
                         <div class="flex gap-4">
-                            <button data-action="show-dividend-payments" data-portfolio-id="${portfolioId}" class="btn btn-outline">
-                                📋 View All Payments
-                            </button>
-                            <button data-action="show-dividend-payments" data-portfolio-id="${portfolioId}" class="btn btn-outline">
-                                📊 Analytics & Insights
-                            </button>
+                            <button type="submit" class="btn btn-primary btn-lg" style="flex: 1;" ${isShares && openLots.length === 0 ? 'disabled' : ''}>Transfer</button>
+                            <button type="button" data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
                         </div>
-                    </div>
+                    </form>
                 </div>
-            </section>
+            </div>
         `;
     }
 
-    getTradeHistoryPageHTML(portfolio, transactions, portfolioId) {
+    getBenchmarkModalHTML(portfolioId, benchmark) {
+        const presets = {
+            'SPY': 'S&P 500 (SPY)',
+            'VTI': 'Total US Market (VTI)',
+            '60/40': '60/40 Stocks/Bonds (SPY/AGG)'
+        };
+        const isCustom = !presets[benchmark];
+
         return `
-            <div class="trade-history-page">
-                <!-- Header -->
-                <header style="background: white; border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
-                    <div class="container">
-                        <div class="flex justify-between items-center">
-                            <div class="flex items-center gap-4">
-                                <button data-action="view-portfolio" data-portfolio-id="${portfolioId}" class="btn btn-secondary">
-                                    ← Back to Portfolio
-                                </button>
-                                <div>
-                                    <h3 style="margin-bottom: 0;">Trade History</h3>
-                                    <p class="text-muted" style="margin-bottom: 0;">${portfolio.portfolio?.name || 'Portfolio'}</p>
-                                </div>
-                            </div>
-                            <div class="flex gap-4">
-                                <button data-action="show-add-trade" data-portfolio-id="${portfolioId}" class="btn btn-primary">+ Add Trade</button>
-                                <button data-action="logout" class="btn btn-secondary">Sign Out</button>
-                            </div>
-                        </div>
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 450px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Performance Benchmark</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
                     </div>
-                </header>
 
-                <!-- Main Content -->
-                <main class="py-8">
-                    <div class="container">
-                        <!-- Filters and Search -->
-                        <div class="card mb-6">
-                            <div class="grid grid-cols-4 gap-4">
-                                <div class="form-group">
-                                    <label class="form-label">Search Symbol</label>
-                                    <input type="text" id="symbol-filter" class="form-input" placeholder="e.g., AAPL, MO">
-                                </div>
-                                <div class="form-group">
-                                    <label class="form-label">Transaction Type</label>
-                                    <select id="type-filter" class="form-input">
-                                        <option value="">All Types</option>
-                                        <option value="buy">Buy</option>
-                                        <option value="sell">Sell</option>
-                                        <option value="dividend">Dividend</option>
-                                    </select>
-                                </div>
-                                <div class="form-group">
-                                    <label class="form-label">Date Range</label>
-                                    <select id="date-filter" class="form-input">
-                                        <option value="">All Time</option>
-                                        <option value="7">Last 7 days</option>
-                                        <option value="30">Last 30 days</option>
-                                        <option value="90">Last 3 months</option>
-                                        <option value="365">Last year</option>
-                                    </select>
-                                </div>
-                                <div class="form-group">
-                                    <label class="form-label">Sort By</label>
-                                    <select id="sort-filter" class="form-input">
-                                        <option value="date-desc">Date (Newest)</option>
-                                        <option value="date-asc">Date (Oldest)</option>
-                                        <option value="symbol-asc">Symbol (A-Z)</option>
-                                        <option value="amount-desc">Amount (High-Low)</option>
-                                        <option value="amount-asc">Amount (Low-High)</option>
-                                    </select>
-                                </div>
-                            </div>
+                    <form data-form="benchmark">
+                        <input type="hidden" name="portfolio_id" value="${portfolioId}">
+
+                        <div class="form-group">
+                            <label class="form-label" for="benchmark">Compare this portfolio against</label>
+                            <select id="benchmark" name="benchmark" class="form-input">
+                                ${Object.entries(presets).map(([value, label]) => `
+                                    <option value="${value}" ${benchmark === value ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                                <option value="custom" ${isCustom ? 'selected' : ''}>Other symbol...</option>
+                            </select>
                         </div>
 
-                        <!-- Summary Stats -->
-                        <div class="grid grid-cols-4 gap-6 mb-6">
-                            <div class="card text-center">
-                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--gray-800);">
-                                    ${transactions.length}
-                                </div>
-                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Total Trades</div>
-                            </div>
-                            <div class="card text-center">
-                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--success-green);">
-                                    ${transactions.filter(t => t.transaction_type === 'buy').length}
-                                </div>
-                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Buy Orders</div>
-                            </div>
-                            <div class="card text-center">
-                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--danger-red);">
-                                    ${transactions.filter(t => t.transaction_type === 'sell').length}
-                                </div>
-                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Sell Orders</div>
-                            </div>
-                            <div class="card text-center">
-                                <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--primary-blue);">
-                                    $${this.calculateTotalTradeValue(transactions).toLocaleString()}
-                                </div>
-                                <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Total Volume</div>
+                        <div class="form-group">
+                            <label class="form-label" for="custom_symbol">Other Symbol</label>
+                            <div style="position: relative;">
+                                <input type="text" id="custom_symbol" name="custom_symbol" class="form-input" placeholder="Search for a stock or fund..." data-stock-search autocomplete="off" value="${isCustom ? benchmark : ''}">
+                                <div class="stock-search-results" style="display: none;"></div>
                             </div>
+                            <p class="text-muted" style="font-size: var(--font-size-sm); margin-bottom: 0;">Used when "Other symbol" is selected. The benchmark needs historical prices; run the historical data backfill if its line is missing.</p>
                         </div>
 
-                        <!-- Trades Table -->
-                        <div class="card">
-                            ${transactions.length === 0 ? `
-                                <div class="text-center py-12">
-                                    <div style="font-size: 3rem; margin-bottom: var(--space-4); opacity: 0.3;">📈</div>
-                                    <h3>No Trades Yet</h3>
-                                    <p class="text-muted mb-6">Start by recording your first buy or sell trade.</p>
-                                    <button data-action="show-add-trade" data-portfolio-id="${portfolioId}" class="btn btn-primary">Record First Trade</button>
-                                </div>
-                            ` : `
-                                <div class="flex justify-between items-center mb-4">
-                                    <h4 style="margin-bottom: 0;">All Transactions</h4>
-                                    <div class="text-muted" style="font-size: var(--font-size-sm);">
-                                        Showing ${transactions.length} transactions
-                                    </div>
-                                </div>
-
-                                <div class="table-responsive">
-                                    <table class="table" id="trades-table">
-                                        <thead>
-                                            <tr>
-                                                <th style="text-align: left; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Date</th>
-                                                <th style="text-align: left; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Symbol</th>
-                                                <th style="text-align: left; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Type</th>
-                                                <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Quantity</th>
-                                                <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Price</th>
-                                                <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Total</th>
-                                                <th style="text-align: right; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Fees</th>
-                                                <th style="text-align: center; padding: var(--space-3); font-weight: 600; color: var(--gray-700);">Actions</th>
-                                            </tr>
-                                        </thead>
-                                        <tbody>
-                                            ${this.renderTradeRows(transactions)}
-                                        </tbody>
-                                    </table>
-                                </div>
-                            `}
+                        <div class="flex gap-4">
+                            <button type="submit" class="btn btn-primary btn-lg" style="flex: 1;">Save</button>
+                            <button type="button" data-action="close-modal" class="btn btn-secondary btn-lg">Cancel</button>
                         </div>
-                    </div>
-                </main>
+                    </form>
+                </div>
             </div>
         `;
     }
 
-    calculateTotalTradeValue(transactions) {
-        return transactions.reduce((total, trade) => {
-            return total + (trade.quantity * trade.price);
-        }, 0);
+    getClassificationsModalHTML(holdings) {
+        const sources = {
+            override: '<span class="badge badge-primary">Manual</span>',
+            look_through: '<span class="badge badge-success">Look-through</span>',
+            profile: '<span class="text-muted" style="font-size: var(--font-size-xs);">Profile</span>',
+            unclassified: '<span class="badge badge-warning">Unclassified</span>'
+        };
+        const describeSectors = holding => {
+            const weights = holding.sector_weights || [];
+            if (weights.length <= 1) return this.escapeHtml(holding.sector);
+            const shown = weights.slice(0, 2).map(w => `${this.escapeHtml(w.sector)} ${(w.weight * 100).toFixed(0)}%`).join(', ');
+            return weights.length > 2 ? `${shown}, +${weights.length - 2} more` : shown;
+        };
+
+        return `
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 800px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Sector Classification</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                    </div>
+
+                    <p class="text-muted" style="font-size: var(--font-size-sm);">
+                        Sectors come from each company's profile; funds are split across the sectors they hold.
+                        A manual classification applies to the symbol in all of your portfolios.
+                    </p>
+
+                    <div style="overflow-x: auto;">
+                        <table class="holdings-table">
+                            <thead>
+                                <tr>
+                                    <th style="text-align: left;">Symbol</th>
+                                    <th style="text-align: left;">Sector</th>
+                                    <th style="text-align: left;">Industry</th>
+                                    <th style="text-align: left;">Source</th>
+                                    <th style="text-align: right;"></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${holdings.map(holding => `
+                                    <tr>
+                                        <td><div class="stock-symbol">${holding.symbol}</div></td>
+                                        <td style="font-size: var(--font-size-sm);">${describeSectors(holding)}</td>
+                                        <td style="font-size: var(--font-size-sm); color: var(--gray-600);">${this.escapeHtml(holding.industry || '')}</td>
+                                        <td>${sources[holding.classification_source] || ''}</td>
+                                        <td style="text-align: right;">
+                                            <button data-action="edit-classification" data-symbol="${holding.symbol}" class="btn btn-secondary btn-sm">Edit</button>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
     }
 
-    renderTradeRows(transactions) {
-        return transactions.map(trade => {
-            const total = trade.quantity * trade.price;
-            const tradeDate = new Date(trade.transaction_date).toLocaleDateString();
-            const isBuy = trade.transaction_type === 'buy';
+    getClassificationFormHTML(symbol) {
+        const holding = (this.currentPortfolioData?.holdings || []).find(h => h.symbol === symbol) || { symbol, sector_weights: [] };
+        const isOverride = holding.classification_source === 'override';
+        const weights = holding.sector_weights || [];
+        const weightsText = weights.length > 1 ? weights.map(w => `${w.sector}: ${(w.weight * 100).toFixed(2)}`).join('\n') : '';
 
-            return `
-                <tr style="border-bottom: 1px solid var(--gray-100);">
-                    <td style="padding: var(--space-3);">
-                        <div style="font-size: var(--font-size-sm);">${tradeDate}</div>
-                    </td>
-                    <td style="padding: var(--space-3);">
-                        <button data-action="show-stock-detail" data-symbol="${trade.stock_symbol}" class="btn-link" style="font-weight: 600; color: var(--primary-blue);">
-                            ${trade.stock_symbol}
-                        </button>
-                    </td>
-                    <td style="padding: var(--space-3);">
-                        <span class="badge ${isBuy ? 'badge-success' : 'badge-danger'}" style="text-transform: uppercase;">
-                            ${trade.transaction_type}
-                        </span>
-                    </td>
-                    <td style="padding: var(--space-3); text-align: right;">
-                        <div>${this.formatNumber(trade.quantity)}</div>
-                    </td>
-                    <td style="padding: var(--space-3); text-align: right;">
-                        <div>$${this.formatNumber(trade.price)}</div>
-                    </td>
-                    <td style="padding: var(--space-3); text-align: right;">
-                        <div style="font-weight: 600; color: ${isBuy ? 'var(--danger-red)' : 'var(--success-green)'};">
-                            ${isBuy ? '-' : '+'}$${this.formatNumber(total)}
+        return `
+            <div class="modal-content">
+                <div class="card card-lg" style="max-width: 500px; margin: 0 auto;">
+                    <div class="flex justify-between items-center mb-6">
+                        <h3 style="margin-bottom: 0;">Classify ${symbol}</h3>
+                        <button data-action="close-modal" class="btn btn-secondary" style="padding: 0.25rem 0.5rem;">×</button>
+                    </div>
+
+                    <form data-form="classification">
+                        <input type="hidden" name="symbol" value="${symbol}">
+
+                        <div class="form-group">
+                            <label class="form-label" for="classification_sector">Sector</label>
+                            <input type="text" id="classification_sector" name="sector" class="form-input" list="classification-sectors" value="${weights.length <= 1 && holding.classification_source !== 'unclassified' ? this.escapeHtml(holding.sector || '') : ''}">
+                            <datalist id="classification-sectors">
+                                ${(this.classificationSectors || []).map(sector => `<option value="${this.escapeHtml(sector)}">`).join('')}
+                            </datalist>
                         </div>
-                    </td>
-                    <td style="padding: var(--space-3); text-align: right;">
-                        <div style="color: var(--gray-600);">$${this.formatNumber(trade.fees || 0)}</div>
-                    </td>
-                    <td style="padding: var(--space-3); text-align: center;">
-                        <div class="flex gap-2 justify-center">
-                            <button data-action="show-edit-trade" data-trade-id="${trade.id}" class="btn btn-secondary btn-sm" title="Edit Trade">✏️</button>
-                            <button data-action="confirm-delete-trade" data-trade-id="${trade.id}" class="btn btn-danger btn-sm" title="Delete Trade">🗑️</button>
+
+                        <div class="form-group">
+                            <label class="form-label" for="classification_industry">Industry (optional)</label>
+                            <input type="text" id="classification_industry" name="industry" class="form-input" value="${this.escapeHtml(holding.industry && holding.industry !== 'Unknown' ? holding.industry : '')}">
                         </div>
-                    </td>
-                </tr>
-            `;
-        }).join('');
+
+                        <div class="form-group">
+                            <label class="form-label" for="classification_weights">Sector weights (funds)</label>
+                            <textarea id="classification_weights" name="sector_weights" class="form-input" rows="5" placeholder="Technology: 30&#10;Healthcare: 15">${this.escapeHtml(weightsText)}</textarea>
+                            <p class="text-muted" style="font-size: var(--font-size-sm); margin-bottom: 0;">One "Sector: percent" per line. Used instead of the single sector; anything under 100% counts as Other.</p>
+                        </div>
+
+                        <div class="flex gap-4">
+                            <button type="submit" class="btn btn-primary btn-lg" style="flex: 1;">Save</button>
+                            ${isOverride ? `<button type="button" data-action="reset-classification" data-symbol="${symbol}" class="btn btn-secondary btn-lg">Reset to Profile</button>` : ''}
+                            <button type="button" data-action="show-classifications" class="btn btn-secondary btn-lg">Back</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
     }
 
     getStockDetailModalHTML(stockData) {
@@ -2889,12 +7386,12 @@ class PortfolioApp {
                             </div>
 
                             <div class="text-center p-4" style="background: var(--gray-50); border-radius: var(--radius-md);">
-                                <div style="font-weight: 600; margin-bottom: var(--space-1);">$${this.formatNumber(quote.fifty_two_week_high || 0)}</div>
+                                <div style="font-weight: 600; margin-bottom: var(--space-1);">${this.formatCurrency(quote.fifty_two_week_high || 0, { currency: stockData.currency })}</div>
                                 <div class="text-muted" style="font-size: var(--font-size-sm);">52W High</div>
                             </div>
 
                             <div class="text-center p-4" style="background: var(--gray-50); border-radius: var(--radius-md);">
-                                <div style="font-weight: 600; margin-bottom: var(--space-1);">$${this.formatNumber(quote.fifty_two_week_low || 0)}</div>
+                                <div style="font-weight: 600; margin-bottom: var(--space-1);">${this.formatCurrency(quote.fifty_two_week_low || 0, { currency: stockData.currency })}</div>
                                 <div class="text-muted" style="font-size: var(--font-size-sm);">52W Low</div>
                             </div>
                         </div>
@@ -2919,7 +7416,7 @@ class PortfolioApp {
                             </div>
                             <div class="text-center">
                                 <div style="font-weight: 600; margin-bottom: var(--space-1);">
-                                    ${stockData.annual_dividend ? '$' + this.formatNumber(stockData.annual_dividend) : 'N/A'}
+                                    ${stockData.annual_dividend ? this.formatCurrency(stockData.annual_dividend, { currency: stockData.currency }) : 'N/A'}
                                 </div>
                                 <div class="text-muted" style="font-size: var(--font-size-sm);">Annual Dividend</div>
                             </div>
@@ -2933,7 +7430,7 @@ class PortfolioApp {
                                         <div class="py-3" style="border-bottom: 1px solid var(--gray-100);">
                                             <div class="flex justify-between items-start mb-2">
                                                 <div style="font-weight: 600; color: var(--success-green); font-size: var(--font-size-lg);">
-                                                    $${this.formatNumber(dividend.amount)}
+                                                    ${this.formatCurrency(dividend.amount)}
                                                 </div>
                                                 <div style="font-size: var(--font-size-xs); color: var(--gray-500); text-transform: uppercase;">
                                                     ${dividend.dividend_type || 'Regular'}
@@ -2941,12 +7438,12 @@ class PortfolioApp {
                                             </div>
                                             <div class="grid grid-cols-2 gap-4" style="font-size: var(--font-size-sm);">
                                                 <div>
-                                                    <div style="font-weight: 500; color: var(--gray-700);">${new Date(dividend.ex_date).toLocaleDateString()}</div>
+                                                    <div style="font-weight: 500; color: var(--gray-700);">${this.formatDate(dividend.ex_date)}</div>
                                                     <div style="font-size: var(--font-size-xs); color: var(--gray-500);">Ex-Date</div>
                                                 </div>
                                                 ${dividend.payment_date ? `
                                                     <div>
-                                                        <div style="font-weight: 500; color: var(--gray-700);">${new Date(dividend.payment_date).toLocaleDateString()}</div>
+                                                        <div style="font-weight: 500; color: var(--gray-700);">${this.formatDate(dividend.payment_date)}</div>
                                                         <div style="font-size: var(--font-size-xs); color: var(--gray-500);">Payment Date</div>
                                                     </div>
                                                 ` : ''}
@@ -2971,6 +7468,70 @@ class PortfolioApp {
         `;
     }
 
+    /**
+     * Fill the returns table (and the portfolio Return card, when present) from a returns endpoint
+     */
+    async loadReturns(endpoint) {
+        const container = document.getElementById('returns-table');
+        if (!container) return;
+
+        try {
+            const returns = await this.apiCall(endpoint);
+            container.innerHTML = this.getReturnsTableHTML(returns.periods || []);
+
+            const card = document.getElementById('return-card-value');
+            const inception = (returns.periods || []).find(p => p.period === 'inception');
+            if (card) {
+                card.textContent = inception && inception.twr !== null ? this.formatPercent(inception.twr) : '—';
+                card.style.color = !inception || inception.twr === null ? 'var(--gray-400)'
+                    : inception.twr >= 0 ? 'var(--success-green)' : 'var(--danger-red)';
+            }
+        } catch (error) {
+            console.error('Failed to load returns:', error);
+            container.innerHTML = '<p class="text-muted">Returns are unavailable right now.</p>';
+        }
+    }
+
+    getReturnsTableHTML(periods) {
+        if (periods.length === 0) {
+            return '<p class="text-muted">Returns appear once you record trades or cash transactions.</p>';
+        }
+
+        const cell = value => value === null || value === undefined
+            ? '<span class="text-muted">—</span>'
+            : `<span style="font-weight: 600; color: ${value >= 0 ? 'var(--success-green)' : 'var(--danger-red)'};">${this.formatPercent(value)}</span>`;
+
+        return `
+            <div style="overflow-x: auto;">
+                <table class="holdings-table">
+                    <thead>
+                        <tr>
+                            <th style="text-align: left;">Return</th>
+                            ${periods.map(p => `<th style="text-align: right;">${p.label}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td title="Time-weighted: removes the effect of deposits and withdrawals">Time-Weighted (TWR)</td>
+                            ${periods.map(p => `<td style="text-align: right;">${p.available ? cell(p.twr) : cell(null)}</td>`).join('')}
+                        </tr>
+                        <tr>
+                            <td title="Money-weighted (XIRR): reflects when and how much money was added">Money-Weighted (XIRR)</td>
+                            ${periods.map(p => `<td style="text-align: right;">${p.available ? cell(p.mwr) : cell(null)}</td>`).join('')}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+            <p class="text-muted" style="font-size: var(--font-size-xs); margin: var(--space-2) 0 0;">
+                Periods longer than a year are annualized. ${periods.some(p => !p.available) ? 'A dash means there is not enough history for the period.' : ''}
+            </p>
+        `;
+    }
+
+    formatPercent(value) {
+        return `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
+    }
+
     async loadDividendSummary(portfolioId) {
         try {
             const [pendingResponse, analyticsResponse] = await Promise.all([
@@ -3001,13 +7562,13 @@ class PortfolioApp {
                 </div>
                 <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Pending Payments</div>
                 <div style="font-size: var(--font-size-xs); color: var(--gray-500); margin-top: var(--space-1);">
-                    $${pendingTotal.toFixed(2)} total
+                    ${this.formatCurrency(pendingTotal)} total
                 </div>
             </div>
 
             <div class="card text-center">
                 <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--success-green); margin-bottom: var(--space-2);">
-                    $${(analytics.annual_dividend_income || 0).toFixed(0)}
+                    ${this.formatCurrency(analytics.annual_dividend_income || 0, { decimals: 0 })}
                 </div>
                 <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Annual Income</div>
                 <div style="font-size: var(--font-size-xs); color: var(--gray-500); margin-top: var(--space-1);">
@@ -3027,6 +7588,67 @@ class PortfolioApp {
         `;
     }
 
+    renderDividendForecast() {
+        const container = document.getElementById('dividend-forecast-breakdown');
+        const holdings = this.currentPortfolioData?.holdings;
+        if (!container || !holdings) return;
+
+        const forecast = window.dividendForecaster.forecast(holdings, { drip: this.forecastDrip });
+
+        document.getElementById('dividend-forecast-total').innerHTML = forecast.holdings.length === 0
+            ? 'No holdings with a regular dividend'
+            : `<strong style="color: var(--success-green);">${this.formatCurrency(forecast.total)}</strong>
+               from ${forecast.payments.length} projected payments${forecast.drip ? ', reinvesting each at the current price' : ''}`;
+
+        if (forecast.holdings.length === 0) {
+            window.portfolioCharts.destroyChart('dividendForecastChart');
+            container.innerHTML = '';
+            return;
+        }
+
+        window.portfolioCharts.createDividendForecastChart('dividendForecastChart', forecast);
+
+        container.innerHTML = `
+            <table class="holdings-table">
+                <thead>
+                    <tr>
+                        <th>Symbol</th>
+                        <th>Frequency</th>
+                        <th class="text-right">Latest / Share</th>
+                        <th class="text-right">Payments</th>
+                        <th>Next Payment</th>
+                        ${forecast.drip ? '<th class="text-right">Shares After DRIP</th>' : ''}
+                        <th class="text-right">Projected Income</th>
+                        <th class="text-right">Share</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${forecast.holdings.map(holding => `
+                        <tr>
+                            <td><strong>${this.escapeHtml(holding.symbol)}</strong></td>
+                            <td>${holding.frequency}</td>
+                            <td class="text-right">${this.formatCurrency(holding.amount_per_share, { currency: holding.currency, decimals: 4 })}</td>
+                            <td class="text-right">${holding.payments}</td>
+                            <td>${holding.next_payment_date ? this.formatDate(holding.next_payment_date) : '—'}</td>
+                            ${forecast.drip ? `<td class="text-right">${holding.shares_at_end.toFixed(4)}</td>` : ''}
+                            <td class="text-right">${this.formatCurrency(holding.income)}</td>
+                            <td class="text-right">${forecast.total > 0 ? (holding.income / forecast.total * 100).toFixed(1) : '0.0'}%</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="text-muted" style="font-size: var(--font-size-xs); margin-top: var(--space-2); margin-bottom: 0;">
+                Announced dividends use their declared amount; later payments repeat the latest amount on each stock's usual schedule.
+            </p>
+        `;
+    }
+
+    toggleForecastDrip() {
+        this.forecastDrip = !this.forecastDrip;
+        document.querySelector('[data-action="toggle-forecast-drip"]')?.classList.toggle('active', this.forecastDrip);
+        this.renderDividendForecast();
+    }
+
     renderDividendSummaryError(portfolioId) {
         const container = document.getElementById(`dividend-summary-${portfolioId}`);
         if (!container) return;
@@ -3043,8 +7665,9 @@ class PortfolioApp {
         `;
     }
 
-    async showDividendPayments(portfolioId) {
+    async showDividendPayments(portfolioId, tab = null) {
         try {
+            this.router.sync(`/portfolios/${portfolioId}/dividends`);
             this.showLoading('Loading dividend payments...');
 
             // Load dividend data
@@ -3056,6 +7679,11 @@ class PortfolioApp {
 
             const portfolio = await this.apiCall(`/portfolios/${portfolioId}`);
 
+            this.currentPortfolioData = portfolio;
+            this.currentPortfolioId = portfolioId;
+            this.setDisplayCurrency(portfolio.portfolio.currency);
+            this.dividendPaymentHistory = historyResponse.payments || [];
+
             // Show dividend payments interface
             document.getElementById('app').innerHTML = this.getDividendPaymentsPageHTML(
                 portfolio.portfolio,
@@ -3067,6 +7695,19 @@ class PortfolioApp {
             // Initialize dividend functionality
             this.initializeDividendPayments(portfolioId, pendingResponse.pending_payments || []);
 
+            // The calendar keeps its month and view between pages
+            this.dividendCalendarEvents = null;
+            this.dividendGrowth = null;
+            this.dividendGrowthSort = this.dividendGrowthSort || { key: 'yield_on_cost', direction: 'desc' };
+            this.dividendCalendar = {
+                portfolioId,
+                view: this.dividendCalendar?.view || 'month',
+                date: this.dividendCalendar?.date || this.toDateKey(new Date())
+            };
+
+            // Restore the tab from the URL (e.g. #/portfolios/12/dividends?tab=history)
+            this.switchDividendTab(tab || 'pending');
+
         } catch (error) {
             this.showError('Failed to load dividend payments');
             console.error('Dividend payments error:', error);
@@ -3080,7 +7721,7 @@ class PortfolioApp {
         return `
             <div class="dividend-payments-page">
                 <!-- Header -->
-                <header style="background: white; border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
+                <header style="background: var(--surface); border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
                     <div class="container">
                         <div class="flex justify-between items-center">
                             <div class="flex items-center gap-4">
@@ -3110,13 +7751,13 @@ class PortfolioApp {
                                 </div>
                                 <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Pending Payments</div>
                                 <div style="font-size: var(--font-size-xs); color: var(--gray-500); margin-top: var(--space-1);">
-                                    $${pendingTotal.toFixed(2)} total
+                                    ${this.formatCurrency(pendingTotal)} total
                                 </div>
                             </div>
 
                             <div class="card text-center">
                                 <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--success-green); margin-bottom: var(--space-2);">
-                                    $${(analytics.annual_dividend_income || 0).toFixed(0)}
+                                    ${this.formatCurrency(analytics.annual_dividend_income || 0, { decimals: 0 })}
                                 </div>
                                 <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Annual Income</div>
                                 <div style="font-size: var(--font-size-xs); color: var(--gray-500); margin-top: var(--space-1);">
@@ -3136,7 +7777,7 @@ class PortfolioApp {
 
                             <div class="card text-center">
                                 <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--gray-700); margin-bottom: var(--space-2);">
-                                    $${historyTotal.toFixed(0)}
+                                    ${this.formatCurrency(historyTotal, { decimals: 0 })}
                                 </div>
                                 <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Total Received</div>
                                 <div style="font-size: var(--font-size-xs); color: var(--gray-500); margin-top: var(--space-1);">
@@ -3155,6 +7796,12 @@ class PortfolioApp {
                                     <button class="tab" data-action="switch-dividend-tab" data-tab="history">
                                         Payment History ${paymentHistory.length > 0 ? `(${paymentHistory.length})` : ''}
                                     </button>
+                                    <button class="tab" data-action="switch-dividend-tab" data-tab="calendar">
+                                        Calendar
+                                    </button>
+                                    <button class="tab" data-action="switch-dividend-tab" data-tab="growth">
+                                        Dividend Growth
+                                    </button>
                                     <button class="tab" data-action="switch-dividend-tab" data-tab="analytics">
                                         Analytics & Insights
                                     </button>
@@ -3173,6 +7820,18 @@ class PortfolioApp {
                                     ${this.getDividendHistoryTabHTML(paymentHistory)}
                                 </div>
 
+                                <!-- Calendar Tab -->
+                                <div id="calendar-tab" class="tab-content" style="padding: var(--space-6);">
+                                    ${this.getDividendCalendarHTML()}
+                                </div>
+
+                                <!-- Dividend Growth Tab -->
+                                <div id="growth-tab" class="tab-content" style="padding: var(--space-6);">
+                                    <div id="dividend-growth">
+                                        <div class="text-center text-muted py-8">Loading dividend growth...</div>
+                                    </div>
+                                </div>
+
                                 <!-- Analytics Tab -->
                                 <div id="analytics-tab" class="tab-content">
                                     ${this.getDividendAnalyticsTabHTML(analytics, portfolio.id)}
@@ -3206,7 +7865,7 @@ class PortfolioApp {
                 <div>
                     <h4 style="margin-bottom: 0;">Pending Dividend Payments</h4>
                     <p class="text-muted" style="margin-bottom: 0;">
-                        ${pendingPayments.length} payments totaling $${totalAmount.toFixed(2)}
+                        ${pendingPayments.length} payments totaling ${this.formatCurrency(totalAmount)}
                     </p>
                 </div>
                 ${pendingPayments.length > 1 ? `
@@ -3229,11 +7888,11 @@ class PortfolioApp {
                                 <div class="grid grid-cols-3 gap-4 mb-3">
                                     <div>
                                         <div style="font-size: var(--font-size-sm); color: var(--gray-500);">Ex-Date</div>
-                                        <div>${new Date(payment.ex_date).toLocaleDateString()}</div>
+                                        <div>${this.formatDate(payment.ex_date)}</div>
                                     </div>
                                     <div>
                                         <div style="font-size: var(--font-size-sm); color: var(--gray-500);">Payment Date</div>
-                                        <div>${payment.payment_date ? new Date(payment.payment_date).toLocaleDateString() : 'TBD'}</div>
+                                        <div>${payment.payment_date ? this.formatDate(payment.payment_date) : 'TBD'}</div>
                                     </div>
                                     <div>
                                         <div style="font-size: var(--font-size-sm); color: var(--gray-500);">Shares Owned</div>
@@ -3244,10 +7903,10 @@ class PortfolioApp {
 
                             <div class="text-right ml-6">
                                 <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--success-green); margin-bottom: var(--space-1);">
-                                    $${payment.total_dividend_amount.toFixed(2)}
+                                    ${this.formatCurrency(payment.total_dividend_amount)}
                                 </div>
                                 <div style="font-size: var(--font-size-sm); color: var(--gray-500); margin-bottom: var(--space-3);">
-                                    $${parseFloat(payment.dividend_per_share || 0).toFixed(4)} per share
+                                    ${this.formatCurrency(parseFloat(payment.dividend_per_share || 0), { decimals: 4 })} per share
                                 </div>
                                 <button class="btn btn-primary" onclick="portfolioApp.showRecordDividendModal(${JSON.stringify(payment).replace(/"/g, '&quot;')})">
                                     Record Payment
@@ -3272,13 +7931,26 @@ class PortfolioApp {
         }
 
         const totalAmount = paymentHistory.reduce((sum, payment) => sum + parseFloat(payment.total_amount), 0);
+        const totalWithholding = paymentHistory.reduce((sum, payment) => sum + parseFloat(payment.withholding_tax || 0), 0);
+        const years = [...new Set(paymentHistory.map(payment => payment.payment_date.slice(0, 4)))].sort().reverse();
+        const classificationLabels = this.getTaxClassificationLabels();
 
         return `
-            <div class="mb-6">
-                <h4 style="margin-bottom: 0;">Payment History</h4>
-                <p class="text-muted" style="margin-bottom: 0;">
-                    ${paymentHistory.length} payments totaling $${totalAmount.toFixed(2)}
-                </p>
+            <div class="flex justify-between items-center mb-6">
+                <div>
+                    <h4 style="margin-bottom: 0;">Payment History</h4>
+                    <p class="text-muted" style="margin-bottom: 0;">
+                        ${paymentHistory.length} payments totaling ${this.formatCurrency(totalAmount)}
+                        ${totalWithholding > 0 ? ` · ${this.formatCurrency(totalWithholding)} withheld · ${this.formatCurrency(totalAmount - totalWithholding)} net` : ''}
+                    </p>
+                </div>
+                <div class="flex gap-2 items-center">
+                    <select id="dividend-tax-year" class="form-input" style="width: auto;">
+                        ${years.map(year => `<option value="${year}">${year}</option>`).join('')}
+                    </select>
+                    <button data-action="export-dividend-tax-summary" class="btn btn-secondary btn-sm">🧾 Tax Summary</button>
+                    <button data-action="show-export" data-dataset="dividends" class="btn btn-secondary btn-sm">⬇️ Export</button>
+                </div>
             </div>
 
             <div class="grid gap-4">
@@ -3292,12 +7964,15 @@ class PortfolioApp {
                                     <span class="badge ${payment.payment_type === 'drip' ? 'badge-primary' : 'badge-success'}" style="text-transform: uppercase;">
                                         ${payment.payment_type}
                                     </span>
+                                    <span class="badge ${payment.tax_classification === 'qualified' ? 'badge-success' : 'badge-warning'}">
+                                        ${classificationLabels[payment.tax_classification] || classificationLabels.qualified}
+                                    </span>
                                 </div>
 
                                 <div class="grid grid-cols-4 gap-4 mb-3">
                                     <div>
                                         <div style="font-size: var(--font-size-sm); color: var(--gray-500);">Payment Date</div>
-                                        <div>${new Date(payment.payment_date).toLocaleDateString()}</div>
+                                        <div>${this.formatDate(payment.payment_date)}</div>
                                     </div>
                                     <div>
                                         <div style="font-size: var(--font-size-sm); color: var(--gray-500);">Shares Owned</div>
@@ -3305,12 +7980,12 @@ class PortfolioApp {
                                     </div>
                                     <div>
                                         <div style="font-size: var(--font-size-sm); color: var(--gray-500);">Per Share</div>
-                                        <div>$${parseFloat(payment.dividend_per_share).toFixed(4)}</div>
+                                        <div>${this.formatCurrency(parseFloat(payment.dividend_per_share), { decimals: 4 })}</div>
                                     </div>
                                     ${payment.payment_type === 'drip' ? `
                                         <div>
                                             <div style="font-size: var(--font-size-sm); color: var(--gray-500);">DRIP Shares</div>
-                                            <div>${payment.drip_shares_purchased} @ $${parseFloat(payment.drip_price_per_share).toFixed(2)}</div>
+                                            <div>${payment.drip_shares_purchased} @ ${this.formatCurrency(parseFloat(payment.drip_price_per_share))}</div>
                                         </div>
                                     ` : '<div></div>'}
                                 </div>
@@ -3324,10 +7999,15 @@ class PortfolioApp {
 
                             <div class="text-right ml-6">
                                 <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--success-green); margin-bottom: var(--space-1);">
-                                    $${parseFloat(payment.total_amount).toFixed(2)}
+                                    ${this.formatCurrency(parseFloat(payment.total_amount))}
                                 </div>
+                                ${parseFloat(payment.withholding_tax || 0) > 0 ? `
+                                    <div style="font-size: var(--font-size-sm); color: var(--gray-600); margin-bottom: var(--space-1);">
+                                        ${this.formatCurrency(parseFloat(payment.net_amount))} net of ${this.formatCurrency(parseFloat(payment.withholding_tax))} withheld${payment.country ? ` (${payment.country})` : ''}
+                                    </div>
+                                ` : ''}
                                 <div style="font-size: var(--font-size-xs); color: var(--gray-500); margin-bottom: var(--space-2);">
-                                    ${new Date(payment.created_at).toLocaleDateString()}
+                                    ${this.formatDate(payment.created_at)}
                                 </div>
                                 <div class="flex gap-2 justify-end">
                                     ${payment.id && payment.id > 0 ? `
@@ -3389,14 +8069,14 @@ class PortfolioApp {
             <div class="grid grid-cols-4 gap-4 mb-6">
                 <div class="card text-center">
                     <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--success-green); margin-bottom: var(--space-2);">
-                        $${analytics.total_dividends_received.toFixed(2)}
+                        ${this.formatCurrency(analytics.total_dividends_received)}
                     </div>
                     <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Total Dividends</div>
                 </div>
 
                 <div class="card text-center">
                     <div style="font-size: var(--font-size-2xl); font-weight: 600; color: var(--primary-blue); margin-bottom: var(--space-2);">
-                        $${analytics.annual_dividend_income.toFixed(2)}
+                        ${this.formatCurrency(analytics.annual_dividend_income)}
                     </div>
                     <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Annual Income</div>
                 </div>
@@ -3416,6 +8096,33 @@ class PortfolioApp {
                 </div>
             </div>
 
+            <!-- Tax Classification -->
+            <div class="card mb-6">
+                <h4 class="mb-4">Tax Breakdown</h4>
+                <div class="grid grid-cols-5 gap-4">
+                    <div>
+                        <div style="font-size: var(--font-size-sm); color: var(--gray-500);">Qualified</div>
+                        <div style="font-weight: 600;">${this.formatCurrency(analytics.tax.qualified)}</div>
+                    </div>
+                    <div>
+                        <div style="font-size: var(--font-size-sm); color: var(--gray-500);">Ordinary</div>
+                        <div style="font-weight: 600;">${this.formatCurrency(analytics.tax.ordinary)}</div>
+                    </div>
+                    <div>
+                        <div style="font-size: var(--font-size-sm); color: var(--gray-500);">Return of Capital</div>
+                        <div style="font-weight: 600;">${this.formatCurrency(analytics.tax.return_of_capital)}</div>
+                    </div>
+                    <div>
+                        <div style="font-size: var(--font-size-sm); color: var(--gray-500);">Tax Withheld</div>
+                        <div style="font-weight: 600; color: var(--error-red);">${this.formatCurrency(analytics.tax.withholding_tax)}</div>
+                    </div>
+                    <div>
+                        <div style="font-size: var(--font-size-sm); color: var(--gray-500);">Net Received</div>
+                        <div style="font-weight: 600; color: var(--success-green);">${this.formatCurrency(analytics.tax.net)}</div>
+                    </div>
+                </div>
+            </div>
+
             <!-- DRIP vs Cash & Top Stocks -->
             <div class="grid grid-cols-2 gap-6 mb-6">
                 <div class="card">
@@ -3423,11 +8130,11 @@ class PortfolioApp {
                     <div class="space-y-3">
                         <div class="flex justify-between items-center">
                             <span>DRIP Reinvestment</span>
-                            <span style="font-weight: 600;">$${analytics.drip_vs_cash.drip.toFixed(2)} (${analytics.drip_vs_cash.drip_percentage}%)</span>
+                            <span style="font-weight: 600;">${this.formatCurrency(analytics.drip_vs_cash.drip)} (${analytics.drip_vs_cash.drip_percentage}%)</span>
                         </div>
                         <div class="flex justify-between items-center">
                             <span>Cash Payments</span>
-                            <span style="font-weight: 600;">$${analytics.drip_vs_cash.cash.toFixed(2)} (${(100 - analytics.drip_vs_cash.drip_percentage).toFixed(1)}%)</span>
+                            <span style="font-weight: 600;">${this.formatCurrency(analytics.drip_vs_cash.cash)} (${(100 - analytics.drip_vs_cash.drip_percentage).toFixed(1)}%)</span>
                         </div>
                     </div>
                 </div>
@@ -3441,7 +8148,7 @@ class PortfolioApp {
                                     <span style="font-weight: 600;">${stock.symbol}</span>
                                     <span class="text-muted" style="font-size: var(--font-size-sm);">${stock.payment_count} payments</span>
                                 </div>
-                                <span style="font-weight: 600;">$${stock.total_dividends.toFixed(2)}</span>
+                                <span style="font-weight: 600;">${this.formatCurrency(stock.total_dividends)}</span>
                             </div>
                         `).join('')}
                     </div>
@@ -3458,7 +8165,7 @@ class PortfolioApp {
                                 ${month.month}
                             </div>
                             <div style="font-weight: 600; color: ${month.amount > 0 ? 'var(--success-green)' : 'var(--gray-400)'};">
-                                $${month.amount.toFixed(0)}
+                                ${this.formatCurrency(month.amount, { decimals: 0 })}
                             </div>
                         </div>
                     `).join('')}
@@ -3508,6 +8215,24 @@ class PortfolioApp {
                             </div>
                         </div>
 
+                        <div class="grid grid-cols-3 gap-4">
+                            <div class="form-group">
+                                <label class="form-label">Withholding Tax</label>
+                                <input type="number" id="modal-withholding-tax" class="form-input" step="0.01" min="0">
+                                <div id="modal-withholding-hint" class="text-muted" style="font-size: var(--font-size-xs); margin-top: var(--space-1);"></div>
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Net Amount</label>
+                                <input type="number" id="modal-net-amount" class="form-input" step="0.01" readonly>
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label">Tax Classification</label>
+                                <select id="modal-tax-classification" class="form-input">
+                                    ${Object.entries(this.getTaxClassificationLabels()).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                                </select>
+                            </div>
+                        </div>
+
                         <div class="form-group">
                             <label class="form-label">Payment Type</label>
                             <div class="payment-type-selector">
@@ -3550,6 +8275,408 @@ class PortfolioApp {
         `;
     }
 
+    getDividendCalendarHTML() {
+        const view = this.dividendCalendar?.view || 'month';
+
+        return `
+            <div class="flex justify-between items-center mb-4">
+                <div class="flex items-center gap-2">
+                    <button data-action="dividend-calendar-nav" data-step="-1" class="btn btn-secondary btn-sm">‹</button>
+                    <button data-action="dividend-calendar-nav" data-step="0" class="btn btn-secondary btn-sm">Today</button>
+                    <button data-action="dividend-calendar-nav" data-step="1" class="btn btn-secondary btn-sm">›</button>
+                    <h4 id="dividend-calendar-title" style="margin: 0 0 0 var(--space-2);"></h4>
+                </div>
+                <div class="chart-period-selector">
+                    <button data-action="dividend-calendar-view" data-view="month" class="btn btn-secondary btn-sm ${view === 'month' ? 'active' : ''}">Month</button>
+                    <button data-action="dividend-calendar-view" data-view="week" class="btn btn-secondary btn-sm ${view === 'week' ? 'active' : ''}">Week</button>
+                </div>
+            </div>
+            <div id="dividend-calendar-summary" class="text-muted mb-4" style="font-size: var(--font-size-sm);"></div>
+            <div id="dividend-calendar">
+                <div class="text-center text-muted py-8">Loading calendar...</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Days shown by the current calendar view: the weeks covering the month, or a single week
+     */
+    getDividendCalendarRange() {
+        const { view, date } = this.dividendCalendar;
+        const anchor = new Date(date + 'T00:00:00');
+
+        let periodStart, periodEnd;
+        if (view === 'week') {
+            periodStart = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() - anchor.getDay());
+            periodEnd = new Date(periodStart.getFullYear(), periodStart.getMonth(), periodStart.getDate() + 6);
+        } else {
+            periodStart = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+            periodEnd = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+        }
+
+        const gridStart = new Date(periodStart.getFullYear(), periodStart.getMonth(), periodStart.getDate() - periodStart.getDay());
+        const gridEnd = new Date(periodEnd.getFullYear(), periodEnd.getMonth(), periodEnd.getDate() + (6 - periodEnd.getDay()));
+
+        return { periodStart, periodEnd, gridStart, gridEnd };
+    }
+
+    toDateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    async loadDividendCalendar() {
+        const container = document.getElementById('dividend-calendar');
+        if (!container || !this.dividendCalendar) return;
+
+        const { portfolioId, view } = this.dividendCalendar;
+        const { periodStart, periodEnd, gridStart, gridEnd } = this.getDividendCalendarRange();
+
+        document.getElementById('dividend-calendar-title').textContent = view === 'week'
+            ? `${this.formatDate(periodStart)} – ${this.formatDate(periodEnd)}`
+            : periodStart.toLocaleDateString(this.getLocale(), { month: 'long', year: 'numeric' });
+
+        try {
+            const query = `from=${this.toDateKey(gridStart)}&to=${this.toDateKey(gridEnd)}`;
+            const response = await this.apiCall(portfolioId
+                ? `/portfolios/${portfolioId}/dividend-calendar?${query}`
+                : `/portfolios/dividend-calendar?${query}`);
+
+            this.dividendCalendarEvents = response.events || [];
+
+            const days = [];
+            for (let day = new Date(gridStart); day <= gridEnd; day.setDate(day.getDate() + 1)) {
+                days.push(new Date(day));
+            }
+
+            container.innerHTML = view === 'week'
+                ? this.getDividendCalendarWeekHTML(days)
+                : this.getDividendCalendarMonthHTML(days, periodStart.getMonth());
+
+            document.getElementById('dividend-calendar-summary').innerHTML =
+                this.getDividendCalendarSummaryHTML(this.toDateKey(periodStart), this.toDateKey(periodEnd));
+
+        } catch (error) {
+            container.innerHTML = `<div class="text-center text-muted py-8">Failed to load dividend calendar: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    /**
+     * Ex-dates and payment dates falling on a day, with each event's index in dividendCalendarEvents
+     */
+    getDividendCalendarItems(dateKey) {
+        const items = [];
+        this.dividendCalendarEvents.forEach((event, index) => {
+            if (event.ex_date === dateKey) items.push({ event, index, kind: 'ex' });
+            if (event.payment_date === dateKey) items.push({ event, index, kind: 'pay' });
+        });
+        return items;
+    }
+
+    getDividendCalendarSummaryHTML(from, to) {
+        // Count each dividend once, in the period it pays (or goes ex when the pay date is unknown)
+        const inPeriod = this.dividendCalendarEvents.filter(event => {
+            const date = event.payment_date || event.ex_date;
+            return date >= from && date <= to;
+        });
+        const total = status => inPeriod
+            .filter(event => event.status === status)
+            .reduce((sum, event) => sum + (status === 'recorded' ? event.received_amount : event.expected_amount), 0);
+
+        if (inPeriod.length === 0) {
+            return 'No dividends paying in this period';
+        }
+
+        return `
+            ${inPeriod.length} dividend${inPeriod.length === 1 ? '' : 's'} paying in this period:
+            <strong style="color: var(--success-green);">${this.formatCurrency(total('recorded'))}</strong> received,
+            <strong style="color: var(--warning-orange);">${this.formatCurrency(total('pending'))}</strong> pending,
+            <strong style="color: var(--primary-blue);">${this.formatCurrency(total('upcoming'))}</strong> expected
+        `;
+    }
+
+    getDividendCalendarMonthHTML(days, month) {
+        const today = this.toDateKey(new Date());
+        const weekdays = days.slice(0, 7).map(day => day.toLocaleDateString(this.getLocale(), { weekday: 'short' }));
+
+        return `
+            <div class="dividend-calendar-grid">
+                ${weekdays.map(name => `<div class="dividend-calendar-weekday">${name}</div>`).join('')}
+                ${days.map(day => {
+                    const key = this.toDateKey(day);
+                    return `
+                        <div class="dividend-calendar-day ${day.getMonth() !== month ? 'outside' : ''} ${key === today ? 'today' : ''}">
+                            <div class="dividend-calendar-date">${day.getDate()}</div>
+                            ${this.getDividendCalendarItems(key).map(item => this.getDividendCalendarItemHTML(item)).join('')}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    getDividendCalendarItemHTML({ event, index, kind }) {
+        const amount = event.status === 'recorded' ? event.received_amount : event.expected_amount;
+        const title = `${event.stock_symbol}${this.dividendCalendar.portfolioId ? '' : ` (${event.portfolio_name})`}: ` +
+            `${kind === 'ex' ? 'ex-dividend' : 'payment'} – ${event.shares_owned} shares × ${this.formatCurrency(event.dividend_per_share, { decimals: 4 })}` +
+            (event.status === 'pending' ? ' – click to record' : '');
+
+        return `
+            <div class="dividend-calendar-event ${event.status}" title="${this.escapeHtml(title)}"
+                 ${event.status === 'pending' ? `data-action="record-calendar-dividend" data-index="${index}"` : ''}>
+                <strong>${this.escapeHtml(event.stock_symbol)}</strong> ${kind === 'ex' ? 'Ex' : 'Pay'}
+                <span style="float: right;">${this.formatCurrency(amount)}</span>
+            </div>
+        `;
+    }
+
+    getDividendCalendarWeekHTML(days) {
+        const today = this.toDateKey(new Date());
+        const statusBadges = { recorded: 'badge-success', pending: 'badge-warning', upcoming: 'badge-primary' };
+
+        return days.map(day => {
+            const key = this.toDateKey(day);
+            const items = this.getDividendCalendarItems(key);
+
+            return `
+                <div class="dividend-calendar-week-day ${key === today ? 'today' : ''}">
+                    <div class="dividend-calendar-date">${day.toLocaleDateString(this.getLocale(), { weekday: 'long', month: 'short', day: 'numeric' })}</div>
+                    ${items.length === 0 ? '<div class="text-muted" style="font-size: var(--font-size-sm);">No dividend events</div>' : `
+                        <table class="holdings-table">
+                            <tbody>
+                                ${items.map(({ event, index, kind }) => `
+                                    <tr>
+                                        <td style="width: 25%;">
+                                            <strong>${this.escapeHtml(event.stock_symbol)}</strong>
+                                            <div class="text-muted" style="font-size: var(--font-size-xs);">
+                                                ${this.escapeHtml(this.dividendCalendar.portfolioId ? event.stock_name : event.portfolio_name)}
+                                            </div>
+                                        </td>
+                                        <td>${kind === 'ex' ? 'Ex-dividend' : 'Payment'}</td>
+                                        <td>${event.shares_owned} × ${this.formatCurrency(event.dividend_per_share, { decimals: 4 })}</td>
+                                        <td class="text-right">
+                                            ${this.formatCurrency(event.status === 'recorded' ? event.received_amount : event.expected_amount)}
+                                        </td>
+                                        <td class="text-right">
+                                            <span class="badge ${statusBadges[event.status]}">${event.status}</span>
+                                            ${event.status === 'pending' ? `
+                                                <button data-action="record-calendar-dividend" data-index="${index}" class="btn btn-primary btn-sm">Record</button>
+                                            ` : ''}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </div>
+            `;
+        }).join('');
+    }
+
+    setDividendCalendarView(view) {
+        this.dividendCalendar.view = view;
+        document.querySelectorAll('[data-action="dividend-calendar-view"]').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === view);
+        });
+        this.loadDividendCalendar();
+    }
+
+    moveDividendCalendar(step) {
+        const date = new Date(this.dividendCalendar.date + 'T00:00:00');
+
+        if (step === 0) {
+            this.dividendCalendar.date = this.toDateKey(new Date());
+        } else if (this.dividendCalendar.view === 'week') {
+            this.dividendCalendar.date = this.toDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + step * 7));
+        } else {
+            this.dividendCalendar.date = this.toDateKey(new Date(date.getFullYear(), date.getMonth() + step, 1));
+        }
+
+        this.loadDividendCalendar();
+    }
+
+    recordCalendarDividend(index) {
+        const event = this.dividendCalendarEvents[index];
+        if (!event) return;
+
+        // The combined calendar records into whichever portfolio holds the position
+        this.currentDividendPortfolio = event.portfolio_id;
+        this.showRecordDividendModal({
+            ...event,
+            total_dividend_amount: event.expected_amount
+        });
+    }
+
+    async showCombinedDividendCalendar() {
+        this.dividendCalendar = {
+            portfolioId: null,
+            view: this.dividendCalendar?.view || 'month',
+            date: this.dividendCalendar?.date || this.toDateKey(new Date())
+        };
+
+        document.getElementById('app').innerHTML = `
+            <div class="dividend-payments-page">
+                <header style="background: var(--surface); border-bottom: 1px solid var(--gray-200); padding: var(--space-4) 0;">
+                    <div class="container">
+                        <div class="flex justify-between items-center">
+                            <div class="flex items-center gap-4">
+                                <button data-action="show-dashboard" class="btn btn-secondary">← Back to Dashboard</button>
+                                <div>
+                                    <h2 style="margin-bottom: 0;">📅 Dividend Calendar</h2>
+                                    <p class="text-muted" style="margin-bottom: 0;">All portfolios</p>
+                                </div>
+                            </div>
+                            <div class="flex gap-4">
+                                <button data-action="logout" class="btn btn-secondary">Sign Out</button>
+                            </div>
+                        </div>
+                    </div>
+                </header>
+
+                <main class="py-8">
+                    <div class="container">
+                        <div class="card">
+                            ${this.getDividendCalendarHTML()}
+                        </div>
+                    </div>
+                </main>
+
+                ${this.getDividendRecordModalHTML()}
+            </div>
+        `;
+
+        this.initializeDividendRecordModal();
+        await this.loadDividendCalendar();
+    }
+
+    async loadDividendGrowth() {
+        const container = document.getElementById('dividend-growth');
+        if (!container) return;
+
+        try {
+            const response = await this.apiCall(`/portfolios/${this.currentDividendPortfolio}/dividend-growth`);
+            this.dividendGrowth = response;
+            this.renderDividendGrowth();
+        } catch (error) {
+            container.innerHTML = `<div class="text-center text-muted py-8">Failed to load dividend growth: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    sortDividendGrowth(key) {
+        const sort = this.dividendGrowthSort;
+        this.dividendGrowthSort = {
+            key,
+            // Text sorts A-Z first, figures largest first
+            direction: sort.key === key ? (sort.direction === 'asc' ? 'desc' : 'asc') : (key === 'symbol' ? 'asc' : 'desc')
+        };
+        this.renderDividendGrowth();
+    }
+
+    renderDividendGrowth() {
+        const container = document.getElementById('dividend-growth');
+        if (!container || !this.dividendGrowth) return;
+
+        const { holdings, cagr_years: cagrYears } = this.dividendGrowth;
+        const payers = holdings.filter(holding => holding.latest_amount !== null);
+
+        if (payers.length === 0) {
+            container.innerHTML = `
+                <div class="text-center py-12">
+                    <div style="font-size: 3rem; margin-bottom: var(--space-4); opacity: 0.3;">📈</div>
+                    <h3>No Dividend History</h3>
+                    <p class="text-muted">None of this portfolio's holdings have regular dividends on record.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const { key, direction } = this.dividendGrowthSort;
+        const value = holding => key.startsWith('cagr_') ? holding.cagr[key.slice(5)] : holding[key];
+        const sorted = [...payers].sort((a, b) => {
+            const left = value(a);
+            const right = value(b);
+            // Missing figures (not enough history) stay at the bottom either way
+            if (left === null || left === undefined) return 1;
+            if (right === null || right === undefined) return -1;
+            const order = typeof left === 'string' ? left.localeCompare(right) : left - right;
+            return direction === 'asc' ? order : -order;
+        });
+
+        const header = (sortKey, label, align = 'right') => `
+            <th style="text-align: ${align}; cursor: pointer;" data-action="sort-dividend-growth" data-sort="${sortKey}">
+                ${label}${key === sortKey ? (direction === 'asc' ? ' ▲' : ' ▼') : ''}
+            </th>
+        `;
+        const percent = (figure, colored = true) => figure === null || figure === undefined
+            ? '<span class="text-muted">—</span>'
+            : `<span style="${colored ? `color: ${figure < 0 ? 'var(--danger-red)' : 'var(--success-green)'};` : ''}">${colored && figure > 0 ? '+' : ''}${figure.toFixed(2)}%</span>`;
+
+        const cuts = payers.filter(holding => holding.recent_cut);
+        const income = payers.reduce((sum, holding) => sum + holding.annual_income, 0);
+        const cost = payers.reduce((sum, holding) => sum + holding.avg_cost_basis * holding.quantity, 0);
+
+        container.innerHTML = `
+            <div class="grid grid-cols-3 gap-4 mb-6">
+                <div class="metric-card">
+                    <div class="metric-value">${cost > 0 ? (income / cost * 100).toFixed(2) : '0.00'}%</div>
+                    <div class="metric-label">Yield on Cost</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-value">${payers.filter(holding => holding.consecutive_increases >= 5).length} of ${payers.length}</div>
+                    <div class="metric-label">Growing 5+ Years</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-value" style="color: ${cuts.length > 0 ? 'var(--danger-red)' : 'inherit'};">
+                        ${cuts.length > 0 ? cuts.map(holding => this.escapeHtml(holding.symbol)).join(', ') : 'None'}
+                    </div>
+                    <div class="metric-label">Recent Cuts</div>
+                </div>
+            </div>
+
+            <div style="overflow-x: auto;">
+                <table class="holdings-table">
+                    <thead>
+                        <tr>
+                            ${header('symbol', 'Symbol', 'left')}
+                            ${header('current_yield', 'Yield')}
+                            ${header('yield_on_cost', 'Yield on Cost')}
+                            ${header('annual_income', 'Annual Income')}
+                            ${cagrYears.map(years => header(`cagr_${years}`, `${years}Y CAGR`)).join('')}
+                            ${header('consecutive_increases', 'Years of Increases')}
+                            ${header('latest_change_percent', 'Last Change')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sorted.map(holding => `
+                            <tr style="${holding.recent_cut ? 'background: var(--danger-red-light);' : ''}">
+                                <td>
+                                    <div class="flex items-center gap-2">
+                                        <strong>${this.escapeHtml(holding.symbol)}</strong>
+                                        ${holding.recent_cut ? '<span class="badge badge-danger">Cut</span>' : ''}
+                                    </div>
+                                    <div class="text-muted" style="font-size: var(--font-size-xs);">
+                                        ${holding.cut_years.length > 0 ? `Cut in ${holding.cut_years.join(', ')}` : this.escapeHtml(holding.name)}
+                                    </div>
+                                </td>
+                                <td style="text-align: right;">${percent(holding.current_yield, false)}</td>
+                                <td style="text-align: right; font-weight: 600;">${percent(holding.yield_on_cost, false)}</td>
+                                <td style="text-align: right;">${this.formatCurrency(holding.annual_income)}</td>
+                                ${cagrYears.map(years => `<td style="text-align: right;">${percent(holding.cagr[years])}</td>`).join('')}
+                                <td style="text-align: right;">${holding.consecutive_increases}</td>
+                                <td style="text-align: right;" title="Latest payment of ${this.formatCurrency(holding.latest_amount, { decimals: 4 })} on ${this.formatDate(holding.latest_ex_date)}">
+                                    ${percent(holding.latest_change_percent)}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="text-muted" style="font-size: var(--font-size-xs); margin-top: var(--space-2); margin-bottom: 0;">
+                Growth compares calendar-year totals of regular dividends for completed years; a CAGR needs that many years of dividend history on record.
+                ${holdings.length > payers.length ? `${holdings.length - payers.length} holding(s) without dividends are not shown.` : ''}
+            </p>
+        `;
+    }
+
     switchDividendTab(tabName) {
         // Update tab buttons
         document.querySelectorAll('.tab').forEach(tab => {
@@ -3560,6 +8687,16 @@ class PortfolioApp {
         document.querySelectorAll('.tab-content').forEach(content => {
             content.classList.toggle('active', content.id === `${tabName}-tab`);
         });
+
+        this.router.updateQuery({ tab: tabName === 'pending' ? '' : tabName });
+
+        // The calendar and growth tabs load on first view
+        if (tabName === 'calendar' && !this.dividendCalendarEvents) {
+            this.loadDividendCalendar();
+        }
+        if (tabName === 'growth' && !this.dividendGrowth) {
+            this.loadDividendGrowth();
+        }
     }
 
     initializeDividendPayments(portfolioId, pendingPayments) {
@@ -3578,6 +8715,10 @@ class PortfolioApp {
             processAllBtn.addEventListener('click', () => this.processAllDividends());
         }
 
+        this.initializeDividendRecordModal();
+    }
+
+    initializeDividendRecordModal() {
         // Record dividend button
         const recordBtn = document.getElementById('record-dividend-btn');
         if (recordBtn) {
@@ -3596,14 +8737,24 @@ class PortfolioApp {
         const dividendInput = document.getElementById('modal-dividend-per-share');
         const dripPriceInput = document.getElementById('modal-drip-price');
 
+        const totalInput = document.getElementById('modal-total-amount');
+        const withholdingInput = document.getElementById('modal-withholding-tax');
+
         if (sharesInput) sharesInput.addEventListener('input', () => this.calculateDividendTotal());
         if (dividendInput) dividendInput.addEventListener('input', () => this.calculateDividendTotal());
+        if (totalInput) totalInput.addEventListener('input', () => this.applyWithholdingRate());
+        if (withholdingInput) withholdingInput.addEventListener('input', () => {
+            // An edited withholding becomes the rate applied if the total changes
+            const total = parseFloat(totalInput.value) || 0;
+            this.currentWithholdingRate = total > 0 ? (parseFloat(withholdingInput.value) || 0) / total * 100 : 0;
+            this.calculateDividendNet();
+        });
         if (dripPriceInput) dripPriceInput.addEventListener('input', () => this.calculateDripShares());
     }
 
     showRecordDividendModal(payment) {
         document.getElementById('modal-stock').value = `${payment.stock_symbol} - ${payment.stock_name}`;
-        document.getElementById('modal-ex-date').value = new Date(payment.ex_date).toLocaleDateString();
+        document.getElementById('modal-ex-date').value = this.formatDate(payment.ex_date);
         document.getElementById('modal-payment-date').value = payment.payment_date || '';
         document.getElementById('modal-shares-owned').value = payment.shares_owned;
         document.getElementById('modal-dividend-per-share').value = payment.dividend_per_share;
@@ -3621,6 +8772,14 @@ class PortfolioApp {
         this.selectDividendPaymentType('cash');
         document.getElementById('modal-notes').value = '';
 
+        // Withholding and classification default from the stock's country
+        this.currentWithholdingRate = payment.withholding_rate || 0;
+        document.getElementById('modal-tax-classification').value = payment.tax_classification || 'qualified';
+        document.getElementById('modal-withholding-hint').textContent = payment.country
+            ? `${this.currentWithholdingRate}% default for ${payment.country}`
+            : '';
+        this.applyWithholdingRate();
+
         document.getElementById('recordDividendModal').style.display = 'flex';
     }
 
@@ -3643,11 +8802,25 @@ class PortfolioApp {
         const dividendPerShare = parseFloat(document.getElementById('modal-dividend-per-share').value) || 0;
         const total = shares * dividendPerShare;
         document.getElementById('modal-total-amount').value = total.toFixed(2);
+        this.applyWithholdingRate();
+    }
+
+    applyWithholdingRate() {
+        const total = parseFloat(document.getElementById('modal-total-amount').value) || 0;
+        document.getElementById('modal-withholding-tax').value = (total * (this.currentWithholdingRate || 0) / 100).toFixed(2);
+        this.calculateDividendNet();
+    }
+
+    calculateDividendNet() {
+        const total = parseFloat(document.getElementById('modal-total-amount').value) || 0;
+        const withholding = parseFloat(document.getElementById('modal-withholding-tax').value) || 0;
+        document.getElementById('modal-net-amount').value = (total - withholding).toFixed(2);
         this.calculateDripShares();
     }
 
     calculateDripShares() {
-        const totalAmount = parseFloat(document.getElementById('modal-total-amount').value) || 0;
+        // DRIP reinvests what is left after withholding
+        const totalAmount = parseFloat(document.getElementById('modal-net-amount').value) || 0;
         const dripPrice = parseFloat(document.getElementById('modal-drip-price').value) || 0;
 
         if (totalAmount > 0 && dripPrice > 0) {
@@ -3664,6 +8837,8 @@ class PortfolioApp {
                 payment_date: document.getElementById('modal-payment-date').value,
                 shares_owned: parseFloat(document.getElementById('modal-shares-owned').value),
                 total_dividend_amount: parseFloat(document.getElementById('modal-total-amount').value),
+                withholding_tax: parseFloat(document.getElementById('modal-withholding-tax').value) || 0,
+                tax_classification: document.getElementById('modal-tax-classification').value,
                 payment_type: paymentType,
                 notes: document.getElementById('modal-notes').value
             };
@@ -3696,8 +8871,8 @@ class PortfolioApp {
             this.closeDividendModal();
             this.showSuccess(successMessage);
 
-            // Reload the dividend payments page
-            await this.showDividendPayments(this.currentDividendPortfolio);
+            // Reload the current page (the portfolio's dividend tabs or the combined calendar)
+            await this.router.resolve();
 
             // Clear any cached portfolio data so it refreshes when user goes back
             this.clearPortfolioCache(this.currentDividendPortfolio);
@@ -3760,11 +8935,18 @@ class PortfolioApp {
 
             // Populate edit modal with current values
             document.getElementById('modal-stock').value = `${payment.stock_symbol} - ${payment.stock_name}`;
-            document.getElementById('modal-ex-date').value = new Date(payment.ex_date).toLocaleDateString();
+            document.getElementById('modal-ex-date').value = this.formatDate(payment.ex_date);
             document.getElementById('modal-payment-date').value = payment.payment_date;
             document.getElementById('modal-shares-owned').value = payment.shares_owned;
             document.getElementById('modal-dividend-per-share').value = payment.dividend_per_share;
             document.getElementById('modal-total-amount').value = parseFloat(payment.total_amount).toFixed(2);
+            document.getElementById('modal-withholding-tax').value = parseFloat(payment.withholding_tax || 0).toFixed(2);
+            document.getElementById('modal-tax-classification').value = payment.tax_classification || 'qualified';
+            document.getElementById('modal-withholding-hint').textContent = '';
+            this.currentWithholdingRate = parseFloat(payment.total_amount) > 0
+                ? parseFloat(payment.withholding_tax || 0) / parseFloat(payment.total_amount) * 100
+                : 0;
+            this.calculateDividendNet();
             document.getElementById('modal-notes').value = payment.notes || '';
 
             // Set payment type
@@ -3916,7 +9098,7 @@ class PortfolioApp {
 
                 <div class="text-center">
                     <div style="font-size: 2rem; font-weight: 600; color: var(--success-green); margin-bottom: var(--space-1);">
-                        $${analysis.safe_dividend_income.toFixed(0)}
+                        ${this.formatCurrency(analysis.safe_dividend_income, { decimals: 0 })}
                     </div>
                     <div style="font-size: var(--font-size-sm); color: var(--gray-600);">
                         Safe Income
@@ -3963,6 +9145,7 @@ class PortfolioApp {
      */
     async showDividendSafety(portfolioId) {
         try {
+            this.router.sync(`/portfolios/${portfolioId}/dividend-safety`);
             this.showLoading('Analyzing dividend safety...');
 
             // Try to fetch dividend safety data from your actual portfolio
@@ -4000,7 +9183,7 @@ class PortfolioApp {
 
         return `
             <div class="min-h-screen" style="background: var(--gray-50);">
-                <header class="bg-white border-bottom">
+                <header style="background: var(--surface); border-bottom: 1px solid var(--gray-200);">
                     <div class="container">
                         <div class="flex justify-between items-center py-4">
                             <div class="flex items-center gap-4">
@@ -4035,19 +9218,19 @@ class PortfolioApp {
                                 <div class="grid grid-cols-3 gap-6">
                                     <div>
                                         <div style="font-size: var(--font-size-xl); font-weight: 600; color: var(--success-green);">
-                                            $${analysis.safe_dividend_income.toFixed(2)}
+                                            ${this.formatCurrency(analysis.safe_dividend_income)}
                                         </div>
                                         <div style="color: var(--gray-600);">Safe Dividend Income</div>
                                     </div>
                                     <div>
                                         <div style="font-size: var(--font-size-xl); font-weight: 600; color: var(--error-red);">
-                                            $${analysis.at_risk_dividend_income.toFixed(2)}
+                                            ${this.formatCurrency(analysis.at_risk_dividend_income)}
                                         </div>
                                         <div style="color: var(--gray-600);">At-Risk Income (${riskPercentage}%)</div>
                                     </div>
                                     <div>
                                         <div style="font-size: var(--font-size-xl); font-weight: 600; color: var(--primary-blue);">
-                                            $${analysis.total_dividend_income.toFixed(2)}
+                                            ${this.formatCurrency(analysis.total_dividend_income)}
                                         </div>
                                         <div style="color: var(--gray-600);">Total Annual Income</div>
                                     </div>
@@ -4137,7 +9320,7 @@ class PortfolioApp {
                                             </div>
                                         </div>
                                         <div class="text-right">
-                                            <div style="font-weight: 600; color: var(--gray-700);">$${holding.holding_value.toFixed(2)}</div>
+                                            <div style="font-weight: 600; color: var(--gray-700);">${this.formatCurrency(holding.holding_value)}</div>
                                             <div style="font-size: var(--font-size-sm); color: var(--gray-600);">Portfolio Value</div>
                                         </div>
                                     </div>
@@ -4223,7 +9406,7 @@ class PortfolioApp {
                         <div>
                             <h5 style="margin: 0; font-size: 1.25rem; font-weight: 700; color: var(--gray-900);">${symbol}</h5>
                             <div style="font-size: var(--font-size-sm); color: var(--gray-600); margin-top: 2px;">
-                                Portfolio Value: $${holding.holding_value.toFixed(2)} • Annual Dividend: $${holding.annual_dividend.toFixed(2)}
+                                Portfolio Value: ${this.formatCurrency(holding.holding_value)} • Annual Dividend: ${this.formatCurrency(holding.annual_dividend)}
                             </div>
                         </div>
                     </div>
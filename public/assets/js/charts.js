@@ -17,6 +17,91 @@ class PortfolioCharts {
             '#2563eb', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6',
             '#06b6d4', '#ec4899', '#6366f1', '#84cc16', '#f97316'
         ];
+
+        // Currency chart values are in; set by the app for the page being shown
+        this.currency = 'USD';
+        // Number and date formatting follow the user's preferences once the app sets them
+        this.locale = navigator.language || 'en-US';
+        this.dateFormatter = null;
+
+        // Redraws each chart from the data it was created with, so a theme change can repaint it
+        this.renderers = {};
+    }
+
+    setCurrency(currency) {
+        this.currency = currency || 'USD';
+    }
+
+    setLocale(locale) {
+        this.locale = locale || navigator.language || 'en-US';
+    }
+
+    setDateFormatter(formatter) {
+        this.dateFormatter = formatter;
+    }
+
+    formatDate(value) {
+        return this.dateFormatter ? this.dateFormatter(value) : new Date(value).toLocaleDateString(this.locale);
+    }
+
+    /**
+     * Format a chart value in the current currency and the browser's locale
+     */
+    formatCurrency(value, decimals = 2) {
+        const locale = this.locale;
+        const digits = { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+
+        try {
+            return new Intl.NumberFormat(locale, { style: 'currency', currency: this.currency, ...digits }).format(value);
+        } catch (error) {
+            return `${this.currency} ${new Intl.NumberFormat(locale, digits).format(value)}`;
+        }
+    }
+
+    /**
+     * Redraw the charts on the page after the app switches between the light and dark theme
+     */
+    setTheme() {
+        Object.entries(this.renderers).forEach(([canvasId, render]) => {
+            if (document.getElementById(canvasId)) {
+                render();
+            } else {
+                this.destroyChart(canvasId);
+            }
+        });
+    }
+
+    /**
+     * Chart colors for the current theme, read from the stylesheet's CSS variables
+     */
+    getThemeColors() {
+        const styles = getComputedStyle(document.documentElement);
+        const color = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+
+        return {
+            text: color('--gray-700', '#374151'),
+            mutedText: color('--gray-500', '#6b7280'),
+            tick: color('--gray-400', '#9ca3af'),
+            grid: color('--gray-100', '#f3f4f6'),
+            border: color('--gray-200', '#e5e7eb'),
+            placeholder: color('--gray-200', '#e5e7eb'),
+            placeholderBorder: color('--gray-300', '#d1d5db'),
+            tooltip: color('--chart-tooltip-bg', 'rgba(255, 255, 255, 0.95)')
+        };
+    }
+
+    /**
+     * Tooltip colors shared by every chart
+     */
+    getTooltipTheme() {
+        const colors = this.getThemeColors();
+
+        return {
+            backgroundColor: colors.tooltip,
+            titleColor: colors.text,
+            bodyColor: colors.mutedText,
+            borderColor: colors.border
+        };
     }
     
     /**
@@ -31,6 +116,7 @@ class PortfolioCharts {
             this.charts[canvasId].destroy();
         }
         
+        const colors = this.getThemeColors();
         const defaultOptions = {
             responsive: true,
             maintainAspectRatio: false,
@@ -41,6 +127,7 @@ class PortfolioCharts {
                     labels: {
                         usePointStyle: true,
                         padding: 20,
+                        color: colors.text,
                         font: {
                             size: 12,
                             family: 'Inter'
@@ -50,22 +137,15 @@ class PortfolioCharts {
                 tooltip: {
                     mode: 'index',
                     intersect: false,
-                    backgroundColor: 'rgba(255, 255, 255, 0.95)',
-                    titleColor: '#374151',
-                    bodyColor: '#6b7280',
-                    borderColor: '#e5e7eb',
+                    ...this.getTooltipTheme(),
                     borderWidth: 1,
                     cornerRadius: 8,
                     padding: 12,
                     displayColors: true,
                     callbacks: {
-                        label: function(context) {
+                        label: (context) => {
                             const label = context.dataset.label || '';
-                            const value = context.parsed.y;
-                            return `${label}: $${value.toLocaleString('en-US', {
-                                minimumFractionDigits: 2,
-                                maximumFractionDigits: 2
-                            })}`;
+                            return `${label}: ${this.formatCurrency(context.parsed.y)}`;
                         }
                     }
                 }
@@ -81,13 +161,13 @@ class PortfolioCharts {
                             size: 11,
                             family: 'Inter'
                         },
-                        color: '#9ca3af'
+                        color: colors.tick
                     }
                 },
                 y: {
                     display: true,
                     grid: {
-                        color: '#f3f4f6',
+                        color: colors.grid,
                         drawBorder: false
                     },
                     ticks: {
@@ -95,13 +175,8 @@ class PortfolioCharts {
                             size: 11,
                             family: 'Inter'
                         },
-                        color: '#9ca3af',
-                        callback: function(value) {
-                            return '$' + value.toLocaleString('en-US', {
-                                minimumFractionDigits: 0,
-                                maximumFractionDigits: 0
-                            });
-                        }
+                        color: colors.tick,
+                        callback: (value) => this.formatCurrency(value, 0)
                     }
                 }
             },
@@ -136,6 +211,7 @@ class PortfolioCharts {
         };
 
         this.charts[canvasId] = new Chart(ctx, config);
+        this.renderers[canvasId] = () => this.createPerformanceChart(canvasId, data, options);
 
         // Add event markers as overlays since Chart.js annotation plugin might not be available
         if (options.events && options.events.length > 0) {
@@ -157,6 +233,7 @@ class PortfolioCharts {
             this.charts[canvasId].destroy();
         }
         
+        const colors = this.getThemeColors();
         const defaultOptions = {
             responsive: true,
             maintainAspectRatio: false,
@@ -167,6 +244,7 @@ class PortfolioCharts {
                     labels: {
                         usePointStyle: true,
                         padding: 15,
+                        color: colors.text,
                         font: {
                             size: 12,
                             family: 'Inter'
@@ -210,29 +288,29 @@ class PortfolioCharts {
                     }
                 },
                 tooltip: {
-                    backgroundColor: 'rgba(255, 255, 255, 0.95)',
-                    titleColor: '#374151',
-                    bodyColor: '#6b7280',
-                    borderColor: '#e5e7eb',
+                    ...this.getTooltipTheme(),
                     borderWidth: 1,
                     cornerRadius: 8,
                     padding: 12,
                     callbacks: {
-                        label: function(context) {
+                        label: (context) => {
                             const label = context.label || '';
                             const value = context.parsed;
                             const total = context.dataset.data.reduce((a, b) => a + b, 0);
                             const percentage = ((value / total) * 100).toFixed(1);
-                            return `${label}: ${percentage}% ($${value.toLocaleString('en-US', {
-                                minimumFractionDigits: 2,
-                                maximumFractionDigits: 2
-                            })})`;
+                            return `${label}: ${percentage}% (${this.formatCurrency(value)})`;
                         }
                     }
                 }
             }
         };
         
+        // The empty-state slice takes the theme's neutral colors on every redraw
+        if (data.labels[0] === 'No Data') {
+            data.datasets[0].backgroundColor = [colors.placeholder];
+            data.datasets[0].borderColor = [colors.placeholderBorder];
+        }
+
         const config = {
             type: 'doughnut',
             data: data,
@@ -240,6 +318,7 @@ class PortfolioCharts {
         };
         
         this.charts[canvasId] = new Chart(ctx, config);
+        this.renderers[canvasId] = () => this.createSectorChart(canvasId, data, options);
         return this.charts[canvasId];
     }
     
@@ -255,6 +334,7 @@ class PortfolioCharts {
             this.charts[canvasId].destroy();
         }
         
+        const colors = this.getThemeColors();
         const defaultOptions = {
             responsive: true,
             maintainAspectRatio: false,
@@ -263,10 +343,7 @@ class PortfolioCharts {
                     display: false
                 },
                 tooltip: {
-                    backgroundColor: 'rgba(255, 255, 255, 0.95)',
-                    titleColor: '#374151',
-                    bodyColor: '#6b7280',
-                    borderColor: '#e5e7eb',
+                    ...this.getTooltipTheme(),
                     borderWidth: 1,
                     cornerRadius: 8,
                     padding: 12,
@@ -289,13 +366,13 @@ class PortfolioCharts {
                             size: 11,
                             family: 'Inter'
                         },
-                        color: '#9ca3af'
+                        color: colors.tick
                     }
                 },
                 y: {
                     display: true,
                     grid: {
-                        color: '#f3f4f6',
+                        color: colors.grid,
                         drawBorder: false
                     },
                     ticks: {
@@ -303,7 +380,7 @@ class PortfolioCharts {
                             size: 11,
                             family: 'Inter'
                         },
-                        color: '#9ca3af',
+                        color: colors.tick,
                         callback: function(value) {
                             return value + '%';
                         }
@@ -319,6 +396,7 @@ class PortfolioCharts {
         };
         
         this.charts[canvasId] = new Chart(ctx, config);
+        this.renderers[canvasId] = () => this.createHoldingsChart(canvasId, data, options);
         return this.charts[canvasId];
     }
     
@@ -328,26 +406,19 @@ class PortfolioCharts {
     generateMockPerformanceData(days = 30) {
         const labels = [];
         const portfolioData = [];
-        const benchmarkData = [];
         
         const startValue = 10000;
         let currentValue = startValue;
-        let benchmarkValue = startValue;
         
         for (let i = days; i >= 0; i--) {
             const date = new Date();
             date.setDate(date.getDate() - i);
-            labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+            labels.push(date.toLocaleDateString(this.locale, { month: 'short', day: 'numeric' }));
             
             // Generate realistic portfolio movement
             const change = (Math.random() - 0.5) * 0.04; // ±2% daily change
             currentValue *= (1 + change);
             portfolioData.push(Math.round(currentValue * 100) / 100);
-            
-            // Generate benchmark movement (slightly more stable)
-            const benchmarkChange = (Math.random() - 0.5) * 0.02; // ±1% daily change
-            benchmarkValue *= (1 + benchmarkChange);
-            benchmarkData.push(Math.round(benchmarkValue * 100) / 100);
         }
         
         return {
@@ -359,14 +430,6 @@ class PortfolioCharts {
                     borderColor: this.chartColors.primary,
                     backgroundColor: this.chartColors.primary + '20',
                     fill: true
-                },
-                {
-                    label: 'S&P 500 Benchmark',
-                    data: benchmarkData,
-                    borderColor: this.chartColors.info,
-                    backgroundColor: this.chartColors.info + '20',
-                    fill: false,
-                    borderDash: [5, 5]
                 }
             ]
         };
@@ -379,9 +442,10 @@ class PortfolioCharts {
         const sectors = {};
 
         holdings.forEach(holding => {
-            // Use real sector data if available, fallback to mock
-            const sector = holding.sector || this.getMockSector(holding.symbol);
-            sectors[sector] = (sectors[sector] || 0) + holding.current_value;
+            // Funds are split across their look-through sectors
+            this.getSectorExposure(holding).forEach(({ sector, weight }) => {
+                sectors[sector] = (sectors[sector] || 0) + holding.current_value * weight;
+            });
         });
 
         const labels = Object.keys(sectors);
@@ -449,6 +513,30 @@ class PortfolioCharts {
             ]
         };
 
+        // Portfolio value already includes cash; show the cash balance on its own when the portfolio tracks it
+        if (historicalData.cash_values && historicalData.cash_values.some(value => value !== 0)) {
+            data.datasets.push({
+                label: 'Cash',
+                data: historicalData.cash_values,
+                borderColor: this.chartColors.success,
+                backgroundColor: this.chartColors.success + '20',
+                fill: false
+            });
+        }
+
+        // Benchmark given the same starting value and cash flows as the portfolio
+        if (historicalData.benchmark_values && historicalData.benchmark_values.some(value => value !== null)) {
+            data.datasets.push({
+                label: historicalData.benchmark_label || 'Benchmark',
+                data: historicalData.benchmark_values,
+                borderColor: this.chartColors.purple,
+                backgroundColor: this.chartColors.purple + '20',
+                fill: false,
+                borderDash: [2, 4],
+                spanGaps: false
+            });
+        }
+
         // Add events as annotations if provided
         if (historicalData.events && historicalData.events.length > 0) {
             options.events = historicalData.events;
@@ -483,21 +571,80 @@ class PortfolioCharts {
 
         return this.createHoldingsChart(canvasId, chartData, options);
     }
-    
+
     /**
-     * Mock sector assignment (same as in main app)
+     * Create projected dividend income chart, one stacked bar per month split by symbol
      */
-    getMockSector(symbol) {
-        const sectorMap = {
-            'A': 'Technology', 'B': 'Healthcare', 'C': 'Finance', 'D': 'Consumer',
-            'E': 'Energy', 'F': 'Finance', 'G': 'Technology', 'H': 'Healthcare',
-            'I': 'Industrial', 'J': 'Consumer', 'K': 'Technology', 'L': 'Healthcare',
-            'M': 'Technology', 'N': 'Energy', 'O': 'Industrial', 'P': 'Healthcare',
-            'Q': 'Technology', 'R': 'Consumer', 'S': 'Technology', 'T': 'Technology',
-            'U': 'Utilities', 'V': 'Healthcare', 'W': 'Consumer', 'X': 'Technology',
-            'Y': 'Technology', 'Z': 'Technology'
+    createDividendForecastChart(canvasId, forecast) {
+        const symbols = forecast.holdings.map(holding => holding.symbol);
+
+        const chartData = {
+            labels: forecast.months.map(month => month.label),
+            datasets: symbols.map((symbol, i) => ({
+                label: symbol,
+                data: forecast.months.map(month => month.bySymbol[symbol] || 0),
+                backgroundColor: this.sectorColors[i % this.sectorColors.length],
+                borderWidth: 0
+            }))
         };
-        return sectorMap[symbol.charAt(0)] || 'Other';
+
+        const formatAmount = value => this.formatCurrency(value);
+        const colors = this.getThemeColors();
+
+        const chart = this.createHoldingsChart(canvasId, chartData, {
+            plugins: {
+                legend: {
+                    display: symbols.length <= 12,
+                    position: 'bottom',
+                    labels: { usePointStyle: true, color: colors.text, font: { size: 11, family: 'Inter' } }
+                },
+                tooltip: {
+                    ...this.getTooltipTheme(),
+                    borderWidth: 1,
+                    cornerRadius: 8,
+                    padding: 12,
+                    filter: item => item.parsed.y > 0,
+                    callbacks: {
+                        label: context => `${context.dataset.label}: ${formatAmount(context.parsed.y)}`,
+                        footer: items => `Total: ${formatAmount(forecast.months[items[0].dataIndex].total)}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    stacked: true,
+                    grid: { display: false },
+                    ticks: { font: { size: 11, family: 'Inter' }, color: colors.tick }
+                },
+                y: {
+                    stacked: true,
+                    grid: { color: colors.grid, drawBorder: false },
+                    ticks: {
+                        font: { size: 11, family: 'Inter' },
+                        color: colors.tick,
+                        callback: value => this.formatCurrency(value, 0)
+                    }
+                }
+            }
+        });
+
+        // The options above carry the theme colors, so a redraw has to rebuild them
+        if (chart) {
+            this.renderers[canvasId] = () => this.createDividendForecastChart(canvasId, forecast);
+        }
+
+        return chart;
+    }
+
+    /**
+     * Sector weights of a holding as [{sector, weight}] fractions adding up to 1
+     * (from the portfolio summary's classification)
+     */
+    getSectorExposure(holding) {
+        if (holding.sector_weights && holding.sector_weights.length > 0) {
+            return holding.sector_weights;
+        }
+        return [{ sector: holding.sector || 'Other', weight: 1 }];
     }
     
     /**
@@ -508,6 +655,7 @@ class PortfolioCharts {
             this.charts[canvasId].destroy();
             delete this.charts[canvasId];
         }
+        delete this.renderers[canvasId];
     }
     
     /**
@@ -601,7 +749,7 @@ class PortfolioCharts {
                     width: 24px;
                     height: 24px;
                     background: ${event.color};
-                    border: 2px solid white;
+                    border: 2px solid var(--surface);
                     border-radius: 50%;
                     display: flex;
                     align-items: center;
@@ -620,7 +768,8 @@ class PortfolioCharts {
                 const canvasRect = canvas.getBoundingClientRect();
                 const xPosition = (labelIndex / (labels.length - 1)) * canvasRect.width;
                 marker.style.left = `${xPosition - 12}px`;
-                marker.style.top = '10px';
+                // Splits sit on their own row so they don't cover a trade on the same day
+                marker.style.top = event.type === 'split' ? '38px' : '10px';
 
                 // Add click handler for event details
                 marker.addEventListener('click', () => {
@@ -643,8 +792,9 @@ class PortfolioCharts {
         tooltip.className = 'event-tooltip';
         tooltip.style.cssText = `
             position: absolute;
-            background: white;
-            border: 1px solid #e5e7eb;
+            background: var(--surface);
+            border: 1px solid var(--gray-200);
+            color: var(--gray-800);
             border-radius: 8px;
             padding: 12px;
             box-shadow: 0 4px 6px rgba(0,0,0,0.1);
@@ -659,7 +809,7 @@ class PortfolioCharts {
                 ${event.icon} ${event.type.charAt(0).toUpperCase() + event.type.slice(1)}
             </div>
             <div style="margin-bottom: 4px;">${event.description}</div>
-            <div style="font-size: 12px; color: #6b7280;">${new Date(event.date).toLocaleDateString()}</div>
+            <div style="font-size: 12px; color: var(--gray-500);">${this.formatDate(event.date)}</div>
         `;
 
         // Position tooltip
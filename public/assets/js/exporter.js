@@ -0,0 +1,374 @@
+// Portfolio Tracker - Data Export Module
+class PortfolioExporter {
+    constructor() {
+        // Column definitions per dataset: [header, accessor]
+        this.columns = {
+            trades: [
+                ['Date', t => t.transaction_date],
+                ['Type', t => t.transaction_type],
+                ['Symbol', t => t.stock_symbol],
+                ['Shares', t => t.quantity],
+                ['Price', t => t.price],
+                ['Fees', t => t.fees],
+                ['Total Amount', t => t.total_amount],
+                ['Notes', t => t.notes]
+            ],
+            holdings: [
+                ['Symbol', h => h.symbol],
+                ['Name', h => h.name],
+                ['Sector', h => h.sector],
+                ['Shares', h => h.quantity],
+                ['Avg Cost', h => h.avg_cost_basis],
+                ['Current Price', h => h.current_price],
+                ['Market Value', h => h.current_value],
+                ['Cost Basis', h => h.cost_basis],
+                ['Gain/Loss', h => h.gain_loss],
+                ['Gain/Loss %', h => h.gain_loss_percent],
+                ['Dividend Yield %', h => h.dividend_yield],
+                ['Annual Dividend', h => h.annual_dividend],
+                ['Weight %', h => h.weight]
+            ],
+            dividends: [
+                ['Payment Date', p => p.payment_date],
+                ['Ex-Date', p => p.ex_date],
+                ['Symbol', p => p.stock_symbol],
+                ['Name', p => p.stock_name],
+                ['Shares Owned', p => p.shares_owned],
+                ['Per Share', p => p.dividend_per_share],
+                ['Total Amount', p => p.total_amount],
+                ['Withholding Tax', p => p.withholding_tax],
+                ['Net Amount', p => p.net_amount],
+                ['Tax Classification', p => p.tax_classification],
+                ['Country', p => p.country],
+                ['Payment Type', p => p.payment_type],
+                ['DRIP Shares', p => p.drip_shares_purchased],
+                ['DRIP Price', p => p.drip_price_per_share],
+                ['Notes', p => p.notes]
+            ]
+        };
+    }
+
+    /**
+     * Build CSV text for a dataset (trades, holdings or dividends)
+     */
+    toCSV(dataset, rows) {
+        const columns = this.columns[dataset];
+        const lines = [columns.map(([header]) => this.escapeCSV(header)).join(',')];
+
+        rows.forEach(row => {
+            lines.push(columns.map(([, accessor]) => this.escapeCSV(accessor(row))).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    toJSON(dataset, rows, portfolio) {
+        return JSON.stringify({
+            portfolio: portfolio ? { id: portfolio.id, name: portfolio.name, currency: portfolio.currency } : null,
+            dataset,
+            exported_at: new Date().toISOString(),
+            count: rows.length,
+            data: rows
+        }, null, 2);
+    }
+
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build a Form 8949-style CSV: Part I (short-term) and Part II (long-term)
+     * with one row per closed lot and a total line per part. Amounts are in the
+     * portfolio's currency (the lots' *_base fields), as is adjustment_amount.
+     */
+    toForm8949CSV(disposals, year) {
+        const header = [
+            '(a) Description of property',
+            '(b) Date acquired',
+            '(c) Date sold or disposed of',
+            '(d) Proceeds',
+            '(e) Cost or other basis',
+            '(f) Code(s)',
+            '(g) Amount of adjustment',
+            '(h) Gain or (loss)'
+        ];
+        const money = value => (Math.round(value * 100) / 100).toFixed(2);
+        const lines = [`Form 8949 - Sales and Other Dispositions of Capital Assets - Tax Year ${year}`];
+
+        [['short', 'Part I - Short-Term (held one year or less)'], ['long', 'Part II - Long-Term (held more than one year)']].forEach(([term, title]) => {
+            const rows = disposals.filter(lot => lot.term === term);
+            if (rows.length === 0) return;
+
+            lines.push('', this.escapeCSV(title), header.map(h => this.escapeCSV(h)).join(','));
+
+            const totals = { proceeds: 0, cost: 0, adjustment: 0, gain: 0 };
+            rows.forEach(lot => {
+                const adjustment = lot.adjustment_amount || 0;
+                const gain = lot.proceeds_base - lot.cost_basis_base + adjustment;
+                totals.proceeds += lot.proceeds_base;
+                totals.cost += lot.cost_basis_base;
+                totals.adjustment += adjustment;
+                totals.gain += gain;
+
+                lines.push([
+                    `${parseFloat(lot.quantity)} sh ${lot.stock_symbol}`,
+                    this.formatUSDate(lot.acquired_date),
+                    this.formatUSDate(lot.sold_date),
+                    money(lot.proceeds_base),
+                    money(lot.cost_basis_base),
+                    lot.adjustment_code || '',
+                    adjustment ? money(adjustment) : '',
+                    money(gain)
+                ].map(value => this.escapeCSV(value)).join(','));
+            });
+
+            lines.push(['Totals', '', '', money(totals.proceeds), money(totals.cost), '', totals.adjustment ? money(totals.adjustment) : '', money(totals.gain)]
+                .map(value => this.escapeCSV(value)).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Build a year-end dividend income summary laid out like Form 1099-DIV:
+     * totals by box, foreign tax paid by country, then one row per payment
+     */
+    toDividendTaxSummaryCSV(payments, year) {
+        const money = value => (Math.round(value * 100) / 100).toFixed(2);
+        const totals = { qualified: 0, ordinary: 0, return_of_capital: 0, withholding: 0 };
+        const countries = {};
+
+        payments.forEach(payment => {
+            const gross = parseFloat(payment.total_amount) || 0;
+            const withholding = parseFloat(payment.withholding_tax) || 0;
+            const classification = payment.tax_classification || 'qualified';
+            totals[classification] += gross;
+            totals.withholding += withholding;
+
+            const country = payment.country || 'Unknown';
+            countries[country] = countries[country] || { gross: 0, withholding: 0 };
+            countries[country].gross += gross;
+            countries[country].withholding += withholding;
+        });
+
+        const row = values => values.map(value => this.escapeCSV(value)).join(',');
+        const lines = [
+            `Dividend Income Summary - Tax Year ${year}`,
+            '',
+            row(['Box', 'Description', 'Amount']),
+            // Box 1a includes the qualified dividends reported again in 1b
+            row(['1a', 'Total ordinary dividends', money(totals.qualified + totals.ordinary)]),
+            row(['1b', 'Qualified dividends', money(totals.qualified)]),
+            row(['3', 'Nondividend distributions (return of capital)', money(totals.return_of_capital)]),
+            row(['7', 'Foreign tax paid', money(totals.withholding)]),
+            '',
+            'Withholding Tax by Country',
+            row(['Country', 'Gross Dividends', 'Tax Withheld'])
+        ];
+
+        Object.keys(countries).sort().forEach(country => {
+            lines.push(row([country, money(countries[country].gross), money(countries[country].withholding)]));
+        });
+
+        lines.push('', 'Payments', row(['Payment Date', 'Symbol', 'Name', 'Country', 'Classification', 'Gross Amount', 'Tax Withheld', 'Net Amount']));
+        payments.forEach(payment => {
+            const gross = parseFloat(payment.total_amount) || 0;
+            const withholding = parseFloat(payment.withholding_tax) || 0;
+            lines.push(row([
+                this.formatUSDate(payment.payment_date),
+                payment.stock_symbol,
+                payment.stock_name,
+                payment.country || '',
+                payment.tax_classification || 'qualified',
+                money(gross),
+                money(withholding),
+                money(gross - withholding)
+            ]));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    formatUSDate(value) {
+        const [year, month, day] = String(value).split('-');
+        return `${month}/${day}/${year}`;
+    }
+
+    /**
+     * Build an OFX 1.0.2 investment statement. QFX is the same document with
+     * the Intuit bank id that Quicken requires.
+     */
+    toOFX({ portfolio, transactions = [], dividends = [], holdings = [] }, options = {}) {
+        const now = this.formatOFXDate(new Date());
+        const currency = portfolio?.currency || 'USD';
+        const accountId = `PORTFOLIO-${portfolio?.id || 0}`;
+
+        const dates = [
+            ...transactions.map(t => t.transaction_date),
+            ...dividends.map(p => p.payment_date)
+        ].filter(Boolean).sort();
+        const startDate = dates.length > 0 ? dates[0] : new Date().toISOString().split('T')[0];
+
+        const securities = new Map();
+        const addSecurity = (symbol, name) => {
+            if (symbol && !securities.has(symbol)) {
+                securities.set(symbol, name || symbol);
+            }
+        };
+        transactions.forEach(t => addSecurity(t.stock_symbol));
+        dividends.forEach(p => addSecurity(p.stock_symbol, p.stock_name));
+        holdings.forEach(h => {
+            securities.delete(h.symbol);
+            addSecurity(h.symbol, h.name);
+        });
+
+        // DRIP buys are already in their dividend's REINVEST entry
+        const tradeEntries = transactions
+            .filter(t => (t.transaction_type === 'buy' || t.transaction_type === 'sell') && !t.dividend_payment_id)
+            .map(t => this.getOFXTradeEntry(t));
+        const dividendEntries = dividends.map(p => this.getOFXDividendEntry(p));
+
+        const lines = [
+            'OFXHEADER:100',
+            'DATA:OFXSGML',
+            'VERSION:102',
+            'SECURITY:NONE',
+            'ENCODING:USASCII',
+            'CHARSET:1252',
+            'COMPRESSION:NONE',
+            'OLDFILEUID:NONE',
+            'NEWFILEUID:NONE',
+            '',
+            '<OFX>',
+            '<SIGNONMSGSRSV1>',
+            '<SONRS>',
+            '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+            `<DTSERVER>${now}`,
+            '<LANGUAGE>ENG',
+            '<FI><ORG>Portfolio Tracker<FID>1</FI>',
+            ...(options.qfx ? [`<INTU.BID>${options.intuitBankId || '3000'}`] : []),
+            '</SONRS>',
+            '</SIGNONMSGSRSV1>',
+            '<INVSTMTMSGSRSV1>',
+            '<INVSTMTTRNRS>',
+            `<TRNUID>${Date.now()}`,
+            '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+            '<INVSTMTRS>',
+            `<DTASOF>${now}`,
+            `<CURDEF>${currency}`,
+            `<INVACCTFROM><BROKERID>portfolio-tracker<ACCTID>${accountId}</INVACCTFROM>`,
+            '<INVTRANLIST>',
+            `<DTSTART>${this.formatOFXDate(startDate)}`,
+            `<DTEND>${now}`,
+            ...tradeEntries,
+            ...dividendEntries,
+            '</INVTRANLIST>',
+            '<INVPOSLIST>',
+            ...holdings.map(h => this.getOFXPositionEntry(h, now)),
+            '</INVPOSLIST>',
+            '</INVSTMTRS>',
+            '</INVSTMTTRNRS>',
+            '</INVSTMTMSGSRSV1>',
+            '<SECLISTMSGSRSV1>',
+            '<SECLIST>',
+            ...[...securities.entries()].map(([symbol, name]) =>
+                `<STOCKINFO><SECINFO><SECID><UNIQUEID>${this.escapeOFX(symbol)}<UNIQUEIDTYPE>TICKER</SECID><SECNAME>${this.escapeOFX(name)}<TICKER>${this.escapeOFX(symbol)}</SECINFO></STOCKINFO>`
+            ),
+            '</SECLIST>',
+            '</SECLISTMSGSRSV1>',
+            '</OFX>'
+        ];
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    getOFXTradeEntry(trade) {
+        const isBuy = trade.transaction_type === 'buy';
+        const quantity = parseFloat(trade.quantity);
+        const price = parseFloat(trade.price);
+        const fees = parseFloat(trade.fees || 0);
+        // OFX totals are signed from the account's point of view: buys are cash out
+        const total = isBuy ? -(quantity * price + fees) : quantity * price - fees;
+
+        return [
+            isBuy ? '<BUYSTOCK><INVBUY>' : '<SELLSTOCK><INVSELL>',
+            `<INVTRAN><FITID>T${trade.id}<DTTRADE>${this.formatOFXDate(trade.transaction_date)}${trade.notes ? `<MEMO>${this.escapeOFX(trade.notes)}` : ''}</INVTRAN>`,
+            `<SECID><UNIQUEID>${this.escapeOFX(trade.stock_symbol)}<UNIQUEIDTYPE>TICKER</SECID>`,
+            `<UNITS>${isBuy ? quantity : -quantity}`,
+            `<UNITPRICE>${price.toFixed(4)}`,
+            `<COMMISSION>${fees.toFixed(2)}`,
+            `<TOTAL>${total.toFixed(2)}`,
+            // Trades in a currency other than the account's carry their rate
+            ...(trade.fx_rate && parseFloat(trade.fx_rate) !== 1 ? [`<CURRENCY><CURRATE>${parseFloat(trade.fx_rate)}<CURSYM>${this.escapeOFX(trade.currency)}</CURRENCY>`] : []),
+            '<SUBACCTSEC>CASH<SUBACCTFUND>CASH',
+            isBuy ? '</INVBUY><BUYTYPE>BUY</BUYSTOCK>' : '</INVSELL><SELLTYPE>SELL</SELLSTOCK>'
+        ].join('');
+    }
+
+    getOFXDividendEntry(payment) {
+        const date = this.formatOFXDate(payment.payment_date);
+        const total = parseFloat(payment.total_amount);
+        const tran = `<INVTRAN><FITID>D${payment.id}<DTTRADE>${date}${payment.notes ? `<MEMO>${this.escapeOFX(payment.notes)}` : ''}</INVTRAN>`;
+        const secId = `<SECID><UNIQUEID>${this.escapeOFX(payment.stock_symbol)}<UNIQUEIDTYPE>TICKER</SECID>`;
+
+        if (payment.payment_type === 'drip') {
+            return `<REINVEST>${tran}${secId}<INCOMETYPE>DIV<TOTAL>${(-total).toFixed(2)}<SUBACCTSEC>CASH<UNITS>${parseFloat(payment.drip_shares_purchased || 0)}<UNITPRICE>${parseFloat(payment.drip_price_per_share || 0).toFixed(4)}</REINVEST>`;
+        }
+
+        return `<INCOME>${tran}${secId}<INCOMETYPE>DIV<TOTAL>${total.toFixed(2)}<SUBACCTSEC>CASH<SUBACCTFUND>CASH</INCOME>`;
+    }
+
+    getOFXPositionEntry(holding, asOf) {
+        return [
+            '<POSSTOCK><INVPOS>',
+            `<SECID><UNIQUEID>${this.escapeOFX(holding.symbol)}<UNIQUEIDTYPE>TICKER</SECID>`,
+            '<HELDINACCT>CASH<POSTYPE>LONG',
+            `<UNITS>${parseFloat(holding.quantity)}`,
+            `<UNITPRICE>${parseFloat(holding.current_price || 0).toFixed(4)}`,
+            `<MKTVAL>${parseFloat(holding.current_value || 0).toFixed(2)}`,
+            `<DTPRICEASOF>${asOf}`,
+            '</INVPOS></POSSTOCK>'
+        ].join('');
+    }
+
+    formatOFXDate(value) {
+        if (value instanceof Date) {
+            return value.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+        }
+        return String(value).replace(/-/g, '').substring(0, 8);
+    }
+
+    escapeOFX(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .substring(0, 255);
+    }
+
+    /**
+     * Trigger a browser download for generated content
+     */
+    download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    getFilename(portfolio, dataset, extension) {
+        const name = (portfolio?.name || 'portfolio').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const date = new Date().toISOString().split('T')[0];
+        return `${name}-${dataset}-${date}.${extension}`;
+    }
+}
+
+// Initialize exporter module
+window.portfolioExporter = new PortfolioExporter();
@@ -0,0 +1,212 @@
+// Portfolio Tracker - Dividend Forecast Module
+class DividendForecaster {
+    constructor() {
+        this.months = 12;
+        // Usual payment schedules, matched against the typical gap between ex-dates
+        this.schedules = [
+            { name: 'Monthly', perYear: 12, days: 30 },
+            { name: 'Quarterly', perYear: 4, days: 91 },
+            { name: 'Semi-annual', perYear: 2, days: 182 },
+            { name: 'Annual', perYear: 1, days: 365 }
+        ];
+    }
+
+    /**
+     * Payment schedule of a stock from its regular dividends
+     *
+     * @param {Array} dividends - rows from /stocks/{symbol}/dividends, any order
+     * @returns {Object|null} {name, perYear, days, latest, paymentLagDays, history},
+     *   null when the stock pays no regular dividend or has stopped paying
+     */
+    detectSchedule(dividends, today = new Date()) {
+        const history = (dividends || [])
+            .filter(d => parseFloat(d.amount) > 0 && (d.dividend_type || 'regular') === 'regular')
+            .map(d => ({
+                ex_date: this.toDate(d.ex_date),
+                payment_date: d.payment_date ? this.toDate(d.payment_date) : null,
+                amount: parseFloat(d.amount)
+            }))
+            .sort((a, b) => a.ex_date - b.ex_date);
+
+        if (history.length === 0) return null;
+
+        const gaps = [];
+        for (let i = 1; i < history.length; i++) {
+            gaps.push(this.daysBetween(history[i - 1].ex_date, history[i].ex_date));
+        }
+
+        // A single payment in the history is taken as an annual dividend
+        const typicalGap = gaps.length > 0 ? this.median(gaps) : 365;
+        const schedule = this.schedules.reduce((best, candidate) =>
+            Math.abs(candidate.days - typicalGap) < Math.abs(best.days - typicalGap) ? candidate : best);
+
+        const latest = history[history.length - 1];
+
+        // More than two missed payments reads as a suspended dividend
+        if (this.daysBetween(latest.ex_date, today) > schedule.days * 2.5) return null;
+
+        const lags = history
+            .filter(d => d.payment_date)
+            .map(d => this.daysBetween(d.ex_date, d.payment_date));
+
+        return {
+            ...schedule,
+            latest,
+            // Without known payment dates, income is placed on the ex-date
+            paymentLagDays: lags.length > 0 ? Math.round(this.median(lags)) : 0,
+            history
+        };
+    }
+
+    /**
+     * Next 12 months of dividend income, month by month
+     *
+     * Announced dividends count at their declared amount; later ones repeat the
+     * latest per-share amount on the detected schedule. With DRIP each payment
+     * buys shares at the current price, so later payments grow. Per-share amounts
+     * and prices are in the listing currency; payments are converted to the
+     * portfolio currency at the holding's fx_rate.
+     *
+     * @param {Array} holdings - holdings with symbol, name, quantity, currency, fx_rate, current_price and dividend_history
+     * @param {Object} options - {drip: boolean, today: Date}
+     */
+    forecast(holdings, options = {}) {
+        const today = this.startOfDay(options.today || new Date());
+        const start = new Date(today.getFullYear(), today.getMonth(), 1);
+        const end = new Date(today.getFullYear(), today.getMonth() + this.months, 1);
+
+        const months = [];
+        for (let i = 0; i < this.months; i++) {
+            const month = new Date(start.getFullYear(), start.getMonth() + i, 1);
+            months.push({ key: this.monthKey(month), label: month.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }), total: 0, bySymbol: {} });
+        }
+
+        const summaries = {};
+        const payments = [];
+
+        holdings.filter(h => parseFloat(h.quantity) > 0).forEach(holding => {
+            const schedule = this.detectSchedule(holding.dividend_history || holding.dividends, today);
+            if (!schedule) return;
+
+            summaries[holding.symbol] = {
+                symbol: holding.symbol,
+                name: holding.name,
+                frequency: schedule.name,
+                currency: holding.currency,
+                fx_rate: parseFloat(holding.fx_rate) || 1,
+                amount_per_share: schedule.latest.amount,
+                shares: parseFloat(holding.quantity),
+                payments: 0,
+                income: 0,
+                next_payment_date: null
+            };
+
+            this.projectPayments(schedule, today, end).forEach(payment => {
+                payments.push({ ...payment, symbol: holding.symbol, price: parseFloat(holding.current_price) });
+            });
+        });
+
+        // Process in date order so reinvested shares earn the payments after them
+        payments.sort((a, b) => a.payment_date - b.payment_date);
+        const shares = Object.fromEntries(Object.values(summaries).map(s => [s.symbol, s.shares]));
+
+        payments.forEach(payment => {
+            const summary = summaries[payment.symbol];
+            payment.shares = shares[payment.symbol];
+            const localAmount = payment.shares * payment.amount_per_share;
+            payment.amount = localAmount * summary.fx_rate;
+
+            if (options.drip && payment.price > 0) {
+                shares[payment.symbol] += localAmount / payment.price;
+            }
+
+            const month = months.find(m => m.key === this.monthKey(payment.payment_date));
+            month.total += payment.amount;
+            month.bySymbol[payment.symbol] = (month.bySymbol[payment.symbol] || 0) + payment.amount;
+
+            summary.payments++;
+            summary.income += payment.amount;
+            summary.next_payment_date = summary.next_payment_date || payment.payment_date;
+        });
+
+        Object.values(summaries).forEach(summary => {
+            summary.shares_at_end = shares[summary.symbol];
+        });
+
+        return {
+            drip: !!options.drip,
+            months,
+            holdings: Object.values(summaries).sort((a, b) => b.income - a.income),
+            payments,
+            total: months.reduce((sum, month) => sum + month.total, 0)
+        };
+    }
+
+    /**
+     * Payments from today until the end date: announced ones first, then the schedule repeated
+     */
+    projectPayments(schedule, today, end) {
+        const payments = schedule.history
+            .filter(d => (d.payment_date || d.ex_date) >= today)
+            .map(d => ({
+                ex_date: d.ex_date,
+                payment_date: d.payment_date || this.addDays(d.ex_date, schedule.paymentLagDays),
+                amount_per_share: d.amount,
+                announced: true
+            }))
+            .filter(p => p.payment_date < end);
+
+        const monthsApart = 12 / schedule.perYear;
+        let step = 1;
+        let exDate = this.addMonths(schedule.latest.ex_date, monthsApart);
+
+        while (exDate < end) {
+            const paymentDate = this.addDays(exDate, schedule.paymentLagDays);
+            // Skip dates that should already have happened but aren't in the history yet
+            if (paymentDate >= today && paymentDate < end) {
+                payments.push({ ex_date: exDate, payment_date: paymentDate, amount_per_share: schedule.latest.amount, announced: false });
+            }
+            step++;
+            exDate = this.addMonths(schedule.latest.ex_date, monthsApart * step);
+        }
+
+        return payments;
+    }
+
+    toDate(value) {
+        // Dates arrive as YYYY-MM-DD or ISO timestamps; keep the calendar day
+        const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    addMonths(date, months) {
+        const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+        const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        return new Date(target.getFullYear(), target.getMonth(), Math.min(date.getDate(), lastDay));
+    }
+
+    daysBetween(from, to) {
+        return Math.round((to - from) / 86400000);
+    }
+
+    monthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+// Initialize forecast module
+window.dividendForecaster = new DividendForecaster();
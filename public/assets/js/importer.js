@@ -0,0 +1,398 @@
+// Portfolio Tracker - Broker CSV Import Module
+class TradeImporter {
+    constructor() {
+        // Fields the transactions API accepts, in the order they are mapped
+        this.fields = [
+            { key: 'stock_symbol', label: 'Symbol', required: true },
+            { key: 'transaction_type', label: 'Trade Type', required: false },
+            { key: 'quantity', label: 'Shares', required: true },
+            { key: 'price', label: 'Price per Share', required: true },
+            { key: 'fees', label: 'Commission/Fees', required: false },
+            { key: 'transaction_date', label: 'Trade Date', required: true }
+        ];
+
+        // Known column headers per broker export (matched case-insensitively)
+        this.brokerPresets = {
+            fidelity: {
+                label: 'Fidelity',
+                columns: {
+                    stock_symbol: ['Symbol'],
+                    transaction_type: ['Action'],
+                    quantity: ['Quantity'],
+                    price: ['Price ($)', 'Price'],
+                    fees: ['Commission ($)', 'Fees ($)', 'Commission'],
+                    transaction_date: ['Run Date', 'Trade Date', 'Date']
+                },
+                dateFormat: 'MM/DD/YYYY'
+            },
+            schwab: {
+                label: 'Charles Schwab',
+                columns: {
+                    stock_symbol: ['Symbol'],
+                    transaction_type: ['Action'],
+                    quantity: ['Quantity'],
+                    price: ['Price'],
+                    fees: ['Fees & Comm', 'Fees & Commissions'],
+                    transaction_date: ['Date']
+                },
+                dateFormat: 'MM/DD/YYYY'
+            },
+            vanguard: {
+                label: 'Vanguard',
+                columns: {
+                    stock_symbol: ['Symbol'],
+                    transaction_type: ['Transaction Type', 'Transaction Description'],
+                    quantity: ['Shares', 'Quantity'],
+                    price: ['Share Price', 'Price'],
+                    fees: ['Commission Fees', 'Commissions and Fees', 'Fees'],
+                    transaction_date: ['Trade Date', 'Settlement Date']
+                },
+                dateFormat: 'MM/DD/YYYY'
+            },
+            ibkr: {
+                label: 'Interactive Brokers',
+                columns: {
+                    stock_symbol: ['Symbol'],
+                    transaction_type: ['Buy/Sell', 'Side'],
+                    quantity: ['Quantity'],
+                    price: ['T. Price', 'TradePrice', 'Price'],
+                    fees: ['Comm/Fee', 'IBCommission', 'Commission'],
+                    transaction_date: ['Date/Time', 'TradeDate', 'Trade Date']
+                },
+                dateFormat: 'YYYY-MM-DD',
+                // IBKR reports sells as negative quantities
+                signedQuantity: true
+            },
+            generic: {
+                label: 'Generic CSV',
+                columns: {
+                    stock_symbol: ['stock_symbol', 'Symbol', 'Ticker'],
+                    transaction_type: ['transaction_type', 'Type', 'Action', 'Side'],
+                    quantity: ['quantity', 'Shares', 'Qty', 'Quantity'],
+                    price: ['price', 'Price', 'Price per Share', 'Cost'],
+                    fees: ['fees', 'Fees', 'Commission'],
+                    transaction_date: ['transaction_date', 'Date', 'Trade Date']
+                },
+                dateFormat: 'auto',
+                // Without a type column, negative quantities are sells
+                signedQuantity: true
+            }
+        };
+    }
+
+    /**
+     * Parse CSV text into an array of rows (handles quoted fields and CRLF)
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        // Strip a UTF-8 byte order mark some brokers prepend
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field.trim());
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field.trim());
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field.trim());
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(r => r.some(cell => cell !== ''));
+    }
+
+    /**
+     * Broker exports often start with account preamble lines - find the real header row
+     */
+    findHeaderRow(rows, brokerKey) {
+        const preset = this.brokerPresets[brokerKey] || this.brokerPresets.generic;
+        const knownHeaders = Object.values(preset.columns).flat().map(h => h.toLowerCase());
+
+        let bestIndex = 0;
+        let bestScore = 0;
+
+        rows.slice(0, 20).forEach((row, index) => {
+            const score = row.filter(cell => knownHeaders.includes(cell.toLowerCase())).length;
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
+            }
+        });
+
+        return bestIndex;
+    }
+
+    /**
+     * Parse a file's text into headers and data rows for the given broker
+     */
+    load(text, brokerKey) {
+        const rows = this.parseCSV(text);
+        if (rows.length === 0) {
+            throw new Error('The file is empty');
+        }
+
+        const headerIndex = this.findHeaderRow(rows, brokerKey);
+        const headers = rows[headerIndex];
+        // Ignore trailing disclaimer lines that don't have a cell per column
+        const dataRows = rows.slice(headerIndex + 1).filter(row => row.length >= Math.min(headers.length, 3));
+
+        if (dataRows.length === 0) {
+            throw new Error('No data rows found below the header');
+        }
+
+        return { headers, rows: dataRows };
+    }
+
+    /**
+     * Guess the column index for each field from the broker's known headers
+     */
+    autoMap(headers, brokerKey) {
+        const preset = this.brokerPresets[brokerKey] || this.brokerPresets.generic;
+        const lowerHeaders = headers.map(h => h.toLowerCase());
+        const mapping = {};
+
+        this.fields.forEach(field => {
+            const candidates = preset.columns[field.key] || [];
+            const index = candidates
+                .map(candidate => lowerHeaders.indexOf(candidate.toLowerCase()))
+                .find(i => i !== -1);
+            mapping[field.key] = index !== undefined ? index : -1;
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Convert raw CSV rows into trades using a column mapping.
+     * Each result carries a status: ready, error, duplicate or skipped.
+     */
+    normalizeRows(rows, mapping, options = {}) {
+        const brokerKey = options.broker || 'generic';
+        const preset = this.brokerPresets[brokerKey] || this.brokerPresets.generic;
+        const dateFormat = options.dateFormat && options.dateFormat !== 'auto' ? options.dateFormat : preset.dateFormat;
+
+        return rows.map((row, index) => {
+            const cell = key => (mapping[key] >= 0 ? (row[mapping[key]] || '') : '');
+
+            const rawQuantity = this.parseNumber(cell('quantity'));
+            const type = this.normalizeType(cell('transaction_type'), rawQuantity, preset);
+
+            const trade = {
+                row_number: index + 1,
+                stock_symbol: cell('stock_symbol').toUpperCase().replace(/\s+/g, ''),
+                transaction_type: type,
+                quantity: rawQuantity !== null ? Math.abs(rawQuantity) : null,
+                price: this.parseNumber(cell('price')),
+                fees: Math.abs(this.parseNumber(cell('fees')) || 0),
+                transaction_date: this.parseDate(cell('transaction_date'), dateFormat),
+                raw_type: cell('transaction_type'),
+                errors: [],
+                status: 'ready'
+            };
+
+            if (type === null) {
+                trade.status = 'skipped';
+                trade.errors.push(`Not a buy or sell (${trade.raw_type || 'no type'})`);
+                return trade;
+            }
+
+            trade.errors = this.validate(trade);
+            if (trade.errors.length > 0) {
+                trade.status = 'error';
+            }
+
+            return trade;
+        });
+    }
+
+    validate(trade) {
+        const errors = [];
+
+        if (!trade.stock_symbol) {
+            errors.push('Missing symbol');
+        } else if (!/^[A-Z0-9.-]+$/.test(trade.stock_symbol)) {
+            errors.push(`Invalid symbol "${trade.stock_symbol}"`);
+        }
+
+        if (trade.quantity === null || trade.quantity <= 0) {
+            errors.push('Shares must be greater than 0');
+        }
+
+        if (trade.price === null || trade.price <= 0) {
+            errors.push('Price must be greater than 0');
+        }
+
+        if (!trade.transaction_date) {
+            errors.push('Unrecognized trade date');
+        } else if (trade.transaction_date > new Date().toISOString().split('T')[0]) {
+            errors.push('Trade date is in the future');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Flag rows that already exist in the portfolio or appear twice in the file.
+     * Each row also gets its occurrence: how many identical trades come before it,
+     * in the portfolio or earlier in the file, so duplicates imported anyway get
+     * their own external ID.
+     */
+    markDuplicates(trades, existingTransactions) {
+        const existingCounts = {};
+        existingTransactions.forEach(t => {
+            const key = this.getTradeKey(t);
+            existingCounts[key] = (existingCounts[key] || 0) + 1;
+        });
+        const seenCounts = {};
+
+        trades.forEach(trade => {
+            if (trade.status !== 'ready') return;
+
+            const key = this.getTradeKey(trade);
+            if (existingCounts[key]) {
+                trade.status = 'duplicate';
+                trade.errors.push('Already recorded in this portfolio');
+            } else if (seenCounts[key]) {
+                trade.status = 'duplicate';
+                trade.errors.push('Repeated in this file');
+            }
+            trade.occurrence = (existingCounts[key] || 0) + (seenCounts[key] || 0);
+            seenCounts[key] = (seenCounts[key] || 0) + 1;
+        });
+
+        return trades;
+    }
+
+    getTradeKey(trade) {
+        return [
+            trade.stock_symbol,
+            trade.transaction_type,
+            trade.transaction_date,
+            parseFloat(trade.quantity).toFixed(6),
+            parseFloat(trade.price).toFixed(4)
+        ].join('|');
+    }
+
+    /**
+     * Build the payload for the batch transactions endpoint
+     */
+    toTransactions(trades, brokerKey) {
+        return trades.map(trade => ({
+            stock_symbol: trade.stock_symbol,
+            transaction_type: trade.transaction_type,
+            quantity: trade.quantity,
+            price: trade.price,
+            fees: trade.fees,
+            transaction_date: trade.transaction_date,
+            notes: `Imported from ${(this.brokerPresets[brokerKey] || this.brokerPresets.generic).label}`,
+            external_id: this.getExternalId(trade, brokerKey)
+        }));
+    }
+
+    /**
+     * Import ID the batch endpoint dedupes on. The first occurrence of a trade keeps
+     * the plain key, so re-importing the same file is still skipped; later identical
+     * rows get the occurrence appended.
+     */
+    getExternalId(trade, brokerKey) {
+        const suffix = trade.occurrence ? `:${trade.occurrence}` : '';
+        return `import:${brokerKey}:${this.getTradeKey(trade)}`.substring(0, 100 - suffix.length) + suffix;
+    }
+
+    normalizeType(value, quantity, preset) {
+        const text = (value || '').toUpperCase();
+
+        if (/REINVEST/.test(text)) return 'buy';
+        if (/\b(BUY|BOUGHT|BOT|PURCHASE)\b/.test(text) || text === 'B') return 'buy';
+        if (/\b(SELL|SOLD|SLD|SALE)\b/.test(text) || text === 'S') return 'sell';
+
+        // Some exports only use the sign of the quantity
+        if (!text && preset.signedQuantity && quantity !== null) {
+            return quantity < 0 ? 'sell' : 'buy';
+        }
+
+        return null;
+    }
+
+    parseNumber(value) {
+        if (value === undefined || value === null) return null;
+        let text = String(value).trim();
+        if (text === '' || text === '--') return null;
+
+        // Accounting negatives: (1,234.56)
+        const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+        text = text.replace(/[()$,\s+-]/g, '');
+
+        const number = parseFloat(text);
+        if (isNaN(number)) return null;
+        return negative ? -number : number;
+    }
+
+    /**
+     * Parse a date into YYYY-MM-DD
+     */
+    parseDate(value, format = 'auto') {
+        if (!value) return null;
+        // Drop times and trailing notes such as "as of 01/02/2024"
+        const text = value.trim().split(/[\sT,]/)[0];
+
+        let year, month, day;
+        let match;
+
+        if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+            [, year, month, day] = match;
+        } else if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+            [, year, month, day] = match;
+        } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/))) {
+            const [, first, second, rawYear] = match;
+            year = rawYear.length === 2 ? `20${rawYear}` : rawYear;
+            if (format === 'DD/MM/YYYY' || (format === 'auto' && parseInt(first) > 12)) {
+                day = first;
+                month = second;
+            } else {
+                month = first;
+                day = second;
+            }
+        } else {
+            return null;
+        }
+
+        const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+        if (isNaN(date) || date.getUTCMonth() !== parseInt(month) - 1) {
+            return null;
+        }
+
+        return date.toISOString().split('T')[0];
+    }
+}
+
+// Initialize importer module
+window.tradeImporter = new TradeImporter();
@@ -0,0 +1,207 @@
+// Portfolio Tracker - Rebalancing Module
+class RebalanceCalculator {
+    /**
+     * Current weight, target weight and drift for each symbol or sector.
+     * Weights are percentages of holdings plus cash, matching how targets are stored.
+     * Funds count toward sectors through their look-through weights, the same as
+     * the sector exposure chart.
+     *
+     * @param {Array} holdings - holdings from /portfolios/{id}
+     * @param {number} cash - tracked cash balance (0 when cash isn't tracked)
+     * @param {Object} targets - {target_type, targets: [{key, weight}]} from /portfolios/{id}/targets
+     */
+    allocation(holdings, cash, targets) {
+        const total = holdings.reduce((sum, h) => sum + h.current_value, 0) + cash;
+        const byKey = {};
+
+        holdings.forEach(holding => {
+            const shares = targets.target_type === 'sector'
+                ? this.getSectorExposure(holding).map(({ sector, weight }) => ({ key: sector, weight }))
+                : [{ key: holding.symbol, weight: 1 }];
+
+            shares.forEach(({ key, weight }) => {
+                byKey[key] = byKey[key] || { key, current_value: 0, target_weight: null };
+                byKey[key].current_value += holding.current_value * weight;
+            });
+        });
+
+        (targets.targets || []).forEach(target => {
+            byKey[target.key] = byKey[target.key] || { key: target.key, current_value: 0, target_weight: null };
+            byKey[target.key].target_weight = target.weight;
+        });
+
+        const hasTargets = (targets.targets || []).length > 0;
+        return Object.values(byKey).map(row => {
+            const currentWeight = total > 0 ? (row.current_value / total) * 100 : 0;
+            // Once targets are set, anything without one is meant to be sold down to zero
+            const targetWeight = row.target_weight ?? (hasTargets ? 0 : null);
+            return {
+                ...row,
+                current_weight: currentWeight,
+                target_weight: targetWeight,
+                drift: targetWeight === null ? null : currentWeight - targetWeight
+            };
+        }).sort((a, b) => b.current_value - a.current_value);
+    }
+
+    /**
+     * Buy and sell orders that bring holdings back to their targets.
+     *
+     * Sector targets are spread over the holdings with exposure to the sector in
+     * proportion to the value they hold in it, so a fund takes a share of each
+     * of its look-through sectors' targets. With contributionsOnly, nothing is sold: available cash goes to
+     * the most underweight positions first, in proportion to their shortfall.
+     *
+     * Values are in the portfolio's currency. A holding's price is in its listing
+     * currency and is converted at its fx_rate to size the trade; the trade keeps the
+     * listing price to record it with.
+     *
+     * @param {Object} options - {contribution, contributionsOnly, minTradeValue, feePerTrade, fractional, prices}
+     *   prices: {price, currency, fx_rate} for target symbols that aren't held yet, fx_rate
+     *   converting the listing currency into the portfolio's (null when no rate is available)
+     */
+    plan(holdings, cash, targets, options = {}) {
+        const contribution = options.contribution || 0;
+        const minTradeValue = options.minTradeValue || 0;
+        const feePerTrade = options.feePerTrade || 0;
+        const prices = options.prices || {};
+
+        const holdingsValue = holdings.reduce((sum, h) => sum + h.current_value, 0);
+        const available = cash + contribution;
+        const total = holdingsValue + available;
+
+        const positions = {};
+        holdings.forEach(holding => {
+            positions[holding.symbol] = {
+                symbol: holding.symbol,
+                sectors: this.getSectorExposure(holding),
+                quantity: parseFloat(holding.quantity),
+                price: parseFloat(holding.current_price),
+                currency: holding.currency,
+                fx_rate: parseFloat(holding.fx_rate) || 1,
+                current_value: holding.current_value,
+                target_weight: 0
+            };
+        });
+
+        const unplaceable = [];
+        (targets.targets || []).forEach(target => {
+            if (targets.target_type === 'sector') {
+                const members = Object.values(positions)
+                    .map(p => ({ position: p, weight: p.sectors.find(s => s.sector === target.key)?.weight || 0 }))
+                    .filter(m => m.weight > 0);
+                const sectorValue = members.reduce((sum, m) => sum + m.position.current_value * m.weight, 0);
+                const totalWeight = members.reduce((sum, m) => sum + m.weight, 0);
+                if (members.length === 0) {
+                    unplaceable.push({ key: target.key, weight: target.weight, reason: 'No holdings in this sector to buy' });
+                    return;
+                }
+                members.forEach(({ position, weight }) => {
+                    position.target_weight += target.weight * (sectorValue > 0 ? position.current_value * weight / sectorValue : weight / totalWeight);
+                });
+                return;
+            }
+
+            if (!positions[target.key]) {
+                const quote = prices[target.key];
+                if (!quote) {
+                    unplaceable.push({ key: target.key, weight: target.weight, reason: 'No current price' });
+                    return;
+                }
+                if (!quote.fx_rate) {
+                    unplaceable.push({ key: target.key, weight: target.weight, reason: `No ${quote.currency} exchange rate` });
+                    return;
+                }
+                positions[target.key] = {
+                    symbol: target.key,
+                    sectors: [],
+                    quantity: 0,
+                    price: quote.price,
+                    currency: quote.currency,
+                    fx_rate: quote.fx_rate,
+                    current_value: 0,
+                    target_weight: 0
+                };
+            }
+            positions[target.key].target_weight += target.weight;
+        });
+
+        // Amount in the portfolio's currency each position should move by
+        let moves = Object.values(positions)
+            .filter(p => p.price > 0)
+            .map(p => ({ position: p, amount: (p.target_weight / 100) * total - p.current_value }));
+
+        if (options.contributionsOnly) {
+            const shortfalls = moves.filter(m => m.amount > 0);
+            const totalShortfall = shortfalls.reduce((sum, m) => sum + m.amount, 0);
+            const budget = Math.max(0, available - feePerTrade * shortfalls.length);
+            const scale = totalShortfall > budget ? budget / totalShortfall : 1;
+            moves = shortfalls.map(m => ({ ...m, amount: m.amount * scale }));
+        }
+
+        const trades = [];
+        const skipped = [];
+        moves.forEach(({ position, amount }) => {
+            const type = amount > 0 ? 'buy' : 'sell';
+            const basePrice = position.price * position.fx_rate;
+            let quantity = Math.abs(amount) / basePrice;
+            quantity = options.fractional ? Math.floor(quantity * 1e6) / 1e6 : Math.floor(quantity);
+            if (type === 'sell') quantity = Math.min(quantity, position.quantity);
+
+            const value = quantity * basePrice;
+            if (quantity <= 0) return;
+            if (value < minTradeValue) {
+                skipped.push({ symbol: position.symbol, transaction_type: type, value, reason: 'Below minimum trade size' });
+                return;
+            }
+
+            trades.push({
+                symbol: position.symbol,
+                transaction_type: type,
+                quantity,
+                price: position.price,
+                currency: position.currency,
+                value,
+                fee: feePerTrade
+            });
+        });
+
+        trades.sort((a, b) => (a.transaction_type === 'sell' ? 0 : 1) - (b.transaction_type === 'sell' ? 0 : 1) || b.value - a.value);
+
+        const totalBuys = trades.filter(t => t.transaction_type === 'buy').reduce((sum, t) => sum + t.value, 0);
+        const totalSells = trades.filter(t => t.transaction_type === 'sell').reduce((sum, t) => sum + t.value, 0);
+        const fees = trades.length * feePerTrade;
+        const cashNeeded = totalBuys + fees - totalSells;
+
+        // Weights once the trades are done (cash absorbs the difference)
+        const after = Object.values(positions).map(p => {
+            const trade = trades.find(t => t.symbol === p.symbol);
+            const quantity = p.quantity + (trade ? (trade.transaction_type === 'buy' ? trade.quantity : -trade.quantity) : 0);
+            const weight = total - fees > 0 ? (quantity * p.price * p.fx_rate / (total - fees)) * 100 : 0;
+            return { symbol: p.symbol, target_weight: p.target_weight, weight_after: weight, drift_after: weight - p.target_weight };
+        });
+
+        return {
+            trades,
+            skipped,
+            unplaceable,
+            after,
+            total_buys: totalBuys,
+            total_sells: totalSells,
+            fees,
+            cash_needed: cashNeeded,
+            cash_available: available,
+            shortfall: Math.max(0, cashNeeded - available)
+        };
+    }
+
+    /**
+     * Sector weights of a holding, shared with the sector exposure chart
+     */
+    getSectorExposure(holding) {
+        return window.portfolioCharts.getSectorExposure(holding);
+    }
+}
+
+// Initialize rebalancing module
+window.rebalanceCalculator = new RebalanceCalculator();
@@ -0,0 +1,162 @@
+// Portfolio Tracker - Risk Metrics Module
+class RiskCalculator {
+    constructor() {
+        this.tradingDays = 252;
+        // One-day historical value-at-risk confidence
+        this.confidence = 0.95;
+    }
+
+    /**
+     * Daily returns of a /portfolios/{id}/performance series, excluding cash flows.
+     * Contributions count from the start of the day and withdrawals from the end,
+     * the same as the time-weighted returns.
+     *
+     * @returns {Array} [{date, value}] for each day after the first with a value
+     */
+    portfolioReturns(historicalData) {
+        const dates = historicalData.dates || [];
+        const values = historicalData.portfolio_values || [];
+        const flows = historicalData.flow_values || [];
+        const returns = [];
+
+        for (let i = 1; i < dates.length; i++) {
+            const flow = flows[i] || 0;
+            const startValue = values[i - 1] + Math.max(flow, 0);
+            if (startValue <= 0) continue;
+
+            returns.push({ date: dates[i], value: (values[i] - Math.min(flow, 0)) / startValue - 1 });
+        }
+
+        return returns;
+    }
+
+    /**
+     * Close-to-close returns keyed by date, from prices sorted oldest first
+     */
+    priceReturns(prices) {
+        const returns = {};
+        for (let i = 1; i < prices.length; i++) {
+            if (prices[i - 1].close > 0) {
+                returns[prices[i].date] = prices[i].close / prices[i - 1].close - 1;
+            }
+        }
+        return returns;
+    }
+
+    /**
+     * Daily returns of a blend, on the dates every component traded
+     *
+     * @param {Array} components - [{symbol, weight}]
+     * @param {Array} priceSeries - prices for each component, oldest first
+     */
+    blendedReturns(components, priceSeries) {
+        const componentReturns = priceSeries.map(prices => this.priceReturns(prices));
+        const blended = {};
+
+        Object.keys(componentReturns[0] || {}).forEach(date => {
+            if (componentReturns.every(returns => date in returns)) {
+                blended[date] = components.reduce((sum, component, i) => sum + component.weight * componentReturns[i][date], 0);
+            }
+        });
+
+        return blended;
+    }
+
+    /**
+     * Volatility, beta, Sharpe, Sortino and value-at-risk for a daily return series
+     *
+     * @param {Array} returns - [{date, value}]
+     * @param {Object} benchmarkReturns - daily benchmark returns keyed by date
+     * @param {number} riskFreeRate - annual rate as a fraction (0.04 = 4%)
+     */
+    calculate(returns, benchmarkReturns, riskFreeRate = 0) {
+        const values = returns.map(r => r.value);
+        if (values.length < 2) return null;
+
+        const mean = this.mean(values);
+        const volatility = this.standardDeviation(values) * Math.sqrt(this.tradingDays);
+        const annualReturn = mean * this.tradingDays;
+        const dailyRiskFree = riskFreeRate / this.tradingDays;
+
+        // Downside deviation only counts returns below the risk-free rate
+        const downside = Math.sqrt(this.mean(values.map(value => Math.min(0, value - dailyRiskFree) ** 2))) * Math.sqrt(this.tradingDays);
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const valueAtRisk = -sorted[Math.floor((1 - this.confidence) * sorted.length)];
+
+        return {
+            observations: values.length,
+            volatility,
+            annual_return: annualReturn,
+            beta: this.beta(returns, benchmarkReturns),
+            sharpe: volatility > 0 ? (annualReturn - riskFreeRate) / volatility : null,
+            sortino: downside > 0 ? (annualReturn - riskFreeRate) / downside : null,
+            value_at_risk: Math.max(0, valueAtRisk)
+        };
+    }
+
+    /**
+     * Covariance with the benchmark over its variance, on the dates both have a return
+     */
+    beta(returns, benchmarkReturns) {
+        const pairs = returns.filter(r => benchmarkReturns && r.date in benchmarkReturns);
+        if (pairs.length < 2) return null;
+
+        const portfolio = pairs.map(r => r.value);
+        const benchmark = pairs.map(r => benchmarkReturns[r.date]);
+        const portfolioMean = this.mean(portfolio);
+        const benchmarkMean = this.mean(benchmark);
+
+        let covariance = 0;
+        let variance = 0;
+        for (let i = 0; i < pairs.length; i++) {
+            covariance += (portfolio[i] - portfolioMean) * (benchmark[i] - benchmarkMean);
+            variance += (benchmark[i] - benchmarkMean) ** 2;
+        }
+
+        return variance > 0 ? covariance / variance : null;
+    }
+
+    /**
+     * Largest peak-to-trough fall of the growth index built from the returns,
+     * so deposits and withdrawals don't register as gains or drawdowns
+     *
+     * @param {string} startDate - the day before the first return (the index starts there at 1)
+     */
+    maxDrawdown(returns, startDate = null) {
+        let index = 1;
+        let peak = { value: 1, date: startDate || (returns.length > 0 ? returns[0].date : null) };
+        let worst = { drawdown: 0, peak_date: null, trough_date: null, recovery_date: null };
+        let current = null;
+
+        returns.forEach(r => {
+            index *= 1 + r.value;
+
+            if (index >= peak.value) {
+                if (current && !current.recovery_date) current.recovery_date = r.date;
+                peak = { value: index, date: r.date };
+                return;
+            }
+
+            const drawdown = index / peak.value - 1;
+            if (drawdown < worst.drawdown) {
+                // A deeper fall from the same peak extends the current drawdown
+                current = worst = { drawdown, peak_date: peak.date, trough_date: r.date, recovery_date: null };
+            }
+        });
+
+        return worst;
+    }
+
+    mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    standardDeviation(values) {
+        const mean = this.mean(values);
+        return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1));
+    }
+}
+
+// Initialize risk module
+window.riskCalculator = new RiskCalculator();
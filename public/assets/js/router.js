@@ -0,0 +1,153 @@
+// Portfolio Tracker - Hash Router Module
+class PortfolioRouter {
+    constructor() {
+        this.routes = [];
+        this.notFoundHandler = null;
+        this.currentPath = null;
+        this.started = false;
+    }
+
+    /**
+     * Register a route pattern such as "/portfolios/:id/trades"
+     */
+    register(pattern, handler) {
+        const keys = [];
+        const regex = new RegExp('^' + pattern
+            .replace(/\/$/, '')
+            .replace(/:([a-zA-Z_]+)/g, (_, key) => {
+                keys.push(key);
+                return '([^/]+)';
+            }) + '/?$');
+
+        this.routes.push({ pattern, regex, keys, handler });
+        return this;
+    }
+
+    /**
+     * Handler used when no registered route matches
+     */
+    otherwise(handler) {
+        this.notFoundHandler = handler;
+        return this;
+    }
+
+    /**
+     * Start listening for hash changes and resolve the current location
+     */
+    start() {
+        if (!this.started) {
+            window.addEventListener('hashchange', () => this.resolve());
+            this.started = true;
+        }
+        return this.resolve();
+    }
+
+    /**
+     * Navigate to a path, adding a history entry unless replace is set
+     */
+    navigate(path, options = {}) {
+        const target = '#' + path;
+
+        if (window.location.hash === target) {
+            // Same location - hashchange won't fire, so re-render directly
+            return this.resolve();
+        }
+
+        if (options.replace) {
+            history.replaceState(null, '', target);
+            return this.resolve();
+        }
+
+        // The hashchange listener resolves the new route
+        window.location.hash = path;
+    }
+
+    /**
+     * Record the view currently on screen without re-rendering it.
+     * Used when a view is shown programmatically (e.g. after saving a trade).
+     */
+    sync(path, query = null) {
+        const current = this.parse(window.location.hash);
+        const next = this.parse('#' + path);
+
+        if (current.path === next.path && query === null) {
+            return;
+        }
+
+        const url = '#' + next.path + this.buildQueryString(query || {});
+        if (current.path === next.path) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+        this.currentPath = next.path;
+    }
+
+    /**
+     * Replace the query string of the current route (filters, tabs) in place
+     */
+    updateQuery(params) {
+        const { path } = this.parse(window.location.hash);
+        history.replaceState(null, '', '#' + path + this.buildQueryString(params));
+    }
+
+    /**
+     * Get the query parameters of the current route
+     */
+    getQuery() {
+        return this.parse(window.location.hash).query;
+    }
+
+    /**
+     * Build a shareable link for a path and optional query parameters
+     */
+    buildLink(path, params = {}) {
+        return `${window.location.origin}${window.location.pathname}#${path}${this.buildQueryString(params)}`;
+    }
+
+    /**
+     * Match the current hash against registered routes and run the handler
+     */
+    resolve() {
+        const { path, query } = this.parse(window.location.hash);
+        this.currentPath = path;
+
+        for (const route of this.routes) {
+            const match = path.match(route.regex);
+            if (match) {
+                const params = {};
+                route.keys.forEach((key, index) => {
+                    params[key] = decodeURIComponent(match[index + 1]);
+                });
+                return route.handler(params, query);
+            }
+        }
+
+        if (this.notFoundHandler) {
+            return this.notFoundHandler(path, query);
+        }
+    }
+
+    /**
+     * Split a hash like "#/portfolios/12/trades?symbol=AAPL" into path and query
+     */
+    parse(hash) {
+        const raw = (hash || '').replace(/^#/, '') || '/';
+        const [pathPart, queryPart = ''] = raw.split('?');
+        const query = Object.fromEntries(new URLSearchParams(queryPart).entries());
+
+        return {
+            path: pathPart.startsWith('/') ? pathPart : '/' + pathPart,
+            query
+        };
+    }
+
+    buildQueryString(params) {
+        const entries = Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '');
+        if (entries.length === 0) return '';
+        return '?' + new URLSearchParams(entries).toString();
+    }
+}
+
+// Initialize router module
+window.portfolioRouter = new PortfolioRouter();
@@ -0,0 +1,161 @@
+// Portfolio Tracker - Wash Sale Detection Module
+class WashSaleDetector {
+    constructor() {
+        // Replacement purchases within this many days before or after a loss sale
+        this.windowDays = 30;
+    }
+
+    /**
+     * Match loss sales to replacement buys of the same symbol.
+     *
+     * Works at lot level: every closed lot sold at a loss is matched against buys
+     * within 30 days either side of the sale (in purchase order). Each replacement
+     * share absorbs at most one loss share. The disallowed loss is added to the
+     * replacement lot's basis.
+     *
+     * @param {Array} transactions - trades as returned by /portfolios/{id}/transactions
+     * @param {Array} closedLots - closed_lots from /portfolios/{id}/lots
+     */
+    detect(transactions, closedLots) {
+        const buys = transactions
+            .filter(t => t.transaction_type === 'buy')
+            .map(t => ({
+                id: t.id,
+                symbol: t.stock_symbol,
+                date: t.transaction_date,
+                quantity: parseFloat(t.quantity),
+                costBasis: parseFloat(t.quantity) * parseFloat(t.price) + parseFloat(t.fees || 0),
+                available: parseFloat(t.quantity)
+            }))
+            .sort((a, b) => a.date.localeCompare(b.date) || String(a.id).localeCompare(String(b.id), undefined, { numeric: true }));
+
+        // Lots closed by each sell - the shares being sold are never their own replacement
+        const lotsBySell = {};
+        closedLots.forEach(lot => {
+            (lotsBySell[lot.sell_transaction_id] = lotsBySell[lot.sell_transaction_id] || new Set()).add(lot.lot_id);
+        });
+
+        const lossLots = closedLots
+            .filter(lot => lot.gain_loss < 0)
+            .sort((a, b) => a.sold_date.localeCompare(b.sold_date) || String(a.sell_transaction_id).localeCompare(String(b.sell_transaction_id), undefined, { numeric: true }));
+
+        const disposals = [];
+        const bySell = {};
+        const byBuy = {};
+
+        lossLots.forEach(lot => {
+            const excluded = lotsBySell[lot.sell_transaction_id];
+            const candidates = buys.filter(buy =>
+                buy.symbol === lot.stock_symbol &&
+                buy.available > 0 &&
+                !excluded.has(buy.id) &&
+                Math.abs(this.daysBetween(buy.date, lot.sold_date)) <= this.windowDays
+            );
+
+            let remaining = parseFloat(lot.quantity);
+            const replacements = [];
+            candidates.forEach(buy => {
+                if (remaining <= 0) return;
+                const take = Math.min(remaining, buy.available);
+                buy.available -= take;
+                remaining -= take;
+                replacements.push({ buy, quantity: take });
+            });
+
+            if (replacements.length === 0) return;
+
+            const lossPerShare = Math.abs(lot.gain_loss) / parseFloat(lot.quantity);
+            const matched = parseFloat(lot.quantity) - remaining;
+            const disallowed = lossPerShare * matched;
+
+            disposals.push({ ...lot, disallowed_loss: disallowed, replacement_ids: replacements.map(r => r.buy.id) });
+
+            const sell = bySell[lot.sell_transaction_id] = bySell[lot.sell_transaction_id] || {
+                sell_transaction_id: lot.sell_transaction_id,
+                stock_symbol: lot.stock_symbol,
+                sold_date: lot.sold_date,
+                loss: 0,
+                disallowed_loss: 0,
+                replacement_ids: []
+            };
+            sell.loss += Math.abs(lot.gain_loss);
+            sell.disallowed_loss += disallowed;
+
+            replacements.forEach(({ buy, quantity }) => {
+                if (!sell.replacement_ids.includes(buy.id)) sell.replacement_ids.push(buy.id);
+
+                const entry = byBuy[buy.id] = byBuy[buy.id] || {
+                    transaction_id: buy.id,
+                    stock_symbol: buy.symbol,
+                    quantity_matched: 0,
+                    basis_adjustment: 0,
+                    original_cost_basis: buy.costBasis,
+                    sell_transaction_ids: []
+                };
+                entry.quantity_matched += quantity;
+                entry.basis_adjustment += lossPerShare * quantity;
+                if (!entry.sell_transaction_ids.includes(lot.sell_transaction_id)) {
+                    entry.sell_transaction_ids.push(lot.sell_transaction_id);
+                }
+            });
+        });
+
+        Object.values(bySell).forEach(sell => {
+            sell.allowed_loss = sell.loss - sell.disallowed_loss;
+        });
+
+        Object.entries(byBuy).forEach(([id, entry]) => {
+            const buy = buys.find(b => String(b.id) === id);
+            entry.adjusted_cost_basis = entry.original_cost_basis + entry.basis_adjustment;
+            entry.adjusted_cost_per_share = buy.quantity > 0 ? entry.adjusted_cost_basis / buy.quantity : 0;
+        });
+
+        return { disposals, bySell, byBuy };
+    }
+
+    /**
+     * Would a trade that hasn't been saved yet trigger a wash sale?
+     * For sells, pass the lots it would close (with gain_loss); for buys, just the trade.
+     * When editing, pass the trade's id and leave the saved version out of both lists.
+     */
+    checkProposedTrade(transactions, closedLots, trade, proposedLots = []) {
+        const id = trade.id || 'proposed';
+        const allTransactions = [...transactions, { ...trade, id }];
+        const allClosedLots = trade.transaction_type === 'sell'
+            ? [...closedLots, ...proposedLots.map(lot => ({ ...lot, sell_transaction_id: id, sold_date: trade.transaction_date, stock_symbol: trade.stock_symbol }))]
+            : closedLots;
+
+        const result = this.detect(allTransactions, allClosedLots);
+
+        if (trade.transaction_type === 'sell') {
+            const sell = result.bySell[id];
+            if (!sell) return null;
+
+            return {
+                type: 'sell',
+                disallowed_loss: sell.disallowed_loss,
+                loss: sell.loss,
+                replacements: sell.replacement_ids.map(buyId => transactions.find(t => t.id === buyId)).filter(Boolean)
+            };
+        }
+
+        const buy = result.byBuy[id];
+        if (!buy) return null;
+
+        return {
+            type: 'buy',
+            disallowed_loss: buy.basis_adjustment,
+            quantity_matched: buy.quantity_matched,
+            adjusted_cost_basis: buy.adjusted_cost_basis,
+            adjusted_cost_per_share: buy.adjusted_cost_per_share,
+            sales: buy.sell_transaction_ids.map(sellId => transactions.find(t => t.id === sellId)).filter(Boolean)
+        };
+    }
+
+    daysBetween(a, b) {
+        return Math.round((new Date(a) - new Date(b)) / 86400000);
+    }
+}
+
+// Initialize wash sale module
+window.washSaleDetector = new WashSaleDetector();